@@ -40,6 +40,18 @@ CREATE TABLE listings (
   conduit_key VARCHAR(66) DEFAULT NULL,
   salt VARCHAR(66) DEFAULT NULL,
   counter INTEGER DEFAULT NULL,
+  end_price DECIMAL(36, 18) DEFAULT NULL, -- Set for Dutch auctions; price is the start price
+  start_time TIMESTAMP DEFAULT NULL, -- Order start time, when a Dutch auction's price starts declining
+  listing_type VARCHAR(20) DEFAULT 'single', -- 'single' or 'bundle'; bundle tokens live in listing_items
+  quantity INTEGER DEFAULT 1, -- ERC1155 copies offered; above 1 the order is PARTIAL_OPEN and price is per copy
+  quantity_remaining INTEGER DEFAULT 1, -- Copies still unsold, from Seaport's totalFilled/totalSize
+  private_buyer_fid INTEGER DEFAULT NULL, -- Set for private listings: only this FID sees the listing
+  private_buyer_address VARCHAR(42) DEFAULT NULL, -- The order's zone; Seaport lets only this wallet fill it
+  currency VARCHAR(10) DEFAULT 'USDC', -- 'USDC', 'ETH' or 'WETH'; price and end_price are in this currency
+  superseded_by INTEGER DEFAULT NULL, -- Set when a price edit replaced this listing: the listing that took its place
+  inactive_at TIMESTAMP DEFAULT NULL, -- Set while the order can't be filled; cleared if the seller can fill it again
+  inactive_reason VARCHAR(20) DEFAULT NULL, -- 'not_owned' (NFT left the wallet) or 'not_approved' (conduit approval revoked)
+  fillability_checked_at TIMESTAMP DEFAULT NULL, -- Last on-chain check of the seller's holdings and approval
   FOREIGN KEY (seller_fid) REFERENCES users(fid),
   FOREIGN KEY (buyer_fid) REFERENCES users(fid)
 );
@@ -54,6 +66,32 @@ CREATE INDEX idx_seller_address ON listings(seller_address);
 -- Indexes for new columns (preserved, originally Seaport specific)
 CREATE INDEX idx_listings_contract_type ON listings(contract_type);
 CREATE INDEX idx_listings_order_hash ON listings(order_hash) WHERE order_hash IS NOT NULL;
+CREATE INDEX idx_listings_private_buyer ON listings(private_buyer_fid) WHERE private_buyer_fid IS NOT NULL;
+CREATE INDEX idx_listings_fillability_check ON listings(fillability_checked_at) WHERE contract_type = 'seaport' AND sold_at IS NULL AND cancelled_at IS NULL;
+
+-- Tokens in a bundle listing. The parent listing row keeps the first item's
+-- contract and token ID so single-token queries still find it
+CREATE TABLE listing_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  listing_id INTEGER NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  item_type INTEGER NOT NULL DEFAULT 2, -- Seaport item type: 2 = ERC721, 3 = ERC1155
+  position INTEGER NOT NULL DEFAULT 0, -- Order of the item in the Seaport offer
+  name VARCHAR(255),
+  image_url TEXT,
+  sold_at TIMESTAMP,
+  buyer_fid INTEGER,
+  buyer_address VARCHAR(42),
+  sale_tx_hash VARCHAR(66),
+  FOREIGN KEY (listing_id) REFERENCES listings(id),
+  FOREIGN KEY (buyer_fid) REFERENCES users(fid),
+  UNIQUE(listing_id, nft_contract, token_id)
+);
+
+CREATE INDEX idx_listing_items_listing ON listing_items(listing_id, position);
+CREATE INDEX idx_listing_items_nft ON listing_items(nft_contract, token_id);
+CREATE INDEX idx_listing_items_buyer ON listing_items(buyer_fid) WHERE buyer_fid IS NOT NULL;
 
 -- Offers table to track offers made on NFTs
 CREATE TABLE offers (
@@ -62,7 +100,7 @@ CREATE TABLE offers (
   buyer_fid INTEGER, -- FID of the offer maker
   buyer_address VARCHAR(42) NOT NULL, -- Address that made the offer onchain
   nft_contract VARCHAR(42) NOT NULL,
-  token_id VARCHAR(78) NOT NULL,
+  token_id VARCHAR(78), -- NULL for collection-wide and trait offers
   amount DECIMAL(36, 18) NOT NULL,
   expiry TIMESTAMP NOT NULL,
   tx_hash VARCHAR(66), -- Transaction hash from blockchain
@@ -73,6 +111,24 @@ CREATE TABLE offers (
   seller_address VARCHAR(42), -- Address that accepted onchain
   accept_tx_hash VARCHAR(66),
   cancel_tx_hash VARCHAR(66),
+  contract_type VARCHAR(20) DEFAULT 'nft_exchange',
+  order_hash VARCHAR(66) DEFAULT NULL,
+  order_parameters TEXT DEFAULT NULL,
+  zone_address VARCHAR(42) DEFAULT NULL,
+  conduit_key VARCHAR(66) DEFAULT NULL,
+  salt VARCHAR(66) DEFAULT NULL,
+  counter INTEGER DEFAULT NULL,
+  declined_at TIMESTAMP, -- Set when the NFT owner declines the offer
+  declined_by_fid INTEGER,
+  criteria_root VARCHAR(66) DEFAULT NULL, -- Merkle root of eligible token IDs for trait offers
+  trait_type VARCHAR(255) DEFAULT NULL,
+  trait_value VARCHAR(255) DEFAULT NULL,
+  filled_token_id VARCHAR(78) DEFAULT NULL, -- Token used to fill a collection or trait offer
+  auction_id INTEGER DEFAULT NULL, -- Set when the offer is a bid in an English auction
+  currency VARCHAR(10) DEFAULT 'USDC', -- 'USDC' or 'WETH'; offers can't escrow native ETH
+  unfunded_at TIMESTAMP DEFAULT NULL, -- Set while the bidder can't pay; cleared once they can again
+  unfunded_reason VARCHAR(30) DEFAULT NULL, -- 'insufficient_balance' or 'insufficient_allowance' (conduit approval too low)
+  funding_checked_at TIMESTAMP DEFAULT NULL,
   FOREIGN KEY (buyer_fid) REFERENCES users(fid),
   FOREIGN KEY (seller_fid) REFERENCES users(fid)
 );
@@ -83,20 +139,88 @@ CREATE INDEX idx_buyer_fid_offers ON offers(buyer_fid);
 CREATE INDEX idx_seller_fid_offers ON offers(seller_fid);
 CREATE INDEX idx_blockchain_offer ON offers(blockchain_offer_id);
 CREATE INDEX idx_buyer_address_offers ON offers(buyer_address);
+CREATE INDEX idx_offers_contract_type ON offers(contract_type);
+CREATE INDEX idx_offers_order_hash ON offers(order_hash) WHERE order_hash IS NOT NULL;
+CREATE INDEX idx_offers_criteria ON offers(nft_contract) WHERE token_id IS NULL;
+CREATE INDEX idx_offers_auction ON offers(auction_id, amount DESC) WHERE auction_id IS NOT NULL;
+CREATE INDEX idx_offers_funding_check ON offers(funding_checked_at) WHERE contract_type = 'seaport' AND accepted_at IS NULL AND cancelled_at IS NULL;
+
+-- English auctions: bidders sign increasing USDC offers on the token and the
+-- seller fills the highest one once the auction has ended
+CREATE TABLE auctions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  seller_fid INTEGER NOT NULL,
+  seller_address VARCHAR(42) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  reserve_price DECIMAL(36, 18) NOT NULL, -- Minimum first bid in USDC
+  min_increment_bps INTEGER NOT NULL DEFAULT 500, -- Each bid must beat the highest by this much
+  start_time TIMESTAMP NOT NULL,
+  end_time TIMESTAMP NOT NULL,
+  status TEXT CHECK(status IN ('active', 'awaiting_settlement', 'ended', 'settled', 'cancelled')) DEFAULT 'active',
+  winning_offer_id INTEGER,
+  name VARCHAR(255),
+  image_url TEXT,
+  description TEXT,
+  metadata_uri TEXT,
+  ended_at TIMESTAMP, -- Set by the scheduled handler once end_time has passed
+  settled_at TIMESTAMP,
+  settle_tx_hash VARCHAR(66),
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (seller_fid) REFERENCES users(fid),
+  FOREIGN KEY (winning_offer_id) REFERENCES offers(id)
+);
+
+CREATE INDEX idx_auctions_status ON auctions(status, end_time);
+CREATE INDEX idx_auctions_nft ON auctions(nft_contract, token_id);
+CREATE INDEX idx_auctions_seller ON auctions(seller_fid);
+
+-- Trait index used to compute the eligible token set for trait offers
+CREATE TABLE nft_traits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  trait_type VARCHAR(255) NOT NULL,
+  trait_value VARCHAR(255) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(nft_contract, token_id, trait_type, trait_value)
+);
+
+CREATE INDEX idx_nft_traits_trait ON nft_traits(nft_contract, trait_type, trait_value);
+
+-- Criteria sets: the token IDs behind each merkle root we have handed out,
+-- so owners can get proofs when filling a trait offer
+CREATE TABLE criteria_sets (
+  root VARCHAR(66) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  trait_type VARCHAR(255),
+  trait_value VARCHAR(255),
+  token_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (root, nft_contract)
+);
+
+CREATE TABLE criteria_tokens (
+  criteria_root VARCHAR(66) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  PRIMARY KEY (criteria_root, token_id)
+);
 
 -- Activity table to track all marketplace events
 CREATE TABLE activity (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  type TEXT CHECK(type IN ('listing_created', 'offer_made', 'sale', 'offer_accepted', 'listing_cancelled', 'offer_cancelled')) NOT NULL,
+  type TEXT CHECK(type IN ('listing_created', 'offer_made', 'sale', 'offer_accepted', 'listing_cancelled', 'offer_cancelled', 'price_changed', 'external_sale')) NOT NULL, -- external_sale: Seaport fill made outside the marketplace
   actor_fid INTEGER, -- FID of the user who performed the action
   actor_address VARCHAR(42) NOT NULL, -- Address that performed the action onchain
   nft_contract VARCHAR(42) NOT NULL,
-  token_id VARCHAR(78) NOT NULL,
+  token_id VARCHAR(78), -- NULL for collection-wide and trait offers
   price DECIMAL(36, 18),
   metadata TEXT, -- JSON metadata for additional context
   tx_hash VARCHAR(66), -- Transaction hash for this activity
   contract_type TEXT CHECK(contract_type IN ('nft_exchange', 'seaport')) DEFAULT 'nft_exchange',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  currency VARCHAR(10) DEFAULT 'USDC', -- Currency of price
   FOREIGN KEY (actor_fid) REFERENCES users(fid)
 );
 
@@ -107,15 +231,157 @@ CREATE INDEX idx_actor_address_activity ON activity(actor_address);
 CREATE INDEX idx_activity_type ON activity(type);
 CREATE INDEX idx_activity_time ON activity(created_at DESC);
 
--- Indexed blocks table for blockchain event tracking
-CREATE TABLE indexed_blocks (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
+-- USD reference rates used to sort and filter prices across currencies.
+-- ETH and WETH are refreshed by the scheduled indexer; USDC is pegged at 1
+CREATE TABLE currency_rates (
+  currency VARCHAR(10) PRIMARY KEY,
+  usd_rate DECIMAL(36, 18) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO currency_rates (currency, usd_rate, updated_at) VALUES
+  ('USDC', 1, CURRENT_TIMESTAMP),
+  ('ETH', 2500, '1970-01-01 00:00:00'),
+  ('WETH', 2500, '1970-01-01 00:00:00');
+
+-- Admin-set creator royalties for collections whose contracts don't implement
+-- ERC-2981. An override wins over royaltyInfo; bps = 0 turns royalties off
+CREATE TABLE royalty_overrides (
+  nft_contract VARCHAR(42) PRIMARY KEY,
+  recipient VARCHAR(42) NOT NULL,
+  bps INTEGER NOT NULL CHECK (bps >= 0 AND bps <= 10000),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Latest Seaport counter of each offerer, from CounterIncremented events.
+-- Orders signed with any other counter can no longer be filled. Counters are
+-- stored as decimal strings: Seaport bumps them by a value above 2^128
+CREATE TABLE seaport_counters (
+  offerer VARCHAR(42) PRIMARY KEY,
+  counter VARCHAR(78) NOT NULL,
+  block_number INTEGER NOT NULL,
+  tx_hash VARCHAR(66),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every counter seen for an offerer, so a reorg rollback can put back the last
+-- one from before the fork instead of forgetting the offerer's counter
+CREATE TABLE seaport_counter_history (
+  offerer VARCHAR(42) NOT NULL,
+  counter VARCHAR(78) NOT NULL,
   block_number INTEGER NOT NULL,
+  tx_hash VARCHAR(66),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (offerer, counter)
+);
+
+CREATE INDEX idx_seaport_counter_history_block ON seaport_counter_history(block_number);
+
+-- Last block each event source (see src/server/event-sources.js) has been indexed
+-- up to. A new source's row is seeded at its declared start block, or at the chain
+-- head if it declares none
+CREATE TABLE indexer_cursors (
+  source VARCHAR(50) PRIMARY KEY, -- 'nft_exchange', 'seaport', 'nft_transfers', 'usdc_approvals'
+  block_number INTEGER NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Alchemy webhook deliveries, so redelivered events are ignored once handled.
+-- A delivery stuck in 'processing' (the worker died mid-way) is taken again by
+-- the next redelivery after a few minutes
+CREATE TABLE webhook_events (
+  id VARCHAR(100) PRIMARY KEY, -- Alchemy's webhook event ID
+  type VARCHAR(50),
+  status VARCHAR(20) DEFAULT 'processing' CHECK(status IN ('processing', 'processed', 'dead_lettered')),
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- When the current attempt started
+  processed_at TIMESTAMP
+);
+
+-- Webhook payloads that failed to process, kept to be retried from the admin API
+CREATE TABLE webhook_dead_letters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id VARCHAR(100),
+  type VARCHAR(50),
+  payload TEXT NOT NULL, -- Raw, already verified body
+  error TEXT,
+  attempts INTEGER DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP -- Set once a retry processes it
+);
+
+CREATE INDEX idx_webhook_dead_letters_open ON webhook_dead_letters(created_at) WHERE resolved_at IS NULL;
+
+-- Hash of the last block of each indexed chunk. If the next block's parent hash
+-- doesn't match, the chain has reorganised under the indexer
+CREATE TABLE indexed_block_hashes (
+  block_number INTEGER PRIMARY KEY,
+  block_hash VARCHAR(66) NOT NULL,
+  parent_hash VARCHAR(66) NOT NULL,
   indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create index on block number for fast lookups
-CREATE INDEX idx_block_number ON indexed_blocks(block_number);
+-- Every decoded NFTExchange and Seaport log, stored before it is processed. Sales,
+-- cancellations and activity derived from them can be rebuilt by replaying this
+-- table, and reverted by transaction if their block is orphaned
+CREATE TABLE chain_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tx_hash VARCHAR(66) NOT NULL,
+  log_index INTEGER NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash VARCHAR(66),
+  block_timestamp TIMESTAMP, -- Dates the rows the event changes, live and on replay
+  contract_address VARCHAR(42) NOT NULL,
+  event_name VARCHAR(50) NOT NULL,
+  args TEXT NOT NULL, -- Decoded arguments as JSON, uint256 values as decimal strings
+  topics TEXT NOT NULL, -- Raw log topics and data, decoded again on replay
+  data TEXT NOT NULL,
+  actor_fids TEXT, -- JSON of the FID each address resolved to, reused on replay instead of Neynar
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tx_hash, log_index)
+);
+
+CREATE INDEX idx_chain_events_block ON chain_events(block_number, log_index);
+CREATE INDEX idx_chain_events_tx ON chain_events(tx_hash);
+
+-- Block ranges handed to the indexer queue, one message each. Ranges are indexed
+-- independently, several at a time; the cursors only move over ranges that are done
+-- with none missing before them, so one that keeps failing is marked failed and
+-- holds the cursors until it is retried
+CREATE TABLE index_ranges (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_block INTEGER NOT NULL,
+  to_block INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'queued' CHECK(status IN ('queued', 'processing', 'done', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  error TEXT,
+  indexed_to INTEGER, -- Last block of the range indexed so far; a retry carries on after it
+  enqueued_at TIMESTAMP, -- Last time a message was sent for it; NULL until one is
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(from_block)
+);
+
+CREATE INDEX idx_index_ranges_status ON index_ranges(status, from_block);
+
+-- Replays of the stored chain_events log, run a page at a time until done. Indexing
+-- and webhooks wait while one is running, so nothing lands on half-rebuilt state
+CREATE TABLE chain_replays (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_block INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'running' CHECK(status IN ('running', 'done')),
+  after_block INTEGER, -- Last event replayed so far; NULL until the first page, which reverts first
+  after_log_index INTEGER,
+  reverted INTEGER, -- Events whose effects were reverted
+  replayed INTEGER DEFAULT 0,
+  errors INTEGER DEFAULT 0,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX idx_chain_replays_status ON chain_replays(status);
 
 -- Create a view for active listings with user info
 CREATE VIEW active_listings_with_users AS
@@ -0,0 +1,30 @@
+-- Add bundle listings
+-- A bundle is one Seaport order with several NFT offer items; each token gets a listing_items row
+
+ALTER TABLE listings ADD COLUMN listing_type VARCHAR(20) DEFAULT 'single';
+
+CREATE TABLE IF NOT EXISTS listing_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  listing_id INTEGER NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  item_type INTEGER NOT NULL DEFAULT 2,
+  position INTEGER NOT NULL DEFAULT 0,
+  name VARCHAR(255),
+  image_url TEXT,
+  sold_at TIMESTAMP,
+  buyer_fid INTEGER,
+  buyer_address VARCHAR(42),
+  sale_tx_hash VARCHAR(66),
+  FOREIGN KEY (listing_id) REFERENCES listings(id),
+  FOREIGN KEY (buyer_fid) REFERENCES users(fid),
+  UNIQUE(listing_id, nft_contract, token_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_items_listing ON listing_items(listing_id, position);
+CREATE INDEX IF NOT EXISTS idx_listing_items_nft ON listing_items(nft_contract, token_id);
+CREATE INDEX IF NOT EXISTS idx_listing_items_buyer ON listing_items(buyer_fid) WHERE buyer_fid IS NOT NULL;
+
+-- Verify the migration
+-- SELECT listing_type, COUNT(*) FROM listings GROUP BY listing_type;
+-- SELECT listing_id, COUNT(*) AS items FROM listing_items GROUP BY listing_id LIMIT 10;
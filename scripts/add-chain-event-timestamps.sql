@@ -0,0 +1,34 @@
+-- Migration script for deterministic rebuilds from the chain event log
+-- Rows derived from an event are now dated with its block's timestamp instead of
+-- the time it was processed, and the FIDs its addresses resolved to are kept with
+-- it, so replaying the log (POST /api/admin/reindex) gives the same rows without
+-- calling the RPC or Neynar.
+--
+-- Events stored before this migration have neither. They are backfilled from
+-- what processing them recorded: the time of their activity (or of the event
+-- itself) and the FIDs of the activity's actors in the same transaction.
+
+ALTER TABLE chain_events ADD COLUMN block_timestamp TIMESTAMP;
+ALTER TABLE chain_events ADD COLUMN actor_fids TEXT;
+
+UPDATE chain_events
+SET block_timestamp = COALESCE(
+  (SELECT MIN(a.created_at) FROM activity a WHERE a.tx_hash = chain_events.tx_hash),
+  created_at
+)
+WHERE block_timestamp IS NULL;
+
+UPDATE chain_events
+SET actor_fids = (
+  SELECT json_group_object(address, fid) FROM (
+    SELECT LOWER(a.actor_address) as address, MIN(a.actor_fid) as fid
+    FROM activity a
+    WHERE a.tx_hash = chain_events.tx_hash AND a.actor_fid IS NOT NULL
+    GROUP BY LOWER(a.actor_address)
+  )
+)
+WHERE actor_fids IS NULL;
+
+-- Verify the migration
+-- SELECT COUNT(*) FROM chain_events WHERE block_timestamp IS NULL; -- should be 0
+-- SELECT event_name, COUNT(*) FROM chain_events WHERE actor_fids != '{}' GROUP BY event_name;
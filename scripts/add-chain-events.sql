@@ -0,0 +1,33 @@
+-- Migration script for the chain event log
+-- Decoded NFTExchange and Seaport logs are now stored in chain_events before they
+-- are processed, so derived listings, offers and activity can be rebuilt from the
+-- log (POST /api/admin/reindex) without going back to the RPC. The log also
+-- replaces indexed_transactions for reorg rollbacks.
+--
+-- Events indexed before this migration aren't in the log. To have them, move the
+-- cursor back with POST /api/admin/reindex { "fromBlock": ..., "refetch": true }.
+
+CREATE TABLE IF NOT EXISTS chain_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tx_hash VARCHAR(66) NOT NULL,
+  log_index INTEGER NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash VARCHAR(66),
+  contract_address VARCHAR(42) NOT NULL,
+  event_name VARCHAR(50) NOT NULL,
+  args TEXT NOT NULL,
+  topics TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events(block_number, log_index);
+CREATE INDEX IF NOT EXISTS idx_chain_events_tx ON chain_events(tx_hash);
+
+DROP INDEX IF EXISTS idx_indexed_transactions_block;
+DROP TABLE IF EXISTS indexed_transactions;
+
+-- Verify the migration
+-- SELECT event_name, COUNT(*), MIN(block_number), MAX(block_number) FROM chain_events GROUP BY event_name;
+-- SELECT name FROM sqlite_master WHERE name = 'indexed_transactions'; -- should return nothing
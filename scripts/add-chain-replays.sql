@@ -0,0 +1,23 @@
+-- Migration script for chain event replays
+-- POST /api/admin/replay rebuilds listings, offers and activity from chain_events a
+-- page at a time; the cron carries a replay on until it's done, and indexing and
+-- webhooks wait for it.
+
+CREATE TABLE IF NOT EXISTS chain_replays (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_block INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'running' CHECK(status IN ('running', 'done')),
+  after_block INTEGER,
+  after_log_index INTEGER,
+  reverted INTEGER,
+  replayed INTEGER DEFAULT 0,
+  errors INTEGER DEFAULT 0,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_replays_status ON chain_replays(status);
+
+-- Verify the migration
+-- SELECT id, from_block, status, replayed, errors, started_at, completed_at FROM chain_replays ORDER BY id DESC LIMIT 5;
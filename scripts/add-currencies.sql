@@ -0,0 +1,23 @@
+-- Add multi-currency pricing
+-- Listings can be priced in USDC, native ETH or WETH and offers in USDC or WETH.
+-- Existing rows are all USDC. currency_rates holds the USD reference rates used
+-- to sort across currencies; the ETH rows start stale so the next scheduled run refreshes them
+
+ALTER TABLE listings ADD COLUMN currency VARCHAR(10) DEFAULT 'USDC';
+ALTER TABLE offers ADD COLUMN currency VARCHAR(10) DEFAULT 'USDC';
+ALTER TABLE activity ADD COLUMN currency VARCHAR(10) DEFAULT 'USDC';
+
+CREATE TABLE IF NOT EXISTS currency_rates (
+  currency VARCHAR(10) PRIMARY KEY,
+  usd_rate DECIMAL(36, 18) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO currency_rates (currency, usd_rate, updated_at) VALUES
+  ('USDC', 1, CURRENT_TIMESTAMP),
+  ('ETH', 2500, '1970-01-01 00:00:00'),
+  ('WETH', 2500, '1970-01-01 00:00:00');
+
+-- Verify the migration
+-- SELECT currency, COUNT(*) FROM listings GROUP BY currency;
+-- SELECT * FROM currency_rates;
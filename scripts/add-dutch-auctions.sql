@@ -0,0 +1,9 @@
+-- Add Dutch auction pricing to the listings table
+-- price keeps the start price; end_price is set only for Dutch auctions, whose
+-- price declines linearly from start_time until expiry
+
+ALTER TABLE listings ADD COLUMN end_price DECIMAL(36, 18) DEFAULT NULL;
+ALTER TABLE listings ADD COLUMN start_time TIMESTAMP DEFAULT NULL;
+
+-- Verify the migration
+-- SELECT id, price, end_price, start_time, expiry FROM listings WHERE end_price IS NOT NULL LIMIT 10;
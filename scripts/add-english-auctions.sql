@@ -0,0 +1,38 @@
+-- Add English auctions
+-- Bids are regular Seaport offers linked to their auction through offers.auction_id
+
+CREATE TABLE IF NOT EXISTS auctions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  seller_fid INTEGER NOT NULL,
+  seller_address VARCHAR(42) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  reserve_price DECIMAL(36, 18) NOT NULL,
+  min_increment_bps INTEGER NOT NULL DEFAULT 500,
+  start_time TIMESTAMP NOT NULL,
+  end_time TIMESTAMP NOT NULL,
+  status TEXT CHECK(status IN ('active', 'awaiting_settlement', 'ended', 'settled', 'cancelled')) DEFAULT 'active',
+  winning_offer_id INTEGER,
+  name VARCHAR(255),
+  image_url TEXT,
+  description TEXT,
+  metadata_uri TEXT,
+  ended_at TIMESTAMP,
+  settled_at TIMESTAMP,
+  settle_tx_hash VARCHAR(66),
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (seller_fid) REFERENCES users(fid),
+  FOREIGN KEY (winning_offer_id) REFERENCES offers(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auctions_status ON auctions(status, end_time);
+CREATE INDEX IF NOT EXISTS idx_auctions_nft ON auctions(nft_contract, token_id);
+CREATE INDEX IF NOT EXISTS idx_auctions_seller ON auctions(seller_fid);
+
+ALTER TABLE offers ADD COLUMN auction_id INTEGER DEFAULT NULL;
+CREATE INDEX IF NOT EXISTS idx_offers_auction ON offers(auction_id, amount DESC) WHERE auction_id IS NOT NULL;
+
+-- Verify the migration
+-- SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'auctions';
+-- SELECT id, auction_id, amount FROM offers WHERE auction_id IS NOT NULL LIMIT 10;
@@ -0,0 +1,54 @@
+-- Migration script for recording Seaport sales made outside the marketplace
+-- With INDEX_EXTERNAL_SALES on, fills of Seaport orders that aren't ours are
+-- recorded as 'external_sale' activity for collections listed here. SQLite can't
+-- alter a CHECK constraint, so activity is rebuilt.
+
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE activity_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT CHECK(type IN ('listing_created', 'offer_made', 'sale', 'offer_accepted', 'listing_cancelled', 'offer_cancelled', 'price_changed', 'external_sale')) NOT NULL,
+  actor_fid INTEGER,
+  actor_address VARCHAR(42) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78),
+  price DECIMAL(36, 18),
+  metadata TEXT,
+  tx_hash VARCHAR(66),
+  contract_type TEXT CHECK(contract_type IN ('nft_exchange', 'seaport')) DEFAULT 'nft_exchange',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  currency VARCHAR(10) DEFAULT 'USDC',
+  FOREIGN KEY (actor_fid) REFERENCES users(fid)
+);
+
+INSERT INTO activity_new (id, type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type, created_at, currency)
+SELECT id, type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type, created_at, currency
+FROM activity;
+
+DROP VIEW IF EXISTS user_activity_summary;
+DROP TABLE activity;
+ALTER TABLE activity_new RENAME TO activity;
+
+CREATE INDEX idx_nft_activity ON activity(nft_contract, token_id);
+CREATE INDEX idx_actor_fid_activity ON activity(actor_fid);
+CREATE INDEX idx_actor_address_activity ON activity(actor_address);
+CREATE INDEX idx_activity_type ON activity(type);
+CREATE INDEX idx_activity_time ON activity(created_at DESC);
+CREATE INDEX idx_activity_contract_type ON activity(contract_type);
+CREATE UNIQUE INDEX idx_unique_activity_tx ON activity(tx_hash, type, nft_contract, token_id) WHERE tx_hash IS NOT NULL;
+
+CREATE VIEW user_activity_summary AS
+SELECT 
+  actor_fid,
+  type,
+  COUNT(*) as count,
+  MAX(created_at) as last_activity
+FROM activity
+WHERE actor_fid IS NOT NULL
+GROUP BY actor_fid, type;
+
+PRAGMA foreign_keys = ON;
+
+-- Verify the migration
+-- SELECT type, COUNT(*) FROM activity GROUP BY type;
+-- SELECT json_extract(metadata, '$.venue') AS venue, currency, COUNT(*) FROM activity WHERE type = 'external_sale' GROUP BY venue, currency;
@@ -0,0 +1,17 @@
+-- Migration script for inactive listings
+-- A Seaport listing whose seller no longer holds the NFT, or has revoked the conduit
+-- approval, can't be filled even though its order is still valid. The indexer marks
+-- such listings inactive, which hides them like a cancellation but is undone when
+-- the seller can fill the order again.
+
+ALTER TABLE listings ADD COLUMN inactive_at TIMESTAMP DEFAULT NULL;
+ALTER TABLE listings ADD COLUMN inactive_reason VARCHAR(20) DEFAULT NULL;
+ALTER TABLE listings ADD COLUMN fillability_checked_at TIMESTAMP DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_fillability_check
+ON listings(fillability_checked_at)
+WHERE contract_type = 'seaport' AND sold_at IS NULL AND cancelled_at IS NULL;
+
+-- Verify the migration
+-- SELECT inactive_reason, COUNT(*) FROM listings WHERE inactive_at IS NOT NULL GROUP BY inactive_reason;
+-- SELECT COUNT(*) FROM listings WHERE contract_type = 'seaport' AND sold_at IS NULL AND cancelled_at IS NULL AND fillability_checked_at IS NULL;
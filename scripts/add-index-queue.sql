@@ -0,0 +1,25 @@
+-- Migration script for the queue-based indexer
+-- The cron plans confirmed block ranges into index_ranges and sends each one to
+-- the index-block-ranges queue; the queue consumer applies them in block order.
+-- Create the queue before deploying:
+--   wrangler queues create index-block-ranges
+
+CREATE TABLE IF NOT EXISTS index_ranges (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_block INTEGER NOT NULL,
+  to_block INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'queued' CHECK(status IN ('queued', 'processing', 'done', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  error TEXT,
+  enqueued_at TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(from_block)
+);
+
+CREATE INDEX IF NOT EXISTS idx_index_ranges_status ON index_ranges(status, from_block);
+
+-- Verify the migration
+-- SELECT status, COUNT(*), MIN(from_block), MAX(to_block) FROM index_ranges GROUP BY status;
+-- SELECT id, from_block, to_block, attempts, error FROM index_ranges WHERE status = 'failed';
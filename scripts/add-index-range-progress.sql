@@ -0,0 +1,11 @@
+-- Track how far each queued block range has been indexed
+-- Ranges are now indexed independently of each other, so a range that stops part
+-- way records its own progress instead of relying on the indexer cursors
+
+ALTER TABLE index_ranges ADD COLUMN indexed_to INTEGER;
+
+-- Ranges already done were indexed to their last block
+UPDATE index_ranges SET indexed_to = to_block WHERE status = 'done';
+
+-- Verify the migration
+-- SELECT id, from_block, to_block, status, indexed_to FROM index_ranges ORDER BY from_block DESC LIMIT 10;
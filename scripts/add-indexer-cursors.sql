@@ -0,0 +1,26 @@
+-- Migration script for per-source indexer cursors
+-- Replaces the single indexed_blocks cursor with one row per event source
+-- (src/server/event-sources.js). Every source carries on from where the old
+-- cursor was; a source added later starts from its own start block.
+
+CREATE TABLE IF NOT EXISTS indexer_cursors (
+  source VARCHAR(50) PRIMARY KEY,
+  block_number INTEGER NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO indexer_cursors (source, block_number)
+SELECT source, (SELECT MAX(block_number) FROM indexed_blocks)
+FROM (
+  SELECT 'nft_exchange' AS source
+  UNION ALL SELECT 'seaport'
+  UNION ALL SELECT 'nft_transfers'
+  UNION ALL SELECT 'usdc_approvals'
+)
+WHERE (SELECT MAX(block_number) FROM indexed_blocks) IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_block_number;
+DROP TABLE IF EXISTS indexed_blocks;
+
+-- Verify the migration
+-- SELECT source, block_number, updated_at FROM indexer_cursors;
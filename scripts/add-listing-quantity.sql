@@ -0,0 +1,11 @@
+-- Add ERC1155 quantity listings
+-- Listings of more than one copy are PARTIAL_OPEN Seaport orders; price is the per-copy price
+
+ALTER TABLE listings ADD COLUMN quantity INTEGER DEFAULT 1;
+ALTER TABLE listings ADD COLUMN quantity_remaining INTEGER DEFAULT 1;
+
+-- Listings that already sold have nothing left
+UPDATE listings SET quantity_remaining = 0 WHERE sold_at IS NOT NULL;
+
+-- Verify the migration
+-- SELECT id, quantity, quantity_remaining, sold_at FROM listings ORDER BY id DESC LIMIT 10;
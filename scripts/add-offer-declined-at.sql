@@ -0,0 +1,9 @@
+-- Add decline tracking to the offers table
+-- A Seaport offer can only be cancelled on-chain by the bidder, so when the NFT owner
+-- declines it we just record that and hide it from their received offers
+
+ALTER TABLE offers ADD COLUMN declined_at TIMESTAMP;
+ALTER TABLE offers ADD COLUMN declined_by_fid INTEGER;
+
+-- Verify the migration
+-- SELECT id, buyer_address, amount, declined_at, declined_by_fid FROM offers WHERE declined_at IS NOT NULL LIMIT 10;
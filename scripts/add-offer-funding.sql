@@ -0,0 +1,17 @@
+-- Migration script for offer funding checks
+-- Seaport offers escrow nothing: the conduit pulls the bidder's USDC or WETH when an
+-- offer is accepted. The indexer marks offers unfunded while the bidder's balance or
+-- conduit allowance is below the offer amount, which hides them from NFT owners until
+-- the bidder tops up or re-approves.
+
+ALTER TABLE offers ADD COLUMN unfunded_at TIMESTAMP DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN unfunded_reason VARCHAR(30) DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN funding_checked_at TIMESTAMP DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_offers_funding_check
+ON offers(funding_checked_at)
+WHERE contract_type = 'seaport' AND accepted_at IS NULL AND cancelled_at IS NULL;
+
+-- Verify the migration
+-- SELECT unfunded_reason, COUNT(*) FROM offers WHERE unfunded_at IS NOT NULL GROUP BY unfunded_reason;
+-- SELECT COUNT(*) FROM offers WHERE contract_type = 'seaport' AND accepted_at IS NULL AND cancelled_at IS NULL AND funding_checked_at IS NULL;
@@ -0,0 +1,11 @@
+-- Add private listings
+-- A private listing is a restricted Seaport order whose zone is the buyer's wallet,
+-- so only that wallet can fill it. It is only shown to the seller and that buyer
+
+ALTER TABLE listings ADD COLUMN private_buyer_fid INTEGER DEFAULT NULL;
+ALTER TABLE listings ADD COLUMN private_buyer_address VARCHAR(42) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_private_buyer ON listings(private_buyer_fid) WHERE private_buyer_fid IS NOT NULL;
+
+-- Verify the migration
+-- SELECT id, seller_fid, private_buyer_fid, private_buyer_address FROM listings WHERE private_buyer_fid IS NOT NULL LIMIT 10;
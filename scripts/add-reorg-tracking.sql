@@ -0,0 +1,25 @@
+-- Migration script for chain reorg handling
+-- The indexer now stays a few blocks behind the chain tip and records the hash of
+-- the last block of each chunk it indexes. If the next block's parent hash doesn't
+-- match, the blocks since the fork are rolled back: changes made by their
+-- transactions are reverted and the range is indexed again.
+
+CREATE TABLE IF NOT EXISTS indexed_block_hashes (
+  block_number INTEGER PRIMARY KEY,
+  block_hash VARCHAR(66) NOT NULL,
+  parent_hash VARCHAR(66) NOT NULL,
+  indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS indexed_transactions (
+  tx_hash VARCHAR(66) PRIMARY KEY,
+  block_number INTEGER NOT NULL,
+  block_hash VARCHAR(66),
+  indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_indexed_transactions_block ON indexed_transactions(block_number);
+
+-- Verify the migration
+-- SELECT MAX(block_number), COUNT(*) FROM indexed_block_hashes;
+-- SELECT MAX(block_number), COUNT(*) FROM indexed_transactions;
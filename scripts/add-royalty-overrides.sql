@@ -0,0 +1,13 @@
+-- Add creator royalty overrides
+-- Listings pay the creator royalty reported by ERC-2981 royaltyInfo. Collections
+-- whose contracts don't implement it get their royalty from this table instead
+
+CREATE TABLE IF NOT EXISTS royalty_overrides (
+  nft_contract VARCHAR(42) PRIMARY KEY,
+  recipient VARCHAR(42) NOT NULL,
+  bps INTEGER NOT NULL CHECK (bps >= 0 AND bps <= 10000),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Verify the migration
+-- SELECT * FROM royalty_overrides;
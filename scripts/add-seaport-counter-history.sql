@@ -0,0 +1,22 @@
+-- Keep a history of Seaport counters
+-- Rolling back a reorg used to delete an offerer's counter when it was bumped
+-- after the fork, losing the valid counter from before it. The rollback now
+-- restores the latest counter left in this history
+
+CREATE TABLE IF NOT EXISTS seaport_counter_history (
+  offerer VARCHAR(42) NOT NULL,
+  counter VARCHAR(78) NOT NULL,
+  block_number INTEGER NOT NULL,
+  tx_hash VARCHAR(66),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (offerer, counter)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seaport_counter_history_block ON seaport_counter_history(block_number);
+
+-- Start the history from the counters already stored
+INSERT OR IGNORE INTO seaport_counter_history (offerer, counter, block_number, tx_hash)
+SELECT offerer, counter, block_number, tx_hash FROM seaport_counters;
+
+-- Verify the migration
+-- SELECT * FROM seaport_counter_history ORDER BY offerer, block_number;
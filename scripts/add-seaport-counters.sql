@@ -0,0 +1,15 @@
+-- Track Seaport counters
+-- Seaport's incrementCounter cancels every order an offerer has signed. The
+-- indexer records the new counter from CounterIncremented and cancels stored
+-- listings and offers signed with an older one
+
+CREATE TABLE IF NOT EXISTS seaport_counters (
+  offerer VARCHAR(42) PRIMARY KEY,
+  counter VARCHAR(78) NOT NULL,
+  block_number INTEGER NOT NULL,
+  tx_hash VARCHAR(66),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Verify the migration
+-- SELECT * FROM seaport_counters;
@@ -0,0 +1,30 @@
+-- Migration script for verified, idempotent Alchemy webhooks
+-- Deliveries are deduplicated by Alchemy's event ID, and payloads that fail to
+-- process are kept in webhook_dead_letters to be retried with
+-- POST /api/admin/webhook-dead-letters/:id/retry.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id VARCHAR(100) PRIMARY KEY,
+  type VARCHAR(50),
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id VARCHAR(100),
+  type VARCHAR(50),
+  payload TEXT NOT NULL,
+  error TEXT,
+  attempts INTEGER DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_open
+ON webhook_dead_letters(created_at)
+WHERE resolved_at IS NULL;
+
+-- Verify the migration
+-- SELECT type, COUNT(*) FROM webhook_events GROUP BY type;
+-- SELECT id, event_id, attempts, error FROM webhook_dead_letters WHERE resolved_at IS NULL;
@@ -0,0 +1,14 @@
+-- Migration script for retrying interrupted Alchemy webhook deliveries
+-- Event IDs used to be recorded before processing, so a delivery cut off
+-- mid-way was dropped as a duplicate when Alchemy redelivered it. Deliveries now
+-- stay 'processing' until they are handled, and one left there by a crashed
+-- worker is taken again by the next redelivery.
+
+ALTER TABLE webhook_events ADD COLUMN status VARCHAR(20) DEFAULT 'processing' CHECK(status IN ('processing', 'processed', 'dead_lettered'));
+ALTER TABLE webhook_events ADD COLUMN processed_at TIMESTAMP;
+
+-- Deliveries received before this migration were all handled
+UPDATE webhook_events SET status = 'processed', processed_at = received_at;
+
+-- Verify the migration
+-- SELECT status, COUNT(*) FROM webhook_events GROUP BY status;
@@ -0,0 +1,144 @@
+-- Migration script for collection-wide and trait offers
+-- Criteria offers are not tied to a single token, so offers.token_id and activity.token_id
+-- become nullable. SQLite can't drop a NOT NULL constraint, so both tables are rebuilt.
+
+PRAGMA foreign_keys = OFF;
+
+-- Rebuild offers with a nullable token_id and the criteria columns
+CREATE TABLE offers_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  blockchain_offer_id VARCHAR(78),
+  buyer_fid INTEGER,
+  buyer_address VARCHAR(42) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78),
+  amount DECIMAL(36, 18) NOT NULL,
+  expiry TIMESTAMP NOT NULL,
+  tx_hash VARCHAR(66),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  seller_fid INTEGER,
+  seller_address VARCHAR(42),
+  accept_tx_hash VARCHAR(66),
+  cancel_tx_hash VARCHAR(66),
+  contract_type VARCHAR(20) DEFAULT 'nft_exchange',
+  order_hash VARCHAR(66) DEFAULT NULL,
+  order_parameters TEXT DEFAULT NULL,
+  zone_address VARCHAR(42) DEFAULT NULL,
+  conduit_key VARCHAR(66) DEFAULT NULL,
+  salt VARCHAR(66) DEFAULT NULL,
+  counter INTEGER DEFAULT NULL,
+  declined_at TIMESTAMP,
+  declined_by_fid INTEGER,
+  criteria_root VARCHAR(66) DEFAULT NULL,
+  trait_type VARCHAR(255) DEFAULT NULL,
+  trait_value VARCHAR(255) DEFAULT NULL,
+  filled_token_id VARCHAR(78) DEFAULT NULL,
+  FOREIGN KEY (buyer_fid) REFERENCES users(fid),
+  FOREIGN KEY (seller_fid) REFERENCES users(fid)
+);
+
+INSERT INTO offers_new (
+  id, blockchain_offer_id, buyer_fid, buyer_address, nft_contract, token_id, amount, expiry, tx_hash,
+  created_at, accepted_at, cancelled_at, seller_fid, seller_address, accept_tx_hash, cancel_tx_hash,
+  contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter,
+  declined_at, declined_by_fid
+)
+SELECT
+  id, blockchain_offer_id, buyer_fid, buyer_address, nft_contract, token_id, amount, expiry, tx_hash,
+  created_at, accepted_at, cancelled_at, seller_fid, seller_address, accept_tx_hash, cancel_tx_hash,
+  contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter,
+  declined_at, declined_by_fid
+FROM offers;
+
+DROP TABLE offers;
+ALTER TABLE offers_new RENAME TO offers;
+
+CREATE INDEX idx_nft_offers ON offers(nft_contract, token_id);
+CREATE INDEX idx_buyer_fid_offers ON offers(buyer_fid);
+CREATE INDEX idx_seller_fid_offers ON offers(seller_fid);
+CREATE INDEX idx_blockchain_offer ON offers(blockchain_offer_id);
+CREATE INDEX idx_buyer_address_offers ON offers(buyer_address);
+CREATE INDEX idx_offers_contract_type ON offers(contract_type);
+CREATE INDEX idx_offers_order_hash ON offers(order_hash) WHERE order_hash IS NOT NULL;
+CREATE INDEX idx_offers_criteria ON offers(nft_contract) WHERE token_id IS NULL;
+CREATE UNIQUE INDEX idx_unique_blockchain_offer ON offers(blockchain_offer_id) WHERE blockchain_offer_id IS NOT NULL;
+
+-- Rebuild activity with a nullable token_id
+CREATE TABLE activity_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT CHECK(type IN ('listing_created', 'offer_made', 'sale', 'offer_accepted', 'listing_cancelled', 'offer_cancelled')) NOT NULL,
+  actor_fid INTEGER,
+  actor_address VARCHAR(42) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78),
+  price DECIMAL(36, 18),
+  metadata TEXT,
+  tx_hash VARCHAR(66),
+  contract_type TEXT CHECK(contract_type IN ('nft_exchange', 'seaport')) DEFAULT 'nft_exchange',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (actor_fid) REFERENCES users(fid)
+);
+
+INSERT INTO activity_new (id, type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type, created_at)
+SELECT id, type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type, created_at
+FROM activity;
+
+DROP VIEW IF EXISTS user_activity_summary;
+DROP TABLE activity;
+ALTER TABLE activity_new RENAME TO activity;
+
+CREATE INDEX idx_nft_activity ON activity(nft_contract, token_id);
+CREATE INDEX idx_actor_fid_activity ON activity(actor_fid);
+CREATE INDEX idx_actor_address_activity ON activity(actor_address);
+CREATE INDEX idx_activity_type ON activity(type);
+CREATE INDEX idx_activity_time ON activity(created_at DESC);
+CREATE INDEX idx_activity_contract_type ON activity(contract_type);
+CREATE UNIQUE INDEX idx_unique_activity_tx ON activity(tx_hash, type) WHERE tx_hash IS NOT NULL;
+
+CREATE VIEW user_activity_summary AS
+SELECT 
+  actor_fid,
+  type,
+  COUNT(*) as count,
+  MAX(created_at) as last_activity
+FROM activity
+WHERE actor_fid IS NOT NULL
+GROUP BY actor_fid, type;
+
+-- Trait index and criteria sets
+CREATE TABLE nft_traits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  nft_contract VARCHAR(42) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  trait_type VARCHAR(255) NOT NULL,
+  trait_value VARCHAR(255) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(nft_contract, token_id, trait_type, trait_value)
+);
+
+CREATE INDEX idx_nft_traits_trait ON nft_traits(nft_contract, trait_type, trait_value);
+
+CREATE TABLE criteria_sets (
+  root VARCHAR(66) NOT NULL,
+  nft_contract VARCHAR(42) NOT NULL,
+  trait_type VARCHAR(255),
+  trait_value VARCHAR(255),
+  token_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (root, nft_contract)
+);
+
+CREATE TABLE criteria_tokens (
+  criteria_root VARCHAR(66) NOT NULL,
+  token_id VARCHAR(78) NOT NULL,
+  PRIMARY KEY (criteria_root, token_id)
+);
+
+PRAGMA foreign_keys = ON;
+
+-- Verify the migration
+-- SELECT COUNT(*) FROM offers;
+-- SELECT COUNT(*) FROM activity;
+-- SELECT nft_contract, trait_type, trait_value, COUNT(*) FROM nft_traits GROUP BY 1, 2, 3 LIMIT 20;
@@ -21,10 +21,14 @@ if [ "$2" != "remote-only" ]; then
     
     # Create a temporary SQL file
     cat > /tmp/init_indexer.sql << EOF
--- Clear any existing records
-DELETE FROM indexed_blocks;
--- Insert the new starting block
-INSERT INTO indexed_blocks (block_number) VALUES ($BLOCK_NUMBER);
+-- Clear any existing cursors
+DELETE FROM indexer_cursors;
+-- Start every event source from the new block
+INSERT INTO indexer_cursors (source, block_number) VALUES
+  ('nft_exchange', $BLOCK_NUMBER),
+  ('seaport', $BLOCK_NUMBER),
+  ('nft_transfers', $BLOCK_NUMBER),
+  ('usdc_approvals', $BLOCK_NUMBER);
 EOF
     
     wrangler d1 execute nft-exchange --file=/tmp/init_indexer.sql --local
@@ -40,10 +44,14 @@ if [ "$2" = "remote" ] || [ "$2" = "remote-only" ]; then
     
     # Create a temporary SQL file
     cat > /tmp/init_indexer.sql << EOF
--- Clear any existing records
-DELETE FROM indexed_blocks;
--- Insert the new starting block
-INSERT INTO indexed_blocks (block_number) VALUES ($BLOCK_NUMBER);
+-- Clear any existing cursors
+DELETE FROM indexer_cursors;
+-- Start every event source from the new block
+INSERT INTO indexer_cursors (source, block_number) VALUES
+  ('nft_exchange', $BLOCK_NUMBER),
+  ('seaport', $BLOCK_NUMBER),
+  ('nft_transfers', $BLOCK_NUMBER),
+  ('usdc_approvals', $BLOCK_NUMBER);
 EOF
     
     wrangler d1 execute nft-exchange --file=/tmp/init_indexer.sql --remote
@@ -25,8 +25,24 @@ DROP VIEW IF EXISTS active_listings_with_users;
 
 -- Drop tables in order (respecting foreign key constraints)
 DROP TABLE IF EXISTS indexed_blocks;
+DROP TABLE IF EXISTS indexed_block_hashes;
+DROP TABLE IF EXISTS chain_events;
+DROP TABLE IF EXISTS chain_replays;
+DROP TABLE IF EXISTS index_ranges;
+DROP TABLE IF EXISTS indexer_cursors;
+DROP TABLE IF EXISTS nft_traits;
+DROP TABLE IF EXISTS criteria_sets;
+DROP TABLE IF EXISTS criteria_tokens;
+DROP TABLE IF EXISTS currency_rates;
+DROP TABLE IF EXISTS royalty_overrides;
+DROP TABLE IF EXISTS seaport_counter_history;
+DROP TABLE IF EXISTS seaport_counters;
+DROP TABLE IF EXISTS webhook_events;
+DROP TABLE IF EXISTS webhook_dead_letters;
 DROP TABLE IF EXISTS activity;
+DROP TABLE IF EXISTS auctions;
 DROP TABLE IF EXISTS offers;
+DROP TABLE IF EXISTS listing_items;
 DROP TABLE IF EXISTS listings;
 DROP TABLE IF EXISTS users;
 EOF
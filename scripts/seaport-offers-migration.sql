@@ -0,0 +1,19 @@
+-- Migration script to add Seaport order columns to the offers table
+-- Seaport offers are signed off-chain, so we store the order hash, the signed
+-- parameters and the signature instead of a blockchain offer ID
+
+ALTER TABLE offers ADD COLUMN contract_type VARCHAR(20) DEFAULT 'nft_exchange';
+ALTER TABLE offers ADD COLUMN order_hash VARCHAR(66) DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN order_parameters TEXT DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN zone_address VARCHAR(42) DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN conduit_key VARCHAR(66) DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN salt VARCHAR(66) DEFAULT NULL;
+ALTER TABLE offers ADD COLUMN counter INTEGER DEFAULT NULL;
+
+-- Create indexes for Seaport offer lookups
+CREATE INDEX idx_offers_contract_type ON offers(contract_type);
+CREATE INDEX idx_offers_order_hash ON offers(order_hash) WHERE order_hash IS NOT NULL;
+
+-- Verify the migration
+-- SELECT contract_type, COUNT(*) FROM offers GROUP BY contract_type;
+-- SELECT id, order_hash, buyer_address, amount FROM offers WHERE contract_type = 'seaport' LIMIT 10;
@@ -0,0 +1,13 @@
+-- Allow one transaction to record an activity per token
+-- A sweep buys several listings in a single fulfillAvailableAdvancedOrders
+-- transaction, so (tx_hash, type) alone no longer identifies an activity
+
+DROP INDEX IF EXISTS idx_unique_activity_tx;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_activity_tx
+ON activity(tx_hash, type, nft_contract, token_id)
+WHERE tx_hash IS NOT NULL;
+
+-- Verify the migration
+-- SELECT sql FROM sqlite_master WHERE name = 'idx_unique_activity_tx';
+-- SELECT tx_hash, COUNT(*) FROM activity WHERE type = 'sale' GROUP BY tx_hash HAVING COUNT(*) > 1;
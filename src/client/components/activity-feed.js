@@ -1,5 +1,12 @@
 import { BaseElement } from './base-element.js'
 import { EVENTS } from '../utils/events.js'
+import { formatPrice } from '../utils/currency.js'
+
+// Marketplaces an external sale can be traced to, as recorded by the indexer
+const VENUE_NAMES = {
+  opensea: 'OpenSea',
+  mint_exchange: 'Mint Exchange'
+}
 
 export class ActivityFeed extends BaseElement {
   constructor() {
@@ -10,13 +17,44 @@ export class ActivityFeed extends BaseElement {
       loading: true,
       filter: 'all', // all, listing_created, sale, offer_made
       page: 1,
-      hasMore: true
+      hasMore: true,
+      unfundedOffers: [] // The signed-in user's offers they can no longer pay
     }
   }
 
   connectedCallback() {
     super.connectedCallback()
     this.fetchActivity()
+    this.fetchUnfundedOffers()
+
+    this.subscribe(EVENTS.AUTH_SUCCESS, () => {
+      this.fetchUnfundedOffers()
+    })
+  }
+
+  async fetchUnfundedOffers() {
+    if (!window.authToken) return
+
+    try {
+      const response = await fetch('/api/offers/me/unfunded', {
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`
+        }
+      })
+      if (!response.ok) return
+
+      const data = await response.json()
+      this.setState({ unfundedOffers: data.offers || [] })
+    } catch (error) {
+      console.error('Failed to fetch unfunded offers:', error)
+    }
+  }
+
+  getUnfundedOfferWarning(offer) {
+    const amount = formatPrice(offer.amount, offer.currency)
+    return offer.unfundedReason === 'insufficient_allowance'
+      ? `Your ${amount} offer on ${offer.name} needs the marketplace to be approved for ${offer.currency} again`
+      : `Your ${amount} offer on ${offer.name} is more ${offer.currency} than your wallet holds`
   }
 
   async fetchActivity() {
@@ -72,8 +110,10 @@ export class ActivityFeed extends BaseElement {
   getActivityIcon(type) {
     switch(type) {
       case 'listing_created':
+      case 'price_changed':
         return 'M216,40H40A16,16,0,0,0,24,56V200a16,16,0,0,0,16,16H216a16,16,0,0,0,16-16V56A16,16,0,0,0,216,40Zm0,160H40V56H216V200ZM184,96a8,8,0,0,1-8,8H80a8,8,0,0,1,0-16h96A8,8,0,0,1,184,96Zm0,32a8,8,0,0,1-8,8H80a8,8,0,0,1,0-16h96A8,8,0,0,1,184,128Zm0,32a8,8,0,0,1-8,8H80a8,8,0,0,1,0-16h96A8,8,0,0,1,184,160Z'
       case 'sale':
+      case 'external_sale':
         return 'M128,24A104,104,0,1,0,232,128,104.11,104.11,0,0,0,128,24Zm45.66,85.66l-56,56a8,8,0,0,1-11.32,0l-24-24a8,8,0,0,1,11.32-11.32L112,148.69l50.34-50.35a8,8,0,0,1,11.32,11.32Z'
       case 'offer_made':
         return 'M221.66,133.66l-72,72a8,8,0,0,1-11.32,0L117.66,185,28.28,274.35a16,16,0,0,1-22.63,0,16,16,0,0,1,0-22.63L95,162.34,74.34,141.66a8,8,0,0,1,0-11.32l72-72a8,8,0,0,1,11.32,0L178.34,79l25-25a8,8,0,0,1,11.32,11.32l-25,25,20.68,20.68a8,8,0,0,1,0,11.32Z'
@@ -97,8 +137,13 @@ export class ActivityFeed extends BaseElement {
       }
     }
     
-    // Use the nft_name from query or construct from token_id
-    const nftName = activity.nft_name || `#${activity.token_id || metadata?.token_id || 'Unknown'}`
+    // Use the nft_name from query or construct from token_id.
+    // Collection and trait offers have no token until one is accepted
+    const nftName = activity.nft_name || (
+      !activity.token_id && metadata?.trait_type ? `${metadata.trait_type}: ${metadata.trait_value}`
+        : !activity.token_id && activity.type === 'offer_made' ? 'any token'
+        : `#${activity.token_id || metadata?.token_id || 'Unknown'}`
+    )
     const price = activity.price || metadata?.price || '0'
     
     // Format contract address to show collection name
@@ -109,17 +154,26 @@ export class ActivityFeed extends BaseElement {
       case 'listing_created':
         return {
           main: `${actor} listed ${nftName}`,
-          secondary: `${shortContract} • ${price} USDC`
+          secondary: `${shortContract} • ${formatPrice(price, activity.currency)}`
         }
       case 'sale':
         return {
           main: `${actor} bought ${nftName}`,
-          secondary: `${shortContract} • ${price} USDC`
+          secondary: `${shortContract} • ${formatPrice(price, activity.currency)}`
+        }
+      case 'external_sale': {
+        // Buyers on other marketplaces usually have no Farcaster profile here
+        const buyer = activity.display_name || activity.username || `${activity.actor_address.slice(0, 6)}...${activity.actor_address.slice(-4)}`
+        const venue = VENUE_NAMES[metadata?.venue] || 'another marketplace'
+        return {
+          main: `${buyer} bought ${nftName} on ${venue}`,
+          secondary: `${shortContract} • ${formatPrice(price, activity.currency)}`
         }
+      }
       case 'offer_made':
         return {
           main: `${actor} made an offer on ${nftName}`,
-          secondary: `${shortContract} • ${metadata?.offer_amount || '0'} USDC`
+          secondary: `${shortContract} • ${formatPrice(metadata?.offer_amount, activity.currency)}`
         }
       case 'offer_accepted':
         return {
@@ -131,6 +185,11 @@ export class ActivityFeed extends BaseElement {
           main: `${actor} cancelled listing for ${nftName}`,
           secondary: shortContract
         }
+      case 'price_changed':
+        return {
+          main: `${actor} changed the price of ${nftName}`,
+          secondary: `${shortContract} • ${formatPrice(metadata?.previous_price, activity.currency)} → ${formatPrice(price, activity.currency)}`
+        }
       default:
         return {
           main: `${actor} performed an action`,
@@ -142,11 +201,13 @@ export class ActivityFeed extends BaseElement {
   getActivityColor(type) {
     switch(type) {
       case 'sale':
+      case 'external_sale':
       case 'offer_accepted':
         return '#22c55e' // green
       case 'offer_made':
         return '#f59e0b' // amber
       case 'listing_created':
+      case 'price_changed':
         return '#0c7ff2' // blue
       default:
         return '#49739c' // gray
@@ -374,6 +435,31 @@ export class ActivityFeed extends BaseElement {
           100% { background-position: -200% 0; }
         }
         
+        /* Unfunded offers warning */
+        .funding-warning {
+          margin: 16px 16px 0;
+          padding: 12px 16px;
+          background: #fffbeb;
+          border: 1px solid #fcd34d;
+          border-radius: 12px;
+          color: #92400e;
+          font-size: 14px;
+        }
+
+        .funding-warning-title {
+          font-weight: 600;
+          margin: 0 0 4px 0;
+        }
+
+        .funding-warning ul {
+          margin: 0;
+          padding-left: 18px;
+        }
+
+        .funding-warning li {
+          margin-top: 4px;
+        }
+
         /* Empty State */
         .empty-state {
           display: flex;
@@ -441,11 +527,22 @@ export class ActivityFeed extends BaseElement {
       return
     }
 
-    const { activities, filter, hasMore } = this._state
+    const { activities, filter, hasMore, unfundedOffers } = this._state
 
     this.shadowRoot.innerHTML = `
       ${styles}
       
+      ${unfundedOffers.length > 0 ? `
+        <div class="funding-warning">
+          <p class="funding-warning-title">
+            ${unfundedOffers.length === 1 ? '1 of your offers is' : `${unfundedOffers.length} of your offers are`} hidden from sellers
+          </p>
+          <ul>
+            ${unfundedOffers.map(offer => `<li>${this.getUnfundedOfferWarning(offer)}</li>`).join('')}
+          </ul>
+        </div>
+      ` : ''}
+
       <div class="filter-tabs">
         <button class="filter-tab ${filter === 'all' ? 'active' : ''}" data-filter="all">
           All Activity
@@ -0,0 +1,276 @@
+import { BaseElement } from './base-element.js'
+import { EVENTS } from '../utils/events.js'
+import { transactionManager } from '../utils/transactions.js'
+import { showAlert, showConfirm } from './modal.js'
+
+// Bids stay fillable this long after the auction ends - matches the server's settlement window
+const SETTLEMENT_WINDOW_DAYS = 3
+
+function formatCountdown(endTime, now = Date.now()) {
+  const diffMs = new Date(endTime).getTime() - now
+  if (diffMs <= 0) return 'Auction ended'
+
+  const days = Math.floor(diffMs / (1000 * 60 * 60 * 24))
+  const hours = Math.floor((diffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60))
+  const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60))
+  const seconds = Math.floor((diffMs % (1000 * 60)) / 1000)
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m left`
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s left`
+  return `${minutes}m ${seconds}s left`
+}
+
+// English auction page: bidding, countdown and settlement on top of server-rendered HTML
+export class AuctionDetails extends BaseElement {
+  constructor() {
+    super()
+    this._state = {
+      auctionData: null
+    }
+    this._countdownTimer = null
+  }
+
+  connectedCallback() {
+    const container = this.querySelector('[data-auction]')
+    if (container) {
+      try {
+        this._state.auctionData = JSON.parse(container.getAttribute('data-auction'))
+      } catch (error) {
+        console.error('Error parsing auction data:', error)
+      }
+    }
+
+    super.connectedCallback()
+    this.startCountdown()
+
+    this.subscribe(EVENTS.FRAME_READY, ({ user }) => {
+      this.checkOwnership(user)
+    })
+
+    this.subscribe(EVENTS.AUTH_SUCCESS, ({ user }) => {
+      this.checkOwnership(user)
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    clearInterval(this._countdownTimer)
+  }
+
+  render() {
+    // Don't re-render - we're using server-rendered HTML
+  }
+
+  attachEventListeners() {
+    const placeBidBtn = this.querySelector('#place-bid-btn')
+    if (placeBidBtn) {
+      this.on(placeBidBtn, 'click', () => this.handlePlaceBid())
+    }
+
+    const settleBtn = this.querySelector('#settle-auction-btn')
+    if (settleBtn) {
+      this.on(settleBtn, 'click', () => this.handleSettle())
+    }
+
+    const cancelBtn = this.querySelector('#cancel-auction-btn')
+    if (cancelBtn) {
+      this.on(cancelBtn, 'click', () => this.handleCancel())
+    }
+  }
+
+  startCountdown() {
+    const countdown = this.querySelector('[data-countdown]')
+    if (!countdown) return
+
+    const update = () => {
+      countdown.textContent = formatCountdown(countdown.dataset.endTime)
+      if (new Date(countdown.dataset.endTime).getTime() <= Date.now()) {
+        clearInterval(this._countdownTimer)
+        const bidForm = this.querySelector('#bid-form')
+        if (bidForm) bidForm.style.display = 'none'
+      }
+    }
+
+    update()
+    this._countdownTimer = setInterval(update, 1000)
+  }
+
+  checkOwnership(user) {
+    const { auctionData } = this._state
+    if (!auctionData || !user || !user.fid) return
+
+    if (user.fid == auctionData.sellerFid) {
+      // Sellers can't bid on their own auction, but they settle or cancel it
+      const bidForm = this.querySelector('#bid-form')
+      if (bidForm) bidForm.style.display = 'none'
+
+      const settleBtn = this.querySelector('#settle-auction-btn')
+      if (settleBtn) settleBtn.style.display = ''
+
+      const cancelBtn = this.querySelector('#cancel-auction-btn')
+      if (cancelBtn) cancelBtn.style.display = ''
+    }
+  }
+
+  async handlePlaceBid() {
+    const { auctionData } = this._state
+    if (!auctionData) return
+
+    const amountInput = this.querySelector('#bid-amount')
+    const bidAmount = parseFloat(amountInput?.value)
+    if (!bidAmount || bidAmount < auctionData.minimumBid) {
+      await showAlert(`Your bid must be at least $${auctionData.minimumBid} USDC.`, 'Bid Too Low')
+      return
+    }
+
+    if (!window.authToken) {
+      await showAlert('Please sign in to place a bid.', 'Sign In Required')
+      return
+    }
+
+    const placeBidBtn = this.querySelector('#place-bid-btn')
+    if (placeBidBtn) {
+      placeBidBtn.disabled = true
+      placeBidBtn.textContent = 'Signing...'
+    }
+
+    try {
+      await transactionManager.checkNetwork()
+
+      // The bid has to outlive the auction so the seller can fill it after the end
+      const msUntilEnd = new Date(auctionData.endTime).getTime() - Date.now()
+      const durationInDays = Math.ceil(msUntilEnd / (1000 * 60 * 60 * 24)) + SETTLEMENT_WINDOW_DAYS
+
+      // Approves USDC if needed, then signs a Seaport offer on the token off-chain
+      const result = await transactionManager.makeOffer(
+        auctionData.nftContract,
+        auctionData.tokenId,
+        bidAmount,
+        durationInDays,
+        true
+      )
+
+      if (placeBidBtn) {
+        placeBidBtn.textContent = 'Saving...'
+      }
+
+      const response = await fetch(`/api/auctions/${auctionData.id}/bids`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          orderHash: result.hash,
+          orderParameters: result.order // Seaport order data (parameters + signature)
+        })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to place bid')
+      }
+
+      // Reload to show the updated bid ladder
+      window.location.reload()
+    } catch (error) {
+      console.error('Place bid failed:', error)
+      await showAlert(error.message || 'Failed to place bid. Please try again.', 'Bid Failed')
+      if (placeBidBtn) {
+        placeBidBtn.disabled = false
+        placeBidBtn.textContent = 'Place Bid'
+      }
+    }
+  }
+
+  async handleSettle() {
+    const { auctionData } = this._state
+    if (!auctionData) return
+
+    const settleBtn = this.querySelector('#settle-auction-btn')
+    const originalLabel = settleBtn?.innerHTML
+    if (settleBtn) {
+      settleBtn.disabled = true
+      settleBtn.textContent = 'Processing...'
+    }
+
+    try {
+      // Fetch the winning bid's signed order
+      const auctionResponse = await fetch(`/api/auctions/${auctionData.id}`)
+      if (!auctionResponse.ok) {
+        throw new Error('Failed to fetch auction details')
+      }
+      const auction = await auctionResponse.json()
+      const winningBid = auction.bids.find(bid => bid.status === 'leading')
+      if (!winningBid) {
+        throw new Error('There is no bid to settle')
+      }
+
+      await transactionManager.checkNetwork()
+
+      // Approves the NFT if needed, then fills the winning bidder's order
+      const txHash = await transactionManager.acceptOffer(
+        { ...winningBid, contractType: 'seaport' },
+        auctionData.nftContract,
+        auctionData.tokenId
+      )
+
+      if (settleBtn) {
+        settleBtn.textContent = 'Recording sale...'
+      }
+
+      const response = await fetch(`/api/auctions/${auctionData.id}/settle`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ txHash })
+      })
+
+      if (!response.ok) {
+        console.error('Failed to record settlement:', await response.text())
+        // Continue anyway - the indexer will catch it eventually
+      }
+
+      window.location.reload()
+    } catch (error) {
+      console.error('Settle auction failed:', error)
+      if (settleBtn) {
+        settleBtn.disabled = false
+        settleBtn.innerHTML = originalLabel
+      }
+      await showAlert(error.message || 'Failed to settle auction. Please try again.', 'Settlement Failed')
+    }
+  }
+
+  async handleCancel() {
+    const { auctionData } = this._state
+    if (!auctionData) return
+
+    const confirmed = await showConfirm('Are you sure you want to cancel this auction?', 'Cancel Auction')
+    if (!confirmed) return
+
+    try {
+      const response = await fetch(`/api/auctions/${auctionData.id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to cancel auction')
+      }
+
+      window.location.reload()
+    } catch (error) {
+      console.error('Cancel auction failed:', error)
+      await showAlert(error.message || 'Failed to cancel auction. Please try again.', 'Cancel Failed')
+    }
+  }
+}
+
+customElements.define('auction-details', AuctionDetails)
@@ -0,0 +1,170 @@
+import { BaseElement } from './base-element.js'
+import { transactionManager } from '../utils/transactions.js'
+import { showAlert } from './modal.js'
+
+// Offer on any token in a collection, or on every token with a chosen trait
+export class CollectionOffer extends BaseElement {
+  constructor() {
+    super()
+    this._state = {
+      traits: [],
+      selectedTrait: '',
+      amount: '',
+      submitting: false
+    }
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this.fetchTraits()
+  }
+
+  async fetchTraits() {
+    const contract = this.getAttribute('contract')
+    if (!contract) return
+
+    try {
+      const response = await fetch(`/api/traits/${contract}`)
+      const data = await response.json()
+      this.setState({ traits: data.traits || [] })
+    } catch (error) {
+      console.error('Failed to fetch collection traits:', error)
+      this.setState({ traits: [] })
+    }
+  }
+
+  render() {
+    const { traits, selectedTrait, amount, submitting } = this._state
+
+    this.innerHTML = `
+      <div class="collection-offer">
+        <h3 class="collection-offer-title">Make a collection offer</h3>
+        <div class="collection-offer-form">
+          <input
+            type="number"
+            id="collection-offer-amount"
+            class="collection-offer-input"
+            placeholder="Offer in USDC"
+            min="0"
+            step="0.01"
+            value="${amount}"
+            ${submitting ? 'disabled' : ''}
+          />
+          ${traits.length > 0 ? `
+            <select id="collection-offer-trait" class="collection-offer-select" ${submitting ? 'disabled' : ''}>
+              <option value="">Any token</option>
+              ${traits.map(trait => {
+                const value = JSON.stringify([trait.traitType, trait.traitValue]).replace(/"/g, '&quot;')
+                return `
+                  <option value="${value}" ${selectedTrait === JSON.stringify([trait.traitType, trait.traitValue]) ? 'selected' : ''}>
+                    ${trait.traitType}: ${trait.traitValue} (${trait.tokenCount})
+                  </option>
+                `
+              }).join('')}
+            </select>
+          ` : ''}
+          <button id="collection-offer-btn" class="collection-offer-btn" ${submitting ? 'disabled' : ''}>
+            ${submitting ? 'Signing...' : 'Make Offer'}
+          </button>
+        </div>
+      </div>
+    `
+  }
+
+  attachEventListeners() {
+    const amountInput = this.querySelector('#collection-offer-amount')
+    if (amountInput) {
+      this.on(amountInput, 'input', (e) => {
+        this._state.amount = e.target.value
+      })
+    }
+
+    const traitSelect = this.querySelector('#collection-offer-trait')
+    if (traitSelect) {
+      this.on(traitSelect, 'change', (e) => {
+        this._state.selectedTrait = e.target.value
+      })
+    }
+
+    const offerBtn = this.querySelector('#collection-offer-btn')
+    if (offerBtn) {
+      this.on(offerBtn, 'click', () => this.handleMakeOffer())
+    }
+  }
+
+  async handleMakeOffer() {
+    const contract = this.getAttribute('contract')
+    const { selectedTrait } = this._state
+    const offerAmount = parseFloat(this._state.amount)
+    if (!offerAmount || offerAmount <= 0) {
+      await showAlert('Please enter a valid offer amount.', 'Invalid Offer')
+      return
+    }
+
+    if (!window.authToken) {
+      await showAlert('Please sign in to make an offer.', 'Sign In Required')
+      return
+    }
+
+    this.setState({ submitting: true })
+
+    try {
+      // Check network first
+      await transactionManager.checkNetwork()
+
+      // Trait offers commit to the merkle root of every token with the trait
+      let criteriaRoot = null
+      if (selectedTrait) {
+        const [traitType, traitValue] = JSON.parse(selectedTrait)
+        const criteriaResponse = await fetch(`/api/traits/${contract}/criteria`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${window.authToken}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ traitType, traitValue })
+        })
+        if (!criteriaResponse.ok) {
+          const data = await criteriaResponse.json().catch(() => ({}))
+          throw new Error(data.error || 'Failed to prepare trait offer')
+        }
+        criteriaRoot = (await criteriaResponse.json()).root
+      }
+
+      // Approves USDC if needed, then signs a Seaport criteria offer off-chain
+      const result = await transactionManager.makeCollectionOffer(
+        contract,
+        offerAmount,
+        7, // Offers expire after 7 days
+        criteriaRoot
+      )
+
+      const response = await fetch('/api/offers', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          orderHash: result.hash,
+          orderParameters: result.order // Seaport order data (parameters + signature)
+        })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to save offer')
+      }
+
+      this._state.amount = ''
+      await showAlert(`Your offer of $${offerAmount} USDC has been submitted.`, 'Offer Made')
+    } catch (error) {
+      console.error('Collection offer failed:', error)
+      await showAlert(error.message || 'Failed to make offer. Please try again.', 'Offer Failed')
+    } finally {
+      this.setState({ submitting: false })
+    }
+  }
+}
+
+customElements.define('collection-offer', CollectionOffer)
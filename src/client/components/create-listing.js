@@ -3,6 +3,15 @@ import { EVENTS } from '../utils/events.js'
 import { transactionManager } from '../utils/transactions.js'
 import { showAlert, showSuccess } from './modal.js'
 import { detectTokenStandardCached } from '../utils/token-standard.js'
+import { getERC1155Balance } from '../utils/contract.js'
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/currency.js'
+
+// Matches the server's limit on NFT offer items in one bundle listing
+const MAX_BUNDLE_ITEMS = 20
+
+function bundleKey(nft) {
+  return `${nft.contract.address.toLowerCase()}:${nft.tokenId}`
+}
 
 export class CreateListing extends BaseElement {
   constructor() {
@@ -12,7 +21,18 @@ export class CreateListing extends BaseElement {
       isOpen: false,
       nft: null,
       price: '',
+      listingType: 'fixed', // fixed, dutch (price declines from start to end price), english (timed bidding) or bundle
+      currency: DEFAULT_CURRENCY,
       expiryDays: 7,
+      // Bundle mode: other wallet NFTs that can be sold together with this one
+      walletNfts: [],
+      walletNftsLoading: false,
+      bundleKeys: [],
+      // ERC1155 tokens can list several copies; ownedCopies is the wallet's balance
+      tokenStandard: null,
+      ownedCopies: 1,
+      // Creator royalty for the collection, paid out of the price like the fee
+      royalty: null,
       loading: false,
       error: null,
       // Manual entry fields
@@ -32,15 +52,105 @@ export class CreateListing extends BaseElement {
   }
 
   openModal(nft) {
-    // Reset the price value
+    // Reset the price values
     this._priceValue = ''
+    this._endPriceValue = ''
+    this._quantityValue = '1'
+    this._privateBuyerValue = ''
     
     this.setState({
       isOpen: true,
       nft,
       price: '',
+      listingType: 'fixed',
+      currency: DEFAULT_CURRENCY,
+      walletNfts: [],
+      bundleKeys: [],
+      tokenStandard: null,
+      ownedCopies: 1,
+      royalty: null,
       error: null
     })
+
+    this.detectTokenStandard(nft)
+    this.loadRoyalty(nft)
+  }
+
+  async loadRoyalty(nft) {
+    try {
+      const response = await fetch(`/api/listings/royalty/${nft.contract.address}/${nft.tokenId}`)
+      if (!response.ok) return
+      const { royalty } = await response.json()
+      if (this._state.nft === nft) {
+        this.setState({ royalty })
+      }
+    } catch (error) {
+      console.error('Error loading royalty:', error)
+    }
+  }
+
+  // Find out up front whether this is an ERC1155, so the quantity input can be offered
+  async detectTokenStandard(nft) {
+    try {
+      const { publicClient } = await transactionManager.getViemClients()
+      const walletAddress = await transactionManager.getWalletAddress()
+      const tokenStandard = await detectTokenStandardCached(nft.contract.address, nft.tokenId, publicClient, walletAddress)
+
+      let ownedCopies = 1
+      if (tokenStandard === 'ERC1155') {
+        ownedCopies = Number(await getERC1155Balance(nft.contract.address, nft.tokenId, walletAddress))
+      }
+
+      // Ignore the result if the modal has moved on to another NFT
+      if (this._state.nft === nft) {
+        this.setState({ tokenStandard, ownedCopies })
+      }
+    } catch (error) {
+      console.error('Error detecting token standard:', error)
+    }
+  }
+
+  getQuantity() {
+    const quantity = parseInt(this._quantityValue || '1')
+    return Number.isInteger(quantity) && quantity > 0 ? quantity : 0
+  }
+
+  async loadWalletNfts() {
+    if (this._state.walletNfts.length > 0 || this._state.walletNftsLoading) return
+
+    this.setState({ walletNftsLoading: true })
+    try {
+      const response = await fetch('/api/users/me/nfts', {
+        headers: {
+          'Authorization': `Bearer ${window.authToken || ''}`,
+          'X-Wallet-Address': window.userWalletAddress || ''
+        }
+      })
+      const data = await response.json()
+      const { nft } = this._state
+      const walletNfts = (data.nfts || []).filter(item => bundleKey(item) !== bundleKey(nft))
+      this.setState({ walletNfts, walletNftsLoading: false })
+    } catch (error) {
+      console.error('Failed to load wallet NFTs for bundle:', error)
+      this.setState({ walletNftsLoading: false, error: 'Could not load your other NFTs' })
+    }
+  }
+
+  toggleBundleItem(key) {
+    const { bundleKeys } = this._state
+    if (bundleKeys.includes(key)) {
+      this.setState({ bundleKeys: bundleKeys.filter(k => k !== key) })
+    } else if (bundleKeys.length + 1 >= MAX_BUNDLE_ITEMS) {
+      this.setState({ error: `A bundle can hold at most ${MAX_BUNDLE_ITEMS} items` })
+    } else {
+      this.setState({ bundleKeys: [...bundleKeys, key], error: null })
+    }
+  }
+
+  // The opened NFT plus every NFT ticked in the bundle picker
+  getBundleNfts() {
+    const { nft, walletNfts, bundleKeys } = this._state
+    return [nft, ...walletNfts.filter(item => bundleKeys.includes(bundleKey(item)))]
   }
 
   closeModal() {
@@ -53,23 +163,114 @@ export class CreateListing extends BaseElement {
     })
   }
 
+  hasValidPrices() {
+    const price = parseFloat(this._priceValue)
+    if (!price || price <= 0) return false
+    if (this._state.listingType === 'bundle') return this._state.bundleKeys.length > 0
+    if (this.showsQuantity()) {
+      const quantity = this.getQuantity()
+      if (!quantity || quantity > this._state.ownedCopies) return false
+    }
+    if (this._state.listingType !== 'dutch') return true
+
+    const endPrice = parseFloat(this._endPriceValue)
+    return endPrice > 0 && endPrice < price
+  }
+
+  // Quantity applies to signed ERC1155 listings; auctions and bundles sell one copy
+  showsQuantity() {
+    const { tokenStandard, listingType } = this._state
+    return tokenStandard === 'ERC1155' && (listingType === 'fixed' || listingType === 'dutch')
+  }
+
+  // English auction bids are USDC offers, so only signed listings pick a currency
+  showsCurrency() {
+    return this._state.listingType !== 'english'
+  }
+
+  getCurrency() {
+    return this.showsCurrency() ? this._state.currency : DEFAULT_CURRENCY
+  }
+
+  // Auction bids don't carry a royalty, and bundles only pay one when every item is from the same collection
+  paysRoyalty() {
+    const { listingType, nft } = this._state
+    if (listingType === 'english') return false
+    if (listingType !== 'bundle') return true
+    const contract = nft.contract.address.toLowerCase()
+    return this.getBundleNfts().every(item => item.contract.address.toLowerCase() === contract)
+  }
+
+  // Fixed-price and Dutch listings can be reserved for one Farcaster user
+  showsPrivateBuyer() {
+    const { listingType } = this._state
+    return listingType === 'fixed' || listingType === 'dutch'
+  }
+
+  // Resolve a Farcaster username to the wallet the listing will be reserved for
+  async lookupPrivateBuyer(username) {
+    const response = await fetch(`/api/users/lookup/${encodeURIComponent(username)}`, {
+      headers: {
+        'Authorization': `Bearer ${window.authToken || ''}`
+      }
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.error || `Could not find @${username}`)
+    }
+    return data
+  }
+
   async submitListing() {
-    const { nft, expiryDays } = this._state
+    const { nft, expiryDays, listingType } = this._state
     
     // Get the price from the input directly
-    const priceInput = this.shadowRoot.querySelector('input[type="number"]')
+    const priceInput = this.shadowRoot.querySelector('#start-price')
     const price = priceInput?.value || this._priceValue || ''
     
     if (!price || parseFloat(price) <= 0) {
       this.setState({ error: 'Please enter a valid price' })
       return
     }
+
+    // English auctions take bids instead of a signed listing
+    if (listingType === 'english') {
+      return this.submitAuction(parseFloat(price))
+    }
+
+    if (listingType === 'bundle') {
+      return this.submitBundle(parseFloat(price))
+    }
+
+    // Dutch auctions decline from the start price to the end price over the listing duration
+    let endPrice = null
+    if (listingType === 'dutch') {
+      const endPriceInput = this.shadowRoot.querySelector('#end-price')
+      endPrice = parseFloat(endPriceInput?.value || this._endPriceValue || '')
+      if (!endPrice || endPrice <= 0 || endPrice >= parseFloat(price)) {
+        this.setState({ error: 'End price must be above zero and below the start price' })
+        return
+      }
+    }
+    
+    const quantity = this.showsQuantity() ? this.getQuantity() : 1
+    if (!quantity || quantity > this._state.ownedCopies) {
+      this.setState({ error: `You can list between 1 and ${this._state.ownedCopies} copies` })
+      return
+    }
+
+    const privateBuyerUsername = this.showsPrivateBuyer()
+      ? (this._privateBuyerValue || '').trim().replace(/^@/, '')
+      : ''
     
     this.setState({ loading: true, error: null })
     
     try {
       // Check network first
       await transactionManager.checkNetwork()
+
+      // A reserved listing is signed with the buyer's wallet as its zone
+      const privateBuyer = privateBuyerUsername ? await this.lookupPrivateBuyer(privateBuyerUsername) : null
       
       // Detect token standard for proxy contract compatibility
       console.log('Detecting NFT token standard...')
@@ -91,7 +292,11 @@ export class CreateListing extends BaseElement {
         parseFloat(price),
         expiryDays,
         isERC1155,
-        true   // Always use Seaport for new listings
+        true,  // Always use Seaport for new listings
+        endPrice,
+        quantity,
+        privateBuyer?.address || null,
+        this.getCurrency()
       )
       
       // Extract txHash and order data
@@ -118,6 +323,9 @@ export class CreateListing extends BaseElement {
           nftContract: nft.contract.address,
           tokenId: nft.tokenId,
           price: price,
+          endPrice: endPrice,
+          quantity: quantity,
+          privateBuyerUsername: privateBuyer?.username || null,
           expiry: expiryDate.toISOString(),
           contractType: 'seaport', // Always Seaport for new listings
           orderHash: orderHash, // Seaport order hash
@@ -144,7 +352,9 @@ export class CreateListing extends BaseElement {
       
       // Show success message with option to view listing
       showSuccess(
-        'Your NFT has been listed successfully!',
+        privateBuyer
+          ? `Your NFT has been listed privately for @${privateBuyer.username}. Only they can see and buy it.`
+          : 'Your NFT has been listed successfully!',
         'Listing Created',
         'View Listing',
         () => window.location.href = `/listing/${data.id}`
@@ -159,6 +369,132 @@ export class CreateListing extends BaseElement {
     }
   }
 
+  async submitBundle(price) {
+    const { expiryDays } = this._state
+    const bundleNfts = this.getBundleNfts()
+
+    if (bundleNfts.length < 2) {
+      this.setState({ error: 'Pick at least one more NFT to include in the bundle' })
+      return
+    }
+
+    this.setState({ loading: true, error: null })
+
+    try {
+      await transactionManager.checkNetwork()
+
+      const { publicClient } = await transactionManager.getViemClients()
+      const walletAddress = await transactionManager.getWalletAddress()
+      const items = await Promise.all(bundleNfts.map(async item => {
+        const tokenStandard = await detectTokenStandardCached(item.contract.address, item.tokenId, publicClient, walletAddress)
+        return { contract: item.contract.address, tokenId: item.tokenId, isERC1155: tokenStandard === 'ERC1155' }
+      }))
+
+      // One signature covers every token; approvals are requested per collection
+      const result = await transactionManager.createBundleListing(items, price, expiryDays, this.getCurrency())
+
+      const expiryDate = new Date()
+      expiryDate.setDate(expiryDate.getDate() + expiryDays)
+
+      const response = await fetch('/api/listings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${window.authToken || ''}`
+        },
+        body: JSON.stringify({
+          price,
+          expiry: expiryDate.toISOString(),
+          contractType: 'seaport',
+          orderHash: result.hash,
+          orderParameters: result.order,
+          metadata: {
+            name: `Bundle of ${bundleNfts.length} items`,
+            image_url: bundleNfts[0].media[0]?.gateway || '',
+            metadata_uri: '',
+            items: bundleNfts.map(item => ({
+              nft_contract: item.contract.address,
+              token_id: item.tokenId,
+              name: item.title,
+              image_url: item.media[0]?.gateway || ''
+            }))
+          }
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save bundle listing')
+      }
+
+      this.closeModal()
+      this.emit(EVENTS.LISTING_CREATED, { listing: data })
+
+      showSuccess(
+        `Your bundle of ${bundleNfts.length} NFTs has been listed!`,
+        'Bundle Listed',
+        'View Listing',
+        () => window.location.href = `/listing/${data.id}`
+      )
+    } catch (error) {
+      console.error('Error creating bundle listing:', error)
+      this.setState({
+        error: error.message || 'Failed to create bundle listing. Please try again.',
+        loading: false
+      })
+    }
+  }
+
+  async submitAuction(reservePrice) {
+    const { nft, expiryDays } = this._state
+
+    this.setState({ loading: true, error: null })
+
+    try {
+      // Nothing is signed up front - bidders sign offers and the seller fills the winner
+      const response = await fetch('/api/auctions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${window.authToken || ''}`
+        },
+        body: JSON.stringify({
+          nftContract: nft.contract.address,
+          tokenId: nft.tokenId,
+          sellerAddress: await transactionManager.getWalletAddress(),
+          reservePrice,
+          durationHours: expiryDays * 24,
+          metadata: {
+            name: nft.title,
+            description: nft.description,
+            image_url: nft.media[0]?.gateway || '',
+            metadata_uri: ''
+          }
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start auction')
+      }
+
+      this.closeModal()
+
+      showSuccess(
+        'Your auction is live!',
+        'Auction Started',
+        'View Auction',
+        () => window.location.href = `/auction/${data.id}`
+      )
+    } catch (error) {
+      console.error('Error starting auction:', error)
+      this.setState({
+        error: error.message || 'Failed to start auction. Please try again.',
+        loading: false
+      })
+    }
+  }
+
   render() {
     const styles = `
       <style>
@@ -339,7 +675,69 @@ export class CreateListing extends BaseElement {
           gap: 8px;
         }
         
-        .expiry-option {
+        .listing-type-options {
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 8px;
+        }
+        
+        .currency-options {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 8px;
+        }
+        
+        .bundle-picker {
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 8px;
+          max-height: 240px;
+          overflow-y: auto;
+        }
+        
+        .bundle-option {
+          position: relative;
+          aspect-ratio: 1;
+          border: 2px solid transparent;
+          border-radius: 8px;
+          background-color: #e7edf4;
+          background-size: cover;
+          background-position: center;
+          cursor: pointer;
+          padding: 0;
+        }
+        
+        .bundle-option.selected {
+          border-color: #0c7ff2;
+        }
+        
+        .bundle-option.selected::after {
+          content: '✓';
+          position: absolute;
+          top: 4px;
+          right: 4px;
+          width: 18px;
+          height: 18px;
+          border-radius: 50%;
+          background: #0c7ff2;
+          color: white;
+          font-size: 12px;
+          line-height: 18px;
+        }
+        
+        .bundle-empty {
+          color: #49739c;
+          font-size: 14px;
+          margin: 0;
+        }
+        
+        .end-price-label {
+          margin-top: 16px;
+        }
+        
+        .expiry-option,
+        .listing-type-option,
+        .currency-option {
           padding: 8px;
           border: 1px solid #cedbe8;
           border-radius: 8px;
@@ -352,12 +750,16 @@ export class CreateListing extends BaseElement {
           text-align: center;
         }
         
-        .expiry-option:hover {
+        .expiry-option:hover,
+        .listing-type-option:hover,
+        .currency-option:hover {
           border-color: #0c7ff2;
           color: #0c7ff2;
         }
         
-        .expiry-option.active {
+        .expiry-option.active,
+        .listing-type-option.active,
+        .currency-option.active {
           background: #0c7ff2;
           border-color: #0c7ff2;
           color: white;
@@ -416,14 +818,23 @@ export class CreateListing extends BaseElement {
             margin: 0px;
           }
           
-          .expiry-options {
+          .expiry-options,
+          .listing-type-options {
             grid-template-columns: repeat(2, 1fr);
           }
+          
+          .bundle-picker {
+            grid-template-columns: repeat(3, 1fr);
+          }
         }
       </style>
     `
 
-    const { isOpen, nft, price, expiryDays, loading, error } = this._state
+    const { isOpen, nft, price, listingType, expiryDays, loading, error, walletNfts, walletNftsLoading, bundleKeys, ownedCopies, royalty } = this._state
+    const showQuantity = this.showsQuantity()
+    const currency = this.getCurrency()
+    // Whole cents for USDC, finer steps for ETH-denominated prices
+    const priceStep = currency === 'USDC' ? '0.01' : '0.0001'
 
     this.shadowRoot.innerHTML = `
       ${styles}
@@ -450,24 +861,118 @@ export class CreateListing extends BaseElement {
               </div>
               
               <div class="form-group">
-                <label class="form-label">List Price</label>
+                <label class="form-label">Listing Type</label>
+                <div class="listing-type-options">
+                  <button class="listing-type-option ${listingType === 'fixed' ? 'active' : ''}" data-type="fixed">
+                    Fixed price
+                  </button>
+                  <button class="listing-type-option ${listingType === 'dutch' ? 'active' : ''}" data-type="dutch">
+                    Dutch auction
+                  </button>
+                  <button class="listing-type-option ${listingType === 'english' ? 'active' : ''}" data-type="english">
+                    Auction
+                  </button>
+                  <button class="listing-type-option ${listingType === 'bundle' ? 'active' : ''}" data-type="bundle">
+                    Bundle
+                  </button>
+                </div>
+              </div>
+              
+              ${listingType === 'bundle' ? `
+                <div class="form-group">
+                  <label class="form-label">Add to bundle (${bundleKeys.length + 1} selected)</label>
+                  ${walletNftsLoading ? '<p class="bundle-empty">Loading your NFTs...</p>' : walletNfts.length === 0 ? `
+                    <p class="bundle-empty">No other NFTs found in your wallet</p>
+                  ` : `
+                    <div class="bundle-picker">
+                      ${walletNfts.map(item => `
+                        <button class="bundle-option ${bundleKeys.includes(bundleKey(item)) ? 'selected' : ''}"
+                          data-bundle-key="${bundleKey(item)}"
+                          title="${item.title || `Token #${item.tokenId}`}"
+                          style="background-image: url('${item.media[0]?.gateway || '/placeholder.png'}')"></button>
+                      `).join('')}
+                    </div>
+                  `}
+                </div>
+              ` : ''}
+              
+              ${showQuantity ? `
+                <div class="form-group">
+                  <label class="form-label">Quantity</label>
+                  <input 
+                    type="number" 
+                    id="quantity"
+                    class="form-input" 
+                    step="1"
+                    min="1"
+                    max="${ownedCopies}"
+                    inputmode="numeric"
+                    value="${this._quantityValue || '1'}"
+                  />
+                  <p class="fee-notice">You own ${ownedCopies} ${ownedCopies === 1 ? 'copy' : 'copies'}. Buyers can take any number of the copies you list</p>
+                </div>
+              ` : ''}
+              
+              ${this.showsCurrency() ? `
+                <div class="form-group">
+                  <label class="form-label">Currency</label>
+                  <div class="currency-options">
+                    ${Object.keys(CURRENCIES).map(symbol => `
+                      <button class="currency-option ${currency === symbol ? 'active' : ''}" data-currency="${symbol}">
+                        ${symbol}
+                      </button>
+                    `).join('')}
+                  </div>
+                </div>
+              ` : ''}
+              
+              <div class="form-group">
+                <label class="form-label">${listingType === 'dutch' ? 'Start Price' : listingType === 'english' ? 'Reserve Price' : listingType === 'bundle' ? 'Bundle Price' : 'List Price'}${showQuantity ? ' (per copy)' : ''}</label>
                 <div class="price-input-wrapper">
                   <input 
                     type="number" 
+                    id="start-price"
                     class="form-input" 
                     placeholder="0.00"
-                    step="0.01"
+                    step="${priceStep}"
                     min="0"
                     inputmode="decimal"
+                    value="${this._priceValue || ''}"
                   />
-                  <span class="price-suffix">USDC</span>
+                  <span class="price-suffix">${currency}</span>
                 </div>
+                ${listingType === 'dutch' ? `
+                  <label class="form-label end-price-label">End Price</label>
+                  <div class="price-input-wrapper">
+                    <input 
+                      type="number" 
+                      id="end-price"
+                      class="form-input" 
+                      placeholder="0.00"
+                      step="${priceStep}"
+                      min="0"
+                      inputmode="decimal"
+                      value="${this._endPriceValue || ''}"
+                    />
+                    <span class="price-suffix">${currency}</span>
+                  </div>
+                  <p class="fee-notice">The price drops steadily from the start price to the end price over the listing duration</p>
+                ` : ''}
+                ${listingType === 'english' ? `
+                  <p class="fee-notice">Bids start at the reserve price. Once the auction ends, you accept the highest bid to complete the sale</p>
+                ` : ''}
+                ${listingType === 'bundle' ? `
+                  <p class="fee-notice">Buyers get every NFT in the bundle for this one price</p>
+                ` : ''}
                 <p class="fee-notice">A 1% platform fee will be taken at the time of sale</p>
+                ${royalty && this.paysRoyalty() ? `
+                  <p class="fee-notice">The creator receives a ${royalty.bps / 100}% royalty out of the price</p>
+                ` : ''}
                 ${error ? `<p class="error-message">${error}</p>` : ''}
               </div>
               
               <div class="form-group">
-                <label class="form-label">Listing Duration</label>
+                <label class="form-label">${listingType === 'english' ? 'Auction Duration' : 'Listing Duration'}</label>
                 <div class="expiry-options">
                   <button class="expiry-option ${expiryDays === 1 ? 'active' : ''}" data-days="1">
                     1 day
@@ -483,14 +988,33 @@ export class CreateListing extends BaseElement {
                   </button>
                 </div>
               </div>
+              
+              ${this.showsPrivateBuyer() ? `
+                <div class="form-group">
+                  <label class="form-label">Reserve for a buyer (optional)</label>
+                  <input 
+                    type="text" 
+                    id="private-buyer"
+                    class="form-input" 
+                    placeholder="@username"
+                    autocomplete="off"
+                    value="${this._privateBuyerValue || ''}"
+                  />
+                  <p class="fee-notice">Only this Farcaster user will be able to see and buy the listing</p>
+                </div>
+              ` : ''}
             </div>
             
             <div class="modal-footer">
               <button class="button button-secondary" ${loading ? 'disabled' : ''}>
                 Cancel
               </button>
-              <button class="button button-primary" disabled>
-                ${loading ? 'Listing...' : 'List NFT'}
+              <button class="button button-primary" ${loading || !this.hasValidPrices() ? 'disabled' : ''}>
+                ${listingType === 'english'
+                  ? (loading ? 'Starting...' : 'Start Auction')
+                  : listingType === 'bundle'
+                    ? (loading ? 'Listing...' : `List ${bundleKeys.length + 1} NFTs`)
+                    : (loading ? 'Listing...' : 'List NFT')}
               </button>
             </div>
           ` : ''}
@@ -516,13 +1040,19 @@ export class CreateListing extends BaseElement {
       })
     }
 
-    // Price input - uncontrolled component
-    const priceInput = this.shadowRoot.querySelector('input[type="number"]')
-    if (priceInput) {
+    // Price inputs - uncontrolled components
+    const priceInputs = [
+      [this.shadowRoot.querySelector('#start-price'), '_priceValue'],
+      [this.shadowRoot.querySelector('#end-price'), '_endPriceValue'],
+      [this.shadowRoot.querySelector('#quantity'), '_quantityValue'],
+      [this.shadowRoot.querySelector('#private-buyer'), '_privateBuyerValue']
+    ]
+    priceInputs.forEach(([input, valueKey]) => {
+      if (!input) return
       // Just store the value internally without triggering re-render
-      this.on(priceInput, 'input', (e) => {
+      this.on(input, 'input', (e) => {
         // Store the price value without setState
-        this._priceValue = e.target.value
+        this[valueKey] = e.target.value
         
         // Clear error if there was one
         if (this._state.error) {
@@ -532,11 +1062,32 @@ export class CreateListing extends BaseElement {
         // Update submit button state
         const submitBtn = this.shadowRoot.querySelector('.button-primary')
         if (submitBtn) {
-          const hasValidPrice = e.target.value && parseFloat(e.target.value) > 0
-          submitBtn.disabled = this._state.loading || !hasValidPrice
+          submitBtn.disabled = this._state.loading || !this.hasValidPrices()
         }
       })
-    }
+    })
+
+    // Listing type options
+    const typeOptions = this.shadowRoot.querySelectorAll('.listing-type-option')
+    typeOptions.forEach(option => {
+      this.on(option, 'click', (e) => {
+        const type = e.currentTarget.dataset.type
+        this.setState({ listingType: type, error: null })
+        if (type === 'bundle') {
+          this.loadWalletNfts()
+        }
+      })
+    })
+
+    // Currency options
+    this.shadowRoot.querySelectorAll('.currency-option').forEach(option => {
+      this.on(option, 'click', (e) => this.setState({ currency: e.currentTarget.dataset.currency }))
+    })
+
+    // Bundle picker
+    this.shadowRoot.querySelectorAll('.bundle-option').forEach(option => {
+      this.on(option, 'click', (e) => this.toggleBundleItem(e.currentTarget.dataset.bundleKey))
+    })
 
     // Expiry options
     const expiryOptions = this.shadowRoot.querySelectorAll('.expiry-option')
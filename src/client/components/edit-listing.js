@@ -0,0 +1,459 @@
+import { BaseElement } from './base-element.js'
+import { EVENTS } from '../utils/events.js'
+import { transactionManager } from '../utils/transactions.js'
+import { showSuccess } from './modal.js'
+import { DEFAULT_CURRENCY, formatPrice } from '../utils/currency.js'
+
+// Changes the price of a fixed-price Seaport listing by signing a new order for it
+export class EditListing extends BaseElement {
+  constructor() {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this._state = {
+      isOpen: false,
+      listing: null,
+      loading: false,
+      step: null,
+      error: null
+    }
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+
+    this.subscribe(EVENTS.EDIT_LISTING, ({ listing }) => {
+      this.openModal(listing)
+    })
+  }
+
+  async openModal(listing) {
+    this._priceValue = ''
+    this.setState({ isOpen: true, listing, loading: true, step: null, error: null })
+
+    try {
+      // The profile's listing summary has no signed order; the details endpoint does
+      const response = await fetch(`/api/listings/${listing.id}`, {
+        headers: {
+          'Authorization': `Bearer ${window.authToken || ''}`
+        }
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok || !data.orderData) {
+        throw new Error(data.error || 'Could not load this listing')
+      }
+      if (data.status !== 'active') {
+        throw new Error('This listing is no longer active')
+      }
+      this.setState({ listing: data, loading: false })
+    } catch (error) {
+      console.error('Error loading listing to edit:', error)
+      this.setState({ loading: false, error: error.message })
+    }
+  }
+
+  closeModal() {
+    this.setState({
+      isOpen: false,
+      listing: null,
+      loading: false,
+      step: null,
+      error: null
+    })
+  }
+
+  getNewPrice() {
+    return parseFloat(this._priceValue)
+  }
+
+  hasValidPrice() {
+    const { listing } = this._state
+    const price = this.getNewPrice()
+    return Boolean(listing?.orderData) && price > 0 && price !== Number(listing.price)
+  }
+
+  async submitPrice() {
+    const { listing } = this._state
+    const newPrice = this.getNewPrice()
+    if (!this.hasValidPrice()) {
+      this.setState({ error: 'Enter a price different from the current one' })
+      return
+    }
+
+    const raising = newPrice > Number(listing.price)
+    this.setState({ loading: true, step: raising ? 'Cancelling current order...' : 'Signing new price...', error: null })
+
+    try {
+      await transactionManager.checkNetwork()
+
+      const result = await transactionManager.editListingPrice(listing, newPrice)
+
+      this.setState({ step: 'Saving...' })
+      const response = await fetch(`/api/listings/${listing.id}/price`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${window.authToken || ''}`
+        },
+        body: JSON.stringify({
+          orderHash: result.hash,
+          orderParameters: result.order,
+          cancelTxHash: result.cancelTxHash,
+          privateBuyerUsername: listing.privateBuyer?.username || null,
+          metadata: {
+            name: listing.name,
+            description: listing.description,
+            image_url: listing.image || '',
+            metadata_uri: ''
+          }
+        })
+      })
+
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to change the price')
+      }
+
+      this.closeModal()
+      this.emit(EVENTS.LISTING_CREATED, { listing: data })
+
+      showSuccess(
+        `Your listing is now priced at ${formatPrice(newPrice, listing.currency || DEFAULT_CURRENCY)}.`,
+        'Price Updated',
+        'View Listing',
+        () => window.location.href = `/listing/${data.id}`
+      )
+    } catch (error) {
+      console.error('Error changing listing price:', error)
+      this.setState({
+        error: error.message || 'Failed to change the price. Please try again.',
+        loading: false,
+        step: null
+      })
+    }
+  }
+
+  render() {
+    const styles = `
+      <style>
+        :host {
+          font-family: "Spline Sans", "Noto Sans", sans-serif;
+        }
+
+        .modal-overlay {
+          display: none;
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          z-index: 1000;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+
+        .modal-overlay.open {
+          display: flex;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 16px;
+          max-width: 500px;
+          width: 100%;
+          max-height: 90vh;
+          overflow-y: auto;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.2);
+        }
+
+        .modal-header {
+          padding: 24px;
+          border-bottom: 1px solid #e7edf4;
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+
+        .modal-title {
+          color: #0d141c;
+          font-size: 20px;
+          font-weight: 700;
+          margin: 0;
+        }
+
+        .close-button {
+          background: none;
+          border: none;
+          width: 32px;
+          height: 32px;
+          border-radius: 8px;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          transition: background 0.2s;
+        }
+
+        .close-button:hover {
+          background: #f8fafc;
+        }
+
+        .close-button svg {
+          width: 20px;
+          height: 20px;
+          fill: #49739c;
+        }
+
+        .modal-body {
+          padding: 24px;
+        }
+
+        .nft-preview {
+          display: flex;
+          gap: 16px;
+          padding: 16px;
+          background: #f8fafc;
+          border-radius: 12px;
+          margin-bottom: 24px;
+        }
+
+        .nft-image {
+          width: 80px;
+          height: 80px;
+          border-radius: 8px;
+          background-size: contain;
+          background-repeat: no-repeat;
+          background-position: center;
+          background-color: #e7edf4;
+          flex-shrink: 0;
+        }
+
+        .nft-details {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .nft-name {
+          color: #0d141c;
+          font-size: 16px;
+          font-weight: 600;
+          margin: 0 0 4px 0;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .nft-price {
+          color: #49739c;
+          font-size: 14px;
+          margin: 0;
+        }
+
+        .form-group {
+          margin-bottom: 24px;
+        }
+
+        .form-label {
+          display: block;
+          color: #0d141c;
+          font-size: 14px;
+          font-weight: 600;
+          margin-bottom: 8px;
+        }
+
+        .form-input {
+          width: 100%;
+          padding: 12px 16px;
+          border: 1px solid #cedbe8;
+          border-radius: 8px;
+          font-size: 16px;
+          font-family: inherit;
+          transition: border-color 0.2s;
+          box-sizing: border-box;
+        }
+
+        .form-input:focus {
+          outline: none;
+          border-color: #0c7ff2;
+        }
+
+        .price-input-wrapper {
+          position: relative;
+        }
+
+        .price-suffix {
+          position: absolute;
+          right: 16px;
+          top: 50%;
+          transform: translateY(-50%);
+          color: #49739c;
+          font-size: 14px;
+          font-weight: 600;
+        }
+
+        .fee-notice {
+          color: #49739c;
+          font-size: 13px;
+          margin-top: 8px;
+          margin-bottom: 0;
+        }
+
+        .error-message {
+          color: #ff4757;
+          font-size: 14px;
+          margin-top: 8px;
+        }
+
+        .modal-footer {
+          padding: 24px;
+          border-top: 1px solid #e7edf4;
+          display: flex;
+          gap: 12px;
+        }
+
+        .button {
+          flex: 1;
+          padding: 12px 24px;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+          border: none;
+          font-family: inherit;
+        }
+
+        .button-secondary {
+          background: #e7edf4;
+          color: #0d141c;
+        }
+
+        .button-secondary:hover {
+          background: #d9e2ec;
+        }
+
+        .button-primary {
+          background: #0c7ff2;
+          color: white;
+        }
+
+        .button-primary:hover {
+          background: #0968d9;
+        }
+
+        .button-primary:disabled {
+          background: #b8c9dd;
+          cursor: not-allowed;
+        }
+      </style>
+    `
+
+    const { isOpen, listing, loading, step, error } = this._state
+    const currency = listing?.currency || DEFAULT_CURRENCY
+    // Whole cents for USDC, finer steps for ETH-denominated prices
+    const priceStep = currency === 'USDC' ? '0.01' : '0.0001'
+
+    this.shadowRoot.innerHTML = `
+      ${styles}
+      <div class="modal-overlay ${isOpen ? 'open' : ''}">
+        <div class="modal">
+          <div class="modal-header">
+            <h2 class="modal-title">Edit Price</h2>
+            <button class="close-button" aria-label="Close">
+              <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 256 256">
+                <path d="M205.66,194.34a8,8,0,0,1-11.32,11.32L128,139.31,61.66,205.66a8,8,0,0,1-11.32-11.32L116.69,128,50.34,61.66A8,8,0,0,1,61.66,50.34L128,116.69l66.34-66.35a8,8,0,0,1,11.32,11.32L139.31,128Z"></path>
+              </svg>
+            </button>
+          </div>
+          ${listing ? `
+            <div class="modal-body">
+              <div class="nft-preview">
+                <div class="nft-image" style="background-image: url('${listing.image || '/placeholder.png'}')"></div>
+                <div class="nft-details">
+                  <h3 class="nft-name">${listing.name}</h3>
+                  <p class="nft-price">Currently ${formatPrice(listing.price, currency)}</p>
+                </div>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">New Price${(listing.quantityRemaining ?? 1) > 1 ? ' (per copy)' : ''}</label>
+                <div class="price-input-wrapper">
+                  <input
+                    type="number"
+                    id="new-price"
+                    class="form-input"
+                    placeholder="0.00"
+                    step="${priceStep}"
+                    min="0"
+                    inputmode="decimal"
+                    value="${this._priceValue || ''}"
+                    ${loading ? 'disabled' : ''}
+                  />
+                  <span class="price-suffix">${currency}</span>
+                </div>
+                <p class="fee-notice">Lowering the price only needs a signature. Raising it cancels the current order on chain first, which costs gas</p>
+                ${error ? `<p class="error-message">${error}</p>` : ''}
+              </div>
+            </div>
+
+            <div class="modal-footer">
+              <button class="button button-secondary" ${loading ? 'disabled' : ''}>
+                Cancel
+              </button>
+              <button class="button button-primary" ${loading || !this.hasValidPrice() ? 'disabled' : ''}>
+                ${step || (loading ? 'Loading...' : 'Update Price')}
+              </button>
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `
+  }
+
+  attachEventListeners() {
+    const closeBtn = this.shadowRoot.querySelector('.close-button')
+    if (closeBtn) {
+      this.on(closeBtn, 'click', () => this.closeModal())
+    }
+
+    // Click outside to close
+    const overlay = this.shadowRoot.querySelector('.modal-overlay')
+    if (overlay) {
+      this.on(overlay, 'click', (e) => {
+        if (e.target === overlay && !this._state.loading) {
+          this.closeModal()
+        }
+      })
+    }
+
+    // Price input - uncontrolled, so typing doesn't re-render
+    const priceInput = this.shadowRoot.querySelector('#new-price')
+    if (priceInput) {
+      this.on(priceInput, 'input', (e) => {
+        this._priceValue = e.target.value
+
+        if (this._state.error) {
+          this.setState({ error: null })
+        }
+
+        const submitBtn = this.shadowRoot.querySelector('.button-primary')
+        if (submitBtn) {
+          submitBtn.disabled = this._state.loading || !this.hasValidPrice()
+        }
+      })
+    }
+
+    const submitBtn = this.shadowRoot.querySelector('.button-primary')
+    if (submitBtn) {
+      this.on(submitBtn, 'click', () => this.submitPrice())
+    }
+
+    const cancelBtn = this.shadowRoot.querySelector('.button-secondary')
+    if (cancelBtn) {
+      this.on(cancelBtn, 'click', () => this.closeModal())
+    }
+  }
+}
+
+customElements.define('edit-listing', EditListing)
@@ -3,6 +3,7 @@ import { EVENTS } from '../utils/events.js'
 import { transactionManager } from '../utils/transactions.js'
 import { showAlert, showConfirm } from './modal.js'
 import { detectTokenStandardCached } from '../utils/token-standard.js'
+import { formatPrice, getOfferCurrency } from '../utils/currency.js'
 
 export class ListingDetails extends BaseElement {
   constructor() {
@@ -65,6 +66,12 @@ export class ListingDetails extends BaseElement {
       })
     }
     
+    // Handle make offer button
+    const makeOfferBtn = this.querySelector('#make-offer-btn')
+    if (makeOfferBtn) {
+      this.on(makeOfferBtn, 'click', () => this.handleMakeOffer())
+    }
+    
     // Handle frame-compatible links
     const links = this.querySelectorAll('a[target="_blank"]')
     links.forEach(link => {
@@ -84,8 +91,16 @@ export class ListingDetails extends BaseElement {
   }
 
   checkOwnership(user) {
+    if (!user || !user.fid) return
+
+    // Private listings are only rendered for a signed-in seller or reserved buyer
+    if (this.querySelector('#private-listing-gate')) {
+      this.loadPrivateListing()
+      return
+    }
+
     const { listingData } = this._state
-    if (!listingData || !user || !user.fid) return
+    if (!listingData) return
     
     const actionBtn = this.querySelector('#action-btn')
     if (!actionBtn) return
@@ -93,6 +108,17 @@ export class ListingDetails extends BaseElement {
     const isOwner = user.fid == listingData.sellerFid
     
     if (isOwner) {
+      // Owners can't bid on their own listing
+      const offerForm = this.querySelector('#offer-form')
+      if (offerForm) {
+        offerForm.style.display = 'none'
+      }
+
+      const quantityForm = this.querySelector('#quantity-form')
+      if (quantityForm) {
+        quantityForm.style.display = 'none'
+      }
+      
       actionBtn.textContent = 'Cancel Listing'
       actionBtn.style.background = '#ef4444'
       actionBtn.style.borderColor = '#ef4444'
@@ -109,6 +135,40 @@ export class ListingDetails extends BaseElement {
     }
   }
 
+  async loadPrivateListing() {
+    if (!window.authToken) return
+
+    try {
+      const response = await fetch(window.location.pathname, {
+        headers: { 'Authorization': `Bearer ${window.authToken}` }
+      })
+      if (!response.ok) return
+
+      const page = new DOMParser().parseFromString(await response.text(), 'text/html')
+      const details = page.querySelector('listing-details')
+      // Still gated: this user isn't the seller or the reserved buyer
+      if (!details || details.querySelector('#private-listing-gate')) return
+
+      const shareBtn = page.querySelector('#share-listing-btn')
+      const nav = document.querySelector('.listing-header-nav')
+      if (shareBtn && nav && !nav.querySelector('#share-listing-btn')) {
+        nav.appendChild(document.importNode(shareBtn, true))
+      }
+
+      this.innerHTML = details.innerHTML
+      const actionBtn = this.querySelector('#action-btn')
+      const listingData = actionBtn ? JSON.parse(actionBtn.getAttribute('data-listing')) : null
+      this.setState({ listingData })
+
+      const frameProvider = document.querySelector('frame-provider')
+      if (frameProvider?._state.user) {
+        this.checkOwnership(frameProvider._state.user)
+      }
+    } catch (error) {
+      console.error('Error loading private listing:', error)
+    }
+  }
+
   async handleShare(shareBtn) {
     try {
       const listingId = shareBtn.getAttribute('data-listing-id')
@@ -139,7 +199,18 @@ export class ListingDetails extends BaseElement {
     const { listingData } = this._state
     if (!listingData) return
 
+    // ERC1155 quantity listings let the buyer pick how many copies to take
+    let quantity = null
+    if (listingData.quantity > 1) {
+      quantity = parseInt(this.querySelector('#buy-quantity')?.value)
+      if (!quantity || quantity < 1 || quantity > listingData.quantityRemaining) {
+        await showAlert(`You can buy between 1 and ${listingData.quantityRemaining} copies.`, 'Invalid Quantity')
+        return
+      }
+    }
+
     const actionBtn = this.querySelector('#action-btn')
+    const originalLabel = actionBtn?.innerHTML
     if (actionBtn) {
       actionBtn.disabled = true
       actionBtn.textContent = 'Processing...'
@@ -154,8 +225,10 @@ export class ListingDetails extends BaseElement {
 
       const userAddress = frameProvider._state.user.wallet_address
 
-      // Fetch full listing details
-      const response = await fetch(`/api/listings/${listingData.id}`)
+      // Fetch full listing details (private listings need the buyer's token)
+      const response = await fetch(`/api/listings/${listingData.id}`, {
+        headers: window.authToken ? { 'Authorization': `Bearer ${window.authToken}` } : {}
+      })
       if (!response.ok) {
         throw new Error('Failed to fetch listing details')
       }
@@ -164,20 +237,21 @@ export class ListingDetails extends BaseElement {
       // Check network first
       await transactionManager.checkNetwork()
 
-      // First approve USDC
-      if (actionBtn) {
-        actionBtn.textContent = 'Approving USDC...'
+      // Legacy NFTExchange listings are paid in USDC approved to the exchange;
+      // Seaport purchases approve the listing's payment token themselves
+      if (listing.contractType !== 'seaport') {
+        if (actionBtn) {
+          actionBtn.textContent = 'Approving USDC...'
+        }
+        await transactionManager.approveUSDC(listing.price * (quantity || 1), listing.contractType || 'nft_exchange')
       }
-      
-      await transactionManager.approveUSDC(listing.price, listing.contractType || 'nft_exchange')
 
-      // Then purchase NFT
       if (actionBtn) {
         actionBtn.textContent = 'Purchasing NFT...'
       }
       
       // Pass the full listing object for Seaport orders
-      const purchaseTxHash = await transactionManager.buyListing(listing)
+      const purchaseTxHash = await transactionManager.buyListing(listing, quantity)
 
       // Notify backend immediately about the purchase
       if (actionBtn) {
@@ -205,12 +279,81 @@ export class ListingDetails extends BaseElement {
       console.error('Purchase failed:', error)
       if (actionBtn) {
         actionBtn.disabled = false
-        actionBtn.textContent = `Buy for $${listingData.price}`
+        // Restore the server-rendered label, which keeps a Dutch auction's live price
+        actionBtn.innerHTML = originalLabel
       }
       await showAlert(error.message || 'Purchase failed. Please try again.', 'Purchase Failed')
     }
   }
   
+  async handleMakeOffer() {
+    const { listingData } = this._state
+    if (!listingData) return
+
+    const amountInput = this.querySelector('#offer-amount')
+    const offerAmount = parseFloat(amountInput?.value)
+    if (!offerAmount || offerAmount <= 0) {
+      await showAlert('Please enter a valid offer amount.', 'Invalid Offer')
+      return
+    }
+
+    const makeOfferBtn = this.querySelector('#make-offer-btn')
+    if (makeOfferBtn) {
+      makeOfferBtn.disabled = true
+      makeOfferBtn.textContent = 'Signing...'
+    }
+
+    try {
+      // Check network first
+      await transactionManager.checkNetwork()
+
+      // Approves the offer token if needed, then signs a Seaport offer off-chain
+      const offerCurrency = getOfferCurrency(listingData.currency)
+      const result = await transactionManager.makeOffer(
+        listingData.nftContract,
+        listingData.tokenId,
+        offerAmount,
+        7, // Offers expire after 7 days
+        true,
+        offerCurrency
+      )
+
+      if (makeOfferBtn) {
+        makeOfferBtn.textContent = 'Saving...'
+      }
+
+      const response = await fetch('/api/offers', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          orderHash: result.hash,
+          orderParameters: result.order // Seaport order data (parameters + signature)
+        })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to save offer')
+      }
+
+      if (amountInput) {
+        amountInput.value = ''
+      }
+      await showAlert(`Your offer of ${formatPrice(offerAmount, offerCurrency)} has been submitted.`, 'Offer Made')
+    } catch (error) {
+      console.error('Make offer failed:', error)
+      await showAlert(error.message || 'Failed to make offer. Please try again.', 'Offer Failed')
+    } finally {
+      if (makeOfferBtn) {
+        makeOfferBtn.disabled = false
+        makeOfferBtn.textContent = 'Make Offer'
+      }
+    }
+  }
+  
   async handleCancelListing() {
     const { listingData } = this._state
     if (!listingData) return
@@ -3,6 +3,7 @@ import { EVENTS } from '../utils/events.js'
 import { transactionManager } from '../utils/transactions.js'
 import { frameUtils } from './frame-provider.js'
 import { showAlert } from './modal.js'
+import { formatPrice } from '../utils/currency.js'
 
 export class NFTDetails extends BaseElement {
   constructor() {
@@ -92,7 +93,7 @@ export class NFTDetails extends BaseElement {
       }
       
       // Buy the listing
-      console.log('Buying listing:', listingId, 'for', nft.price, 'USDC')
+      console.log('Buying listing:', listingId, 'for', formatPrice(nft.price, nft.currency))
       const txHash = await transactionManager.buyListing(listingId)
       
       console.log('Transaction submitted:', txHash)
@@ -410,7 +411,7 @@ export class NFTDetails extends BaseElement {
               <div class="details-grid">
                 <div class="detail-item">
                   <p class="detail-label">Price</p>
-                  <p class="detail-value">${nft.price} USDC</p>
+                  <p class="detail-value">${formatPrice(nft.price, nft.currency)}</p>
                 </div>
                 <div class="detail-item">
                   <p class="detail-label">Token ID</p>
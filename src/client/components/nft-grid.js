@@ -1,5 +1,6 @@
 import { BaseElement } from './base-element.js'
 import { EVENTS } from '../utils/events.js'
+import { getCurrency } from '../utils/currency.js'
 
 export class NFTGrid extends BaseElement {
   constructor() {
@@ -179,7 +180,7 @@ export class NFTGrid extends BaseElement {
               <h3 class="name">${nft.name}</h3>
               <div class="price">
                 <span class="price-amount">${nft.price}</span>
-                <span class="price-currency">USDC</span>
+                <span class="price-currency">${getCurrency(nft.currency).symbol}</span>
               </div>
             </div>
           </article>
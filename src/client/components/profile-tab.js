@@ -1,6 +1,27 @@
 import { BaseElement } from './base-element.js'
 import { EVENTS } from '../utils/events.js'
 import { showAlert, showConfirm } from './modal.js'
+import { transactionManager } from '../utils/transactions.js'
+import { CURRENCIES, DEFAULT_CURRENCY, formatPrice } from '../utils/currency.js'
+import { detectTokenStandardCached } from '../utils/token-standard.js'
+
+// Matches the server's limit on listings created by one bulk listing request
+const MAX_BULK_LISTINGS = 50
+
+function nftKey(nft) {
+  return `${nft.contract.address.toLowerCase()}:${nft.tokenId}`
+}
+
+// Price edits re-sign the order, so they cover single fixed-price Seaport listings only
+function isEditableListing(listing) {
+  return listing.contractType === 'seaport' && listing.listingType === 'single' && listing.auctionType !== 'dutch' && !listing.inactiveReason
+}
+
+// Why an inactive listing is hidden from buyers; it comes back once the seller fixes it
+const INACTIVE_REASONS = {
+  not_owned: 'Hidden: the NFT is no longer in your wallet',
+  not_approved: 'Hidden: marketplace approval was revoked'
+}
 
 export class ProfileTab extends BaseElement {
   constructor() {
@@ -12,15 +33,27 @@ export class ProfileTab extends BaseElement {
       fid: null,
       nfts: [],
       listings: [],
+      reservedListings: [], // Private listings other sellers reserved for this user
       purchases: [],
+      receivedOffers: [],
+      processingOfferId: null,
       stats: null,
       loading: true,
       contentLoading: true, // Separate loading state for NFT content
-      activeView: 'owned', // 'owned', 'listings', 'purchases'
+      activeView: 'owned', // 'owned', 'listings', 'purchases', 'offers'
       nftsPage: 1,
       nftsPerPage: 12,
-      totalNfts: 0
+      totalNfts: 0,
+      // Bulk listing from the Owned tab: pick several NFTs, price each, sign once
+      selectMode: false,
+      selectedKeys: [],
+      bulkCurrency: DEFAULT_CURRENCY,
+      bulkExpiryDays: 7,
+      bulkListing: false,
+      cancellingAll: false
     }
+    // Per-NFT prices typed in select mode, keyed like selectedKeys; kept out of state so typing doesn't re-render
+    this._bulkPrices = {}
   }
 
   connectedCallback() {
@@ -112,7 +145,9 @@ export class ProfileTab extends BaseElement {
       Promise.all([
         this.fetchUserNFTs(),
         this.fetchUserListings(),
+        this.fetchReservedListings(),
         this.fetchUserPurchases(),
+        this.fetchReceivedOffers(),
         this.fetchUserStats()
       ]).then(() => {
         this.setState({ contentLoading: false })
@@ -170,6 +205,22 @@ export class ProfileTab extends BaseElement {
     }
   }
 
+  async fetchReservedListings() {
+    // Only the signed-in buyer can see listings reserved for them
+    if (!window.authToken) return
+
+    try {
+      const response = await fetch('/api/listings/reserved', {
+        headers: { 'Authorization': `Bearer ${window.authToken}` }
+      })
+      const data = await response.json()
+      this.setState({ reservedListings: data.listings || [] })
+    } catch (error) {
+      console.error('Failed to fetch reserved listings:', error)
+      this.setState({ reservedListings: [] })
+    }
+  }
+
   async fetchUserPurchases() {
     try {
       // If we have auth token, use /me endpoint
@@ -191,6 +242,27 @@ export class ProfileTab extends BaseElement {
     }
   }
 
+  async fetchReceivedOffers() {
+    try {
+      // If we have auth token, use /me endpoint
+      const url = window.authToken 
+        ? '/api/offers/me/received'
+        : `/api/offers/received/${this._state.fid}`
+      
+      const headers = window.authToken 
+        ? { 'Authorization': `Bearer ${window.authToken}` }
+        : {}
+        
+      const response = await fetch(url, { headers })
+      const data = await response.json()
+      console.log('Fetched received offers data:', data)
+      this.setState({ receivedOffers: data.offers || [] })
+    } catch (error) {
+      console.error('Failed to fetch received offers:', error)
+      this.setState({ receivedOffers: [] })
+    }
+  }
+
   async fetchUserStats() {
     try {
       // If we have auth token, use /me endpoint
@@ -446,6 +518,86 @@ export class ProfileTab extends BaseElement {
           background: #0968d9;
         }
         
+        /* Bulk listing */
+        .bulk-toolbar {
+          display: flex;
+          justify-content: flex-end;
+          margin-bottom: 12px;
+        }
+        
+        .select-mode-button {
+          padding: 6px 12px;
+          background: white;
+          color: #0c7ff2;
+          border: 1px solid #0c7ff2;
+          border-radius: 6px;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+        
+        .select-mode-button.danger {
+          color: #d32f2f;
+          border-color: #d32f2f;
+        }
+        
+        .nft-card.selectable {
+          cursor: pointer;
+        }
+        
+        .nft-card.selected {
+          border-color: #0c7ff2;
+          box-shadow: 0 0 0 2px #0c7ff2;
+        }
+        
+        .bulk-price-input {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 8px;
+          border: 1px solid #cedbe8;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+        
+        .bulk-select-hint {
+          color: #49739c;
+          font-size: 12px;
+          margin: 0;
+        }
+        
+        .bulk-bar {
+          position: sticky;
+          bottom: 16px;
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+          margin-top: 16px;
+          padding: 12px;
+          background: white;
+          border: 1px solid #cedbe8;
+          border-radius: 12px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);
+        }
+        
+        .bulk-bar select {
+          padding: 8px;
+          border: 1px solid #cedbe8;
+          border-radius: 6px;
+          font-size: 14px;
+          background: white;
+        }
+        
+        .bulk-bar .list-button {
+          flex: 1;
+          width: auto;
+        }
+        
+        .list-button:disabled {
+          background: #93c2f5;
+          cursor: not-allowed;
+        }
+        
         /* Listings View */
         .listings-container {
           display: flex;
@@ -453,6 +605,17 @@ export class ProfileTab extends BaseElement {
           gap: 12px;
         }
         
+        .listings-heading {
+          color: #0d141c;
+          font-size: 16px;
+          font-weight: 600;
+          margin: 0 0 12px 0;
+        }
+        
+        .reserved-listings {
+          margin-bottom: 24px;
+        }
+        
         .listing-card {
           display: flex;
           align-items: center;
@@ -503,6 +666,12 @@ export class ProfileTab extends BaseElement {
           margin: 0;
         }
         
+        .listing-inactive {
+          color: #ff4757;
+          font-size: 12px;
+          margin: 4px 0 0 0;
+        }
+        
         .listing-actions {
           display: flex;
           gap: 8px;
@@ -535,6 +704,21 @@ export class ProfileTab extends BaseElement {
           color: white;
         }
         
+        .listing-button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+        
+        /* Offers View */
+        .offer-meta {
+          color: #49739c;
+          font-size: 12px;
+          margin: 4px 0 0 0;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        
         /* Purchases View */
         .purchases-container {
           display: grid;
@@ -783,6 +967,9 @@ export class ProfileTab extends BaseElement {
             <button class="tab" disabled>
               <p class="tab-label">Purchases</p>
             </button>
+            <button class="tab" disabled>
+              <p class="tab-label">Offers</p>
+            </button>
           </div>
         </div>
         
@@ -793,7 +980,8 @@ export class ProfileTab extends BaseElement {
       return
     }
 
-    const { fid, nfts, listings, purchases, stats, activeView, user, nftsPage, contentLoading } = this._state
+    const { fid, nfts, listings, reservedListings, purchases, receivedOffers, processingOfferId, stats, activeView, user, nftsPage, contentLoading } = this._state
+    const { selectMode, selectedKeys, bulkCurrency, bulkExpiryDays, bulkListing, cancellingAll } = this._state
     const avatarUrl = this.getAvatarUrl()
     const paginatedNfts = this.getPaginatedNfts()
     const totalPages = this.getTotalPages()
@@ -829,6 +1017,9 @@ export class ProfileTab extends BaseElement {
           <button class="tab ${activeView === 'purchases' ? 'active' : ''}" data-view="purchases">
             <p class="tab-label">Purchases</p>
           </button>
+          <button class="tab ${activeView === 'offers' ? 'active' : ''}" data-view="offers">
+            <p class="tab-label">Offers</p>
+          </button>
         </div>
       </div>
       
@@ -839,18 +1030,50 @@ export class ProfileTab extends BaseElement {
           </div>
         ` : activeView === 'owned' ? `
           ${nfts.length > 0 ? `
+            <div class="bulk-toolbar">
+              <button class="select-mode-button" id="select-mode-btn" ${bulkListing ? 'disabled' : ''}>
+                ${selectMode ? 'Cancel' : 'Select multiple'}
+              </button>
+            </div>
             <div class="nft-grid">
-              ${paginatedNfts.map(nft => `
-                <div class="nft-card" data-contract="${nft.contract.address}" data-token="${nft.tokenId}">
+              ${paginatedNfts.map(nft => {
+                const key = nftKey(nft)
+                const selected = selectedKeys.includes(key)
+                return `
+                <div class="nft-card ${selectMode ? 'selectable' : ''} ${selected ? 'selected' : ''}" data-contract="${nft.contract.address}" data-token="${nft.tokenId}" data-key="${key}">
                   <div class="nft-image" style="background-image: url('${nft.media[0]?.gateway || '/placeholder.png'}')"></div>
                   <div class="nft-info">
                     <h3 class="nft-title">${nft.title}</h3>
                     <p class="nft-collection">${nft.contract.name || 'Unknown Collection'}</p>
-                    <button class="list-button">List for Sale</button>
+                    ${!selectMode ? `
+                      <button class="list-button">List for Sale</button>
+                    ` : selected ? `
+                      <input class="bulk-price-input" type="number" min="0" step="${bulkCurrency === 'USDC' ? '0.01' : '0.0001'}"
+                        placeholder="Price in ${bulkCurrency}" value="${this._bulkPrices[key] || ''}" data-key="${key}" ${bulkListing ? 'disabled' : ''}>
+                    ` : `
+                      <p class="bulk-select-hint">Tap to select</p>
+                    `}
                   </div>
                 </div>
-              `).join('')}
+              `}).join('')}
             </div>
+            ${selectMode && selectedKeys.length > 0 ? `
+              <div class="bulk-bar">
+                <select id="bulk-currency" ${bulkListing ? 'disabled' : ''}>
+                  ${Object.keys(CURRENCIES).map(symbol => `
+                    <option value="${symbol}" ${bulkCurrency === symbol ? 'selected' : ''}>${symbol}</option>
+                  `).join('')}
+                </select>
+                <select id="bulk-expiry" ${bulkListing ? 'disabled' : ''}>
+                  ${[1, 3, 7, 30].map(days => `
+                    <option value="${days}" ${bulkExpiryDays === days ? 'selected' : ''}>${days} day${days === 1 ? '' : 's'}</option>
+                  `).join('')}
+                </select>
+                <button class="list-button" id="bulk-list-btn" ${bulkListing ? 'disabled' : ''}>
+                  ${bulkListing ? 'Listing...' : `List ${selectedKeys.length} item${selectedKeys.length === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            ` : ''}
             ${totalPages > 1 ? `
               <div class="pagination-container">
                 <button class="pagination-button" data-action="prev" ${nftsPage === 1 ? 'disabled' : ''}>
@@ -888,15 +1111,43 @@ export class ProfileTab extends BaseElement {
             </div>
           `}
         ` : activeView === 'listings' ? `
+          ${reservedListings.length > 0 ? `
+            <h3 class="listings-heading">Reserved for you</h3>
+            <div class="listings-container reserved-listings">
+              ${reservedListings.map(listing => `
+                <div class="listing-card" data-id="${listing.id}">
+                  <div class="listing-image" style="background-image: url('${listing.image || '/placeholder.png'}')"></div>
+                  <div class="listing-info">
+                    <h3 class="listing-title">${listing.name}</h3>
+                    <p class="listing-price">${formatPrice(listing.price, listing.currency)} from @${listing.seller.username}</p>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+            <h3 class="listings-heading">Your listings</h3>
+          ` : ''}
           ${listings.length > 0 ? `
+            <div class="bulk-toolbar">
+              <button class="select-mode-button danger" id="cancel-all-btn" ${cancellingAll ? 'disabled' : ''}>
+                ${cancellingAll ? 'Cancelling...' : 'Cancel all orders'}
+              </button>
+            </div>
             <div class="listings-container">
               ${listings.map(listing => `
                 <div class="listing-card" data-id="${listing.id}">
                   <div class="listing-image" style="background-image: url('${listing.image || '/placeholder.png'}')"></div>
                   <div class="listing-info">
                     <h3 class="listing-title">${listing.name}</h3>
-                    <p class="listing-price">${listing.price} USDC</p>
+                    <p class="listing-price">${formatPrice(listing.price, listing.currency)}</p>
+                    ${listing.inactiveReason ? `
+                      <p class="listing-inactive">${INACTIVE_REASONS[listing.inactiveReason] || 'Hidden: this listing cannot be filled'}</p>
+                    ` : ''}
                   </div>
+                  ${isEditableListing(listing) ? `
+                    <div class="listing-actions">
+                      <button class="listing-button" data-action="edit">Edit price</button>
+                    </div>
+                  ` : ''}
                 </div>
               `).join('')}
             </div>
@@ -911,6 +1162,39 @@ export class ProfileTab extends BaseElement {
               <p class="empty-text">Your NFT listings will appear here</p>
             </div>
           `}
+        ` : activeView === 'offers' ? `
+          ${receivedOffers.length > 0 ? `
+            <div class="listings-container">
+              ${receivedOffers.map(offer => `
+                <div class="listing-card offer-card" data-offer-id="${offer.id}">
+                  <div class="listing-image" style="background-image: url('${offer.image || '/placeholder.png'}')"></div>
+                  <div class="listing-info">
+                    <h3 class="listing-title">${offer.name}</h3>
+                    <p class="listing-price">${formatPrice(offer.amount, offer.currency)}</p>
+                    <p class="offer-meta">from @${offer.buyer.username} · expires ${this.formatDate(offer.expiresAt)}</p>
+                  </div>
+                  <div class="listing-actions">
+                    <button class="listing-button" data-action="accept" ${processingOfferId ? 'disabled' : ''}>
+                      ${processingOfferId == offer.id ? 'Accepting...' : 'Accept'}
+                    </button>
+                    ${offer.criteriaType ? '' : `
+                      <button class="listing-button cancel" data-action="decline" ${processingOfferId ? 'disabled' : ''}>Decline</button>
+                    `}
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          ` : `
+            <div class="empty-state">
+              <div class="empty-icon">
+                <svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 256 256">
+                  <path d="M128,24A104,104,0,1,0,232,128,104.11,104.11,0,0,0,128,24Zm0,192a88,88,0,1,1,88-88A88.1,88.1,0,0,1,128,216Zm40-68a28,28,0,0,1-28,28h-4v8a8,8,0,0,1-16,0v-8H104a8,8,0,0,1,0-16h36a12,12,0,0,0,0-24H116a28,28,0,0,1,0-56h4V72a8,8,0,0,1,16,0v8h16a8,8,0,0,1,0,16H116a12,12,0,0,0,0,24h24A28,28,0,0,1,168,148Z"></path>
+                </svg>
+              </div>
+              <h3 class="empty-title">No offers received</h3>
+              <p class="empty-text">Offers on NFTs you own will appear here</p>
+            </div>
+          `}
         ` : `
           ${purchases.length > 0 ? `
             <div class="purchases-container">
@@ -919,7 +1203,7 @@ export class ProfileTab extends BaseElement {
                   <div class="purchase-image" style="background-image: url('${purchase.metadata?.image_url || '/placeholder.png'}')"></div>
                   <div class="purchase-info">
                     <h3 class="purchase-title">${purchase.metadata?.nft_name || 'NFT'}</h3>
-                    <p class="purchase-price">${purchase.metadata?.price || '0'} USDC</p>
+                    <p class="purchase-price">${formatPrice(purchase.metadata?.price, purchase.currency)}</p>
                     <p class="purchase-date">${this.formatDate(purchase.created_at)}</p>
                   </div>
                 </div>
@@ -991,6 +1275,50 @@ export class ProfileTab extends BaseElement {
       })
     })
     
+    // Bulk listing: toggle select mode, pick cards, price them and list them together
+    const selectModeBtn = this.shadowRoot.querySelector('#select-mode-btn')
+    if (selectModeBtn) {
+      this.on(selectModeBtn, 'click', () => {
+        this._bulkPrices = {}
+        this.setState({ selectMode: !this._state.selectMode, selectedKeys: [] })
+      })
+    }
+
+    if (this._state.selectMode) {
+      this.shadowRoot.querySelectorAll('.nft-card.selectable').forEach(card => {
+        this.on(card, 'click', (e) => {
+          if (e.target.closest('.bulk-price-input') || this._state.bulkListing) return
+          this.toggleNftSelection(card.dataset.key)
+        })
+      })
+
+      this.shadowRoot.querySelectorAll('.bulk-price-input').forEach(input => {
+        this.on(input, 'input', (e) => {
+          this._bulkPrices[e.target.dataset.key] = e.target.value
+        })
+      })
+    }
+
+    const bulkCurrency = this.shadowRoot.querySelector('#bulk-currency')
+    if (bulkCurrency) {
+      this.on(bulkCurrency, 'change', (e) => this.setState({ bulkCurrency: e.target.value }))
+    }
+
+    const bulkExpiry = this.shadowRoot.querySelector('#bulk-expiry')
+    if (bulkExpiry) {
+      this.on(bulkExpiry, 'change', (e) => this.setState({ bulkExpiryDays: parseInt(e.target.value) }))
+    }
+
+    const bulkListBtn = this.shadowRoot.querySelector('#bulk-list-btn')
+    if (bulkListBtn) {
+      this.on(bulkListBtn, 'click', () => this.bulkList())
+    }
+
+    const cancelAllBtn = this.shadowRoot.querySelector('#cancel-all-btn')
+    if (cancelAllBtn) {
+      this.on(cancelAllBtn, 'click', () => this.cancelAllOrders())
+    }
+
     // No click handler for NFT images - only the list button should be clickable
 
     // Click on listing cards to view details
@@ -1004,7 +1332,7 @@ export class ProfileTab extends BaseElement {
         const listingId = card.dataset.id
         console.log('Listing card clicked, ID:', listingId, 'type:', typeof listingId)
         console.log('All listing IDs:', this._state.listings.map(l => ({ id: l.id, type: typeof l.id })))
-        const listing = this._state.listings.find(l => l.id == listingId) // Use == instead of === to handle type mismatch
+        const listing = [...this._state.listings, ...this._state.reservedListings].find(l => l.id == listingId) // Use == instead of === to handle type mismatch
         console.log('Found listing:', listing)
         
         if (listing) {
@@ -1014,23 +1342,271 @@ export class ProfileTab extends BaseElement {
       })
     })
     
+    // Accept / decline buttons on received offers
+    const offerButtons = this.shadowRoot.querySelectorAll('.offer-card .listing-button')
+    offerButtons.forEach(btn => {
+      this.on(btn, 'click', (e) => {
+        e.stopPropagation()
+        const action = e.currentTarget.dataset.action
+        const offerId = e.currentTarget.closest('.offer-card').dataset.offerId
+        const offer = this._state.receivedOffers.find(o => o.id == offerId)
+        if (!offer) return
+        
+        if (action === 'accept') {
+          this.acceptOffer(offer)
+        } else if (action === 'decline') {
+          this.declineOffer(offer)
+        }
+      })
+    })
+    
     // Listing actions
-    // const listingButtons = this.shadowRoot.querySelectorAll('.listing-button')
-    // listingButtons.forEach(btn => {
-    //   this.on(btn, 'click', (e) => {
-    //     e.stopPropagation()
-    //     const action = e.currentTarget.dataset.action
-    //     const listingCard = e.currentTarget.closest('.listing-card')
-    //     const listingId = listingCard.dataset.id
-    //     const listing = this._state.listings.find(l => l.id === listingId)
-        
-    //     if (action === 'cancel') {
-    //       this.cancelListing(listing)
-    //     } else if (action === 'edit') {
-    //       this.emit(EVENTS.EDIT_LISTING, { listing })
-    //     }
-    //   })
-    // })
+    const listingButtons = this.shadowRoot.querySelectorAll('.listing-card .listing-button')
+    listingButtons.forEach(btn => {
+      this.on(btn, 'click', (e) => {
+        e.stopPropagation()
+        const action = e.currentTarget.dataset.action
+        const listingId = e.currentTarget.closest('.listing-card').dataset.id
+        const listing = this._state.listings.find(l => l.id == listingId)
+        if (!listing) return
+
+        if (action === 'edit') {
+          this.emit(EVENTS.EDIT_LISTING, { listing })
+        }
+      })
+    })
+  }
+
+  toggleNftSelection(key) {
+    const { selectedKeys } = this._state
+    if (selectedKeys.includes(key)) {
+      delete this._bulkPrices[key]
+      this.setState({ selectedKeys: selectedKeys.filter(selectedKey => selectedKey !== key) })
+      return
+    }
+    if (selectedKeys.length >= MAX_BULK_LISTINGS) {
+      showAlert(`You can list up to ${MAX_BULK_LISTINGS} NFTs at once.`, 'Too Many Items')
+      return
+    }
+    this.setState({ selectedKeys: [...selectedKeys, key] })
+  }
+
+  // List every selected NFT at its own price, with one signature for all of them
+  async bulkList() {
+    const { nfts, selectedKeys, bulkCurrency, bulkExpiryDays } = this._state
+    const selected = selectedKeys
+      .map(key => nfts.find(nft => nftKey(nft) === key))
+      .filter(Boolean)
+      .map(nft => ({ nft, price: parseFloat(this._bulkPrices[nftKey(nft)]) }))
+
+    const unpriced = selected.filter(({ price }) => !(price > 0))
+    if (unpriced.length > 0) {
+      await showAlert(`Enter a price for ${unpriced.map(({ nft }) => nft.title).join(', ')}.`, 'Missing Prices')
+      return
+    }
+
+    this.setState({ bulkListing: true })
+
+    try {
+      await transactionManager.checkNetwork()
+
+      const { publicClient } = await transactionManager.getViemClients()
+      const walletAddress = await transactionManager.getWalletAddress()
+      const items = await Promise.all(selected.map(async ({ nft, price }) => {
+        const tokenStandard = await detectTokenStandardCached(nft.contract.address, nft.tokenId, publicClient, walletAddress)
+        return { contract: nft.contract.address, tokenId: nft.tokenId, isERC1155: tokenStandard === 'ERC1155', price }
+      }))
+
+      // Approvals are requested per collection, then one signature covers every listing
+      const results = await transactionManager.createBulkListings(items, bulkExpiryDays, bulkCurrency)
+
+      const response = await fetch('/api/listings/batch', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${window.authToken || ''}`
+        },
+        body: JSON.stringify({
+          listings: results.map((result, index) => ({
+            orderHash: result.hash,
+            orderParameters: result.order,
+            metadata: {
+              name: selected[index].nft.title,
+              description: selected[index].nft.description,
+              image_url: selected[index].nft.media[0]?.gateway || '',
+              metadata_uri: ''
+            }
+          }))
+        })
+      })
+
+      const data = await response.json()
+      if (!data.listings) {
+        throw new Error(data.error || 'Failed to save listings')
+      }
+
+      this._bulkPrices = {}
+      this.setState({ selectMode: false, selectedKeys: [] })
+      this.emit(EVENTS.LISTING_CREATED, { listings: data.listings })
+
+      if (data.errors.length > 0) {
+        const failures = data.errors.map(({ index, error }) => `${selected[index].nft.title}: ${error}`).join('; ')
+        await showAlert(`${data.listings.length} of ${selected.length} NFTs were listed. These could not be: ${failures}`, 'Some Listings Failed')
+      } else {
+        await showAlert(`${data.listings.length} NFTs have been listed!`, 'Listings Created')
+      }
+    } catch (error) {
+      console.error('Bulk listing failed:', error)
+      await showAlert(error.message || 'Failed to list your NFTs. Please try again.', 'Listing Failed')
+    } finally {
+      this.setState({ bulkListing: false })
+    }
+  }
+
+  async acceptOffer(offer) {
+    if (!await showConfirm(`Accept ${formatPrice(offer.amount, offer.currency)} from @${offer.buyer.username} for ${offer.name}?`, 'Accept Offer')) return
+    
+    this.setState({ processingOfferId: offer.id })
+    
+    try {
+      // Check network first
+      await transactionManager.checkNetwork()
+      
+      const { tokenId, criteriaProof } = await this.resolveOfferToken(offer)
+
+      // Approves the NFT and the fee if needed, then fulfills the bidder's order
+      const txHash = await transactionManager.acceptOffer(offer, offer.contractAddress, tokenId, false, criteriaProof)
+      
+      // Notify backend immediately about the acceptance
+      const response = await fetch(`/api/offers/${offer.id}/accept`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ txHash })
+      })
+      
+      if (!response.ok) {
+        console.error('Failed to record offer acceptance:', await response.text())
+        // Continue anyway - the indexer will catch it eventually
+      }
+      
+      await Promise.all([
+        this.fetchReceivedOffers(),
+        this.fetchUserNFTs()
+      ])
+      await showAlert(`You sold ${offer.name} for ${formatPrice(offer.amount, offer.currency)}.`, 'Offer Accepted')
+    } catch (error) {
+      console.error('Failed to accept offer:', error)
+      await showAlert(error.message || 'Failed to accept offer. Please try again.', 'Accept Failed')
+    } finally {
+      this.setState({ processingOfferId: null })
+    }
+  }
+
+  /**
+   * Pick the token to sell into an offer. Collection offers take any token we
+   * hold from the collection; trait offers need one in the criteria set plus its proof.
+   */
+  async resolveOfferToken(offer) {
+    if (!offer.criteriaType) {
+      return { tokenId: offer.tokenId, criteriaProof: [] }
+    }
+
+    const ownedTokenIds = this._state.nfts
+      .filter(n => n.contract.address.toLowerCase() === offer.contractAddress.toLowerCase())
+      .map(n => BigInt(n.tokenId).toString())
+
+    if (offer.criteriaType === 'collection') {
+      if (ownedTokenIds.length === 0) {
+        throw new Error('You no longer hold a token from this collection')
+      }
+      return { tokenId: ownedTokenIds[0], criteriaProof: [] }
+    }
+
+    const criteriaResponse = await fetch(`/api/traits/criteria/${offer.criteriaRoot}`)
+    if (!criteriaResponse.ok) {
+      throw new Error('Could not load the tokens eligible for this offer')
+    }
+    const { tokenIds } = await criteriaResponse.json()
+    const tokenId = ownedTokenIds.find(id => tokenIds.includes(id))
+    if (!tokenId) {
+      throw new Error(`You no longer hold a token with ${offer.traitType}: ${offer.traitValue}`)
+    }
+
+    const proofResponse = await fetch(`/api/traits/criteria/${offer.criteriaRoot}/proof/${tokenId}`)
+    if (!proofResponse.ok) {
+      throw new Error('Could not build the proof for this token')
+    }
+    const { proof } = await proofResponse.json()
+
+    return { tokenId, criteriaProof: proof }
+  }
+
+  async declineOffer(offer) {
+    if (!await showConfirm(`Decline the ${formatPrice(offer.amount, offer.currency)} offer from @${offer.buyer.username}?`, 'Decline Offer')) return
+    
+    try {
+      const response = await fetch(`/api/offers/${offer.id}/decline`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`
+        }
+      })
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to decline offer')
+      }
+      
+      await this.fetchReceivedOffers()
+    } catch (error) {
+      console.error('Failed to decline offer:', error)
+      await showAlert(error.message || 'Failed to decline offer. Please try again.', 'Decline Failed')
+    }
+  }
+
+  // Invalidate every listing and offer the wallet has signed with one transaction,
+  // e.g. after losing a device that had access to it
+  async cancelAllOrders() {
+    const confirmed = await showConfirm(
+      'This cancels every listing and offer you have signed, on chain, in one transaction. You will need to sign new ones to list or bid again.',
+      'Cancel All Orders'
+    )
+    if (!confirmed) return
+
+    this.setState({ cancellingAll: true })
+
+    try {
+      await transactionManager.checkNetwork()
+      const txHash = await transactionManager.cancelAllOrders()
+
+      const response = await fetch('/api/seaport/cancel-all', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ txHash })
+      })
+
+      if (!response.ok) {
+        console.error('Failed to record cancel-all:', await response.text())
+        // The indexer cancels the orders once it sees the CounterIncremented event
+        await showAlert('Your orders were cancelled on chain. It may take a minute for them to disappear here.', 'Orders Cancelled')
+        return
+      }
+
+      const { cancelledListings, cancelledOffers } = await response.json()
+      await Promise.all([this.fetchUserListings(), this.fetchUserStats()])
+      await showAlert(`Cancelled ${cancelledListings.length} listings and ${cancelledOffers.length} offers.`, 'Orders Cancelled')
+    } catch (error) {
+      console.error('Cancel all orders failed:', error)
+      await showAlert(error.message || 'Failed to cancel your orders. Please try again.', 'Cancel Failed')
+    } finally {
+      this.setState({ cancellingAll: false })
+    }
   }
 
   async cancelListing(listing) {
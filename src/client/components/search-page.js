@@ -1,5 +1,6 @@
 import { BaseElement } from './base-element.js'
 import { EVENTS } from '../utils/events.js'
+import { formatPrice } from '../utils/currency.js'
 
 export class SearchPage extends BaseElement {
   constructor() {
@@ -344,7 +345,7 @@ export class SearchPage extends BaseElement {
                   <div class="listing-image" style="background-image: url('${listing.image || '/placeholder.png'}')"></div>
                   <div class="listing-info">
                     <h3 class="listing-title">${listing.name}</h3>
-                    <p class="listing-price">${listing.price} USDC</p>
+                    <p class="listing-price">${formatPrice(listing.price, listing.currency)}</p>
                     <p class="listing-seller">@${listing.seller.username || listing.seller.address.slice(0, 6)}...</p>
                   </div>
                 </div>
@@ -0,0 +1,202 @@
+import { BaseElement } from './base-element.js'
+import { EVENTS } from '../utils/events.js'
+import { transactionManager } from '../utils/transactions.js'
+import { showAlert } from './modal.js'
+import { getCartItems, addToCart, removeFromCart, clearCart, isInCart, MAX_CART_ITEMS } from '../utils/cart.js'
+import { DEFAULT_CURRENCY, formatPrice } from '../utils/currency.js'
+
+// Cart items can be priced in different currencies, so totals are kept per currency
+function formatTotals(items) {
+  const totals = new Map()
+  for (const item of items) {
+    const currency = item.currency || DEFAULT_CURRENCY
+    totals.set(currency, (totals.get(currency) || 0) + item.price)
+  }
+  return [...totals].map(([currency, total]) => formatPrice(total, currency)).join(' + ')
+}
+
+// Floating cart that buys every listing in it with one Seaport transaction.
+// Listings are added from any page through buttons with a data-add-to-cart attribute
+export class SweepCart extends BaseElement {
+  constructor() {
+    super()
+    this._state = {
+      items: getCartItems(),
+      expanded: false,
+      purchasing: false,
+      step: null
+    }
+    this._onDocumentClick = (e) => this.handleAddToCartClick(e)
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    document.addEventListener('click', this._onDocumentClick)
+    this.syncAddButtons()
+
+    this.subscribe(EVENTS.CART_UPDATED, ({ items }) => {
+      this.setState({ items })
+      this.syncAddButtons()
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    document.removeEventListener('click', this._onDocumentClick)
+  }
+
+  handleAddToCartClick(e) {
+    const button = e.target.closest('[data-add-to-cart]')
+    if (!button) return
+
+    // Keep the card's own click (navigate to the listing) from firing
+    e.preventDefault()
+    e.stopPropagation()
+
+    const listingId = button.dataset.listingId
+    if (isInCart(listingId)) {
+      removeFromCart(listingId)
+      return
+    }
+
+    const added = addToCart({
+      id: listingId,
+      name: button.dataset.listingName,
+      image: button.dataset.listingImage,
+      price: button.dataset.listingPrice,
+      currency: button.dataset.listingCurrency
+    })
+    if (!added) {
+      showAlert(`A cart can hold up to ${MAX_CART_ITEMS} listings.`, 'Cart Full')
+    }
+  }
+
+  // Reflect cart membership on every add button on the page
+  syncAddButtons() {
+    document.querySelectorAll('[data-add-to-cart]').forEach(button => {
+      const inCart = isInCart(button.dataset.listingId)
+      button.classList.toggle('in-cart', inCart)
+      button.textContent = inCart ? 'In cart' : 'Add to cart'
+    })
+  }
+
+  render() {
+    const { items, expanded, purchasing, step } = this._state
+
+    if (items.length === 0) {
+      this.innerHTML = ''
+      return
+    }
+
+    const total = formatTotals(items)
+
+    this.innerHTML = `
+      <div class="sweep-cart ${expanded ? 'expanded' : ''}">
+        ${expanded ? `
+          <ul class="sweep-cart-items">
+            ${items.map(item => `
+              <li class="sweep-cart-item">
+                <div class="sweep-cart-item-image" style="background-image: url('${item.image || '/placeholder.png'}')"></div>
+                <span class="sweep-cart-item-name">${item.name || `Listing #${item.id}`}</span>
+                <span class="sweep-cart-item-price">${formatPrice(item.price, item.currency)}</span>
+                <button class="sweep-cart-remove" data-remove-id="${item.id}" ${purchasing ? 'disabled' : ''} aria-label="Remove">×</button>
+              </li>
+            `).join('')}
+          </ul>
+          <div class="sweep-cart-actions">
+            <button class="btn-secondary" id="sweep-cart-clear" ${purchasing ? 'disabled' : ''}>Clear</button>
+            <button class="btn-primary" id="sweep-cart-buy" ${purchasing ? 'disabled' : ''}>
+              ${purchasing ? step : `Buy ${items.length} for ${total}`}
+            </button>
+          </div>
+        ` : ''}
+        <button class="sweep-cart-toggle" id="sweep-cart-toggle">
+          <span>${items.length} in cart</span>
+          <span>${total} + fees</span>
+        </button>
+      </div>
+    `
+  }
+
+  attachEventListeners() {
+    const toggle = this.querySelector('#sweep-cart-toggle')
+    if (toggle) {
+      this.on(toggle, 'click', () => this.setState({ expanded: !this._state.expanded }))
+    }
+
+    this.querySelectorAll('[data-remove-id]').forEach(button => {
+      this.on(button, 'click', () => removeFromCart(button.dataset.removeId))
+    })
+
+    const clearBtn = this.querySelector('#sweep-cart-clear')
+    if (clearBtn) {
+      this.on(clearBtn, 'click', () => clearCart())
+    }
+
+    const buyBtn = this.querySelector('#sweep-cart-buy')
+    if (buyBtn) {
+      this.on(buyBtn, 'click', () => this.handleCheckout())
+    }
+  }
+
+  async handleCheckout() {
+    if (!window.authToken) {
+      await showAlert('Please sign in to buy these listings.', 'Sign In Required')
+      return
+    }
+
+    this.setState({ purchasing: true, step: 'Checking listings...' })
+
+    try {
+      // Fetch the signed orders; listings that sold or were cancelled since they were added are dropped
+      const listings = (await Promise.all(this._state.items.map(async item => {
+        const response = await fetch(`/api/listings/${item.id}`)
+        return response.ok ? response.json() : null
+      }))).filter(listing => listing && listing.status === 'active' && listing.contractType === 'seaport' && listing.orderData)
+
+      if (listings.length === 0) {
+        clearCart()
+        throw new Error('None of the listings in your cart are still available.')
+      }
+
+      await transactionManager.checkNetwork()
+
+      this.setState({ step: 'Approving payment...' })
+      const { hash: txHash } = await transactionManager.sweepListings(listings)
+
+      this.setState({ step: 'Recording purchase...' })
+      const response = await fetch('/api/listings/sweep', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${window.authToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ txHash, listingIds: listings.map(listing => listing.id) })
+      })
+
+      if (!response.ok) {
+        console.error('Failed to record sweep:', await response.text())
+        // The indexer will pick up the sales from the OrderFulfilled events
+        clearCart()
+        await showAlert('Your purchase went through. It may take a minute to show up in your profile.', 'Purchase Complete')
+        return
+      }
+
+      const { filled, unfilled } = await response.json()
+      clearCart()
+
+      const message = unfilled.length > 0
+        ? `You bought ${filled.length} of ${filled.length + unfilled.length} items. The rest were no longer available and you were not charged for them.`
+        : `You bought ${filled.length} items.`
+      await showAlert(message, 'Purchase Complete')
+      this.emit(EVENTS.NFT_PURCHASED, { listingIds: filled.map(listing => listing.id) })
+    } catch (error) {
+      console.error('Sweep failed:', error)
+      await showAlert(error.message || 'Purchase failed. Please try again.', 'Purchase Failed')
+    } finally {
+      this.setState({ purchasing: false, step: null })
+    }
+  }
+}
+
+customElements.define('sweep-cart', SweepCart)
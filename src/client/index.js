@@ -10,10 +10,15 @@ import './components/latest-section.js'
 import './components/profile-tab.js'
 import './components/activity-feed.js'
 import './components/create-listing.js'
+import './components/edit-listing.js'
 import './components/search-page.js'
 import './components/listing-details.js'
+import './components/auction-details.js'
+import './components/sweep-cart.js'
+import './components/collection-offer.js'
 import './components/modal.js'
 import { eventBus, EVENTS } from './utils/events.js'
+import { startLivePrices } from './utils/dutch-auction.js'
 
 console.log('Client index loaded - all components imported')
 
@@ -49,6 +54,9 @@ eventBus.on(EVENTS.TAB_CHANGE, ({ tab }) => {
 
 // NFT_SELECTED event removed - using deeplinked pages now
 
+// Dutch auction prices on server-rendered cards and listing pages tick down live
+startLivePrices()
+
 eventBus.on(EVENTS.FRAME_READY, (data) => {
   console.log('Frame ready:', data)
 })
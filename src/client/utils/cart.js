@@ -0,0 +1,50 @@
+import { EVENTS, emit } from './events.js'
+import { DEFAULT_CURRENCY } from './currency.js'
+
+// Sweep cart of Seaport listings, kept in localStorage so it survives page loads
+const STORAGE_KEY = 'sweep-cart'
+
+// Seaport fills every order in one transaction, so keep the calldata (and gas) reasonable
+export const MAX_CART_ITEMS = 20
+
+function save(items) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(items))
+  emit(EVENTS.CART_UPDATED, { items })
+}
+
+/**
+ * Listings currently in the cart
+ * @returns {Array<{id: number, name: string, image: string, price: number, currency: string}>}
+ */
+export function getCartItems() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch (error) {
+    return []
+  }
+}
+
+export function isInCart(listingId) {
+  return getCartItems().some(item => item.id == listingId)
+}
+
+/**
+ * Add a listing to the cart
+ * @returns {boolean} false if the cart is already full
+ */
+export function addToCart({ id, name, image, price, currency }) {
+  const items = getCartItems()
+  if (items.some(item => item.id == id)) return true
+  if (items.length >= MAX_CART_ITEMS) return false
+
+  save([...items, { id: Number(id), name, image, price: Number(price), currency: currency || DEFAULT_CURRENCY }])
+  return true
+}
+
+export function removeFromCart(listingId) {
+  save(getCartItems().filter(item => item.id != listingId))
+}
+
+export function clearCart() {
+  save([])
+}
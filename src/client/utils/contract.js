@@ -99,7 +99,7 @@ export const NFT_EXCHANGE_ABI = parseAbi([
   'error OfferAlreadyCancelled()'
 ])
 
-// ERC20 ABI for USDC
+// ERC20 ABI for USDC and WETH
 export const ERC20_ABI = parseAbi([
   'function approve(address spender, uint256 amount) returns (bool)',
   'function allowance(address owner, address spender) view returns (uint256)',
@@ -238,8 +238,22 @@ export function fromUSDCAmount(amount) {
  * Helper to check if user has approved USDC spending
  */
 export async function checkUSDCAllowance(userAddress, spenderAddress) {
+  return checkTokenAllowance(ADDRESSES.USDC, userAddress, spenderAddress)
+}
+
+/**
+ * Helper to check user's USDC balance
+ */
+export async function checkUSDCBalance(userAddress) {
+  return checkTokenBalance(ADDRESSES.USDC, userAddress)
+}
+
+/**
+ * Helper to check how much of an ERC20 token (USDC, WETH) a spender may move
+ */
+export async function checkTokenAllowance(tokenAddress, userAddress, spenderAddress) {
   const allowance = await readContract({
-    address: ADDRESSES.USDC,
+    address: tokenAddress,
     abi: ERC20_ABI,
     functionName: 'allowance',
     args: [userAddress, spenderAddress]
@@ -249,11 +263,16 @@ export async function checkUSDCAllowance(userAddress, spenderAddress) {
 }
 
 /**
- * Helper to check user's USDC balance
+ * Helper to check user's balance of an ERC20 token, or of native ETH when
+ * tokenAddress is the zero address
  */
-export async function checkUSDCBalance(userAddress) {
+export async function checkTokenBalance(tokenAddress, userAddress) {
+  if (BigInt(tokenAddress) === 0n) {
+    return BigInt(await rpcCall('eth_getBalance', [userAddress, 'latest']))
+  }
+
   const balance = await readContract({
-    address: ADDRESSES.USDC,
+    address: tokenAddress,
     abi: ERC20_ABI,
     functionName: 'balanceOf',
     args: [userAddress]
@@ -292,6 +311,20 @@ export async function checkNFTOwnership(nftContract, tokenId, ownerAddress, isER
   }
 }
 
+/**
+ * Helper to get how many copies of an ERC1155 token the owner holds
+ */
+export async function getERC1155Balance(nftContract, tokenId, ownerAddress) {
+  const balance = await readContract({
+    address: nftContract,
+    abi: ERC1155_ABI,
+    functionName: 'balanceOf',
+    args: [ownerAddress, BigInt(tokenId)]
+  })
+
+  return BigInt(balance)
+}
+
 /**
  * Helper to check NFT approval status
  */
@@ -0,0 +1,77 @@
+// Payment currencies - mirrors src/server/utils/currency.js
+import { parseUnits } from 'viem'
+import { ItemType, USDC_ADDRESS, WETH_ADDRESS, NATIVE_TOKEN_ADDRESS } from './seaport-config.js'
+
+export const DEFAULT_CURRENCY = 'USDC'
+
+export const CURRENCIES = {
+  USDC: { symbol: 'USDC', itemType: ItemType.ERC20, token: USDC_ADDRESS, decimals: 6, displayDecimals: 2 },
+  ETH: { symbol: 'ETH', itemType: ItemType.NATIVE, token: NATIVE_TOKEN_ADDRESS, decimals: 18, displayDecimals: 4 },
+  WETH: { symbol: 'WETH', itemType: ItemType.ERC20, token: WETH_ADDRESS, decimals: 18, displayDecimals: 4 }
+}
+
+/**
+ * Settings for a currency symbol, falling back to USDC for rows from before
+ * listings had a currency
+ * @param {string} [symbol]
+ */
+export function getCurrency(symbol) {
+  return CURRENCIES[symbol] || CURRENCIES[DEFAULT_CURRENCY]
+}
+
+/**
+ * Offers can't escrow native ETH, so bids on ETH listings are made in WETH
+ * @param {string} [symbol] - Currency of the listing being bid on
+ * @returns {string}
+ */
+export function getOfferCurrency(symbol) {
+  return symbol === 'ETH' ? 'WETH' : getCurrency(symbol).symbol
+}
+
+/**
+ * Currency paid by a Seaport offer or consideration item
+ * @param {Object} item - Item with itemType and token
+ * @returns {string|null} Currency symbol, or null for anything that isn't a supported payment
+ */
+export function getItemCurrency(item) {
+  const token = item.token.toLowerCase()
+  return Object.keys(CURRENCIES).find(symbol =>
+    CURRENCIES[symbol].itemType === Number(item.itemType) && CURRENCIES[symbol].token.toLowerCase() === token
+  ) || null
+}
+
+/**
+ * Convert a decimal amount to the currency's base units
+ * @param {number|string} amount
+ * @param {string} [symbol]
+ * @returns {bigint}
+ */
+export function toBaseUnits(amount, symbol) {
+  const { decimals } = getCurrency(symbol)
+  // Plain decimal notation, since parseUnits can't read exponents like 1e-7
+  const value = Number(amount).toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: decimals })
+  return parseUnits(value, decimals)
+}
+
+/**
+ * Amount rounded for display in its currency, without the symbol
+ * @param {number|string} amount
+ * @param {string} [symbol]
+ * @returns {string}
+ */
+export function formatAmount(amount, symbol) {
+  const { displayDecimals } = getCurrency(symbol)
+  const value = Number(amount || 0)
+  // USDC always shows cents; ETH amounts drop trailing zeros
+  return getCurrency(symbol).symbol === 'USDC' ? value.toFixed(displayDecimals) : String(Number(value.toFixed(displayDecimals)))
+}
+
+/**
+ * Amount with its currency symbol, e.g. "12.50 USDC" or "0.05 ETH"
+ * @param {number|string} amount
+ * @param {string} [symbol]
+ * @returns {string}
+ */
+export function formatPrice(amount, symbol) {
+  return `${formatAmount(amount, symbol)} ${getCurrency(symbol).symbol}`
+}
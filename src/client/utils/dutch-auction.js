@@ -0,0 +1,38 @@
+// Dutch auction pricing - mirrors src/server/utils/dutch-auction.js
+import { formatAmount } from './currency.js'
+
+/**
+ * Current price of a declining-price listing, interpolated like Seaport does
+ * @param {Object} auction - { startPrice, endPrice, startTime, endTime }
+ * @param {number} [now] - Timestamp in milliseconds
+ * @returns {number} Current price in USDC, rounded up to USDC precision
+ */
+export function getCurrentPrice({ startPrice, endPrice, startTime, endTime }, now = Date.now()) {
+  const start = new Date(startTime).getTime()
+  const end = new Date(endTime).getTime()
+  const duration = end - start
+  const progress = duration > 0 ? Math.min(1, Math.max(0, (now - start) / duration)) : 1
+  const price = Number(startPrice) + (Number(endPrice) - Number(startPrice)) * progress
+
+  return Math.ceil(price * 1e6) / 1e6
+}
+
+function updateLivePrices() {
+  document.querySelectorAll('[data-dutch-auction]').forEach(element => {
+    const price = getCurrentPrice({
+      startPrice: element.dataset.startPrice,
+      endPrice: element.dataset.endPrice,
+      startTime: element.dataset.startTime,
+      endTime: element.dataset.endTime
+    })
+    element.textContent = formatAmount(price, element.dataset.currency)
+  })
+}
+
+/**
+ * Count down every server-rendered Dutch auction price on the page
+ */
+export function startLivePrices(interval = 1000) {
+  updateLivePrices()
+  return setInterval(updateLivePrices, interval)
+}
@@ -32,6 +32,9 @@ export const EVENTS = {
   EDIT_LISTING: 'nft:edit-listing',
   LISTING_CREATED: 'nft:listing-created',
   
+  // Cart events
+  CART_UPDATED: 'cart:updated',
+  
   // UI events
   MODAL_OPEN: 'ui:modal-open',
   MODAL_CLOSE: 'ui:modal-close',
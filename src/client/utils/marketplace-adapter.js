@@ -1,14 +1,268 @@
-import { parseUnits, formatUnits, encodePacked, keccak256 } from 'viem'
+import { parseUnits, formatUnits, encodePacked, keccak256, concat, toHex, hashStruct } from 'viem'
 import { 
   SEAPORT_ADDRESS, 
   USDC_ADDRESS, 
   FEE_RECIPIENT,
   FEE_BASIS_POINTS,
+  CONDUIT_KEY,
   ItemType,
   OrderType,
   calculateFeeAmounts 
 } from './seaport-config.js'
 import { NFT_EXCHANGE_ADDRESS, NFT_EXCHANGE_ABI } from './contract.js'
+import { getCurrency, toBaseUnits } from './currency.js'
+
+// Native ETH an order's consideration asks for, which the fulfiller sends as the
+// transaction value. Dutch auctions only get cheaper, so startAmount always covers
+// it and Seaport refunds whatever is left over
+function getNativeValue(parameters) {
+  return parameters.consideration
+    .filter(item => Number(item.itemType) === ItemType.NATIVE)
+    .reduce((total, item) => total + BigInt(item.startAmount), 0n)
+}
+
+// Scale per-copy seller, fee and royalty amounts up to a quantity listing's totals
+function multiplyAmounts({ sellerAmount, feeAmount, royaltyAmount = '0' }, quantity) {
+  return {
+    sellerAmount: (BigInt(sellerAmount) * BigInt(quantity)).toString(),
+    feeAmount: (BigInt(feeAmount) * BigInt(quantity)).toString(),
+    royaltyAmount: (BigInt(royaltyAmount) * BigInt(quantity)).toString()
+  }
+}
+
+// EIP-712 domain and types orders are signed with
+const SEAPORT_DOMAIN = {
+  name: "Seaport",
+  version: "1.6",
+  chainId: 8453,
+  verifyingContract: SEAPORT_ADDRESS
+}
+
+const ORDER_EIP712_TYPES = {
+  OrderComponents: [
+    { name: "offerer", type: "address" },
+    { name: "zone", type: "address" },
+    { name: "offer", type: "OfferItem[]" },
+    { name: "consideration", type: "ConsiderationItem[]" },
+    { name: "orderType", type: "uint8" },
+    { name: "startTime", type: "uint256" },
+    { name: "endTime", type: "uint256" },
+    { name: "zoneHash", type: "bytes32" },
+    { name: "salt", type: "uint256" },
+    { name: "conduitKey", type: "bytes32" },
+    { name: "counter", type: "uint256" }
+  ],
+  OfferItem: [
+    { name: "itemType", type: "uint8" },
+    { name: "token", type: "address" },
+    { name: "identifierOrCriteria", type: "uint256" },
+    { name: "startAmount", type: "uint256" },
+    { name: "endAmount", type: "uint256" }
+  ],
+  ConsiderationItem: [
+    { name: "itemType", type: "uint8" },
+    { name: "token", type: "address" },
+    { name: "identifierOrCriteria", type: "uint256" },
+    { name: "startAmount", type: "uint256" },
+    { name: "endAmount", type: "uint256" },
+    { name: "recipient", type: "address" }
+  ]
+}
+
+// Filler leaf for bulk order trees, which Seaport needs padded to a power of two
+const EMPTY_ORDER_COMPONENTS = {
+  offerer: '0x0000000000000000000000000000000000000000',
+  zone: '0x0000000000000000000000000000000000000000',
+  offer: [],
+  consideration: [],
+  orderType: 0,
+  startTime: '0',
+  endTime: '0',
+  zoneHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
+  salt: '0',
+  conduitKey: '0x0000000000000000000000000000000000000000000000000000000000000000',
+  counter: '0'
+}
+
+// Seaport accepts bulk order trees up to 2^24 leaves; wallets struggle long before that
+const MAX_BULK_ORDER_HEIGHT = 24
+
+// Nest a power-of-two list of leaves into the BulkOrder `tree` value: each level
+// is a pair, so the first half of the leaves goes into index 0
+function toBulkOrderTree(leaves) {
+  if (leaves.length === 2) return leaves
+  const half = leaves.length / 2
+  return [toBulkOrderTree(leaves.slice(0, half)), toBulkOrderTree(leaves.slice(half))]
+}
+
+// Seaport OrderParameters tuple, shared by the fulfillment ABIs below
+const ORDER_PARAMETERS_COMPONENTS = [
+  { name: 'offerer', type: 'address' },
+  { name: 'zone', type: 'address' },
+  { name: 'offer', type: 'tuple[]', components: [
+    { name: 'itemType', type: 'uint8' },
+    { name: 'token', type: 'address' },
+    { name: 'identifierOrCriteria', type: 'uint256' },
+    { name: 'startAmount', type: 'uint256' },
+    { name: 'endAmount', type: 'uint256' }
+  ]},
+  { name: 'consideration', type: 'tuple[]', components: [
+    { name: 'itemType', type: 'uint8' },
+    { name: 'token', type: 'address' },
+    { name: 'identifierOrCriteria', type: 'uint256' },
+    { name: 'startAmount', type: 'uint256' },
+    { name: 'endAmount', type: 'uint256' },
+    { name: 'recipient', type: 'address' }
+  ]},
+  { name: 'orderType', type: 'uint8' },
+  { name: 'startTime', type: 'uint256' },
+  { name: 'endTime', type: 'uint256' },
+  { name: 'zoneHash', type: 'bytes32' },
+  { name: 'salt', type: 'uint256' },
+  { name: 'conduitKey', type: 'bytes32' },
+  { name: 'totalOriginalConsiderationItems', type: 'uint256' }
+]
+
+// Seaport fulfillOrder, shared by listing purchases and offer acceptance
+const FULFILL_ORDER_ABI = [{
+  name: 'fulfillOrder',
+  type: 'function',
+  stateMutability: 'payable',
+  inputs: [
+    {
+      name: 'order',
+      type: 'tuple',
+      components: [
+        { name: 'parameters', type: 'tuple', components: ORDER_PARAMETERS_COMPONENTS },
+        { name: 'signature', type: 'bytes' }
+      ]
+    },
+    { name: 'fulfillerConduitKey', type: 'bytes32' }
+  ],
+  outputs: [{ name: 'fulfilled', type: 'bool' }]
+}]
+
+// Seaport fulfillAdvancedOrder, needed to resolve criteria items (collection and trait offers)
+const FULFILL_ADVANCED_ORDER_ABI = [{
+  name: 'fulfillAdvancedOrder',
+  type: 'function',
+  stateMutability: 'payable',
+  inputs: [
+    {
+      name: 'advancedOrder',
+      type: 'tuple',
+      components: [
+        { name: 'parameters', type: 'tuple', components: ORDER_PARAMETERS_COMPONENTS },
+        { name: 'numerator', type: 'uint120' },
+        { name: 'denominator', type: 'uint120' },
+        { name: 'signature', type: 'bytes' },
+        { name: 'extraData', type: 'bytes' }
+      ]
+    },
+    {
+      name: 'criteriaResolvers',
+      type: 'tuple[]',
+      components: [
+        { name: 'orderIndex', type: 'uint256' },
+        { name: 'side', type: 'uint8' },
+        { name: 'index', type: 'uint256' },
+        { name: 'identifier', type: 'uint256' },
+        { name: 'criteriaProof', type: 'bytes32[]' }
+      ]
+    },
+    { name: 'fulfillerConduitKey', type: 'bytes32' },
+    { name: 'recipient', type: 'address' }
+  ],
+  outputs: [{ name: 'fulfilled', type: 'bool' }]
+}]
+
+// CriteriaResolver side for consideration items
+const SIDE_CONSIDERATION = 1
+
+const FULFILLMENT_COMPONENT = [
+  { name: 'orderIndex', type: 'uint256' },
+  { name: 'itemIndex', type: 'uint256' }
+]
+
+// Seaport fulfillAvailableAdvancedOrders, used to sweep several listings in one transaction.
+// Orders that were filled or cancelled in the meantime are skipped instead of reverting
+const FULFILL_AVAILABLE_ADVANCED_ORDERS_ABI = [{
+  name: 'fulfillAvailableAdvancedOrders',
+  type: 'function',
+  stateMutability: 'payable',
+  inputs: [
+    {
+      name: 'advancedOrders',
+      type: 'tuple[]',
+      components: [
+        { name: 'parameters', type: 'tuple', components: ORDER_PARAMETERS_COMPONENTS },
+        { name: 'numerator', type: 'uint120' },
+        { name: 'denominator', type: 'uint120' },
+        { name: 'signature', type: 'bytes' },
+        { name: 'extraData', type: 'bytes' }
+      ]
+    },
+    {
+      name: 'criteriaResolvers',
+      type: 'tuple[]',
+      components: [
+        { name: 'orderIndex', type: 'uint256' },
+        { name: 'side', type: 'uint8' },
+        { name: 'index', type: 'uint256' },
+        { name: 'identifier', type: 'uint256' },
+        { name: 'criteriaProof', type: 'bytes32[]' }
+      ]
+    },
+    { name: 'offerFulfillments', type: 'tuple[][]', components: FULFILLMENT_COMPONENT },
+    { name: 'considerationFulfillments', type: 'tuple[][]', components: FULFILLMENT_COMPONENT },
+    { name: 'fulfillerConduitKey', type: 'bytes32' },
+    { name: 'recipient', type: 'address' },
+    { name: 'maximumFulfilled', type: 'uint256' }
+  ],
+  outputs: [
+    { name: 'availableOrders', type: 'bool[]' },
+    { name: 'executions', type: 'tuple[]', components: [
+      { name: 'item', type: 'tuple', components: [
+        { name: 'itemType', type: 'uint8' },
+        { name: 'token', type: 'address' },
+        { name: 'identifier', type: 'uint256' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'recipient', type: 'address' }
+      ]},
+      { name: 'offerer', type: 'address' },
+      { name: 'conduitKey', type: 'bytes32' }
+    ]}
+  ]
+}]
+
+/**
+ * Group order items so Seaport can aggregate matching transfers: every NFT is
+ * its own transfer, while payments to the same recipient in the same token
+ * (e.g. all the marketplace fees) are combined into one
+ */
+function buildFulfillments(ordersParameters) {
+  const offerFulfillments = []
+  const considerationGroups = new Map()
+
+  ordersParameters.forEach((parameters, orderIndex) => {
+    parameters.offer.forEach((item, itemIndex) => {
+      offerFulfillments.push([{ orderIndex: BigInt(orderIndex), itemIndex: BigInt(itemIndex) }])
+    })
+
+    parameters.consideration.forEach((item, itemIndex) => {
+      const key = [item.itemType, item.token, item.identifierOrCriteria, item.recipient]
+        .map(value => String(value).toLowerCase())
+        .join(':')
+      if (!considerationGroups.has(key)) considerationGroups.set(key, [])
+      considerationGroups.get(key).push({ orderIndex: BigInt(orderIndex), itemIndex: BigInt(itemIndex) })
+    })
+  })
+
+  return {
+    offerFulfillments,
+    considerationFulfillments: [...considerationGroups.values()]
+  }
+}
 
 // Base marketplace adapter class
 export class MarketplaceAdapter {
@@ -25,6 +279,10 @@ export class MarketplaceAdapter {
     throw new Error('Not implemented')
   }
 
+  async buyListings(listings) {
+    throw new Error('Not implemented')
+  }
+
   async cancelListing(listingId) {
     throw new Error('Not implemented')
   }
@@ -126,292 +384,343 @@ export class SeaportAdapter extends MarketplaceAdapter {
     this.publicClient = publicClient
   }
 
-  async createListing(nft, price, duration) {
-    const priceInWei = parseUnits(price.toString(), 6)
-    const { sellerAmount, feeAmount } = calculateFeeAmounts(priceInWei.toString())
+  /**
+   * Sign a listing. Passing endPrice makes it a Dutch auction: Seaport lowers
+   * the price linearly from price to endPrice over the listing's duration.
+   * Passing an array of NFTs signs one order that sells them together as a bundle.
+   * A quantity above 1 lists that many ERC1155 copies at `price` each as a
+   * PARTIAL_OPEN order, so buyers can take any number of them.
+   * Passing buyerAddress makes it a private listing: the order is restricted
+   * with the buyer's wallet as its zone, and Seaport only skips the zone check
+   * when the zone itself fulfills, so nobody else can buy it.
+   * `currency` is 'USDC', 'WETH' or 'ETH'; the fee is paid in the same currency.
+   * `royalty` ({ recipient, bps } from /api/listings/royalty) adds the creator's
+   * cut as another consideration item, paid out of the price like the fee.
+   */
+  async createListing(nft, price, duration, endPrice = null, quantity = 1, buyerAddress = null, currency = 'USDC', royalty = null) {
+    const order = this.buildListingOrder(nft, price, duration, endPrice, quantity, buyerAddress, currency, royalty)
+
+    console.log('Creating Seaport order with parameters:', order)
+    
+    try {
+      // For Seaport, we need to:
+      // 1. Get the order components with proper formatting
+      // 2. Sign the order
+      // 3. Return the order hash and signed order
+      const orderParameters = this.buildOrderParameters(order)
+      
+      console.log('Order parameters before getting counter:', orderParameters)
+      
+      return await this.signOrder(orderParameters)
+    } catch (error) {
+      console.error('Error creating Seaport order:', error)
+      console.error('Error stack:', error.stack)
+      throw error
+    }
+  }
+
+  /**
+   * Sign several single-NFT listings with one wallet prompt, as a Seaport bulk
+   * order. Each entry of `listings` is { nft, price, royalty } with the same
+   * meaning as in createListing; they share the duration and currency.
+   * Resolves to one signed order per listing, in the same order.
+   */
+  async createBulkListings(listings, duration, currency = 'USDC') {
+    const ordersParameters = listings.map(({ nft, price, royalty = null }) =>
+      this.buildOrderParameters(this.buildListingOrder(nft, price, duration, null, 1, null, currency, royalty))
+    )
+    return this.signBulkOrder(ordersParameters)
+  }
+
+  /**
+   * Order description (see buildOrderParameters) for a listing, from the same
+   * arguments as createListing
+   */
+  buildListingOrder(nft, price, duration, endPrice, quantity, buyerAddress, currency, royalty) {
+    const nfts = Array.isArray(nft) ? nft : [nft]
+    const payment = getCurrency(currency)
+    // Sellers who are their own royalty recipient just keep it as proceeds
+    const royaltyBps = royalty && royalty.recipient.toLowerCase() !== this.account.toLowerCase() ? royalty.bps : 0
+    // Amounts are worked out per copy and multiplied up, so every partial fill divides evenly
+    const { sellerAmount, feeAmount, royaltyAmount } = multiplyAmounts(
+      calculateFeeAmounts(toBaseUnits(price, currency).toString(), royaltyBps),
+      quantity
+    )
+    const endAmounts = endPrice !== null
+      ? multiplyAmounts(calculateFeeAmounts(toBaseUnits(endPrice, currency).toString(), royaltyBps), quantity)
+      : { sellerAmount, feeAmount, royaltyAmount }
     
     const endTime = Math.floor(Date.now() / 1000) + duration
 
-    const order = {
-      offer: [{
-        itemType: nft.isERC721 ? ItemType.ERC721 : ItemType.ERC1155,
-        token: nft.contract,
-        identifier: nft.tokenId.toString(),
-        amount: "1"
-      }],
+    return {
+      offer: nfts.map(item => ({
+        itemType: item.isERC721 ? ItemType.ERC721 : ItemType.ERC1155,
+        token: item.contract,
+        identifier: item.tokenId.toString(),
+        amount: quantity.toString()
+      })),
       consideration: [
         {
-          itemType: ItemType.ERC20,
-          token: USDC_ADDRESS,
+          itemType: payment.itemType,
+          token: payment.token,
           amount: sellerAmount,
+          endAmount: endAmounts.sellerAmount,
           recipient: this.account
         },
         {
-          itemType: ItemType.ERC20,
-          token: USDC_ADDRESS,
+          itemType: payment.itemType,
+          token: payment.token,
           amount: feeAmount,
+          endAmount: endAmounts.feeAmount,
           recipient: FEE_RECIPIENT
-        }
+        },
+        ...(royaltyAmount !== '0' || endAmounts.royaltyAmount !== '0' ? [{
+          itemType: payment.itemType,
+          token: payment.token,
+          amount: royaltyAmount,
+          endAmount: endAmounts.royaltyAmount,
+          recipient: royalty.recipient
+        }] : [])
       ],
       endTime,
-      orderType: OrderType.FULL_OPEN,
-      zone: '0x0000000000000000000000000000000000000000',
+      orderType: buyerAddress
+        ? (quantity > 1 ? OrderType.PARTIAL_RESTRICTED : OrderType.FULL_RESTRICTED)
+        : (quantity > 1 ? OrderType.PARTIAL_OPEN : OrderType.FULL_OPEN),
+      zone: buyerAddress || '0x0000000000000000000000000000000000000000',
       zoneHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
       conduitKey: '0x0000000000000000000000000000000000000000000000000000000000000000'
     }
+  }
+
+  /**
+   * Convert an order description (offer/consideration with `identifier` and `amount`)
+   * into Seaport 1.6 OrderComponents. The counter is filled in by signOrder.
+   */
+  buildOrderParameters(order) {
+    return {
+      offerer: this.account,
+      zone: order.zone || '0x0000000000000000000000000000000000000000',
+      offer: order.offer.map(item => {
+        const amount = item.amount ? BigInt(item.amount).toString() : "1";
+        const formatted = {
+          itemType: item.itemType,
+          token: item.token,
+          startAmount: amount,  // Seaport 1.6 uses startAmount
+          endAmount: amount,    // Same as startAmount for fixed-price orders
+          identifierOrCriteria: item.identifier ? BigInt(item.identifier).toString() : "0"  // Always include for all items in 1.6
+        };
+        return formatted;
+      }),
+      consideration: order.consideration.map(item => {
+        const amount = item.amount ? BigInt(item.amount).toString() : "0";
+        const formatted = {
+          itemType: item.itemType,
+          token: item.token,
+          startAmount: amount,  // Seaport 1.6 uses startAmount
+          endAmount: item.endAmount ? BigInt(item.endAmount).toString() : amount,  // Lower than startAmount for Dutch auctions
+          identifierOrCriteria: item.identifier ? BigInt(item.identifier).toString() : "0",  // Required for all items in 1.6, "0" for ERC20
+          recipient: item.recipient
+        };
+        return formatted;
+      }),
+      orderType: order.orderType,
+      startTime: Math.floor(Date.now() / 1000).toString(),
+      endTime: order.endTime.toString(),
+      zoneHash: order.zoneHash || '0x0000000000000000000000000000000000000000000000000000000000000000',
+      salt: `0x${[...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, '0')).join('')}`,
+      conduitKey: order.conduitKey || '0x0000000000000000000000000000000000000000000000000000000000000000',
+      counter: "0" // Will be fetched from chain
+    }
+  }
 
-    console.log('Creating Seaport order with parameters:', order)
+  /**
+   * The account's current Seaport counter, which every order it signs must carry
+   */
+  async getCounter() {
+    return this.publicClient.readContract({
+      address: SEAPORT_ADDRESS,
+      abi: [{
+        name: 'getCounter',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{ name: 'offerer', type: 'address' }],
+        outputs: [{ name: 'counter', type: 'uint256' }]
+      }],
+      functionName: 'getCounter',
+      args: [this.account]
+    })
+  }
+
+  /**
+   * Fetch the offerer's counter, compute the order hash and sign the order off-chain
+   */
+  async signOrder(orderParameters) {
+    // Get the current counter from the contract
+    const counterData = await this.getCounter()
+    console.log('Counter from Seaport:', counterData, 'Type:', typeof counterData)
+    orderParameters.counter = counterData.toString()
     
-    try {
-      // For Seaport, we need to:
-      // 1. Get the order components with proper formatting
-      // 2. Sign the order
-      // 3. Return the order hash and signed order
-      
-      // Log individual values to find the null
-      console.log('Debugging order values:', {
-        'nft.contract': nft.contract,
-        'nft.tokenId': nft.tokenId,
-        'sellerAmount': sellerAmount,
-        'feeAmount': feeAmount,
-        'this.account': this.account,
-        'order.endTime': order.endTime
-      })
-      
-      // Get standardized order parameters with proper BigNumber formatting
-      const orderParameters = {
-        offerer: this.account,
-        zone: order.zone || '0x0000000000000000000000000000000000000000',
-        offer: order.offer.map(item => {
-          const amount = item.amount ? BigInt(item.amount).toString() : "1";
-          const formatted = {
-            itemType: item.itemType,
-            token: item.token,
-            startAmount: amount,  // Seaport 1.6 uses startAmount
-            endAmount: amount,    // Same as startAmount for fixed-price listings
-            identifierOrCriteria: item.identifier ? BigInt(item.identifier).toString() : "0"  // Always include for all items in 1.6
-          };
-          return formatted;
-        }),
-        consideration: order.consideration.map(item => {
-          const amount = item.amount ? BigInt(item.amount).toString() : "0";
-          const formatted = {
-            itemType: item.itemType,
-            token: item.token,
-            startAmount: amount,  // Seaport 1.6 uses startAmount
-            endAmount: amount,    // Same as startAmount for fixed-price listings
-            identifierOrCriteria: "0",  // Required for all items in 1.6, "0" for ERC20
-            recipient: item.recipient
-          };
-          return formatted;
-        }),
-        orderType: order.orderType,
-        startTime: Math.floor(Date.now() / 1000).toString(),
-        endTime: order.endTime.toString(),
-        zoneHash: order.zoneHash || '0x0000000000000000000000000000000000000000000000000000000000000000',
-        salt: `0x${[...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, '0')).join('')}`,
-        conduitKey: order.conduitKey || '0x0000000000000000000000000000000000000000000000000000000000000000',
-        counter: "0" // Will be fetched from chain
-      }
-      
-      console.log('Order parameters before getting counter:', orderParameters)
-      
-      // Get the current counter from the contract
-      const counterData = await this.publicClient.readContract({
-        address: SEAPORT_ADDRESS,
-        abi: [{
-          name: 'getCounter',
-          type: 'function',
-          stateMutability: 'view',
-          inputs: [{ name: 'offerer', type: 'address' }],
-          outputs: [{ name: 'counter', type: 'uint256' }]
-        }],
-        functionName: 'getCounter',
-        args: [this.account]
-      })
-      console.log('Counter from Seaport:', counterData, 'Type:', typeof counterData)
-      orderParameters.counter = counterData.toString()
-      
-      console.log('Final order parameters:', orderParameters)
-      
-      // Calculate order hash using viem's keccak256 and proper EIP-712 encoding
-      console.log('Calculating order hash with EIP-712...')
-      
-      // Encode the order parameters for hashing according to Seaport 1.6
-      // The order hash is keccak256 of the encoded order parameters
-      const orderHash = await this.publicClient.readContract({
-        address: SEAPORT_ADDRESS,
-        abi: [{
-          name: 'getOrderHash',
-          type: 'function',
-          stateMutability: 'view',
-          inputs: [{
-            name: 'orderComponents',
-            type: 'tuple',
-            components: [
-              { name: 'offerer', type: 'address' },
-              { name: 'zone', type: 'address' },
-              { name: 'offer', type: 'tuple[]', components: [
-                { name: 'itemType', type: 'uint8' },
-                { name: 'token', type: 'address' },
-                { name: 'identifierOrCriteria', type: 'uint256' },
-                { name: 'startAmount', type: 'uint256' },
-                { name: 'endAmount', type: 'uint256' }
-              ]},
-              { name: 'consideration', type: 'tuple[]', components: [
-                { name: 'itemType', type: 'uint8' },
-                { name: 'token', type: 'address' },
-                { name: 'identifierOrCriteria', type: 'uint256' },
-                { name: 'startAmount', type: 'uint256' },
-                { name: 'endAmount', type: 'uint256' },
-                { name: 'recipient', type: 'address' }
-              ]},
-              { name: 'orderType', type: 'uint8' },
-              { name: 'startTime', type: 'uint256' },
-              { name: 'endTime', type: 'uint256' },
-              { name: 'zoneHash', type: 'bytes32' },
-              { name: 'salt', type: 'uint256' },
-              { name: 'conduitKey', type: 'bytes32' },
-              { name: 'counter', type: 'uint256' }
-            ]
-          }],
-          outputs: [{ name: 'orderHash', type: 'bytes32' }]
+    console.log('Final order parameters:', orderParameters)
+    
+    // Calculate order hash using viem's keccak256 and proper EIP-712 encoding
+    console.log('Calculating order hash with EIP-712...')
+    
+    // Encode the order parameters for hashing according to Seaport 1.6
+    // The order hash is keccak256 of the encoded order parameters
+    const orderHash = await this.publicClient.readContract({
+      address: SEAPORT_ADDRESS,
+      abi: [{
+        name: 'getOrderHash',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{
+          name: 'orderComponents',
+          type: 'tuple',
+          components: [
+            { name: 'offerer', type: 'address' },
+            { name: 'zone', type: 'address' },
+            { name: 'offer', type: 'tuple[]', components: [
+              { name: 'itemType', type: 'uint8' },
+              { name: 'token', type: 'address' },
+              { name: 'identifierOrCriteria', type: 'uint256' },
+              { name: 'startAmount', type: 'uint256' },
+              { name: 'endAmount', type: 'uint256' }
+            ]},
+            { name: 'consideration', type: 'tuple[]', components: [
+              { name: 'itemType', type: 'uint8' },
+              { name: 'token', type: 'address' },
+              { name: 'identifierOrCriteria', type: 'uint256' },
+              { name: 'startAmount', type: 'uint256' },
+              { name: 'endAmount', type: 'uint256' },
+              { name: 'recipient', type: 'address' }
+            ]},
+            { name: 'orderType', type: 'uint8' },
+            { name: 'startTime', type: 'uint256' },
+            { name: 'endTime', type: 'uint256' },
+            { name: 'zoneHash', type: 'bytes32' },
+            { name: 'salt', type: 'uint256' },
+            { name: 'conduitKey', type: 'bytes32' },
+            { name: 'counter', type: 'uint256' }
+          ]
         }],
-        functionName: 'getOrderHash',
-        args: [orderParameters]
-      })
-      
-      console.log('Order hash:', orderHash)
-      
-      // Sign the order off-chain using Frame's ethProvider
-      console.log('Signing order off-chain using Frame ethProvider...')
-      
-      // Import frameUtils to access the ethProvider
-      const { frameUtils } = await import('../components/frame-provider.js')
-      const ethProvider = frameUtils.sdk.wallet.ethProvider
-      
-      const domain = {
-        name: "Seaport",
-        version: "1.6",
-        chainId: 8453,
-        verifyingContract: SEAPORT_ADDRESS
-      }
-      
-      const types = {
-        OrderComponents: [
-          { name: "offerer", type: "address" },
-          { name: "zone", type: "address" },
-          { name: "offer", type: "OfferItem[]" },
-          { name: "consideration", type: "ConsiderationItem[]" },
-          { name: "orderType", type: "uint8" },
-          { name: "startTime", type: "uint256" },
-          { name: "endTime", type: "uint256" },
-          { name: "zoneHash", type: "bytes32" },
-          { name: "salt", type: "uint256" },
-          { name: "conduitKey", type: "bytes32" },
-          { name: "counter", type: "uint256" }
-        ],
-        OfferItem: [
-          { name: "itemType", type: "uint8" },
-          { name: "token", type: "address" },
-          { name: "identifierOrCriteria", type: "uint256" },
-          { name: "startAmount", type: "uint256" },
-          { name: "endAmount", type: "uint256" }
-        ],
-        ConsiderationItem: [
-          { name: "itemType", type: "uint8" },
-          { name: "token", type: "address" },
-          { name: "identifierOrCriteria", type: "uint256" },
-          { name: "startAmount", type: "uint256" },
-          { name: "endAmount", type: "uint256" },
-          { name: "recipient", type: "address" }
-        ]
-      }
-      
-      const typedData = {
-        domain,
-        types,
-        primaryType: 'OrderComponents',
-        message: orderParameters
+        outputs: [{ name: 'orderHash', type: 'bytes32' }]
+      }],
+      functionName: 'getOrderHash',
+      args: [orderParameters]
+    })
+    
+    console.log('Order hash:', orderHash)
+    
+    // Sign the order off-chain using Frame's ethProvider
+    console.log('Signing order off-chain using Frame ethProvider...')
+    
+    // Import frameUtils to access the ethProvider
+    const { frameUtils } = await import('../components/frame-provider.js')
+    const ethProvider = frameUtils.sdk.wallet.ethProvider
+    
+    const typedData = {
+      domain: SEAPORT_DOMAIN,
+      types: ORDER_EIP712_TYPES,
+      primaryType: 'OrderComponents',
+      message: orderParameters
+    }
+
+    console.log('Calling eth_signTypedData_v4 with params:', [this.account, JSON.stringify(typedData)])
+
+    // Use eth_signTypedData_v4 directly through the Frame's ethProvider
+    const signature = await ethProvider.request({
+      method: 'eth_signTypedData_v4',
+      params: [this.account, JSON.stringify(typedData)]
+    })
+    
+    console.log('Order signature:', signature)
+    
+    // Return the signed order data
+    return {
+      hash: orderHash,
+      contractType: 'seaport',
+      order: {
+        parameters: orderParameters,
+        signature: signature
       }
+    }
+  }
 
-      console.log('Calling eth_signTypedData_v4 with params:', [this.account, JSON.stringify(typedData)])
+  /**
+   * Sign several orders with a single signature over a Seaport BulkOrder tree.
+   * Leaves are the orders padded to a power of two with empty orders. Every
+   * order gets the shared signature followed by its uint24 index in the tree
+   * and the Merkle proof from its leaf to the root, which Seaport verifies
+   * against the signed root when the order is filled.
+   */
+  async signBulkOrder(ordersParameters) {
+    const counter = (await this.getCounter()).toString()
+    ordersParameters.forEach(orderParameters => { orderParameters.counter = counter })
 
-      // Use eth_signTypedData_v4 directly through the Frame's ethProvider
-      const signature = await ethProvider.request({
-        method: 'eth_signTypedData_v4',
-        params: [this.account, JSON.stringify(typedData)]
-      })
-      
-      console.log('Order signature:', signature)
-      
-      // Return the signed order data
+    const height = Math.max(1, Math.ceil(Math.log2(ordersParameters.length)))
+    if (height > MAX_BULK_ORDER_HEIGHT) {
+      throw new Error('Too many orders for one bulk signature')
+    }
+    const leaves = [
+      ...ordersParameters,
+      ...Array(2 ** height - ordersParameters.length).fill(EMPTY_ORDER_COMPONENTS)
+    ]
+
+    // Each order's hash is its leaf; Seaport's getOrderHash returns the same value
+    const layers = [leaves.map(leaf => hashStruct({
+      data: leaf,
+      primaryType: 'OrderComponents',
+      types: ORDER_EIP712_TYPES
+    }))]
+    while (layers[layers.length - 1].length > 1) {
+      const below = layers[layers.length - 1]
+      layers.push(below.filter((_, i) => i % 2 === 0).map((node, i) => keccak256(concat([node, below[2 * i + 1]]))))
+    }
+
+    const typedData = {
+      domain: SEAPORT_DOMAIN,
+      types: {
+        BulkOrder: [{ name: 'tree', type: `OrderComponents${'[2]'.repeat(height)}` }],
+        ...ORDER_EIP712_TYPES
+      },
+      primaryType: 'BulkOrder',
+      message: { tree: toBulkOrderTree(leaves) }
+    }
+
+    const { frameUtils } = await import('../components/frame-provider.js')
+    const signature = await frameUtils.sdk.wallet.ethProvider.request({
+      method: 'eth_signTypedData_v4',
+      params: [this.account, JSON.stringify(typedData)]
+    })
+
+    return ordersParameters.map((orderParameters, index) => {
+      // The sibling at each level is the node next to this order's ancestor
+      const proof = layers.slice(0, height).map((layer, level) => layer[(index >> level) ^ 1])
       return {
-        hash: orderHash,
+        hash: layers[0][index],
         contractType: 'seaport',
         order: {
           parameters: orderParameters,
-          signature: signature
+          signature: concat([signature, toHex(index, { size: 3 }), ...proof])
         }
       }
-    } catch (error) {
-      console.error('Error creating Seaport order:', error)
-      console.error('Error stack:', error.stack)
-      throw error
-    }
+    })
   }
 
-  async buyListing(listing) {
+  /**
+   * Fill a listing. For ERC1155 quantity listings, `quantity` picks how many
+   * copies to buy; leaving it out buys every copy still available.
+   */
+  async buyListing(listing, quantity = null) {
+    if (Number(listing.orderData.parameters.orderType) === OrderType.PARTIAL_OPEN) {
+      return await this.buyListingQuantity(listing, quantity)
+    }
+
     try {
       // For Seaport orders, we need to call fulfillOrder on the contract
       const { request } = await this.publicClient.simulateContract({
         address: SEAPORT_ADDRESS,
-        abi: [{
-          name: 'fulfillOrder',
-          type: 'function',
-          stateMutability: 'payable',
-          inputs: [
-            {
-              name: 'order',
-              type: 'tuple',
-              components: [
-                {
-                  name: 'parameters',
-                  type: 'tuple',
-                  components: [
-                    { name: 'offerer', type: 'address' },
-                    { name: 'zone', type: 'address' },
-                    { name: 'offer', type: 'tuple[]', components: [
-                      { name: 'itemType', type: 'uint8' },
-                      { name: 'token', type: 'address' },
-                      { name: 'identifierOrCriteria', type: 'uint256' },
-                      { name: 'startAmount', type: 'uint256' },
-                      { name: 'endAmount', type: 'uint256' }
-                    ]},
-                    { name: 'consideration', type: 'tuple[]', components: [
-                      { name: 'itemType', type: 'uint8' },
-                      { name: 'token', type: 'address' },
-                      { name: 'identifierOrCriteria', type: 'uint256' },
-                      { name: 'startAmount', type: 'uint256' },
-                      { name: 'endAmount', type: 'uint256' },
-                      { name: 'recipient', type: 'address' }
-                    ]},
-                    { name: 'orderType', type: 'uint8' },
-                    { name: 'startTime', type: 'uint256' },
-                    { name: 'endTime', type: 'uint256' },
-                    { name: 'zoneHash', type: 'bytes32' },
-                    { name: 'salt', type: 'uint256' },
-                    { name: 'conduitKey', type: 'bytes32' },
-                    { name: 'totalOriginalConsiderationItems', type: 'uint256' }
-                  ]
-                },
-                { name: 'signature', type: 'bytes' }
-              ]
-            },
-            { name: 'fulfillerConduitKey', type: 'bytes32' }
-          ],
-          outputs: [{ name: 'fulfilled', type: 'bool' }]
-        }],
+        abi: FULFILL_ORDER_ABI,
         functionName: 'fulfillOrder',
         args: [
           {
@@ -423,7 +732,8 @@ export class SeaportAdapter extends MarketplaceAdapter {
           },
           '0x0000000000000000000000000000000000000000000000000000000000000000'
         ],
-        account: this.account
+        account: this.account,
+        value: getNativeValue(listing.orderData.parameters)
       })
 
       const hash = await this.signer.writeContract(request)
@@ -437,13 +747,107 @@ export class SeaportAdapter extends MarketplaceAdapter {
       } else if (error.message?.includes('0x1a783b8d')) {
         throw new Error('Order has already been filled or cancelled.')
       } else if (error.message?.includes('0xf9c0959d')) {
-        throw new Error('Insufficient token approvals. Please check USDC and NFT approvals.')
+        throw new Error('Insufficient token approvals. Please check payment token and NFT approvals.')
       }
       
       throw error
     }
   }
 
+  async buyListingQuantity(listing, quantity) {
+    const { parameters, signature } = listing.orderData
+    const listedQuantity = BigInt(parameters.offer[0].startAmount)
+
+    try {
+      // Seaport fills numerator/denominator of the original order; 1/1 takes whatever is left
+      const { request } = await this.publicClient.simulateContract({
+        address: SEAPORT_ADDRESS,
+        abi: FULFILL_ADVANCED_ORDER_ABI,
+        functionName: 'fulfillAdvancedOrder',
+        args: [
+          {
+            parameters: {
+              ...parameters,
+              totalOriginalConsiderationItems: parameters.consideration.length
+            },
+            numerator: quantity ? BigInt(quantity) : 1n,
+            denominator: quantity ? listedQuantity : 1n,
+            signature,
+            extraData: '0x'
+          },
+          [],
+          CONDUIT_KEY,
+          this.account
+        ],
+        account: this.account,
+        // Only this fill's share of an ETH-priced order needs sending
+        value: quantity ? getNativeValue(parameters) * BigInt(quantity) / listedQuantity : getNativeValue(parameters)
+      })
+
+      const hash = await this.signer.writeContract(request)
+      return { hash }
+    } catch (error) {
+      console.error('Error partially fulfilling Seaport order:', error)
+
+      if (error.message?.includes('0x1a783b8d')) {
+        throw new Error('Order has already been filled or cancelled.')
+      }
+
+      throw error
+    }
+  }
+
+  /**
+   * Buy several listings in one transaction. Returns which of the orders were
+   * still available when the transaction was simulated, in listing order.
+   */
+  async buyListings(listings) {
+    const ordersParameters = listings.map(listing => ({
+      ...listing.orderData.parameters,
+      totalOriginalConsiderationItems: listing.orderData.parameters.consideration.length
+    }))
+    const { offerFulfillments, considerationFulfillments } = buildFulfillments(ordersParameters)
+
+    try {
+      const { request, result } = await this.publicClient.simulateContract({
+        address: SEAPORT_ADDRESS,
+        abi: FULFILL_AVAILABLE_ADVANCED_ORDERS_ABI,
+        functionName: 'fulfillAvailableAdvancedOrders',
+        args: [
+          ordersParameters.map((parameters, i) => ({
+            parameters,
+            numerator: 1n,
+            denominator: 1n,
+            signature: listings[i].orderData.signature,
+            extraData: '0x'
+          })),
+          [],
+          offerFulfillments,
+          considerationFulfillments,
+          CONDUIT_KEY,
+          this.account,
+          BigInt(listings.length)
+        ],
+        account: this.account,
+        value: ordersParameters.reduce((total, parameters) => total + getNativeValue(parameters), 0n)
+      })
+
+      const [availableOrders] = result
+      const hash = await this.signer.writeContract(request)
+      return { hash, availableOrders }
+    } catch (error) {
+      console.error('Error fulfilling Seaport orders:', error)
+
+      if (error.message?.includes('0xd5da9a1b')) {
+        throw new Error('None of the listings in your cart are still available.')
+      } else if (error.message?.includes('0xf9c0959d')) {
+        throw new Error('Insufficient token approvals. Please check your payment token approvals.')
+      }
+
+      throw error
+    }
+  }
+
   async cancelListing(orderComponents) {
     try {
       // For Seaport, we need to cancel using the order components
@@ -498,14 +902,210 @@ export class SeaportAdapter extends MarketplaceAdapter {
     }
   }
 
-  async makeOffer(nft, amount) {
-    // For now, Seaport offers work similarly to listings but with reversed offer/consideration
-    // This would need the same treatment as createListing with proper EIP-712 signing
-    throw new Error('Seaport offers not yet implemented in simplified adapter')
+  /**
+   * Cancel every order this account has signed in one transaction. Seaport's
+   * incrementCounter bumps the account's counter, and orders only stay valid
+   * while the counter they were signed with is current
+   */
+  async incrementCounter() {
+    const { request } = await this.publicClient.simulateContract({
+      address: SEAPORT_ADDRESS,
+      abi: [{
+        name: 'incrementCounter',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [],
+        outputs: [{ name: 'newCounter', type: 'uint256' }]
+      }],
+      functionName: 'incrementCounter',
+      account: this.account
+    })
+
+    const hash = await this.signer.writeContract(request)
+    return { hash }
+  }
+
+  async makeOffer(nft, amount, duration, currency = 'USDC') {
+    // A Seaport offer is a reversed listing: the bidder offers USDC (or WETH -
+    // native ETH can't be pulled from a wallet) and asks for the NFT in return.
+    // The fee is paid out of the offered tokens by the NFT owner when they
+    // fulfill the order.
+    const payment = getCurrency(currency)
+    const amountInWei = toBaseUnits(amount, currency)
+    const { feeAmount } = calculateFeeAmounts(amountInWei.toString())
+
+    const endTime = Math.floor(Date.now() / 1000) + duration
+
+    const order = {
+      offer: [{
+        itemType: ItemType.ERC20,
+        token: payment.token,
+        amount: amountInWei.toString()
+      }],
+      consideration: [
+        {
+          itemType: nft.isERC721 ? ItemType.ERC721 : ItemType.ERC1155,
+          token: nft.contract,
+          identifier: nft.tokenId.toString(),
+          amount: "1",
+          recipient: this.account
+        },
+        {
+          itemType: ItemType.ERC20,
+          token: payment.token,
+          amount: feeAmount,
+          recipient: FEE_RECIPIENT
+        }
+      ],
+      endTime,
+      orderType: OrderType.FULL_OPEN,
+      zone: '0x0000000000000000000000000000000000000000',
+      zoneHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
+      conduitKey: '0x0000000000000000000000000000000000000000000000000000000000000000'
+    }
+
+    console.log('Creating Seaport offer with parameters:', order)
+
+    try {
+      const orderParameters = this.buildOrderParameters(order)
+      return await this.signOrder(orderParameters)
+    } catch (error) {
+      console.error('Error creating Seaport offer:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Make an offer on any token of a collection (criteriaRoot omitted) or on
+   * any token in a trait's criteria set (criteriaRoot from /api/traits)
+   */
+  async makeCriteriaOffer(nftContract, amount, duration, criteriaRoot = null) {
+    const amountInWei = parseUnits(amount.toString(), 6)
+    const { feeAmount } = calculateFeeAmounts(amountInWei.toString())
+
+    const endTime = Math.floor(Date.now() / 1000) + duration
+
+    const order = {
+      offer: [{
+        itemType: ItemType.ERC20,
+        token: USDC_ADDRESS,
+        amount: amountInWei.toString()
+      }],
+      consideration: [
+        {
+          itemType: ItemType.ERC721_WITH_CRITERIA,
+          token: nftContract,
+          identifier: criteriaRoot || '0', // 0 accepts any token in the collection
+          amount: "1",
+          recipient: this.account
+        },
+        {
+          itemType: ItemType.ERC20,
+          token: USDC_ADDRESS,
+          amount: feeAmount,
+          recipient: FEE_RECIPIENT
+        }
+      ],
+      endTime,
+      orderType: OrderType.FULL_OPEN,
+      zone: '0x0000000000000000000000000000000000000000',
+      zoneHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
+      conduitKey: '0x0000000000000000000000000000000000000000000000000000000000000000'
+    }
+
+    console.log('Creating Seaport criteria offer with parameters:', order)
+
+    try {
+      const orderParameters = this.buildOrderParameters(order)
+      return await this.signOrder(orderParameters)
+    } catch (error) {
+      console.error('Error creating Seaport criteria offer:', error)
+      throw error
+    }
   }
 
-  async acceptOffer(offer) {
-    return this.buyListing(offer) // Offers are just reverse listings in Seaport
+  /**
+   * Fulfill a bidder's order as the NFT owner. Collection and trait offers
+   * need the token being sold and, for trait offers, its merkle proof.
+   */
+  async acceptOffer(offer, { tokenId, criteriaProof = [] } = {}) {
+    // The NFT owner fulfills the bidder's order: Seaport sends the offered USDC
+    // to the owner, then pulls the NFT (to the bidder) and the fee from them
+    if (!offer.orderData || !offer.orderData.parameters) {
+      throw new Error('Missing order data for Seaport offer')
+    }
+
+    const parameters = {
+      ...offer.orderData.parameters,
+      totalOriginalConsiderationItems: offer.orderData.parameters.consideration.length
+    }
+    const criteriaIndex = parameters.consideration.findIndex(item =>
+      Number(item.itemType) === ItemType.ERC721_WITH_CRITERIA
+    )
+
+    try {
+      let simulation
+      if (criteriaIndex === -1) {
+        simulation = await this.publicClient.simulateContract({
+          address: SEAPORT_ADDRESS,
+          abi: FULFILL_ORDER_ABI,
+          functionName: 'fulfillOrder',
+          args: [
+            { parameters, signature: offer.orderData.signature },
+            CONDUIT_KEY
+          ],
+          account: this.account
+        })
+      } else {
+        if (tokenId === undefined || tokenId === null) {
+          throw new Error('A token ID is required to accept a collection offer')
+        }
+
+        simulation = await this.publicClient.simulateContract({
+          address: SEAPORT_ADDRESS,
+          abi: FULFILL_ADVANCED_ORDER_ABI,
+          functionName: 'fulfillAdvancedOrder',
+          args: [
+            {
+              parameters,
+              numerator: 1n,
+              denominator: 1n,
+              signature: offer.orderData.signature,
+              extraData: '0x'
+            },
+            [{
+              orderIndex: 0n,
+              side: SIDE_CONSIDERATION,
+              index: BigInt(criteriaIndex),
+              identifier: BigInt(tokenId),
+              criteriaProof
+            }],
+            CONDUIT_KEY,
+            this.account
+          ],
+          account: this.account
+        })
+      }
+
+      const { request } = simulation
+
+      const hash = await this.signer.writeContract(request)
+      return { hash }
+    } catch (error) {
+      console.error('Error accepting Seaport offer:', error)
+
+      if (error.message?.includes('0xeaf38844')) {
+        throw new Error('Invalid offer signature.')
+      } else if (error.message?.includes('0x1a783b8d')) {
+        throw new Error('Offer has already been accepted or cancelled.')
+      } else if (error.message?.includes('0xf9c0959d')) {
+        throw new Error('Insufficient approvals. The bidder may no longer have enough USDC approved.')
+      } else if (error.message?.includes('0x09bde339')) {
+        throw new Error('This token does not qualify for the offer.')
+      }
+
+      throw error
+    }
   }
 }
 
@@ -24,6 +24,12 @@ export const OrderType = {
 // Base USDC address
 export const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
 
+// Base WETH address
+export const WETH_ADDRESS = '0x4200000000000000000000000000000000000006'
+
+// Seaport uses the zero address as the token of native ETH items
+export const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000'
+
 // Fee configuration
 export const FEE_RECIPIENT = '0x0db12C0A67bc5B8942ea3126a465d7a0b23126C7'
 export const FEE_BASIS_POINTS = 100 // 1% fee
@@ -36,15 +42,18 @@ export const CONDUIT_ADDRESS = '0xf9ed144bACaed98d0f3899B8B56c965D1A966D08'
 // Zone configuration (no zone for basic orders)
 export const ZONE_ADDRESS = '0x0000000000000000000000000000000000000000'
 
-// Helper to calculate fee amounts
-export function calculateFeeAmounts(price) {
+// Helper to calculate fee amounts. The marketplace fee and any creator
+// royalty both come out of the price, and the seller gets the rest
+export function calculateFeeAmounts(price, royaltyBps = 0) {
   const priceInWei = BigInt(price)
   const feeAmount = (priceInWei * BigInt(FEE_BASIS_POINTS)) / BigInt(10000)
-  const sellerAmount = priceInWei - feeAmount
+  const royaltyAmount = (priceInWei * BigInt(royaltyBps)) / BigInt(10000)
+  const sellerAmount = priceInWei - feeAmount - royaltyAmount
   
   return {
     sellerAmount: sellerAmount.toString(),
     feeAmount: feeAmount.toString(),
+    royaltyAmount: royaltyAmount.toString(),
     totalAmount: priceInWei.toString()
   }
 }
\ No newline at end of file
@@ -1,9 +1,10 @@
 import { frameUtils } from '../components/frame-provider.js'
 import { EVENTS, emit, eventBus } from '../utils/events.js'
-import { createWalletClient, custom, createPublicClient, http } from 'viem'
+import { createWalletClient, custom, createPublicClient, http, formatUnits } from 'viem'
 import { base } from 'viem/chains'
 import { getMarketplaceAdapter } from './marketplace-adapter.js'
-import { SEAPORT_ADDRESS, CONDUIT_ADDRESS } from './seaport-config.js'
+import { SEAPORT_ADDRESS, CONDUIT_ADDRESS, ItemType } from './seaport-config.js'
+import { getCurrency, getItemCurrency, toBaseUnits } from './currency.js'
 import { 
   ADDRESSES, 
   encodeNFTExchange, 
@@ -13,12 +14,46 @@ import {
   ERC721_ABI,
   ERC1155_ABI,
   toUSDCAmount,
-  checkUSDCAllowance,
   checkUSDCBalance,
+  checkTokenAllowance,
+  checkTokenBalance,
   checkNFTApproval,
-  checkNFTOwnership
+  checkNFTOwnership,
+  getERC1155Balance
 } from './contract.js'
 
+/**
+ * Add what a Seaport order asks its fulfiller to pay, per currency, to payments.
+ * Buying part of a quantity listing pays the same share of each item. Dutch
+ * auctions only get cheaper, so startAmount covers what Seaport pulls.
+ * @param {Map<string, bigint>} payments - Base-unit totals keyed by currency symbol
+ * @param {Object} parameters - Seaport order parameters
+ * @param {bigint} [units] - Copies being bought
+ * @param {bigint} [totalUnits] - Copies in the whole order
+ */
+function addOrderPayments(payments, parameters, units = 1n, totalUnits = 1n) {
+  for (const item of parameters.consideration) {
+    const currency = getItemCurrency(item)
+    if (!currency) continue
+    const amount = BigInt(item.startAmount) * units / totalUnits
+    payments.set(currency, (payments.get(currency) || 0n) + amount)
+  }
+  return payments
+}
+
+/**
+ * Creator royalty the server will require on a listing of this token
+ * @returns {Promise<{recipient: string, bps: number}|null>}
+ */
+async function fetchRoyalty(nftContract, tokenId) {
+  const response = await fetch(`/api/listings/royalty/${nftContract}/${tokenId}`)
+  if (!response.ok) {
+    throw new Error('Could not look up the creator royalty for this collection')
+  }
+  const { royalty } = await response.json()
+  return royalty
+}
+
 export class TransactionManager {
   constructor() {
     this.ethProvider = frameUtils.sdk.wallet.ethProvider
@@ -132,9 +167,12 @@ export class TransactionManager {
   }
 
   /**
-   * Create a new listing (defaults to Seaport)
+   * Create a new listing (defaults to Seaport). For ERC1155 tokens, quantity
+   * lists that many copies with price as the per-copy price. Passing
+   * privateBuyerAddress reserves the listing for that wallet. Seaport
+   * listings can be priced in USDC, ETH or WETH.
    */
-  async createListing(nftContract, tokenId, price, durationInDays, isERC1155 = false, useSeaport = true) {
+  async createListing(nftContract, tokenId, price, durationInDays, isERC1155 = false, useSeaport = true, endPrice = null, quantity = 1, privateBuyerAddress = null, currency = 'USDC') {
     const { walletClient, publicClient, account } = await this.getViemClients()
     
     console.log('=== Starting createListing process ===')
@@ -149,6 +187,12 @@ export class TransactionManager {
     if (!isOwner) {
       throw new Error('You do not own this NFT')
     }
+    if (quantity > 1) {
+      const balance = await getERC1155Balance(nftContract, tokenId, account)
+      if (balance < BigInt(quantity)) {
+        throw new Error(`You only own ${balance} copies of this NFT`)
+      }
+    }
     console.log('✅ Ownership confirmed')
 
     // Get the appropriate adapter
@@ -256,14 +300,36 @@ export class TransactionManager {
       tokenId,
       isERC721: !isERC1155,
       price,
+      endPrice,
       duration: durationInDays * 24 * 60 * 60
     })
     
+    if (endPrice !== null && !useSeaport) {
+      throw new Error('Dutch auctions are only supported for Seaport listings')
+    }
+    if (quantity > 1 && (!useSeaport || !isERC1155)) {
+      throw new Error('Only ERC1155 Seaport listings can offer more than one copy')
+    }
+    if (privateBuyerAddress && !useSeaport) {
+      throw new Error('Private listings are only supported for Seaport listings')
+    }
+    if (currency !== 'USDC' && !useSeaport) {
+      throw new Error('Only Seaport listings can be priced in ETH or WETH')
+    }
+    
     try {
+      const royalty = useSeaport ? await fetchRoyalty(nftContract, tokenId) : null
+      console.log('Creator royalty:', royalty)
+
       const result = await adapter.createListing(
         { contract: nftContract, tokenId, isERC721: !isERC1155 },
         price,
-        durationInDays * 24 * 60 * 60
+        durationInDays * 24 * 60 * 60,
+        endPrice,
+        quantity,
+        privateBuyerAddress,
+        currency,
+        royalty
       )
       
       console.log('✅ Listing created:', result)
@@ -279,29 +345,154 @@ export class TransactionManager {
     }
   }
 
+  /**
+   * List several NFTs as one Seaport bundle order for a single price
+   * @param {Array<{contract: string, tokenId: string, isERC1155: boolean}>} nfts
+   */
+  async createBundleListing(nfts, price, durationInDays, currency = 'USDC') {
+    const { walletClient, publicClient, account } = await this.getViemClients()
+
+    console.log('=== Starting createBundleListing process ===')
+    console.log('User address:', account)
+    console.log('Bundle items:', nfts.map(nft => `${nft.contract}#${nft.tokenId}`))
+
+    const contracts = await this.prepareNFTsForListing(nfts, { walletClient, publicClient, account })
+
+    const adapter = getMarketplaceAdapter('seaport', walletClient, account, publicClient)
+
+    try {
+      // Bundles from a single collection pay its royalty; mixed bundles have none to apply
+      const royalty = contracts.size === 1 ? await fetchRoyalty(nfts[0].contract, nfts[0].tokenId) : null
+
+      const result = await adapter.createListing(
+        nfts.map(nft => ({ contract: nft.contract, tokenId: nft.tokenId, isERC721: !nft.isERC1155 })),
+        price,
+        durationInDays * 24 * 60 * 60,
+        null,
+        1,
+        null,
+        currency,
+        royalty
+      )
+      console.log('✅ Bundle listing created:', result)
+      return result
+    } catch (error) {
+      console.error('❌ Create bundle listing failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * List several NFTs at once, each as its own single-item Seaport listing with
+   * its own price, behind one wallet signature (a Seaport bulk order)
+   * @param {Array<{contract: string, tokenId: string, isERC1155: boolean, price: number}>} items
+   * @returns {Promise<Array<Object>>} Signed orders, in the same order as items
+   */
+  async createBulkListings(items, durationInDays, currency = 'USDC') {
+    const { walletClient, publicClient, account } = await this.getViemClients()
+
+    console.log('=== Starting createBulkListings process ===')
+    console.log('Items:', items.map(item => `${item.contract}#${item.tokenId} @ ${item.price}`))
+
+    await this.prepareNFTsForListing(items, { walletClient, publicClient, account })
+
+    const adapter = getMarketplaceAdapter('seaport', walletClient, account, publicClient)
+
+    try {
+      // Royalties can differ per token, so each listing looks up its own
+      const listings = await Promise.all(items.map(async item => ({
+        nft: { contract: item.contract, tokenId: item.tokenId, isERC721: !item.isERC1155 },
+        price: item.price,
+        royalty: await fetchRoyalty(item.contract, item.tokenId)
+      })))
+
+      const results = await adapter.createBulkListings(listings, durationInDays * 24 * 60 * 60, currency)
+      console.log(`✅ ${results.length} listings signed`)
+      return results
+    } catch (error) {
+      console.error('❌ Create bulk listings failed:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Check the account owns every NFT and approve the Seaport conduit for each
+   * collection that isn't approved yet
+   * @returns {Promise<Map<string, boolean>>} Collections listed, mapped to whether they are ERC1155
+   */
+  async prepareNFTsForListing(nfts, { walletClient, publicClient, account }) {
+    for (const nft of nfts) {
+      const isOwner = await checkNFTOwnership(nft.contract, nft.tokenId, account, nft.isERC1155)
+      if (!isOwner) {
+        throw new Error(`You do not own token #${nft.tokenId}`)
+      }
+    }
+    console.log('✅ Ownership confirmed for all items')
+
+    // Conduit approval is per collection, so each contract only needs checking once
+    const contracts = new Map()
+    for (const nft of nfts) {
+      contracts.set(nft.contract.toLowerCase(), nft.isERC1155)
+    }
+
+    for (const [nftContract, isERC1155] of contracts) {
+      const abi = isERC1155 ? ERC1155_ABI : ERC721_ABI
+      const isApproved = await publicClient.readContract({
+        address: nftContract,
+        abi,
+        functionName: 'isApprovedForAll',
+        args: [account, CONDUIT_ADDRESS]
+      })
+
+      if (!isApproved) {
+        console.log(`Approving ${nftContract} for Seaport conduit...`)
+        const approveTx = await walletClient.writeContract({
+          address: nftContract,
+          abi,
+          functionName: 'setApprovalForAll',
+          args: [CONDUIT_ADDRESS, true]
+        })
+        await this.waitForTransaction(approveTx)
+        console.log(`✅ ${nftContract} approved for Seaport`)
+      }
+    }
+
+    return contracts
+  }
+
   /**
    * Approve USDC spending for the appropriate contract
+   * @param {number|bigint} amount - USDC amount, or base units when a bigint
    */
   async approveUSDC(amount, contractType = 'seaport') {
+    const amountInUSDC = typeof amount === 'bigint' ? amount : toUSDCAmount(amount)
+    return await this.approveToken('USDC', amountInUSDC, contractType)
+  }
+
+  /**
+   * Approve spending of an ERC20 payment currency (USDC or WETH)
+   * @param {string} currency - Currency symbol
+   * @param {bigint} amount - Amount in base units
+   */
+  async approveToken(currency, amount, contractType = 'seaport') {
     const userAddress = await this.getWalletAddress()
-    const amountInUSDC = toUSDCAmount(amount)
-    // For Seaport, USDC needs to be approved to the conduit, not the Seaport contract
+    const { token, decimals } = getCurrency(currency)
+    // For Seaport, tokens need to be approved to the conduit, not the Seaport contract
     const spenderAddress = contractType === 'seaport' ? CONDUIT_ADDRESS : ADDRESSES.NFT_EXCHANGE
     
-    console.log('Approving USDC:', amount, 'USDC for', contractType, 'to address:', spenderAddress)
+    console.log('Approving', currency + ':', formatUnits(amount, decimals), currency, 'for', contractType, 'to address:', spenderAddress)
     
     // Check current allowance
-    const allowance = await checkUSDCAllowance(userAddress, spenderAddress)
+    const allowance = await checkTokenAllowance(token, userAddress, spenderAddress)
     
-    if (allowance >= amountInUSDC) {
-      console.log('USDC already approved')
+    if (allowance >= amount) {
+      console.log(`${currency} already approved`)
       return null // No transaction needed
     }
     
-    // Approve USDC
-    const approveData = encodeERC20.approve(spenderAddress, amountInUSDC)
-    const approveTx = await this.sendTransaction(userAddress, ADDRESSES.USDC, approveData)
-    console.log('USDC approval tx:', approveTx)
+    const approveData = encodeERC20.approve(spenderAddress, amount)
+    const approveTx = await this.sendTransaction(userAddress, token, approveData)
+    console.log(`${currency} approval tx:`, approveTx)
     
     // Wait for approval to be mined
     await this.waitForTransaction(approveTx)
@@ -310,9 +501,28 @@ export class TransactionManager {
   }
 
   /**
-   * Buy a listing (works for both NFTExchange and Seaport)
+   * Check the wallet can cover each payment and approve the ERC20 ones for the
+   * conduit. Native ETH is sent with the transaction and needs no approval.
+   * @param {Map<string, bigint>} payments - Base-unit totals keyed by currency symbol
    */
-  async buyListing(listing) {
+  async preparePayments(payments, account) {
+    for (const [currency, amount] of payments) {
+      const { token, decimals, itemType } = getCurrency(currency)
+      const balance = await checkTokenBalance(token, account)
+      if (balance < amount) {
+        throw new Error(`Insufficient ${currency} balance. You have ${formatUnits(balance, decimals)} ${currency}, need ${formatUnits(amount, decimals)} ${currency}`)
+      }
+      if (itemType === ItemType.ERC20) {
+        await this.approveToken(currency, amount, 'seaport')
+      }
+    }
+  }
+
+  /**
+   * Buy a listing (works for both NFTExchange and Seaport). For ERC1155
+   * quantity listings, quantity is the number of copies to buy.
+   */
+  async buyListing(listing, quantity = null) {
     const { walletClient, publicClient, account } = await this.getViemClients()
     
     console.log('Buying listing:', listing)
@@ -321,15 +531,36 @@ export class TransactionManager {
     const contractType = listing.contractType || 'nftexchange'
     const adapter = getMarketplaceAdapter(contractType, walletClient, account, publicClient)
 
-    // For Seaport, approve USDC if needed
+    // For Seaport, check funds and approve the listing's payment token if needed
     if (contractType === 'seaport') {
-      await this.approveUSDC(listing.price, 'seaport')
+      const { parameters } = listing.orderData
+      // Quantity listings offer every copy as one item, so a partial buy pays its share
+      const totalUnits = BigInt(parameters.offer[0].startAmount)
+      const units = BigInt(quantity || listing.quantityRemaining || totalUnits)
+      await this.preparePayments(addOrderPayments(new Map(), parameters, units, totalUnits), account)
     }
     
-    const result = await adapter.buyListing(listing)
+    const result = await adapter.buyListing(listing, quantity)
     return result.hash
   }
 
+  /**
+   * Buy several Seaport listings in one transaction, with one approval per
+   * payment token covering every order's price and fees
+   */
+  async sweepListings(listings) {
+    const { walletClient, publicClient, account } = await this.getViemClients()
+    const adapter = getMarketplaceAdapter('seaport', walletClient, account, publicClient)
+
+    const payments = listings.reduce(
+      (totals, listing) => addOrderPayments(totals, listing.orderData.parameters),
+      new Map()
+    )
+    await this.preparePayments(payments, account)
+
+    return await adapter.buyListings(listings)
+  }
+
   /**
    * Cancel a listing
    */
@@ -342,9 +573,65 @@ export class TransactionManager {
   }
 
   /**
-   * Make an offer on an NFT
+   * Cancel all of the wallet's Seaport listings and offers at once by
+   * incrementing its Seaport counter
+   * @returns {Promise<string>} Transaction hash
    */
-  async makeOffer(nftContract, tokenId, offerAmount, durationInDays, useSeaport = true) {
+  async cancelAllOrders() {
+    const { walletClient, publicClient, account } = await this.getViemClients()
+    const adapter = getMarketplaceAdapter('seaport', walletClient, account, publicClient)
+
+    const { hash } = await adapter.incrementCounter()
+    await this.waitForTransaction(hash)
+    return hash
+  }
+
+  /**
+   * Re-sign a Seaport listing at a new price. The NFT is already approved, so this
+   * is one signature; raising the price first cancels the current order on chain,
+   * since buyers could otherwise still fill it at the old price
+   * @param {Object} listing - Listing from /api/listings/:id, with its orderData
+   * @param {number} newPrice - New price per copy, in the listing's currency
+   * @returns {Promise<{ hash: string, order: Object, cancelTxHash: string|null }>}
+   */
+  async editListingPrice(listing, newPrice) {
+    const { walletClient, publicClient, account } = await this.getViemClients()
+    const adapter = getMarketplaceAdapter('seaport', walletClient, account, publicClient)
+    const { parameters } = listing.orderData
+
+    // The new order keeps the old one's expiry, token, copies left and private buyer
+    const duration = Number(parameters.endTime) - Math.floor(Date.now() / 1000)
+    if (duration <= 0) {
+      throw new Error('This listing has expired')
+    }
+    const nftItem = parameters.offer.find(item => Number(item.itemType) === ItemType.ERC721 || Number(item.itemType) === ItemType.ERC1155)
+
+    let cancelTxHash = null
+    if (newPrice > Number(listing.price)) {
+      const { hash } = await adapter.cancelListing(parameters)
+      await this.waitForTransaction(hash)
+      cancelTxHash = hash
+    }
+
+    const royalty = await fetchRoyalty(nftItem.token, nftItem.identifierOrCriteria)
+    const result = await adapter.createListing(
+      { contract: nftItem.token, tokenId: nftItem.identifierOrCriteria, isERC721: Number(nftItem.itemType) === ItemType.ERC721 },
+      newPrice,
+      duration,
+      null,
+      listing.quantityRemaining ?? 1,
+      listing.privateBuyer?.address || null,
+      listing.currency,
+      royalty
+    )
+
+    return { hash: result.hash, order: result.order, cancelTxHash }
+  }
+
+  /**
+   * Make an offer on an NFT. Seaport offers can be made in USDC or WETH.
+   */
+  async makeOffer(nftContract, tokenId, offerAmount, durationInDays, useSeaport = true, currency = 'USDC') {
     const { walletClient, publicClient, account } = await this.getViemClients()
     const adapter = getMarketplaceAdapter(
       useSeaport ? 'seaport' : 'nftexchange',
@@ -353,11 +640,16 @@ export class TransactionManager {
       publicClient
     )
 
-    // Check USDC balance
-    const amountInUSDC = toUSDCAmount(offerAmount)
-    const balance = await checkUSDCBalance(account)
-    if (balance < amountInUSDC) {
-      throw new Error(`Insufficient USDC balance. You have ${Number(balance) / 1e6} USDC, need ${offerAmount} USDC`)
+    if (currency !== 'USDC' && !useSeaport) {
+      throw new Error('Only Seaport offers can be made in WETH')
+    }
+
+    // Check the bidder's token balance
+    const { token, decimals } = getCurrency(currency)
+    const amountInUnits = toBaseUnits(offerAmount, currency)
+    const balance = await checkTokenBalance(token, account)
+    if (balance < amountInUnits) {
+      throw new Error(`Insufficient ${currency} balance. You have ${formatUnits(balance, decimals)} ${currency}, need ${offerAmount} ${currency}`)
     }
 
     // Detect token standard for proxy contract compatibility
@@ -365,22 +657,54 @@ export class TransactionManager {
     const tokenStandard = await detectTokenStandardCached(nftContract, tokenId, publicClient)
     const isERC721 = tokenStandard === 'ERC721'
 
-    // Approve USDC for the appropriate contract
-    await this.approveUSDC(offerAmount, useSeaport ? 'seaport' : 'nftexchange')
+    // Approve the offered token for the appropriate contract
+    await this.approveToken(currency, amountInUnits, useSeaport ? 'seaport' : 'nftexchange')
 
     // Make the offer
     const result = await adapter.makeOffer(
       { contract: nftContract, tokenId, isERC721 },
-      offerAmount
+      offerAmount,
+      durationInDays * 24 * 60 * 60,
+      currency
     )
     
+    // For Seaport, return the full result including the signed order
+    if (useSeaport && result.order) {
+      return result
+    }
     return result.hash
   }
 
   /**
-   * Accept an offer
+   * Make a Seaport offer on any token in a collection, or on the tokens in a
+   * trait criteria set when criteriaRoot is given
+   */
+  async makeCollectionOffer(nftContract, offerAmount, durationInDays, criteriaRoot = null) {
+    const { walletClient, publicClient, account } = await this.getViemClients()
+    const adapter = getMarketplaceAdapter('seaport', walletClient, account, publicClient)
+
+    // Check USDC balance
+    const amountInUSDC = toUSDCAmount(offerAmount)
+    const balance = await checkUSDCBalance(account)
+    if (balance < amountInUSDC) {
+      throw new Error(`Insufficient USDC balance. You have ${Number(balance) / 1e6} USDC, need ${offerAmount} USDC`)
+    }
+
+    await this.approveUSDC(offerAmount, 'seaport')
+
+    return await adapter.makeCriteriaOffer(
+      nftContract,
+      offerAmount,
+      durationInDays * 24 * 60 * 60,
+      criteriaRoot
+    )
+  }
+
+  /**
+   * Accept an offer. For collection and trait offers, tokenId is the token
+   * being sold and criteriaProof its merkle proof (empty for collection offers).
    */
-  async acceptOffer(offer, nftContract, tokenId, isERC1155 = false) {
+  async acceptOffer(offer, nftContract, tokenId, isERC1155 = false, criteriaProof = []) {
     const { walletClient, publicClient, account } = await this.getViemClients()
     const contractType = offer.contractType || 'nftexchange'
     const adapter = getMarketplaceAdapter(contractType, walletClient, account, publicClient)
@@ -394,6 +718,30 @@ export class TransactionManager {
 
     // For Seaport offers, we need to approve the NFT
     if (contractType === 'seaport') {
+      const { parameters } = offer.orderData || {}
+      if (!parameters) {
+        throw new Error('Missing order data for Seaport offer')
+      }
+
+      // Make sure we can still deliver the NFT
+      const ownsNFT = await checkNFTOwnership(nftContract, tokenId, account, isERC1155)
+      if (!ownsNFT) {
+        throw new Error('You no longer own this NFT')
+      }
+
+      // Make sure the bidder can still pay - Seaport pulls their tokens through the conduit
+      const bidderAddress = parameters.offerer
+      const offerCurrency = getItemCurrency(parameters.offer[0]) || 'USDC'
+      const offeredToken = parameters.offer[0].token
+      const offeredAmount = BigInt(parameters.offer[0].startAmount)
+      const [bidderBalance, bidderAllowance] = await Promise.all([
+        checkTokenBalance(offeredToken, bidderAddress),
+        checkTokenAllowance(offeredToken, bidderAddress, CONDUIT_ADDRESS)
+      ])
+      if (bidderBalance < offeredAmount || bidderAllowance < offeredAmount) {
+        throw new Error(`The bidder no longer has enough ${offerCurrency} available for this offer`)
+      }
+
       const approvalTarget = CONDUIT_ADDRESS
       let isApproved = false
       
@@ -437,6 +785,14 @@ export class TransactionManager {
         
         await this.waitForTransaction(approveTx)
       }
+
+      // The marketplace fee is paid in the offer's token by the fulfiller out of the offered amount
+      const feeAmount = parameters.consideration
+        .filter(item => item.itemType === 1 && item.recipient.toLowerCase() !== account.toLowerCase())
+        .reduce((total, item) => total + BigInt(item.startAmount), 0n)
+      if (feeAmount > 0n) {
+        await this.approveToken(offerCurrency, feeAmount, 'seaport')
+      }
     } else {
       // Original NFTExchange approval logic
       const isApproved = await checkNFTApproval(nftContract, tokenId, account, isERC1155)
@@ -454,7 +810,9 @@ export class TransactionManager {
       }
     }
 
-    const result = await adapter.acceptOffer(offer.id || offer)
+    const result = contractType === 'seaport'
+      ? await adapter.acceptOffer(offer, { tokenId, criteriaProof })
+      : await adapter.acceptOffer(offer.id || offer)
     return result.hash
   }
 
@@ -1,6 +1,7 @@
 import { Hono } from 'hono'
 import { createApp } from './server/app.js'
-import { homePage, profilePage, activityPage, searchPage, listingDetailsPage, collectionPage } from './server/pages.js'
+import { authMiddleware } from './server/middleware/auth.js'
+import { homePage, profilePage, activityPage, searchPage, listingDetailsPage, auctionDetailsPage, collectionPage } from './server/pages.js'
 
 // Create main application
 const app = new Hono()
@@ -39,7 +40,9 @@ app.get('/', homePage)
 app.get('/profile', profilePage)
 app.get('/activity', activityPage)
 app.get('/search', searchPage)
-app.get('/listing/:id', listingDetailsPage)
+// Private listings render for their seller and buyer, whose client re-requests the page with a token
+app.get('/listing/:id', authMiddleware({ required: false }), listingDetailsPage)
+app.get('/auction/:id', auctionDetailsPage)
 app.get('/collection/:address', collectionPage)
 
 // 404 handler
@@ -60,6 +63,11 @@ const worker = {
   async scheduled(event, env, ctx) {
     const { default: scheduledHandler } = await import('./server/indexer.js')
     return scheduledHandler.scheduled(event, env, ctx)
+  },
+  // Queue consumer for the indexer's block ranges
+  async queue(batch, env, ctx) {
+    const { default: queueHandler } = await import('./server/indexer.js')
+    return queueHandler.queue(batch, env, ctx)
   }
 }
 
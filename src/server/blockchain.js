@@ -1,34 +1,32 @@
-import { parseAbi, decodeEventLog } from 'viem'
+import { decodeEventLog } from 'viem'
 import { createRpcClient } from './utils/rpc-client.js'
 import { NeynarService } from './neynar.js'
 import { fetchNFTMetadata } from './utils/metadata.js'
 import { ShareImageQueue } from './services/share-image-queue.js'
+import { getPaymentAmount } from './utils/currency.js'
+import { formatTimestampForClient } from './utils/timestamp.js'
+import { NFT_EXCHANGE_EVENTS, SEAPORT_ABI, getEventSources, getSourceCursor } from './event-sources.js'
+
+// How long NFTExchange listings and offers last, from the block they were made in
+const DEFAULT_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000
+
+// Block timestamp in seconds, as SQLite stores CURRENT_TIMESTAMP
+function formatBlockTimestamp(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString().slice(0, 19).replace('T', ' ')
+}
+
+function hasBlockTimestamp(log) {
+  return log.blockTimestamp !== undefined && log.blockTimestamp !== null
+}
+
+function getDefaultExpiry(event) {
+  const madeAt = event.blockTimestamp ? new Date(formatTimestampForClient(event.blockTimestamp)).getTime() : Date.now()
+  return new Date(madeAt + DEFAULT_EXPIRY_MS).toISOString()
+}
 
 // Contract configuration - these are now in environment variables
 // Use env.CONTRACT_ADDRESS, env.USDC_ADDRESS, env.SEAPORT_CONTRACT_ADDRESS, env.FEE_RECIPIENT
 
-// Event signatures for the NFT Exchange contract
-const NFT_EXCHANGE_EVENTS = parseAbi([
-  'event ListingCreated(uint256 indexed listingId, address indexed seller, address indexed nftContract, uint256 tokenId, uint256 price, string metadataURI)',
-  'event ListingSold(uint256 indexed listingId, address indexed buyer, uint256 price)',
-  'event ListingCancelled(uint256 indexed listingId)',
-  'event OfferMade(uint256 indexed offerId, address indexed buyer, address indexed nftContract, uint256 tokenId, uint256 amount)',
-  'event OfferAccepted(uint256 indexed offerId, address indexed seller)',
-  'event OfferCancelled(uint256 indexed offerId)',
-  'event MarketplaceFeeUpdated(uint256 oldFee, uint256 newFee)',
-  'event FeeRecipientUpdated(address oldRecipient, address newRecipient)'
-])
-
-// Seaport ABI - focusing on key events and functions
-export const SEAPORT_ABI = parseAbi([
-  // Events
-  'event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, (uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, (uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)',
-  'event OrderCancelled(bytes32 orderHash, address indexed offerer, address indexed zone)',
-  'event OrdersMatched(bytes32[] orderHashes)',
-  // Functions
-  'function getOrderStatus(bytes32 orderHash) view returns (bool isValidated, bool isCancelled, uint256 totalFilled, uint256 totalSize)'
-])
-
 // TODO: Define Seaport event topics/signatures if needed for direct filtering,
 // or rely on viem's decodeEventLog with the SEAPORT_ABI.
 // For example:
@@ -38,9 +36,12 @@ export const SEAPORT_ABI = parseAbi([
 export class BlockchainService {
   constructor(env) {
     this.env = env
-    this.client = createRpcClient(env)
+    // Batched, so the timestamps of a range's blocks are fetched in one request
+    this.client = createRpcClient(env, { batch: true })
     this.neynar = env.NEYNAR_API_KEY ? new NeynarService(env.NEYNAR_API_KEY) : null
     this.shareImageQueue = new ShareImageQueue(env)
+    // Block timestamps by block number; a range's logs often share blocks
+    this.blockTimestamps = new Map()
   }
 
   /**
@@ -110,25 +111,7 @@ export class BlockchainService {
     })
 
     // Resolve seller address to FID
-    let sellerFid = null
-    if (this.neynar) {
-      const users = await this.neynar.fetchUsersByAddress(seller)
-      if (users.length > 0) {
-        // Use the first user found (addresses can belong to multiple users)
-        sellerFid = users[0].fid
-        
-        // Ensure user exists in our database
-        const existingUser = await db.getUser(sellerFid)
-        if (!existingUser) {
-          await db.createOrUpdateUser({
-            fid: sellerFid,
-            username: users[0].username,
-            display_name: users[0].display_name,
-            pfp_url: users[0].pfp_url
-          })
-        }
-      }
-    }
+    const sellerFid = await this.resolveUserFid(seller, db, event)
 
     // Fetch metadata using unified utility
     const metadata = await fetchNFTMetadata(
@@ -146,7 +129,7 @@ export class BlockchainService {
       nft_contract: nftContract,
       token_id: tokenId.toString(),
       price: Number(price) / 1e6, // Convert from USDC decimals
-      expiry: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // Default 7 days
+      expiry: getDefaultExpiry(event), // Default 7 days
       metadata_uri: metadata.metadata_uri || metadataURI || '',
       image_url: metadata.image_url || '',
       name: metadata.name || `NFT #${tokenId}`,
@@ -173,24 +156,7 @@ export class BlockchainService {
     })
 
     // Resolve buyer address to FID
-    let buyerFid = null
-    if (this.neynar) {
-      const users = await this.neynar.fetchUsersByAddress(buyer)
-      if (users.length > 0) {
-        buyerFid = users[0].fid
-        
-        // Ensure user exists in our database
-        const existingUser = await db.getUser(buyerFid)
-        if (!existingUser) {
-          await db.createOrUpdateUser({
-            fid: buyerFid,
-            username: users[0].username,
-            display_name: users[0].display_name,
-            pfp_url: users[0].pfp_url
-          })
-        }
-      }
-    }
+    const buyerFid = await this.resolveUserFid(buyer, db, event)
 
     await db.markListingSold(listingId.toString(), buyer, buyerFid, event.transactionHash)
   }
@@ -234,24 +200,7 @@ export class BlockchainService {
     })
 
     // Resolve buyer address to FID
-    let buyerFid = null
-    if (this.neynar) {
-      const users = await this.neynar.fetchUsersByAddress(buyer)
-      if (users.length > 0) {
-        buyerFid = users[0].fid
-        
-        // Ensure user exists in our database
-        const existingUser = await db.getUser(buyerFid)
-        if (!existingUser) {
-          await db.createOrUpdateUser({
-            fid: buyerFid,
-            username: users[0].username,
-            display_name: users[0].display_name,
-            pfp_url: users[0].pfp_url
-          })
-        }
-      }
-    }
+    const buyerFid = await this.resolveUserFid(buyer, db, event)
 
     // Create offer in database
     await db.db.prepare(`
@@ -265,7 +214,7 @@ export class BlockchainService {
       nftContract.toLowerCase(),
       tokenId.toString(),
       Number(amount) / 1e6, // Convert from USDC decimals
-      new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // Default 7 days
+      getDefaultExpiry(event), // Default 7 days
       event.transactionHash
     ).run()
 
@@ -294,24 +243,7 @@ export class BlockchainService {
     })
 
     // Resolve seller address to FID
-    let sellerFid = null
-    if (this.neynar) {
-      const users = await this.neynar.fetchUsersByAddress(seller)
-      if (users.length > 0) {
-        sellerFid = users[0].fid
-        
-        // Ensure user exists in our database
-        const existingUser = await db.getUser(sellerFid)
-        if (!existingUser) {
-          await db.createOrUpdateUser({
-            fid: sellerFid,
-            username: users[0].username,
-            display_name: users[0].display_name,
-            pfp_url: users[0].pfp_url
-          })
-        }
-      }
-    }
+    const sellerFid = await this.resolveUserFid(seller, db, event)
 
     // Update offer as accepted
     await db.db.prepare(`
@@ -367,9 +299,10 @@ export class BlockchainService {
   }
 
   /**
-   * Decode and process a single log
+   * Decode a log from NFTExchange or Seaport
+   * @returns {{ decodedEvent: Object, eventAbiType: 'NFT_EXCHANGE'|'SEAPORT' }|null}
    */
-  async decodeAndProcessLog(log, db) {
+  decodeLog(log) {
     let decodedEvent = null;
     let eventAbiType = null; // 'NFT_EXCHANGE' or 'SEAPORT'
 
@@ -396,53 +329,154 @@ export class BlockchainService {
         // console.warn('Failed to decode with NFT_EXCHANGE_EVENTS, might be different contract or unknown event:', log, e.message);
       }
     } else if (this.env.SEAPORT_CONTRACT_ADDRESS && log.address.toLowerCase() === this.env.SEAPORT_CONTRACT_ADDRESS.toLowerCase()) {
-      const seaportOrderFulfilled = this.decodeSeaportOrderFulfilled(log); // This already returns a structured event or null
-      if (seaportOrderFulfilled) {
-        decodedEvent = seaportOrderFulfilled; // Already includes eventName, args, blockNumber etc.
+      decodedEvent = this.decodeSeaportOrderFulfilled(log) // This already returns a structured event or null
+        || this.decodeSeaportOrderCancelled(log)
+        || this.decodeSeaportOrdersMatched(log)
+        || this.decodeSeaportCounterIncremented(log);
+      if (decodedEvent) {
         eventAbiType = 'SEAPORT';
-      } else {
-        const seaportOrderCancelled = this.decodeSeaportOrderCancelled(log);
-        if (seaportOrderCancelled) {
-          decodedEvent = seaportOrderCancelled;
-          eventAbiType = 'SEAPORT';
-        } else {
-          const seaportOrdersMatched = this.decodeSeaportOrdersMatched(log);
-          if (seaportOrdersMatched) {
-            decodedEvent = seaportOrdersMatched;
-            eventAbiType = 'SEAPORT';
-          }
-        }
       }
-    } else {
-      // Log from an unknown contract address
-      // console.log('Log from unknown contract address:', log.address);
-      return null;
     }
 
+    // Logs from unknown contracts, or events not in either ABI
+    return decodedEvent ? { decodedEvent, eventAbiType } : null;
+  }
 
-    if (decodedEvent && eventAbiType === 'NFT_EXCHANGE') {
-      await this.processEvent(decodedEvent, db); // Existing handler for NFT Exchange
-      return decodedEvent;
-    } else if (decodedEvent && eventAbiType === 'SEAPORT') {
-      switch (decodedEvent.eventName) {
+  /**
+   * Decode logs from NFTExchange or Seaport, keeping the ones the marketplace indexes:
+   * every NFTExchange event, and the Seaport events for orders made here or for the
+   * counters of wallets that made them. Seaport emits events for every order filled
+   * anywhere, which would otherwise fill chain_events with other marketplaces' trades.
+   * With INDEX_EXTERNAL_SALES on, fills that trade a listed collection are kept too
+   * @returns {Promise<Array<{ log: Object, decoded: Object }>>}
+   */
+  async decodeMarketplaceLogs(logs, db) {
+    const decodedLogs = logs
+      .map(log => ({ log, decoded: this.decodeLog(log) }))
+      .filter(({ decoded }) => decoded);
+    const seaportEvents = decodedLogs
+      .filter(({ decoded }) => decoded.eventAbiType === 'SEAPORT')
+      .map(({ decoded }) => decoded.decodedEvent);
+    if (seaportEvents.length === 0) return decodedLogs;
+
+    const isNft = item => item.itemType === 2 || item.itemType === 3; // ERC721 or ERC1155
+    const orderHashes = seaportEvents.flatMap(event => event.orderHashes || [event.orderHash]).filter(Boolean);
+    const offerers = seaportEvents.filter(event => event.eventName === 'CounterIncremented').map(event => event.offerer);
+    const nftContracts = this.env.INDEX_EXTERNAL_SALES === 'true'
+      ? seaportEvents
+        .filter(event => event.eventName === 'OrderFulfilled')
+        .flatMap(event => [...event.offer, ...event.consideration].filter(isNft).map(item => item.token.toLowerCase()))
+      : [];
+
+    const [ourOrders, ourOfferers, trackedCollections] = await Promise.all([
+      db.getKnownSeaportOrderHashes([...new Set(orderHashes)]),
+      db.getKnownSeaportOfferers([...new Set(offerers)]),
+      db.getTrackedCollections([...new Set(nftContracts)])
+    ]);
+    const isOurs = event => {
+      switch (event.eventName) {
         case 'OrderFulfilled':
-          await this.processSeaportOrderFulfilled(decodedEvent, db);
-          break;
+          return ourOrders.has(event.orderHash) ||
+            [...event.offer, ...event.consideration].some(item => isNft(item) && trackedCollections.includes(item.token.toLowerCase()));
         case 'OrderCancelled':
-          await this.processSeaportOrderCancelled(decodedEvent, db);
-          break;
+          return ourOrders.has(event.orderHash);
         case 'OrdersMatched':
-          await this.processSeaportOrdersMatched(decodedEvent, db);
-          break;
+          return (event.orderHashes || []).some(orderHash => ourOrders.has(orderHash));
+        case 'CounterIncremented':
+          return ourOfferers.has(event.offerer.toLowerCase());
         default:
-          console.log('Unhandled Seaport event:', decodedEvent.eventName, decodedEvent);
+          return false;
+      }
+    };
+    return decodedLogs.filter(({ decoded }) => decoded.eventAbiType !== 'SEAPORT' || isOurs(decoded.decodedEvent));
+  }
+
+  /**
+   * Decode and process a single log, if the marketplace indexes it
+   */
+  async decodeAndProcessLog(log, db) {
+    const [entry] = await this.decodeMarketplaceLogs([log], db);
+    if (!entry) return null;
+    return await this.storeAndProcessLog(entry.log, entry.decoded, db);
+  }
+
+  /**
+   * Store a decoded log in chain_events and process it. A log that is already
+   * stored has been processed before and is skipped; one whose processing throws
+   * is removed again
+   */
+  async storeAndProcessLog(log, decoded, db) {
+    decoded.decodedEvent.blockTimestamp = await this.getBlockTimestamp(log);
+    decoded.decodedEvent.fids = new Map();
+    const { stored } = await db.recordChainEvent(log, decoded.decodedEvent);
+    if (!stored) return null;
+
+    try {
+      await this.processDecodedEvent(decoded, db);
+      if (decoded.decodedEvent.fids.size > 0) {
+        await db.setChainEventFids(log.transactionHash, Number(log.logIndex), decoded.decodedEvent.fids);
       }
-      return decodedEvent;
+    } catch (error) {
+      // Let go of the log so a webhook retry or a refetch processes it again
+      await db.deleteChainEvent(log.transactionHash, Number(log.logIndex));
+      throw error;
+    }
+    return decoded.decodedEvent;
+  }
+
+  /**
+   * Process a log stored in chain_events again, e.g. when rebuilding from the log.
+   * It's dated and its addresses resolved as stored, so nothing is fetched again
+   * @param {Object} chainEvent - chain_events row
+   */
+  async replayChainEvent(chainEvent, db) {
+    const decoded = this.decodeLog({
+      address: chainEvent.contract_address,
+      topics: JSON.parse(chainEvent.topics),
+      data: chainEvent.data,
+      blockNumber: BigInt(chainEvent.block_number),
+      blockHash: chainEvent.block_hash,
+      transactionHash: chainEvent.tx_hash,
+      logIndex: chainEvent.log_index
+    });
+    if (!decoded) return null;
+
+    decoded.decodedEvent.blockTimestamp = chainEvent.block_timestamp;
+    decoded.decodedEvent.fids = new Map(Object.entries(JSON.parse(chainEvent.actor_fids || '{}')));
+    decoded.decodedEvent.replayed = true;
+    await this.processDecodedEvent(decoded, db);
+    return decoded.decodedEvent;
+  }
+
+  async processDecodedEvent({ decodedEvent, eventAbiType }, db) {
+    if (eventAbiType === 'NFT_EXCHANGE') {
+      await this.processEvent(decodedEvent, db); // Existing handler for NFT Exchange
     } else {
-      // If strict: false is used in individual decoders, this path might not be hit often
-      // unless it's an event not present in any ABI for a known contract.
-      // console.log('Log did not match known ABIs or event not found:', log);
-      return null;
+      await this.processSeaportEvent(decodedEvent, db);
+    }
+
+    // Date the rows the event changed by its block, not by when it was processed
+    if (decodedEvent.blockTimestamp) {
+      await db.stampChainEventEffects(decodedEvent.transactionHash, decodedEvent.blockTimestamp);
+    }
+  }
+
+  async processSeaportEvent(decodedEvent, db) {
+    switch (decodedEvent.eventName) {
+      case 'OrderFulfilled':
+        await this.processSeaportOrderFulfilled(decodedEvent, db);
+        break;
+      case 'OrderCancelled':
+        await this.processSeaportOrderCancelled(decodedEvent, db);
+        break;
+      case 'OrdersMatched':
+        await this.processSeaportOrdersMatched(decodedEvent, db);
+        break;
+      case 'CounterIncremented':
+        await this.processSeaportCounterIncremented(decodedEvent, db);
+        break;
+      default:
+        console.log('Unhandled Seaport event:', decodedEvent.eventName, decodedEvent);
     }
   }
 
@@ -475,74 +509,192 @@ export class BlockchainService {
   }
 
   /**
-   * Process all events from a range of blocks
+   * Process all events from a range of blocks, source by source. A source whose
+   * logs can't be fetched or handled is reported rather than thrown, so the
+   * sources after it still run; its cursor must then stay where it was
+   * @param {number} fromBlock - First block of the range
+   * @param {number} toBlock - Last block of the range
+   * @param {Object} db - Database
+   * @param {Map<string, number>} [cursors] - Block each source is already indexed up to, by source ID.
+   *   A source only reads the part of the range past its cursor and its start block
+   * @returns {Promise<{ indexed: string[], failed: Array<{ source: string, error: Error }> }>}
+   *   IDs of the sources now indexed through `toBlock`, and the sources that failed
    */
-  async processEvents(fromBlock, toBlock, db) {
-    let allLogs = [];
-    const fromBlockBigInt = BigInt(fromBlock);
-    const toBlockBigInt = BigInt(toBlock);
+  async processEvents(fromBlock, toBlock, db, cursors = new Map()) {
+    const indexed = [];
+    const failed = [];
+
+    for (const source of getEventSources(this.env)) {
+      const cursor = getSourceCursor(source, cursors);
+      // Not seeded yet: the next scheduled run starts it at the chain head
+      if (cursor === null) continue;
+
+      const sourceFromBlock = Math.max(fromBlock, cursor + 1);
+      if (sourceFromBlock > toBlock) {
+        indexed.push(source.id);
+        continue;
+      }
 
-    // Fetch logs for NFTExchange contract
-    if (this.env.CONTRACT_ADDRESS) {
+      let logs;
       try {
-        const nftExchangeLogs = await this.client.getLogs({
-          address: this.env.CONTRACT_ADDRESS, // Already a string, no need for .toLowerCase() here
-          fromBlock: fromBlockBigInt,
-          toBlock: toBlockBigInt
-        });
-        if (nftExchangeLogs) {
-          allLogs = allLogs.concat(nftExchangeLogs.map(log => ({ ...log, _sourceContract: 'NFTExchange' })));
-        }
-        // console.log(`Fetched ${nftExchangeLogs ? nftExchangeLogs.length : 0} logs for NFTExchange from ${fromBlock}-${toBlock}`);
+        logs = await this.getSourceLogs(source, sourceFromBlock, toBlock, db);
       } catch (error) {
-        console.error(`Error fetching NFTExchange logs for blocks ${fromBlock}-${toBlock}:`, error);
+        console.error(`Error fetching ${source.name} logs for blocks ${sourceFromBlock}-${toBlock}:`, error);
+        failed.push({ source: source.id, error });
+        continue;
       }
-    }
 
-    // Fetch logs for Seaport contract
-    if (this.env.SEAPORT_CONTRACT_ADDRESS) {
+      // Sort by blockNumber and then logIndex to ensure chronological processing
+      logs.sort((a, b) => {
+        if (BigInt(a.blockNumber) === BigInt(b.blockNumber)) {
+          return a.logIndex - b.logIndex;
+        }
+        return Number(BigInt(a.blockNumber) - BigInt(b.blockNumber)); // Convert subtraction to Number for sort
+      });
+
       try {
-        const seaportLogs = await this.client.getLogs({
-          address: this.env.SEAPORT_CONTRACT_ADDRESS, // Already a string
-          // No specific `events` topics needed here, decodeAndProcessLog will handle it by address
-          fromBlock: fromBlockBigInt,
-          toBlock: toBlockBigInt
-        });
-        if (seaportLogs) {
-          allLogs = allLogs.concat(seaportLogs.map(log => ({ ...log, _sourceContract: 'Seaport' })));
+        if (logs.length > 0) {
+          await source.handleLogs(this, logs, db);
         }
-        // console.log(`Fetched ${seaportLogs ? seaportLogs.length : 0} logs for Seaport from ${fromBlock}-${toBlock}`);
+        indexed.push(source.id);
       } catch (error) {
-        console.error(`Error fetching Seaport logs for blocks ${fromBlock}-${toBlock}:`, error);
+        console.error(`Error processing ${source.name} logs for blocks ${sourceFromBlock}-${toBlock}:`, error);
+        failed.push({ source: source.id, error });
       }
     }
-    
-    if (allLogs.length === 0) {
-      // console.log(`No logs found from any contract for blocks ${fromBlock} to ${toBlock}`);
-      return;
-    }
 
-    // Sort all logs by blockNumber and then logIndex to ensure chronological processing
-    allLogs.sort((a, b) => {
-      if (BigInt(a.blockNumber) === BigInt(b.blockNumber)) {
-        return a.logIndex - b.logIndex;
-      }
-      return Number(BigInt(a.blockNumber) - BigInt(b.blockNumber)); // Convert subtraction to Number for sort
+    return { indexed, failed };
+  }
+
+  /**
+   * Fetch a source's logs for a range of blocks, decoded with its ABI
+   */
+  async getSourceLogs(source, fromBlock, toBlock, db) {
+    const addresses = (await source.getAddresses(this.env, db)).filter(Boolean);
+    if (addresses.length === 0) return [];
+
+    const events = source.abi.filter(item => item.type === 'event');
+    const args = source.getArgs ? await source.getArgs(this.env) : null;
+    return await this.client.getLogs({
+      address: addresses.length === 1 ? addresses[0] : addresses,
+      // Indexed arguments can only be matched against a single event
+      ...(args ? { event: events[0], args } : { events }),
+      fromBlock: BigInt(fromBlock),
+      toBlock: BigInt(toBlock)
     });
+  }
 
-    // console.log(`Processing ${allLogs.length} total sorted logs from blocks ${fromBlock} to ${toBlock}`);
+  /**
+   * Store and process NFTExchange or Seaport logs one by one, leaving out the Seaport
+   * logs for other marketplaces' orders. A log that fails is reported and the rest
+   * of the range carries on
+   */
+  async processMarketplaceLogs(logs, db) {
+    const decodedLogs = await this.decodeMarketplaceLogs(logs, db);
+    await this.loadBlockTimestamps(decodedLogs.map(({ log }) => log));
 
-    for (const log of allLogs) {
+    for (const { log, decoded } of decodedLogs) {
       try {
-        // decodeAndProcessLog will use log.address to determine how to decode
-        await this.decodeAndProcessLog(log, db);
+        await this.storeAndProcessLog(log, decoded, db);
       } catch (error) {
         // Log individual log processing errors and continue with the next log
-        console.error(`Error processing log (tx: ${log.transactionHash}, index: ${log.logIndex}, source: ${log._sourceContract}):`, error);
+        console.error(`Error processing log (tx: ${log.transactionHash}, index: ${log.logIndex}, address: ${log.address}):`, error);
       }
     }
   }
 
+  /**
+   * Re-check listings whose token moved in or out of the seller's wallet. A
+   * transfer out makes the Seaport order unfillable; a transfer back can make an
+   * inactive listing fillable again
+   * @param {Object[]} logs - Decoded Transfer, TransferSingle and TransferBatch logs
+   */
+  async processListedTokenTransfers(logs, db) {
+    // Every (token, wallet) pair a transfer touched
+    const touched = new Set();
+    const contracts = new Set();
+    for (const log of logs) {
+      const { eventName, args } = log;
+      if (!args) continue;
+      const tokenIds = eventName === 'Transfer' ? [args.tokenId]
+        : eventName === 'TransferSingle' ? [args.id]
+        : eventName === 'TransferBatch' ? (args.ids || [])
+        : [];
+      for (const tokenId of tokenIds) {
+        if (tokenId === undefined) continue;
+        contracts.add(log.address.toLowerCase());
+        for (const wallet of [args.from, args.to]) {
+          if (wallet) touched.add(`${log.address.toLowerCase()}:${tokenId.toString()}:${wallet.toLowerCase()}`);
+        }
+      }
+    }
+    if (touched.size === 0) return;
+
+    const listings = await db.getOpenSeaportListingsForContracts([...contracts]);
+    for (const listing of listings) {
+      const tokens = await db.getListingTokens(listing);
+      const affected = tokens.some(token =>
+        touched.has(`${token.nft_contract.toLowerCase()}:${token.token_id}:${listing.seller_address.toLowerCase()}`)
+      );
+      if (!affected) continue;
+
+      try {
+        const { inactiveReason } = await this.refreshListingFillability(listing, db);
+        console.log(`Listing ${listing.id} re-checked after a transfer: ${inactiveReason ? `inactive (${inactiveReason})` : 'active'}`);
+      } catch (error) {
+        console.error(`Error re-checking listing ${listing.id} after a transfer:`, error);
+      }
+    }
+  }
+
+  /**
+   * Re-check the funding of open offers whose bidder changed their USDC approval
+   * for the Seaport conduit, so revoking it hides their offers straight away
+   * @param {Object[]} logs - Decoded Approval logs with the conduit as spender
+   */
+  async processConduitApprovals(logs, db) {
+    const owners = [...new Set(logs.map(log => log.args?.owner?.toLowerCase()).filter(Boolean))];
+    if (owners.length === 0) return;
+
+    const offers = await db.getOpenSeaportOffersForBuyers(owners);
+    if (offers.length === 0) return;
+
+    const { checkOffersFunding } = await import('./utils/offer-funding.js');
+    const funding = await checkOffersFunding(this.env, this.client, offers);
+    await db.setOffersFunding(funding);
+    console.log(`Re-checked funding of ${funding.size} offers after conduit approvals`);
+  }
+
+  /**
+   * Check on chain whether the seller can still fill a Seaport listing, and mark
+   * it inactive or active again to match
+   * @returns {Promise<{ wasInactive: boolean, inactiveReason: string|null }>}
+   */
+  async refreshListingFillability(listing, db) {
+    const { checkOffererHoldings } = await import('./utils/seaport.js');
+    const orderData = JSON.parse(listing.order_parameters);
+    const parameters = orderData.parameters || orderData;
+
+    // Buyers can take part of a partially fillable order, so one copy is enough to keep it up
+    const isPartial = Number(parameters.orderType) === 1 /* PARTIAL_OPEN */ || Number(parameters.orderType) === 3 /* PARTIAL_RESTRICTED */;
+    const holdings = await checkOffererHoldings(this.env, this.client, parameters, { anyPart: isPartial });
+    let inactiveReason = holdings.valid ? null : holdings.reason;
+
+    // A listing the seller has since replaced with a new one for the same token stays hidden
+    if (!inactiveReason && listing.inactive_at) {
+      for (const token of await db.getListingTokens(listing)) {
+        const activeListing = await db.findActiveListingForToken(token.nft_contract, token.token_id);
+        if (activeListing && activeListing.id !== listing.id) {
+          inactiveReason = listing.inactive_reason;
+          break;
+        }
+      }
+    }
+
+    await db.setListingFillability(listing.id, inactiveReason);
+    return { wasInactive: !!listing.inactive_at, inactiveReason };
+  }
+
   /**
    * Decode Seaport OrderFulfilled event log
    */
@@ -555,7 +707,8 @@ export class BlockchainService {
         eventName: 'OrderFulfilled',
         strict: false
       })
-      if (!decoded || !decoded.args) return null
+      // viem decodes whichever event the topics name, whatever eventName says, so check it
+      if (!decoded || !decoded.args || decoded.eventName !== 'OrderFulfilled') return null
 
       const { orderHash, offerer, zone, recipient, offer, consideration } = decoded.args
       return {
@@ -588,75 +741,156 @@ export class BlockchainService {
     // First check if this orderHash exists in our database
     const listing = await db.db.prepare("SELECT * FROM listings WHERE order_hash = ? AND contract_type = 'seaport'").bind(orderHash).first()
     if (!listing) {
-      // This is not our listing, ignore it silently
+      // Not a listing - it may be one of our USDC offers being accepted
+      await this.processSeaportOfferFulfilled(decodedEvent, db)
       return
     }
 
     // Determine if this is a sale (NFT transferred from offerer) or purchase
-    const nftItem = offer.find(item => item.itemType === 2 || item.itemType === 3) // ERC721 or ERC1155
+    // A bundle listing offers several NFTs in the one order
+    const nftItems = offer.filter(item => item.itemType === 2 || item.itemType === 3) // ERC721 or ERC1155
     
-    if (nftItem) {
+    if (nftItems.length > 0) {
       // This is a sale - the offerer is selling an NFT
-      const USDC_ADDRESS = this.env.USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
-      
-      // Calculate total price from consideration items
-      let totalPrice = 0
-      for (const item of consideration) {
-        if (item.itemType === 1 && item.token.toLowerCase() === USDC_ADDRESS.toLowerCase() && 
-            item.recipient.toLowerCase() === offerer.toLowerCase()) {
-          totalPrice += Number(item.amount) / 1e6 // USDC has 6 decimals
-        }
-      }
+      // Calculate total price from the consideration items paid to the seller, in the listing's currency
+      const { amount: totalPrice } = getPaymentAmount(
+        consideration.filter(item => item.recipient.toLowerCase() === offerer.toLowerCase()),
+        this.env,
+        'amount'
+      )
 
       // Find buyer address - the one who receives the NFT (not necessarily recipient)
       // In a direct sale, recipient might be the buyer, but in complex orders it could be different
       const buyerAddress = recipient
 
       // Resolve buyer FID
-      let buyerFid = null
-      if (this.neynar) {
-        const users = await this.neynar.fetchUsersByAddress(buyerAddress)
-        if (users.length > 0) {
-          buyerFid = users[0].fid
-          
-          // Ensure user exists in our database
-          const existingUser = await db.getUser(buyerFid)
-          if (!existingUser) {
-            await db.createOrUpdateUser({
-              fid: buyerFid,
-              username: users[0].username,
-              display_name: users[0].display_name,
-              pfp_url: users[0].pfp_url
-            })
-          }
-        }
+      const buyerFid = await this.resolveUserFid(buyerAddress, db, decodedEvent)
+
+      if (listing.quantity > 1) {
+        // ERC1155 quantity listing: track the copies left instead of marking it sold outright.
+        // They're counted from the stored fills: all of them when indexing, since block ranges
+        // are indexed out of order, and those up to this one in a replay, which runs in order
+        const filled = await db.getOrderFilledQuantity(orderHash, decodedEvent.replayed ? {
+          blockNumber: decodedEvent.blockNumber,
+          logIndex: Number(decodedEvent.logIndex)
+        } : null)
+        await db.recordSeaportListingFill({
+          orderHash,
+          quantityRemaining: Math.max(listing.quantity - filled, 0),
+          buyerAddress,
+          buyerFid,
+          saleTxHash: transactionHash,
+          blockNumber: decodedEvent.blockNumber
+        })
+      } else {
+        // Mark the listing as sold
+        await db.markSeaportListingSoldByOrderHash({
+          orderHash,
+          buyerAddress,
+          buyerFid,
+          saleTxHash: transactionHash,
+          contractType: 'seaport',
+          totalPriceFromEvent: totalPrice,
+          blockNumber: decodedEvent.blockNumber
+        })
       }
 
-      // Mark the listing as sold
-      await db.markSeaportListingSoldByOrderHash({
-        orderHash,
-        buyerAddress,
-        buyerFid,
-        saleTxHash: transactionHash,
-        contractType: 'seaport',
-        totalPriceFromEvent: totalPrice
-      })
+      // Record activity, one sale per token with the bundle price split evenly
+      for (const nftItem of nftItems) {
+        await db.deleteExternalSales(transactionHash, nftItem.token, nftItem.identifier.toString())
+        await db.recordActivity({
+          type: 'sale',
+          actor_fid: buyerFid,
+          actor_address: buyerAddress,
+          nft_contract: nftItem.token,
+          token_id: nftItem.identifier.toString(),
+          price: totalPrice / nftItems.length,
+          metadata: JSON.stringify({ 
+            order_hash: orderHash,
+            seller_address: offerer,
+            contract_type: 'seaport',
+            ...(nftItems.length > 1 && { bundle: true, bundle_price: totalPrice, item_count: nftItems.length }),
+            ...(listing.quantity > 1 && { quantity: Number(nftItem.amount), unit_price: totalPrice / Number(nftItem.amount) })
+          }),
+          tx_hash: transactionHash,
+          contract_type: 'seaport',
+          currency: listing.currency
+        })
+      }
+    }
+  }
+
+  /**
+   * Record a fill of a Seaport order that isn't ours as an external_sale, when it
+   * trades a collection listed on the marketplace, so its price history includes
+   * sales made on OpenSea and other Seaport frontends
+   */
+  async processExternalSeaportFill(decodedEvent, db) {
+    const { orderHash, offerer, zone, recipient, offer, consideration, transactionHash } = decodedEvent
+
+    const isNft = item => item.itemType === 2 || item.itemType === 3 // ERC721 or ERC1155
+    const isPayment = item => item.itemType === 0 || item.itemType === 1 // Native or ERC20
+
+    // A listing offers the NFTs and is paid through its consideration; a bid offers
+    // the payment and takes the NFTs in its consideration
+    let nftItems, paymentItems, sellerAddress, buyerAddress
+    if (offer.some(isNft)) {
+      nftItems = offer.filter(isNft)
+      paymentItems = consideration.filter(isPayment)
+      sellerAddress = offerer
+      buyerAddress = recipient
+    } else {
+      nftItems = consideration.filter(item => isNft(item) && item.recipient.toLowerCase() === offerer.toLowerCase())
+      paymentItems = offer.filter(isPayment)
+      sellerAddress = recipient
+      buyerAddress = offerer
+    }
+    // Counter-orders in a match can trade the NFT with nothing paid on their side
+    if (nftItems.length === 0 || paymentItems.length === 0) return
+
+    const tracked = await db.getTrackedCollections([...new Set(nftItems.map(item => item.token.toLowerCase()))])
+    if (tracked.length === 0) return
+
+    let payment
+    try {
+      // The whole amount the buyer paid, fees and royalties included
+      payment = getPaymentAmount(paymentItems, this.env, 'amount')
+    } catch (error) {
+      console.log(`Skipping external Seaport fill ${orderHash}: ${error.message}`)
+      return
+    }
+    if (!payment.currency || payment.amount === 0) return
+
+    const { getSeaportVenue } = await import('./utils/seaport.js')
+    const venue = getSeaportVenue(this.env, { zone, consideration })
+    const buyerFid = await this.resolveUserFid(buyerAddress, db, decodedEvent)
+
+    for (const nftItem of nftItems) {
+      if (!tracked.includes(nftItem.token.toLowerCase())) continue
+      const tokenId = nftItem.identifier.toString()
+
+      // Both orders of a match fill the same token; the first one recorded stands
+      if (await db.findSaleActivity(transactionHash, nftItem.token, tokenId)) continue
 
-      // Record activity
       await db.recordActivity({
-        type: 'sale',
+        type: 'external_sale',
         actor_fid: buyerFid,
         actor_address: buyerAddress,
         nft_contract: nftItem.token,
-        token_id: nftItem.identifier,
-        price: totalPrice,
-        metadata: JSON.stringify({ 
+        token_id: tokenId,
+        price: payment.amount / nftItems.length,
+        metadata: JSON.stringify({
           order_hash: orderHash,
-          seller_address: offerer,
-          contract_type: 'seaport'
+          seller_address: sellerAddress,
+          venue,
+          zone,
+          contract_type: 'seaport',
+          ...(nftItems.length > 1 && { bundle: true, bundle_price: payment.amount, item_count: nftItems.length }),
+          ...(nftItem.itemType === 3 && { quantity: Number(nftItem.amount) })
         }),
         tx_hash: transactionHash,
-        contract_type: 'seaport'
+        contract_type: 'seaport',
+        currency: payment.currency
       })
     }
   }
@@ -673,7 +907,7 @@ export class BlockchainService {
         eventName: 'OrderCancelled',
         strict: false
       })
-      if (!decoded || !decoded.args) return null
+      if (!decoded || !decoded.args || decoded.eventName !== 'OrderCancelled') return null
 
       const { orderHash, offerer, zone } = decoded.args
       return {
@@ -703,9 +937,12 @@ export class BlockchainService {
     // First check if this orderHash exists in our database
     const listing = await db.db.prepare("SELECT * FROM listings WHERE order_hash = ? AND contract_type = 'seaport'").bind(orderHash).first()
     if (!listing) {
-      // This is not our listing, ignore it silently
+      // Not a listing - it may be one of our USDC offers being withdrawn
+      await this.processSeaportOfferCancelled(decodedEvent, db)
       return
     }
+    // A price edit already retired this order; its replacement recorded a 'price_changed' activity
+    if (listing.superseded_by) return
 
     // Cancel the Seaport listing
     const cancelData = {
@@ -730,13 +967,256 @@ export class BlockchainService {
             contract_type: 'seaport'
         }),
         tx_hash: transactionHash,
-        contract_type: 'seaport'
+        contract_type: 'seaport',
+        currency: listing.currency
       })
     } else {
         console.warn(`Could not find listing for orderHash ${orderHash} to record cancel activity.`)
     }
   }
 
+  /**
+   * Decode Seaport CounterIncremented event log
+   */
+  decodeSeaportCounterIncremented(log) {
+    try {
+      const decoded = decodeEventLog({
+        abi: SEAPORT_ABI,
+        data: log.data,
+        topics: log.topics,
+        eventName: 'CounterIncremented',
+        strict: false
+      })
+      if (!decoded || !decoded.args || decoded.eventName !== 'CounterIncremented') return null
+
+      const { newCounter, offerer } = decoded.args
+      return {
+        eventName: decoded.eventName,
+        newCounter,
+        offerer,
+        blockNumber: Number(log.blockNumber),
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        log: log
+      }
+    } catch (error) {
+      // Silently ignore unknown event signatures and other decoding errors
+      return null
+    }
+  }
+
+  /**
+   * Process Seaport CounterIncremented event.
+   * incrementCounter cancels every order the offerer signed before it, so all of
+   * their open listings and offers with an older counter are cancelled here
+   * @returns {Promise<{ listings: Array, offers: Array }>} The cancelled rows
+   */
+  async processSeaportCounterIncremented(decodedEvent, db) {
+    const { newCounter, offerer, blockNumber, transactionHash } = decodedEvent
+
+    await db.setSeaportCounter({
+      offerer,
+      counter: newCounter.toString(),
+      blockNumber,
+      txHash: transactionHash
+    })
+
+    const cancelled = await db.cancelStaleSeaportOrders(offerer, newCounter, transactionHash)
+
+    for (const listing of cancelled.listings) {
+      await db.recordActivity({
+        type: 'listing_cancelled',
+        actor_fid: listing.seller_fid,
+        actor_address: offerer,
+        nft_contract: listing.nft_contract,
+        token_id: listing.token_id,
+        price: listing.price,
+        metadata: JSON.stringify({
+          orderHash: listing.order_hash,
+          contract_type: 'seaport',
+          reason: 'counter_incremented'
+        }),
+        tx_hash: transactionHash,
+        contract_type: 'seaport',
+        currency: listing.currency
+      })
+    }
+
+    for (const offer of cancelled.offers) {
+      await db.recordActivity({
+        type: 'offer_cancelled',
+        actor_fid: offer.buyer_fid,
+        actor_address: offerer,
+        nft_contract: offer.nft_contract,
+        token_id: offer.token_id,
+        price: offer.amount,
+        metadata: JSON.stringify({
+          offer_id: offer.id,
+          order_hash: offer.order_hash,
+          contract_type: 'seaport',
+          reason: 'counter_incremented'
+        }),
+        tx_hash: transactionHash,
+        contract_type: 'seaport',
+        currency: offer.currency
+      })
+    }
+
+    if (cancelled.listings.length > 0 || cancelled.offers.length > 0) {
+      console.log(`Counter incremented for ${offerer}: cancelled ${cancelled.listings.length} listings and ${cancelled.offers.length} offers`)
+    }
+    return cancelled
+  }
+
+  /**
+   * Process Seaport OrderFulfilled event for one of our USDC offers.
+   * The bidder is the offerer; the NFT owner fulfilled the order and received the USDC.
+   */
+  async processSeaportOfferFulfilled(decodedEvent, db) {
+    const { orderHash, offerer, recipient, consideration, transactionHash } = decodedEvent
+
+    const offer = await db.db.prepare("SELECT * FROM offers WHERE order_hash = ? AND contract_type = 'seaport'").bind(orderHash).first()
+    if (!offer) {
+      // Not our order. Fills on other Seaport frontends are only recorded when opted in
+      if (this.env.INDEX_EXTERNAL_SALES === 'true') {
+        await this.processExternalSeaportFill(decodedEvent, db)
+      }
+      return
+    }
+
+    const sellerAddress = recipient
+    const sellerFid = await this.resolveUserFid(sellerAddress, db, decodedEvent)
+
+    // Collection and trait offers resolve to whichever token the owner supplied
+    const nftItem = consideration?.find(item => item.token.toLowerCase() === offer.nft_contract.toLowerCase())
+    const filledTokenId = nftItem ? nftItem.identifier.toString() : offer.token_id
+
+    await db.markSeaportOfferAcceptedByOrderHash({
+      orderHash,
+      sellerAddress,
+      sellerFid,
+      acceptTxHash: transactionHash,
+      filledTokenId
+    })
+
+    // The counter-order matched against ours may have been recorded as an external sale first
+    await db.deleteExternalSales(transactionHash, offer.nft_contract, filledTokenId)
+
+    await db.recordActivity({
+      type: 'offer_accepted',
+      actor_fid: sellerFid,
+      actor_address: sellerAddress,
+      nft_contract: offer.nft_contract,
+      token_id: filledTokenId,
+      price: offer.amount,
+      metadata: JSON.stringify({
+        offer_id: offer.id,
+        order_hash: orderHash,
+        buyer: offerer,
+        buyer_fid: offer.buyer_fid,
+        contract_type: 'seaport'
+      }),
+      tx_hash: transactionHash,
+      contract_type: 'seaport',
+      currency: offer.currency
+    })
+  }
+
+  /**
+   * Process Seaport OrderCancelled event for one of our USDC offers
+   */
+  async processSeaportOfferCancelled(decodedEvent, db) {
+    const { orderHash, cancellerAddress, transactionHash } = decodedEvent
+
+    const offer = await db.db.prepare("SELECT * FROM offers WHERE order_hash = ? AND contract_type = 'seaport'").bind(orderHash).first()
+    if (!offer) {
+      // This is not our order, ignore it silently
+      return
+    }
+
+    await db.cancelSeaportOfferByOrderHash({
+      orderHash,
+      cancellerAddress,
+      cancelTxHash: transactionHash
+    })
+
+    await db.recordActivity({
+      type: 'offer_cancelled',
+      actor_fid: offer.buyer_fid,
+      actor_address: cancellerAddress,
+      nft_contract: offer.nft_contract,
+      token_id: offer.token_id,
+      price: offer.amount,
+      metadata: JSON.stringify({
+        offer_id: offer.id,
+        order_hash: orderHash,
+        contract_type: 'seaport'
+      }),
+      tx_hash: transactionHash,
+      contract_type: 'seaport',
+      currency: offer.currency
+    })
+  }
+
+  /**
+   * Resolve an address to a FID via Neynar, making sure the user exists in our database.
+   * The result is noted on the event and stored with it, so a replay reuses it
+   * rather than asking Neynar again, whose answer may have changed since
+   * @param {string} address - Address to resolve
+   * @param {Object} db - Database
+   * @param {Object} [event] - Decoded event the address comes from
+   */
+  async resolveUserFid(address, db, event = null) {
+    if (!address) return null
+    const key = address.toLowerCase()
+    if (event?.fids?.has(key)) return event.fids.get(key)
+    if (event?.replayed || !this.neynar) return null
+
+    const users = await this.neynar.fetchUsersByAddress(address)
+    const fid = users.length > 0 ? users[0].fid : null
+    if (fid !== null) {
+      const existingUser = await db.getUser(fid)
+      if (!existingUser) {
+        await db.createOrUpdateUser({
+          fid,
+          username: users[0].username,
+          display_name: users[0].display_name,
+          pfp_url: users[0].pfp_url
+        })
+      }
+    }
+    event?.fids?.set(key, fid)
+    return fid
+  }
+
+  /**
+   * Timestamp of the block a log is in, as SQLite stores CURRENT_TIMESTAMP
+   */
+  async getBlockTimestamp(log) {
+    const blockNumber = BigInt(log.blockNumber)
+    if (!this.blockTimestamps.has(blockNumber)) {
+      // Some RPCs return the block's timestamp with each log, saving the lookup
+      const seconds = hasBlockTimestamp(log)
+        ? BigInt(log.blockTimestamp)
+        : (await this.client.getBlock({ blockNumber })).timestamp
+      this.blockTimestamps.set(blockNumber, formatBlockTimestamp(seconds))
+    }
+    return this.blockTimestamps.get(blockNumber)
+  }
+
+  /**
+   * Fetch the timestamps of the logs' blocks that aren't known yet, all in one
+   * batch request, so getBlockTimestamp finds them cached
+   */
+  async loadBlockTimestamps(logs) {
+    const blockNumbers = [...new Set(logs
+      .filter(log => !hasBlockTimestamp(log))
+      .map(log => BigInt(log.blockNumber))
+      .filter(blockNumber => !this.blockTimestamps.has(blockNumber)))]
+    const blocks = await Promise.all(blockNumbers.map(blockNumber => this.client.getBlock({ blockNumber })))
+    blocks.forEach((block, i) => this.blockTimestamps.set(blockNumbers[i], formatBlockTimestamp(block.timestamp)))
+  }
+
   /**
    * Decode Seaport OrdersMatched event log
    */
@@ -749,7 +1229,7 @@ export class BlockchainService {
         eventName: 'OrdersMatched',
         strict: false
       })
-      if (!decoded || !decoded.args) return null
+      if (!decoded || !decoded.args || decoded.eventName !== 'OrdersMatched') return null
 
       const { orderHashes } = decoded.args
       return {
@@ -4,6 +4,50 @@
  */
 
 import { formatActivityTimestamps } from './utils/timestamp.js'
+import { currentPriceSql } from './utils/dutch-auction.js'
+import { DEFAULT_CURRENCY, currencyRateJoin, usdPriceSql } from './utils/currency.js'
+
+// Seconds before a webhook delivery still marked 'processing' is taken to have died
+const WEBHOOK_CLAIM_TIMEOUT = 300
+
+// Offers received by an owner: the owner is whoever our latest listing record
+// for the token points at (the buyer if it sold, otherwise the seller).
+// Collection and trait offers (no token_id) are received by anyone owning a
+// qualifying token in the collection. Binds the owner FID once.
+function offerOwnerCondition(alias) {
+  return `EXISTS (
+    SELECT 1 FROM listings lo
+    WHERE lo.nft_contract = ${alias}.nft_contract
+      AND (${alias}.token_id IS NULL OR lo.token_id = ${alias}.token_id)
+      AND (${alias}.criteria_root IS NULL OR lo.token_id IN (
+        SELECT ct.token_id FROM criteria_tokens ct WHERE ct.criteria_root = ${alias}.criteria_root
+      ))
+      AND lo.id = (
+        SELECT id FROM listings lr
+        WHERE lr.nft_contract = lo.nft_contract
+          AND lr.token_id = lo.token_id
+        ORDER BY lr.created_at DESC
+        LIMIT 1
+      )
+      AND (CASE WHEN lo.sold_at IS NOT NULL THEN lo.buyer_fid ELSE lo.seller_fid END) = ?
+  )`
+}
+
+// Decoded arguments of an indexed event as JSON. NFTExchange events keep viem's
+// args; the Seaport decoders flatten theirs onto the event. uint256s become strings
+function serializeEventArgs(decodedEvent) {
+  const { eventName, args, blockNumber, blockTimestamp, transactionHash, logIndex, log, fids, replayed, ...fields } = decodedEvent
+  return JSON.stringify(args || fields, (key, value) => typeof value === 'bigint' ? value.toString() : value)
+}
+
+// Transactions behind events indexed from a block on. Binds the block once
+const CHAIN_EVENT_TXS_SINCE = 'SELECT tx_hash FROM chain_events WHERE block_number >= ?'
+
+// Activity the indexer records from chain events, and so reverts and replays. Other
+// types can share a transaction hash (a price edit's price_changed carries the
+// cancel transaction) but aren't recreated by a replay, so they're left alone
+const CHAIN_ACTIVITY_TYPES = ['listing_created', 'sale', 'listing_cancelled', 'offer_made', 'offer_accepted', 'offer_cancelled', 'external_sale']
+const CHAIN_ACTIVITY_TYPES_SQL = CHAIN_ACTIVITY_TYPES.map(type => `'${type}'`).join(', ')
 
 export class Database {
   constructor(db) {
@@ -39,21 +83,26 @@ export class Database {
   async getListing(listingId) {
     return await this.db
       .prepare(`
-        SELECT l.*, u.username, u.display_name, u.pfp_url
+        SELECT l.*, u.username, u.display_name, u.pfp_url, pb.username as private_buyer_username
         FROM listings l
         LEFT JOIN users u ON u.fid = l.seller_fid
+        LEFT JOIN users pb ON pb.fid = l.private_buyer_fid
         WHERE l.id = ?
       `)
       .bind(listingId)
       .first()
   }
 
-  async getActiveListings({ page = 1, limit = 20, sort = 'recent', sellerFid = null, search = null, contractType = null }) {
+  // Private listings only show up for their seller and designated buyer, passed as viewerFid.
+  // Inactive listings (the seller can't currently fill them) are left out unless includeInactive
+  async getActiveListings({ page = 1, limit = 20, sort = 'recent', sellerFid = null, search = null, contractType = null, minPrice = null, maxPrice = null, viewerFid = null, privateBuyerFid = null, includeInactive = false }) {
     const offset = (page - 1) * limit
     let orderBy = 'l.created_at DESC' // Default to l.created_at for listings
     
-    if (sort === 'price_low') orderBy = 'l.price ASC'
-    else if (sort === 'price_high') orderBy = 'l.price DESC'
+    // Dutch auctions sort and filter on their current, declining price,
+    // converted to USD so ETH and USDC listings interleave
+    if (sort === 'price_low') orderBy = 'usd_price ASC'
+    else if (sort === 'price_high') orderBy = 'usd_price DESC'
     // Add other sort options as needed, e.g., 'l.expiry ASC' for ending soon
     
     // Build WHERE conditions
@@ -62,6 +111,9 @@ export class Database {
       'l.cancelled_at IS NULL',
       "l.expiry > datetime('now')"
     ]
+    if (!includeInactive) {
+      conditions.push('l.inactive_at IS NULL')
+    }
     
     const params = []
 
@@ -69,6 +121,18 @@ export class Database {
       conditions.push('l.seller_fid = ?')
       params.push(sellerFid)
     }
+
+    if (viewerFid) {
+      conditions.push('(l.private_buyer_fid IS NULL OR l.seller_fid = ? OR l.private_buyer_fid = ?)')
+      params.push(viewerFid, viewerFid)
+    } else {
+      conditions.push('l.private_buyer_fid IS NULL')
+    }
+
+    if (privateBuyerFid) {
+      conditions.push('l.private_buyer_fid = ?')
+      params.push(privateBuyerFid)
+    }
     
     if (search) {
       conditions.push('(LOWER(l.name) LIKE ? OR LOWER(l.description) LIKE ?)')
@@ -79,13 +143,26 @@ export class Database {
       conditions.push('l.contract_type = ?')
       params.push(contractType)
     }
+
+    // Price filters are in USD
+    if (minPrice !== null) {
+      conditions.push(`${usdPriceSql(currentPriceSql('l'))} >= ?`)
+      params.push(minPrice)
+    }
+
+    if (maxPrice !== null) {
+      conditions.push(`${usdPriceSql(currentPriceSql('l'))} <= ?`)
+      params.push(maxPrice)
+    }
     
     const whereClause = `WHERE ${conditions.join(' AND ')}`
     
     const query = `
-      SELECT l.*, u.username, u.display_name, u.pfp_url
+      SELECT l.*, ${currentPriceSql('l')} as current_price, ${usdPriceSql(currentPriceSql('l'))} as usd_price,
+             u.username, u.display_name, u.pfp_url
       FROM listings l
       LEFT JOIN users u ON u.fid = l.seller_fid
+      ${currencyRateJoin('l')}
       ${whereClause}
       ORDER BY ${orderBy}
       LIMIT ? OFFSET ?
@@ -101,14 +178,19 @@ export class Database {
     // For totalQuery, params should not include limit and offset
     const totalParams = []
     if (sellerFid) totalParams.push(sellerFid)
+    if (viewerFid) totalParams.push(viewerFid, viewerFid)
+    if (privateBuyerFid) totalParams.push(privateBuyerFid)
     if (search) {
       totalParams.push(`%${search.toLowerCase()}%`, `%${search.toLowerCase()}%`)
     }
     if (contractType) totalParams.push(contractType)
+    if (minPrice !== null) totalParams.push(minPrice)
+    if (maxPrice !== null) totalParams.push(maxPrice)
 
     const totalQuery = `
       SELECT COUNT(*) as count
       FROM listings l
+      ${currencyRateJoin('l')}
       ${whereClause}
     `
 
@@ -136,19 +218,14 @@ export class Database {
       nft_contract,
       token_id,
       price,
-      expiry,
-      metadata_uri,
-      image_url,
-      name,
-      description,
       tx_hash,
       contract_type = 'nft_exchange', // Default to 'nft_exchange'
-      order_hash,
-      order_parameters,
-      zone_address,
-      conduit_key,
-      salt,
-      counter
+      end_price,
+      listing_type = 'single',
+      items = [],
+      quantity = 1,
+      private_buyer_fid = null,
+      currency = DEFAULT_CURRENCY
     } = listingData
     
     // Check if listing already exists with this blockchain_listing_id
@@ -168,30 +245,106 @@ export class Database {
     }
     
     // Also check if there's an active listing for this NFT
-    const activeListing = await this.db
-      .prepare(`
-        SELECT id FROM listings 
-        WHERE nft_contract = ? 
-          AND token_id = ?
-          AND sold_at IS NULL
-          AND cancelled_at IS NULL
-          AND expiry > datetime('now')
-      `)
-      .bind(nft_contract.toLowerCase(), token_id)
-      .first()
+    const activeListing = await this.findActiveListingForToken(nft_contract, token_id)
     
     if (activeListing) {
       console.log(`Active listing already exists for ${nft_contract} #${token_id}`)
       return { meta: { last_row_id: activeListing.id } }
     }
     
-    const result = await this.db
+    const result = await this.listingInsertStatement(listingData).run()
+
+    if (items.length > 0) {
+      await this.db.batch(items.map((item, position) =>
+        this.db
+          .prepare(`
+            INSERT INTO listing_items (listing_id, nft_contract, token_id, item_type, position, name, image_url)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `)
+          .bind(
+            result.meta.last_row_id,
+            item.nft_contract.toLowerCase(),
+            item.token_id,
+            item.item_type ?? 2,
+            position,
+            item.name || null,
+            item.image_url || null
+          )
+      ))
+    }
+    
+    // Private listings stay out of the public activity feed
+    if (private_buyer_fid) {
+      return result
+    }
+    
+    // Record activity
+    await this.recordActivity({
+      type: 'listing_created',
+      actor_fid: seller_fid,
+      actor_address: seller_address,
+      nft_contract,
+      token_id,
+      price,
+      metadata: JSON.stringify({
+        listing_id: result.meta.last_row_id,
+        contract_type, // Added contract_type to metadata
+        ...(end_price != null && { auction_type: 'dutch', end_price }),
+        ...(listing_type === 'bundle' && { listing_type, item_count: items.length }),
+        ...(quantity > 1 && { quantity })
+      }),
+      tx_hash,
+      contract_type, // Pass contract_type to recordActivity
+      currency
+    })
+    
+    return result
+  }
+
+  /**
+   * INSERT statement for a listings row. Passing guardSql (a condition with its own
+   * bind values) only inserts the row when the condition holds
+   */
+  listingInsertStatement(listingData, guardSql = '1', guardValues = []) {
+    const {
+      blockchain_listing_id,
+      seller_fid,
+      seller_address,
+      nft_contract,
+      token_id,
+      price,
+      expiry,
+      metadata_uri,
+      image_url,
+      name,
+      description,
+      tx_hash,
+      contract_type = 'nft_exchange',
+      order_hash,
+      order_parameters,
+      zone_address,
+      conduit_key,
+      salt,
+      counter,
+      end_price,
+      start_time,
+      listing_type = 'single',
+      quantity = 1,
+      private_buyer_fid = null,
+      private_buyer_address = null,
+      currency = DEFAULT_CURRENCY
+    } = listingData
+
+    return this.db
       .prepare(`
         INSERT INTO listings (
           blockchain_listing_id, seller_fid, seller_address, nft_contract, token_id,
           price, expiry, metadata_uri, image_url, name, description, tx_hash,
-          contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter,
+          end_price, start_time, listing_type, quantity, quantity_remaining,
+          private_buyer_fid, private_buyer_address, currency
+        ) SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+        WHERE ${guardSql}
       `)
       .bind(
         blockchain_listing_id || null,
@@ -212,24 +365,122 @@ export class Database {
         zone_address || null,
         conduit_key || null,
         salt || null,
-        counter || null
+        counter || null,
+        end_price ?? null,
+        start_time || null,
+        listing_type,
+        quantity,
+        quantity,
+        private_buyer_fid,
+        private_buyer_address ? private_buyer_address.toLowerCase() : null,
+        currency,
+        ...guardValues
       )
-      .run()
-    
-    // Record activity
-    await this.recordActivity({
-      type: 'listing_created',
-      actor_fid: seller_fid,
-      actor_address: seller_address,
-      nft_contract,
-      token_id,
-      price,
-      metadata: JSON.stringify({ listing_id: result.meta.last_row_id, contract_type }), // Added contract_type to metadata
-      tx_hash,
-      contract_type // Pass contract_type to recordActivity
-    })
-    
-    return result
+  }
+
+  /**
+   * Replace a single listing with a new one at a different price, e.g. a re-signed
+   * order. The new row is inserted and the old one cancelled and pointed at it in
+   * one batch, so the token is never listed twice or not at all. The old row may
+   * already be cancelled by cancelTxHash, when the indexer got to it first
+   * @param {Object} oldListing - The listing row being replaced
+   * @param {Object} listingData - The new listing, as for createListing
+   * @param {string|null} cancelTxHash - On-chain cancellation of the old order, if there was one
+   * @returns {Promise<Object|null>} The new listing row, or null if the old one was no longer active
+   */
+  async replaceListing(oldListing, listingData, cancelTxHash = null) {
+    const replaceable = `
+      id = ? AND sold_at IS NULL AND superseded_by IS NULL
+      AND (cancelled_at IS NULL OR LOWER(cancel_tx_hash) = LOWER(?))
+    `
+    const [insert] = await this.db.batch([
+      this.listingInsertStatement(
+        listingData,
+        `EXISTS (SELECT 1 FROM listings WHERE ${replaceable})`,
+        [oldListing.id, cancelTxHash]
+      ),
+      this.db
+        .prepare(`
+          UPDATE listings
+          SET cancelled_at = COALESCE(cancelled_at, CURRENT_TIMESTAMP),
+              cancel_tx_hash = COALESCE(cancel_tx_hash, ?),
+              superseded_by = (SELECT id FROM listings WHERE order_hash = ? ORDER BY id DESC LIMIT 1)
+          WHERE ${replaceable}
+        `)
+        .bind(cancelTxHash, listingData.order_hash, oldListing.id, cancelTxHash)
+    ])
+    if (insert.meta.changes === 0) {
+      return null
+    }
+
+    const newListing = await this.getListing(insert.meta.last_row_id)
+
+    // The token's price history lives in the activity feed; private listings stay out of it
+    if (!newListing.private_buyer_fid) {
+      await this.recordActivity({
+        type: 'price_changed',
+        actor_fid: newListing.seller_fid,
+        actor_address: newListing.seller_address,
+        nft_contract: newListing.nft_contract,
+        token_id: newListing.token_id,
+        price: newListing.price,
+        metadata: JSON.stringify({
+          listing_id: newListing.id,
+          previous_listing_id: oldListing.id,
+          previous_price: oldListing.price,
+          contract_type: newListing.contract_type
+        }),
+        tx_hash: cancelTxHash,
+        contract_type: newListing.contract_type,
+        currency: newListing.currency
+      })
+    }
+
+    return newListing
+  }
+
+  // Tokens of a bundle listing, in offer order
+  async getListingItems(listingId) {
+    const result = await this.db
+      .prepare(`
+        SELECT * FROM listing_items
+        WHERE listing_id = ?
+        ORDER BY position ASC
+      `)
+      .bind(listingId)
+      .all()
+
+    return result.results
+  }
+
+  // Tokens a listing sells: every item of a bundle, otherwise the listing's own token
+  async getListingTokens(listing) {
+    if (listing.listing_type !== 'bundle') {
+      return [{ nft_contract: listing.nft_contract, token_id: listing.token_id }]
+    }
+    return await this.getListingItems(listing.id)
+  }
+
+  // Active listing that includes this token, either on its own or as part of a bundle
+  async findActiveListingForToken(nftContract, tokenId) {
+    return await this.db
+      .prepare(`
+        SELECT l.id, l.listing_type FROM listings l
+        WHERE l.sold_at IS NULL
+          AND l.cancelled_at IS NULL
+          AND l.inactive_at IS NULL
+          AND l.expiry > datetime('now')
+          AND (
+            (l.nft_contract = ? AND l.token_id = ?)
+            OR EXISTS (
+              SELECT 1 FROM listing_items li
+              WHERE li.listing_id = l.id AND li.nft_contract = ? AND li.token_id = ?
+            )
+          )
+        LIMIT 1
+      `)
+      .bind(nftContract.toLowerCase(), tokenId, nftContract.toLowerCase(), tokenId)
+      .first()
   }
 
   async markListingSold(blockchainListingId, buyerAddress, buyerFid, saleTxHash) {
@@ -320,7 +571,7 @@ export class Database {
   }
 
   async markSeaportListingSoldByOrderHash(saleData) {
-    const { orderHash, buyerAddress, buyerFid, saleTxHash, contractType, totalPriceFromEvent } = saleData
+    const { orderHash, buyerAddress, buyerFid, saleTxHash, contractType, totalPriceFromEvent, blockNumber } = saleData
 
     const listing = await this.db
       .prepare("SELECT * FROM listings WHERE order_hash = ? AND contract_type = 'seaport'")
@@ -338,23 +589,33 @@ export class Database {
       return { changes: 0, last_row_id: listing.id, message: 'Listing already sold.' }
     }
     if (listing.cancelled_at) {
-      console.warn(`Seaport listing with orderHash ${orderHash} is already cancelled. Cannot mark as sold.`)
-      throw new Error(`Listing with orderHash ${orderHash} is already cancelled.`)
+      // Block ranges are indexed out of order, so a cancellation from a later block (a
+      // counter bump, say) can be applied before the fill that came first. The fill stands
+      const cancelBlock = blockNumber !== undefined && listing.cancel_tx_hash
+        ? await this.getChainEventBlock(listing.cancel_tx_hash)
+        : null
+      if (cancelBlock === null || cancelBlock <= blockNumber) {
+        console.warn(`Seaport listing with orderHash ${orderHash} is already cancelled. Cannot mark as sold.`)
+        throw new Error(`Listing with orderHash ${orderHash} is already cancelled.`)
+      }
     }
 
-    // Optional: Compare totalPriceFromEvent with listing.price
-    if (totalPriceFromEvent !== undefined && listing.price !== totalPriceFromEvent) {
+    // Optional: Compare totalPriceFromEvent with listing.price (Dutch auctions sell below it by design)
+    if (totalPriceFromEvent !== undefined && listing.end_price === null && listing.price !== totalPriceFromEvent) {
         console.warn(`Price mismatch for orderHash ${orderHash}: DB price ${listing.price}, Event price ${totalPriceFromEvent}`);
         // Decide if this should be an error or just a warning
     }
 
-    return await this.db
+    const result = await this.db
       .prepare(`
         UPDATE listings
         SET sold_at = CURRENT_TIMESTAMP,
             buyer_fid = ?,
             buyer_address = ?,
-            sale_tx_hash = ?
+            sale_tx_hash = ?,
+            quantity_remaining = 0,
+            cancelled_at = NULL,
+            cancel_tx_hash = NULL
         WHERE order_hash = ? AND contract_type = ?
       `)
       .bind(
@@ -365,6 +626,54 @@ export class Database {
         contractType
       )
       .run()
+
+    // A bundle sells as one order, so every token in it goes to the same buyer
+    if (listing.listing_type === 'bundle') {
+      await this.db
+        .prepare(`
+          UPDATE listing_items
+          SET sold_at = CURRENT_TIMESTAMP,
+              buyer_fid = ?,
+              buyer_address = ?,
+              sale_tx_hash = ?
+          WHERE listing_id = ? AND sold_at IS NULL
+        `)
+        .bind(
+          buyerFid,
+          buyerAddress ? buyerAddress.toLowerCase() : null,
+          saleTxHash,
+          listing.id
+        )
+        .run()
+    }
+
+    return result
+  }
+
+  // Partial fill of a quantity listing. The listing stays active until no copies remain,
+  // then it is marked sold to the buyer of the last copies
+  async recordSeaportListingFill(fillData) {
+    const { orderHash, quantityRemaining, buyerAddress, buyerFid, saleTxHash, blockNumber } = fillData
+
+    if (quantityRemaining <= 0) {
+      return await this.markSeaportListingSoldByOrderHash({
+        orderHash,
+        buyerAddress,
+        buyerFid,
+        saleTxHash,
+        contractType: 'seaport',
+        blockNumber
+      })
+    }
+
+    return await this.db
+      .prepare(`
+        UPDATE listings
+        SET quantity_remaining = ?
+        WHERE order_hash = ? AND contract_type = 'seaport' AND sold_at IS NULL
+      `)
+      .bind(quantityRemaining, orderHash)
+      .run()
   }
 
   async cancelSeaportListingByOrderHash(cancelData) {
@@ -404,109 +713,111 @@ export class Database {
       .run()
   }
 
-  // Activity operations
-  async recordActivity(activityData) {
-    const { type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type } = activityData
-    
-    // Check if activity with this tx_hash already exists to prevent duplicates
-    if (tx_hash) {
-      const existingActivity = await this.db
-        .prepare(`
-          SELECT id FROM activity 
-          WHERE tx_hash = ? AND type = ?
-        `)
-        .bind(tx_hash, type)
-        .first()
-      
-      if (existingActivity) {
-        console.log(`Activity of type ${type} with tx_hash ${tx_hash} already exists`)
-        return { meta: { last_row_id: existingActivity.id } }
-      }
-    }
-    
+  // Offer operations
+  async getOffer(offerId) {
     return await this.db
       .prepare(`
-        INSERT INTO activity (type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        SELECT o.*, u.username, u.display_name, u.pfp_url,
+               l.image_url, l.name as nft_name
+        FROM offers o
+        LEFT JOIN users u ON u.fid = o.buyer_fid
+        LEFT JOIN listings l ON l.id = (
+          SELECT id FROM listings lr
+          WHERE lr.nft_contract = o.nft_contract
+            AND lr.token_id = o.token_id
+          ORDER BY lr.created_at DESC
+          LIMIT 1
+        )
+        WHERE o.id = ?
       `)
-      .bind(
-        type,
-        actor_fid || null,
-        actor_address.toLowerCase(),
-        nft_contract?.toLowerCase() || null,
-        token_id || null,
-        price || null,
-        metadata || null,
-        tx_hash || null,
-        contract_type || null // Add contract_type here
-      )
-      .run()
+      .bind(offerId)
+      .first()
   }
 
-  async getActivity({ page = 1, limit = 20, filter = {} }) {
+  async getOffers({ page = 1, limit = 20, filter = {}, activeOnly = true, fundedOnly = false }) {
     const offset = (page - 1) * limit
-    let conditions = []
-    let params = []
-    
-    if (filter.type) {
-      conditions.push('type = ?')
-      params.push(filter.type)
+    const conditions = []
+    const params = []
+
+    if (activeOnly) {
+      conditions.push(
+        'o.accepted_at IS NULL',
+        'o.cancelled_at IS NULL',
+        "o.expiry > datetime('now')"
+      )
     }
-    
-    if (filter.actor_fid) {
-      conditions.push('actor_fid = ?')
-      params.push(filter.actor_fid)
+
+    // Offers the bidder can no longer pay are hidden from anyone who could accept them
+    if (fundedOnly) {
+      conditions.push('o.unfunded_at IS NULL')
     }
-    
+
+    if (filter.unfunded) {
+      conditions.push('o.unfunded_at IS NOT NULL')
+    }
+
     if (filter.nft_contract) {
-      conditions.push('nft_contract = ?')
+      conditions.push('o.nft_contract = ?')
       params.push(filter.nft_contract.toLowerCase())
     }
-    
+
     if (filter.token_id) {
-      conditions.push('token_id = ?')
+      conditions.push('o.token_id = ?')
       params.push(filter.token_id)
     }
-    
+
+    if (filter.buyer_fid) {
+      conditions.push('o.buyer_fid = ?')
+      params.push(filter.buyer_fid)
+    }
+
+    if (filter.auction_id) {
+      conditions.push('o.auction_id = ?')
+      params.push(filter.auction_id)
+    }
+
+    // Declined offers are hidden from the owner who declined them. Auction
+    // bids are only filled through settlement, so they are left out too
+    if (filter.owner_fid) {
+      conditions.push(offerOwnerCondition('o'), 'o.declined_at IS NULL', 'o.auction_id IS NULL')
+      params.push(filter.owner_fid)
+    }
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
-    
+
     const query = `
-      SELECT a.*, u.username, u.display_name, u.pfp_url,
-             l.image_url, l.name as nft_name, l.contract_type as listing_contract_type
-      FROM activity a
-      LEFT JOIN users u ON u.fid = a.actor_fid
+      SELECT o.*, u.username, u.display_name, u.pfp_url,
+             l.image_url, l.name as nft_name
+      FROM offers o
+      LEFT JOIN users u ON u.fid = o.buyer_fid
       LEFT JOIN listings l ON l.id = (
         SELECT id FROM listings lr
-        WHERE lr.nft_contract = a.nft_contract 
-          AND lr.token_id = a.token_id
-        ORDER BY lr.created_at DESC 
+        WHERE lr.nft_contract = o.nft_contract
+          AND lr.token_id = o.token_id
+        ORDER BY lr.created_at DESC
         LIMIT 1
       )
       ${whereClause}
-      ORDER BY a.created_at DESC
+      ORDER BY o.amount DESC, o.created_at DESC
       LIMIT ? OFFSET ?
     `
-    
-    params.push(limit, offset)
-    
+
     const results = await this.db
       .prepare(query)
-      .bind(...params)
+      .bind(...params, limit, offset)
       .all()
-    
-    const totalQuery = `
-      SELECT COUNT(*) as count
-      FROM activity
-      ${whereClause}
-    `
-    
+
     const total = await this.db
-      .prepare(totalQuery)
-      .bind(...params.slice(0, -2)) // Remove limit and offset
+      .prepare(`
+        SELECT COUNT(*) as count
+        FROM offers o
+        ${whereClause}
+      `)
+      .bind(...params)
       .first()
-    
-    const activityData = {
-      activities: results.results,
+
+    return {
+      offers: results.results,
       pagination: {
         page,
         limit,
@@ -514,30 +825,1752 @@ export class Database {
         hasMore: offset + limit < total.count
       }
     }
-    
-    return formatActivityTimestamps(activityData)
   }
 
-  // Stats and analytics
-  async getUserStats(fid) {
-    const [listings, sales, purchases] = await Promise.all([
-      // Active listings
-      this.db
-        .prepare(`
-          SELECT COUNT(*) as count, SUM(price) as total_value, contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
-          FROM listings
-          WHERE seller_fid = ?
-            AND sold_at IS NULL
-            AND cancelled_at IS NULL
-            AND expiry > datetime('now')
-          GROUP BY contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
-        `)
-        .bind(fid)
-        .first(), // This might need to be .all() if listings can have multiple contract_types
-      
-      // Sales - count listings that were sold by this user
-      this.db
-        .prepare(`
+  async createOffer(offerData) {
+    const {
+      blockchain_offer_id,
+      buyer_fid,
+      buyer_address,
+      nft_contract,
+      token_id,
+      amount,
+      expiry,
+      tx_hash,
+      contract_type = 'nft_exchange',
+      order_hash,
+      order_parameters,
+      zone_address,
+      conduit_key,
+      salt,
+      counter,
+      criteria_root,
+      trait_type,
+      trait_value,
+      auction_id,
+      currency = DEFAULT_CURRENCY
+    } = offerData
+
+    // Signed Seaport offers can be resubmitted; the order hash identifies them
+    if (order_hash) {
+      const existingOffer = await this.db
+        .prepare('SELECT id FROM offers WHERE order_hash = ?')
+        .bind(order_hash)
+        .first()
+
+      if (existingOffer) {
+        console.log(`Offer with order_hash ${order_hash} already exists`)
+        return { meta: { last_row_id: existingOffer.id } }
+      }
+    }
+
+    const result = await this.db
+      .prepare(`
+        INSERT INTO offers (
+          blockchain_offer_id, buyer_fid, buyer_address, nft_contract, token_id, amount, expiry, tx_hash,
+          contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter,
+          criteria_root, trait_type, trait_value, auction_id, currency
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .bind(
+        blockchain_offer_id || null,
+        buyer_fid || null,
+        buyer_address.toLowerCase(),
+        nft_contract.toLowerCase(),
+        token_id || null,
+        amount,
+        expiry,
+        tx_hash || null,
+        contract_type,
+        order_hash || null,
+        order_parameters || null,
+        zone_address || null,
+        conduit_key || null,
+        salt || null,
+        counter || null,
+        criteria_root || null,
+        trait_type || null,
+        trait_value || null,
+        auction_id || null,
+        currency
+      )
+      .run()
+
+    await this.recordActivity({
+      type: 'offer_made',
+      actor_fid: buyer_fid,
+      actor_address: buyer_address,
+      nft_contract,
+      token_id,
+      price: amount,
+      metadata: JSON.stringify({
+        offer_id: result.meta.last_row_id,
+        offer_amount: amount,
+        order_hash,
+        contract_type,
+        ...(!token_id && { trait_type, trait_value }),
+        ...(auction_id && { auction_id })
+      }),
+      tx_hash,
+      contract_type,
+      currency
+    })
+
+    return result
+  }
+
+  async isOfferForOwner(offerId, ownerFid) {
+    const result = await this.db
+      .prepare(`SELECT 1 as found FROM offers o WHERE o.id = ? AND ${offerOwnerCondition('o')}`)
+      .bind(offerId, ownerFid)
+      .first()
+    return !!result
+  }
+
+  async declineOffer(offerId, ownerFid) {
+    return await this.db
+      .prepare(`
+        UPDATE offers
+        SET declined_at = CURRENT_TIMESTAMP,
+            declined_by_fid = ?
+        WHERE id = ?
+          AND accepted_at IS NULL
+          AND cancelled_at IS NULL
+          AND declined_at IS NULL
+      `)
+      .bind(ownerFid, offerId)
+      .run()
+  }
+
+  async markSeaportOfferAcceptedByOrderHash(acceptData) {
+    const { orderHash, sellerAddress, sellerFid, acceptTxHash, filledTokenId } = acceptData
+
+    const offer = await this.db
+      .prepare("SELECT * FROM offers WHERE order_hash = ? AND contract_type = 'seaport'")
+      .bind(orderHash)
+      .first()
+
+    if (!offer) {
+      // Silently return if offer not found (it's not ours)
+      return { changes: 0, message: 'Offer not found.' }
+    }
+
+    if (offer.accepted_at) {
+      console.warn(`Seaport offer with orderHash ${orderHash} is already marked as accepted.`)
+      return { changes: 0, last_row_id: offer.id, message: 'Offer already accepted.' }
+    }
+
+    const result = await this.db
+      .prepare(`
+        UPDATE offers
+        SET accepted_at = CURRENT_TIMESTAMP,
+            seller_fid = ?,
+            seller_address = ?,
+            accept_tx_hash = ?,
+            filled_token_id = ?
+        WHERE order_hash = ? AND contract_type = 'seaport'
+      `)
+      .bind(
+        sellerFid,
+        sellerAddress ? sellerAddress.toLowerCase() : null,
+        acceptTxHash,
+        filledTokenId || offer.token_id,
+        orderHash
+      )
+      .run()
+
+    // Filling a bid settles its auction, whether it came through the API or the indexer
+    if (offer.auction_id) {
+      await this.markAuctionSettled(offer.auction_id, offer.id, acceptTxHash)
+    }
+
+    return result
+  }
+
+  async cancelSeaportOfferByOrderHash(cancelData) {
+    const { orderHash, cancellerAddress, cancelTxHash } = cancelData
+
+    const offer = await this.db
+      .prepare("SELECT * FROM offers WHERE order_hash = ? AND contract_type = 'seaport'")
+      .bind(orderHash)
+      .first()
+
+    if (!offer) {
+      // Silently return if offer not found (it's not ours)
+      return { changes: 0, message: 'Offer not found.' }
+    }
+    if (offer.accepted_at) {
+      console.warn(`Seaport offer with orderHash ${orderHash} is already accepted. Cannot cancel.`)
+      throw new Error(`Offer with orderHash ${orderHash} is already accepted.`)
+    }
+    if (offer.cancelled_at) {
+      console.warn(`Seaport offer with orderHash ${orderHash} is already cancelled.`)
+      return { changes: 0, last_row_id: offer.id, message: 'Offer already cancelled.' }
+    }
+
+    if (offer.buyer_address.toLowerCase() !== cancellerAddress.toLowerCase()) {
+      console.error(`Attempt to cancel Seaport offer ${orderHash} by non-bidder. Expected ${offer.buyer_address}, got ${cancellerAddress}`)
+      throw new Error('Only the bidder can cancel this Seaport offer.')
+    }
+
+    return await this.db
+      .prepare(`
+        UPDATE offers
+        SET cancelled_at = CURRENT_TIMESTAMP,
+            cancel_tx_hash = ?
+        WHERE order_hash = ? AND contract_type = 'seaport'
+      `)
+      .bind(cancelTxHash, orderHash)
+      .run()
+  }
+
+  // Seaport counters
+  async getSeaportCounter(offerer) {
+    const row = await this.db
+      .prepare('SELECT counter FROM seaport_counters WHERE offerer = ?')
+      .bind(offerer.toLowerCase())
+      .first()
+    return row?.counter ?? null
+  }
+
+  async setSeaportCounter({ offerer, counter, blockNumber, txHash }) {
+    const values = [offerer.toLowerCase(), counter.toString(), blockNumber, txHash || null]
+    // Counters only go up, so an event replayed from an older block never overwrites a newer one
+    return await this.db.batch([
+      this.db
+        .prepare(`
+          INSERT OR IGNORE INTO seaport_counter_history (offerer, counter, block_number, tx_hash)
+          VALUES (?, ?, ?, ?)
+        `)
+        .bind(...values),
+      this.db
+        .prepare(`
+          INSERT INTO seaport_counters (offerer, counter, block_number, tx_hash, updated_at)
+          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(offerer) DO UPDATE SET
+            counter = excluded.counter,
+            block_number = excluded.block_number,
+            tx_hash = excluded.tx_hash,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE excluded.block_number >= seaport_counters.block_number
+        `)
+        .bind(...values)
+    ])
+  }
+
+  /**
+   * Cancel an offerer's open Seaport listings and offers signed with a counter
+   * below `counter`. Counters only go up, so orders signed with a higher one are
+   * left alone. The counter is read from the stored order parameters,
+   * since the counter column can't hold Seaport's incremented values exactly
+   * @returns {Promise<{ listings: Array, offers: Array }>} The rows that were cancelled
+   */
+  async cancelStaleSeaportOrders(offerer, counter, cancelTxHash) {
+    const address = offerer.toLowerCase()
+    const isStale = row => {
+      try {
+        const orderData = JSON.parse(row.order_parameters)
+        const orderCounter = (orderData.parameters || orderData).counter
+        return BigInt(orderCounter ?? 0) < BigInt(counter)
+      } catch (error) {
+        return false
+      }
+    }
+
+    const [listings, offers] = await Promise.all([
+      this.db
+        .prepare(`
+          SELECT * FROM listings
+          WHERE LOWER(seller_address) = ? AND contract_type = 'seaport'
+            AND sold_at IS NULL AND cancelled_at IS NULL
+        `)
+        .bind(address)
+        .all(),
+      this.db
+        .prepare(`
+          SELECT * FROM offers
+          WHERE LOWER(buyer_address) = ? AND contract_type = 'seaport'
+            AND accepted_at IS NULL AND cancelled_at IS NULL
+        `)
+        .bind(address)
+        .all()
+    ])
+    const staleListings = listings.results.filter(isStale)
+    const staleOffers = offers.results.filter(isStale)
+
+    const statements = [
+      ...staleListings.map(listing => this.db
+        .prepare('UPDATE listings SET cancelled_at = CURRENT_TIMESTAMP, cancel_tx_hash = ? WHERE id = ?')
+        .bind(cancelTxHash, listing.id)),
+      ...staleOffers.map(offer => this.db
+        .prepare('UPDATE offers SET cancelled_at = CURRENT_TIMESTAMP, cancel_tx_hash = ? WHERE id = ?')
+        .bind(cancelTxHash, offer.id))
+    ]
+    if (statements.length > 0) {
+      await this.db.batch(statements)
+    }
+
+    return { listings: staleListings, offers: staleOffers }
+  }
+
+  // Listing fillability. Open Seaport listings, inactive ones included, are watched
+  // for the seller losing the NFT or the conduit approval
+  async getListedSeaportContracts() {
+    const { results } = await this.db
+      .prepare(`
+        SELECT l.nft_contract FROM listings l
+        WHERE l.contract_type = 'seaport' AND l.sold_at IS NULL AND l.cancelled_at IS NULL
+          AND l.expiry > datetime('now')
+        UNION
+        SELECT li.nft_contract FROM listing_items li
+        JOIN listings l ON l.id = li.listing_id
+        WHERE l.contract_type = 'seaport' AND l.sold_at IS NULL AND l.cancelled_at IS NULL
+          AND l.expiry > datetime('now')
+      `)
+      .all()
+    return results.map(row => row.nft_contract)
+  }
+
+  async getOpenSeaportListingsForContracts(contracts) {
+    if (contracts.length === 0) return []
+    const placeholders = contracts.map(() => '?').join(', ')
+    const addresses = contracts.map(contract => contract.toLowerCase())
+
+    const { results } = await this.db
+      .prepare(`
+        SELECT l.* FROM listings l
+        WHERE l.contract_type = 'seaport' AND l.sold_at IS NULL AND l.cancelled_at IS NULL
+          AND l.expiry > datetime('now')
+          AND (
+            l.nft_contract IN (${placeholders})
+            OR EXISTS (
+              SELECT 1 FROM listing_items li
+              WHERE li.listing_id = l.id AND li.nft_contract IN (${placeholders})
+            )
+          )
+      `)
+      .bind(...addresses, ...addresses)
+      .all()
+    return results
+  }
+
+  // Open Seaport listings checked longest ago (or never) first, so repeated runs cycle through all of them
+  async getSeaportListingsToRecheck(limit = 50) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM listings
+        WHERE contract_type = 'seaport' AND sold_at IS NULL AND cancelled_at IS NULL
+          AND expiry > datetime('now')
+        ORDER BY fillability_checked_at IS NOT NULL, fillability_checked_at ASC
+        LIMIT ?
+      `)
+      .bind(limit)
+      .all()
+    return results
+  }
+
+  /**
+   * Record the outcome of an on-chain fillability check
+   * @param {number} listingId - Listing ID
+   * @param {string|null} inactiveReason - 'not_owned' or 'not_approved', or null if the order can be filled
+   */
+  async setListingFillability(listingId, inactiveReason) {
+    return await this.db
+      .prepare(`
+        UPDATE listings
+        SET inactive_at = CASE WHEN ? IS NULL THEN NULL ELSE COALESCE(inactive_at, CURRENT_TIMESTAMP) END,
+            inactive_reason = ?,
+            fillability_checked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND sold_at IS NULL AND cancelled_at IS NULL
+      `)
+      .bind(inactiveReason, inactiveReason, listingId)
+      .run()
+  }
+
+  // Offer funding. Open Seaport offers, unfunded ones included, are watched for the
+  // bidder's balance or conduit allowance dropping below the offer amount
+  async getSeaportOffersToCheckFunding(limit = 500) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM offers
+        WHERE contract_type = 'seaport' AND accepted_at IS NULL AND cancelled_at IS NULL
+          AND expiry > datetime('now') AND order_parameters IS NOT NULL
+        ORDER BY funding_checked_at IS NOT NULL, funding_checked_at ASC
+        LIMIT ?
+      `)
+      .bind(limit)
+      .all()
+    return results
+  }
+
+  // Open offers from any of these bidders, e.g. after they changed a conduit approval
+  async getOpenSeaportOffersForBuyers(buyerAddresses) {
+    if (buyerAddresses.length === 0) return []
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM offers
+        WHERE contract_type = 'seaport' AND accepted_at IS NULL AND cancelled_at IS NULL
+          AND expiry > datetime('now') AND order_parameters IS NOT NULL
+          AND LOWER(buyer_address) IN (${buyerAddresses.map(() => '?').join(', ')})
+      `)
+      .bind(...buyerAddresses.map(address => address.toLowerCase()))
+      .all()
+    return results
+  }
+
+  /**
+   * Record the outcome of offer funding checks
+   * @param {Map<number, string|null>} funding - 'insufficient_balance' or 'insufficient_allowance',
+   *   or null if the bidder can pay, by offer ID
+   */
+  async setOffersFunding(funding) {
+    if (funding.size === 0) return []
+    const statement = this.db.prepare(`
+      UPDATE offers
+      SET unfunded_at = CASE WHEN ? IS NULL THEN NULL ELSE COALESCE(unfunded_at, CURRENT_TIMESTAMP) END,
+          unfunded_reason = ?,
+          funding_checked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND accepted_at IS NULL AND cancelled_at IS NULL
+    `)
+    return await this.db.batch(
+      [...funding].map(([offerId, unfundedReason]) => statement.bind(unfundedReason, unfundedReason, offerId))
+    )
+  }
+
+  // Chain event log. Every NFTExchange log and the Seaport logs for the marketplace's
+  // orders are kept, so what the indexer derives from them can be rebuilt without
+  // going back to the RPC
+  /**
+   * Store a decoded log
+   * @returns {Promise<{ stored: boolean }>} false if the log was already stored
+   */
+  async recordChainEvent(log, decodedEvent) {
+    const result = await this.db
+      .prepare(`
+        INSERT INTO chain_events (
+          tx_hash, log_index, block_number, block_hash, block_timestamp, contract_address, event_name, args, topics, data
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(tx_hash, log_index) DO NOTHING
+      `)
+      .bind(
+        log.transactionHash,
+        Number(log.logIndex),
+        Number(log.blockNumber),
+        log.blockHash ? log.blockHash.toLowerCase() : null,
+        decodedEvent.blockTimestamp || null,
+        log.address.toLowerCase(),
+        decodedEvent.eventName,
+        serializeEventArgs(decodedEvent),
+        JSON.stringify(log.topics),
+        log.data
+      )
+      .run()
+    return { stored: (result.meta?.changes || 0) > 0 }
+  }
+
+  /**
+   * Keep the FIDs an event's addresses resolved to, so a replay gives the same
+   * result without asking Neynar again
+   * @param {Map<string, number|null>} fids - FID by lowercased address
+   */
+  async setChainEventFids(txHash, logIndex, fids) {
+    return await this.db
+      .prepare('UPDATE chain_events SET actor_fids = ? WHERE tx_hash = ? AND log_index = ?')
+      .bind(JSON.stringify(Object.fromEntries(fids)), txHash, logIndex)
+      .run()
+  }
+
+  /**
+   * Copies of a Seaport order filled by the stored OrderFulfilled events up to and
+   * including the given one, from the NFT amounts they transferred
+   * @param {string} orderHash - Order hash
+   * @param {{ blockNumber: number, logIndex: number }} [through] - Last event to count
+   * @returns {Promise<number>}
+   */
+  async getOrderFilledQuantity(orderHash, through = null) {
+    const row = await this.db
+      .prepare(`
+        SELECT COALESCE(SUM(CAST(json_extract(item.value, '$.amount') AS INTEGER)), 0) as filled
+        FROM chain_events ce, json_each(ce.args, '$.offer') item
+        WHERE ce.event_name = 'OrderFulfilled'
+          AND json_extract(ce.args, '$.orderHash') = ?
+          AND json_extract(item.value, '$.itemType') IN (2, 3)
+          AND (? IS NULL OR ce.block_number < ? OR (ce.block_number = ? AND ce.log_index <= ?))
+      `)
+      .bind(
+        orderHash,
+        through?.blockNumber ?? null,
+        through?.blockNumber ?? null,
+        through?.blockNumber ?? null,
+        through?.logIndex ?? null
+      )
+      .first()
+    return row?.filled || 0
+  }
+
+  async deleteChainEvent(txHash, logIndex) {
+    return await this.db
+      .prepare('DELETE FROM chain_events WHERE tx_hash = ? AND log_index = ?')
+      .bind(txHash, logIndex)
+      .run()
+  }
+
+  /**
+   * Stored events in chain order
+   * @param {Object} options
+   * @param {number} [options.fromBlock] - First block to include
+   * @param {{ blockNumber: number, logIndex: number }|null} [options.after] - Resume after this event
+   * @param {number} [options.limit]
+   */
+  async getChainEvents({ fromBlock = 0, after = null, limit = 500 } = {}) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM chain_events
+        WHERE block_number >= ?
+          AND (? IS NULL OR block_number > ? OR (block_number = ? AND log_index > ?))
+        ORDER BY block_number ASC, log_index ASC
+        LIMIT ?
+      `)
+      .bind(
+        fromBlock,
+        after?.blockNumber ?? null,
+        after?.blockNumber ?? null,
+        after?.blockNumber ?? null,
+        after?.logIndex ?? null,
+        limit
+      )
+      .all()
+    return results
+  }
+
+  // Undo what events from `fromBlock` on changed: sales, acceptances, cancellations and
+  // settlements they recorded are cleared, NFTExchange listings and offers they created
+  // are deleted, and so is the activity they recorded
+  chainEffectRevertStatements(fromBlock) {
+    return [
+      this.db
+        .prepare(`DELETE FROM activity WHERE type IN (${CHAIN_ACTIVITY_TYPES_SQL}) AND tx_hash IN (${CHAIN_EVENT_TXS_SINCE})`)
+        .bind(fromBlock),
+      this.db
+        .prepare(`
+          UPDATE listing_items
+          SET sold_at = NULL, buyer_fid = NULL, buyer_address = NULL, sale_tx_hash = NULL
+          WHERE sale_tx_hash IN (${CHAIN_EVENT_TXS_SINCE})
+        `)
+        .bind(fromBlock),
+      this.db
+        .prepare(`
+          UPDATE listings
+          SET sold_at = NULL, buyer_fid = NULL, buyer_address = NULL, sale_tx_hash = NULL,
+              quantity_remaining = quantity
+          WHERE sale_tx_hash IN (${CHAIN_EVENT_TXS_SINCE})
+        `)
+        .bind(fromBlock),
+      // A listing retired by a price edit stays retired; its replacement is the live order
+      this.db
+        .prepare(`
+          UPDATE listings
+          SET cancelled_at = NULL, cancel_tx_hash = NULL
+          WHERE cancel_tx_hash IN (${CHAIN_EVENT_TXS_SINCE}) AND superseded_by IS NULL
+        `)
+        .bind(fromBlock),
+      this.db
+        .prepare(`DELETE FROM listings WHERE contract_type = 'nft_exchange' AND tx_hash IN (${CHAIN_EVENT_TXS_SINCE})`)
+        .bind(fromBlock),
+      this.db
+        .prepare(`
+          UPDATE offers
+          SET accepted_at = NULL, seller_fid = NULL, seller_address = NULL,
+              accept_tx_hash = NULL, filled_token_id = NULL
+          WHERE accept_tx_hash IN (${CHAIN_EVENT_TXS_SINCE})
+        `)
+        .bind(fromBlock),
+      this.db
+        .prepare(`
+          UPDATE offers
+          SET cancelled_at = NULL, cancel_tx_hash = NULL
+          WHERE cancel_tx_hash IN (${CHAIN_EVENT_TXS_SINCE})
+        `)
+        .bind(fromBlock),
+      this.db
+        .prepare(`DELETE FROM offers WHERE contract_type = 'nft_exchange' AND tx_hash IN (${CHAIN_EVENT_TXS_SINCE})`)
+        .bind(fromBlock),
+      this.db
+        .prepare(`
+          UPDATE auctions
+          SET status = 'awaiting_settlement', winning_offer_id = NULL, settled_at = NULL, settle_tx_hash = NULL
+          WHERE settle_tx_hash IN (${CHAIN_EVENT_TXS_SINCE})
+        `)
+        .bind(fromBlock),
+      // Counters bumped from fromBlock on go back to the offerer's last counter before it.
+      // Offerers with no earlier counter lose the row: Seaport's counter starts at 0
+      this.db.prepare('DELETE FROM seaport_counter_history WHERE block_number >= ?').bind(fromBlock),
+      this.db
+        .prepare(`
+          UPDATE seaport_counters
+          SET (counter, block_number, tx_hash) = (
+                SELECT h.counter, h.block_number, h.tx_hash
+                FROM seaport_counter_history h
+                WHERE h.offerer = seaport_counters.offerer
+                ORDER BY h.block_number DESC, length(h.counter) DESC, h.counter DESC
+                LIMIT 1
+              ),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE block_number >= ?
+            AND EXISTS (SELECT 1 FROM seaport_counter_history h WHERE h.offerer = seaport_counters.offerer)
+        `)
+        .bind(fromBlock),
+      this.db.prepare('DELETE FROM seaport_counters WHERE block_number >= ?').bind(fromBlock)
+    ]
+  }
+
+  /**
+   * Date what a transaction's events changed with its block's timestamp rather than
+   * the time it was indexed, so processing an event live and replaying it later
+   * leave the same rows. Covers the columns chainEffectRevertStatements clears
+   * @param {string} txHash - Transaction hash
+   * @param {string} timestamp - Block timestamp, as stored in chain_events
+   */
+  async stampChainEventEffects(txHash, timestamp) {
+    await this.db.batch([
+      this.db
+        .prepare(`UPDATE activity SET created_at = ? WHERE type IN (${CHAIN_ACTIVITY_TYPES_SQL}) AND tx_hash = ?`)
+        .bind(timestamp, txHash),
+      this.db
+        .prepare(`UPDATE listings SET created_at = ? WHERE contract_type = 'nft_exchange' AND tx_hash = ?`)
+        .bind(timestamp, txHash),
+      this.db.prepare('UPDATE listings SET sold_at = ? WHERE sale_tx_hash = ?').bind(timestamp, txHash),
+      this.db.prepare('UPDATE listing_items SET sold_at = ? WHERE sale_tx_hash = ?').bind(timestamp, txHash),
+      this.db
+        .prepare('UPDATE listings SET cancelled_at = ? WHERE cancel_tx_hash = ? AND superseded_by IS NULL')
+        .bind(timestamp, txHash),
+      this.db
+        .prepare(`UPDATE offers SET created_at = ? WHERE contract_type = 'nft_exchange' AND tx_hash = ?`)
+        .bind(timestamp, txHash),
+      this.db.prepare('UPDATE offers SET accepted_at = ? WHERE accept_tx_hash = ?').bind(timestamp, txHash),
+      this.db.prepare('UPDATE offers SET cancelled_at = ? WHERE cancel_tx_hash = ?').bind(timestamp, txHash),
+      this.db.prepare('UPDATE auctions SET settled_at = ? WHERE settle_tx_hash = ?').bind(timestamp, txHash)
+    ])
+  }
+
+  /**
+   * Undo what stored events from `fromBlock` on changed, keeping the events, so they
+   * can be replayed on top
+   * @returns {Promise<{ events: number }>}
+   */
+  async revertChainEffects(fromBlock) {
+    const count = await this.countChainEventsSince(fromBlock)
+    await this.db.batch(this.chainEffectRevertStatements(fromBlock))
+    return { events: count }
+  }
+
+  // Block of a transaction whose events have been stored, or null if none have
+  async getChainEventBlock(txHash) {
+    const row = await this.db
+      .prepare('SELECT MIN(block_number) as block_number FROM chain_events WHERE tx_hash = ?')
+      .bind(txHash)
+      .first()
+    return row?.block_number ?? null
+  }
+
+  async countChainEventsSince(fromBlock) {
+    const row = await this.db
+      .prepare('SELECT COUNT(*) as count FROM chain_events WHERE block_number >= ?')
+      .bind(fromBlock)
+      .first()
+    return row?.count || 0
+  }
+
+  // Which of `orderHashes` are Seaport listings or offers made here
+  async getKnownSeaportOrderHashes(orderHashes) {
+    if (orderHashes.length === 0) return new Set()
+    const { results } = await this.db
+      .prepare(`
+        SELECT order_hash FROM listings
+        WHERE contract_type = 'seaport' AND order_hash IN (SELECT value FROM json_each(?1))
+        UNION
+        SELECT order_hash FROM offers
+        WHERE contract_type = 'seaport' AND order_hash IN (SELECT value FROM json_each(?1))
+      `)
+      .bind(JSON.stringify(orderHashes))
+      .all()
+    return new Set(results.map(row => row.order_hash))
+  }
+
+  // Which of `addresses` have made Seaport listings or offers here, lowercased
+  async getKnownSeaportOfferers(addresses) {
+    if (addresses.length === 0) return new Set()
+    const { results } = await this.db
+      .prepare(`
+        SELECT LOWER(seller_address) as address FROM listings
+        WHERE contract_type = 'seaport' AND LOWER(seller_address) IN (SELECT value FROM json_each(?1))
+        UNION
+        SELECT LOWER(buyer_address) as address FROM offers
+        WHERE contract_type = 'seaport' AND LOWER(buyer_address) IN (SELECT value FROM json_each(?1))
+      `)
+      .bind(JSON.stringify(addresses.map(address => address.toLowerCase())))
+      .all()
+    return new Set(results.map(row => row.address))
+  }
+
+  // Chain event replays. One runs at a time, a page per step, and indexing waits for it
+  /**
+   * Start replaying the chain event log from `fromBlock`, unless a replay is already
+   * running or a consumer claimed a block range in the last `claimMinutes`
+   * @returns {Promise<boolean>} Whether it started
+   */
+  async startChainReplay(fromBlock, claimMinutes) {
+    const result = await this.db
+      .prepare(`
+        INSERT INTO chain_replays (from_block)
+        SELECT ?
+        WHERE NOT EXISTS (SELECT 1 FROM chain_replays WHERE status = 'running')
+          AND NOT EXISTS (
+            SELECT 1 FROM index_ranges
+            WHERE status = 'processing' AND started_at >= datetime('now', ?)
+          )
+      `)
+      .bind(fromBlock, `-${claimMinutes} minutes`)
+      .run()
+    return (result.meta?.changes || 0) > 0
+  }
+
+  async getActiveChainReplay() {
+    return await this.db
+      .prepare("SELECT * FROM chain_replays WHERE status = 'running' ORDER BY id ASC LIMIT 1")
+      .first()
+  }
+
+  async getLatestChainReplay() {
+    return await this.db
+      .prepare('SELECT * FROM chain_replays ORDER BY id DESC LIMIT 1')
+      .first()
+  }
+
+  async getChainReplay(id) {
+    return await this.db
+      .prepare('SELECT * FROM chain_replays WHERE id = ?')
+      .bind(id)
+      .first()
+  }
+
+  // Record a page of a replay; one with no `next` event to resume after finishes it
+  async recordChainReplayPage(id, { reverted = null, replayed, errors, next }) {
+    return await this.db
+      .prepare(`
+        UPDATE chain_replays
+        SET reverted = COALESCE(?, reverted),
+            replayed = replayed + ?,
+            errors = errors + ?,
+            after_block = COALESCE(?, after_block),
+            after_log_index = COALESCE(?, after_log_index),
+            status = ?,
+            updated_at = CURRENT_TIMESTAMP,
+            completed_at = CASE WHEN ? = 'done' THEN CURRENT_TIMESTAMP ELSE NULL END
+        WHERE id = ?
+      `)
+      .bind(
+        reverted,
+        replayed,
+        errors,
+        next?.blockNumber ?? null,
+        next?.logIndex ?? null,
+        next ? 'running' : 'done',
+        next ? 'running' : 'done',
+        id
+      )
+      .run()
+  }
+
+  // Alchemy webhooks. Deliveries are claimed by event ID while they're processed and
+  // marked once handled, so retries of a handled event are ignored but an interrupted
+  // one can run again. Payloads that fail to process are dead-lettered for a retry
+  // from the admin API
+  /**
+   * Claim a delivery for processing
+   * @returns {Promise<{ claimed: boolean, status: string|null }>} When not claimed,
+   *   the status of the attempt already recorded for the event
+   */
+  async claimWebhookEvent(eventId, type) {
+    // A claim older than WEBHOOK_CLAIM_TIMEOUT is from an attempt that never finished
+    const result = await this.db
+      .prepare(`
+        INSERT INTO webhook_events (id, type) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET received_at = CURRENT_TIMESTAMP
+        WHERE webhook_events.status = 'processing'
+          AND webhook_events.received_at < datetime('now', ?)
+      `)
+      .bind(eventId, type || null, `-${WEBHOOK_CLAIM_TIMEOUT} seconds`)
+      .run()
+    if ((result.meta?.changes || 0) > 0) return { claimed: true, status: 'processing' }
+
+    const row = await this.db
+      .prepare('SELECT status FROM webhook_events WHERE id = ?')
+      .bind(eventId)
+      .first()
+    return { claimed: false, status: row?.status || null }
+  }
+
+  /**
+   * Mark a claimed delivery as handled
+   * @param {string} eventId - Alchemy's webhook event ID
+   * @param {string} status - 'processed' or 'dead_lettered'
+   */
+  async completeWebhookEvent(eventId, status) {
+    return await this.db
+      .prepare(`
+        UPDATE webhook_events
+        SET status = ?, processed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `)
+      .bind(status, eventId)
+      .run()
+  }
+
+  // Drop a claim whose attempt failed, so the next redelivery processes the event
+  async releaseWebhookEvent(eventId) {
+    return await this.db
+      .prepare("DELETE FROM webhook_events WHERE id = ? AND status = 'processing'")
+      .bind(eventId)
+      .run()
+  }
+
+  async createWebhookDeadLetter({ eventId, type, payload, error }) {
+    return await this.db
+      .prepare(`
+        INSERT INTO webhook_dead_letters (event_id, type, payload, error)
+        VALUES (?, ?, ?, ?)
+      `)
+      .bind(eventId || null, type || null, payload, error)
+      .run()
+  }
+
+  async getWebhookDeadLetters({ includeResolved = false, limit = 50 } = {}) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM webhook_dead_letters
+        WHERE ? OR resolved_at IS NULL
+        ORDER BY created_at DESC
+        LIMIT ?
+      `)
+      .bind(includeResolved ? 1 : 0, limit)
+      .all()
+    return results
+  }
+
+  async getWebhookDeadLetter(id) {
+    return await this.db
+      .prepare('SELECT * FROM webhook_dead_letters WHERE id = ?')
+      .bind(id)
+      .first()
+  }
+
+  /**
+   * Record a retry of a dead-lettered payload
+   * @param {number} id - Dead letter ID
+   * @param {string|null} error - Why the retry failed, or null if it succeeded
+   */
+  async recordWebhookRetry(id, error) {
+    return await this.db
+      .prepare(`
+        UPDATE webhook_dead_letters
+        SET attempts = attempts + 1,
+            last_attempt_at = CURRENT_TIMESTAMP,
+            error = COALESCE(?, error),
+            resolved_at = CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP ELSE NULL END
+        WHERE id = ?
+      `)
+      .bind(error, error, id)
+      .run()
+  }
+
+  // Indexer cursors: the last block each event source has been indexed up to
+  async getIndexerCursors() {
+    const { results } = await this.db
+      .prepare('SELECT source, block_number FROM indexer_cursors')
+      .all()
+    return new Map(results.map(row => [row.source, row.block_number]))
+  }
+
+  // Set the sources' cursors to a block, moving them back as well as forward
+  async setIndexerCursors(sources, blockNumber) {
+    if (sources.length === 0) return
+    const statement = this.db.prepare(`
+      INSERT INTO indexer_cursors (source, block_number) VALUES (?, ?)
+      ON CONFLICT(source) DO UPDATE SET
+        block_number = excluded.block_number,
+        updated_at = CURRENT_TIMESTAMP
+    `)
+    await this.db.batch(sources.map(source => statement.bind(source, blockNumber)))
+  }
+
+  // Start the cursors of sources that have none yet; existing cursors are left alone
+  async seedIndexerCursors(seeds) {
+    if (seeds.length === 0) return
+    const statement = this.db.prepare('INSERT OR IGNORE INTO indexer_cursors (source, block_number) VALUES (?, ?)')
+    await this.db.batch(seeds.map(({ source, blockNumber }) => statement.bind(source, blockNumber)))
+  }
+
+  // Move the sources' cursors forward to a block; one already past it is left alone
+  async advanceIndexerCursors(sources, blockNumber) {
+    if (sources.length === 0) return
+    const statement = this.db.prepare(`
+      INSERT INTO indexer_cursors (source, block_number) VALUES (?, ?)
+      ON CONFLICT(source) DO UPDATE SET
+        block_number = MAX(block_number, excluded.block_number),
+        updated_at = CURRENT_TIMESTAMP
+    `)
+    await this.db.batch(sources.map(source => statement.bind(source, blockNumber)))
+  }
+
+  // Reorg tracking. Chunk hashes are kept for a while behind the cursor, so blocks
+  // the chain abandons can be found and rolled back
+  async recordBlockHash({ blockNumber, blockHash, parentHash }) {
+    return await this.db
+      .prepare(`
+        INSERT INTO indexed_block_hashes (block_number, block_hash, parent_hash)
+        VALUES (?, ?, ?)
+        ON CONFLICT(block_number) DO UPDATE SET
+          block_hash = excluded.block_hash,
+          parent_hash = excluded.parent_hash,
+          indexed_at = CURRENT_TIMESTAMP
+      `)
+      .bind(blockNumber, blockHash.toLowerCase(), parentHash.toLowerCase())
+      .run()
+  }
+
+  async getBlockHash(blockNumber) {
+    return await this.db
+      .prepare('SELECT * FROM indexed_block_hashes WHERE block_number = ?')
+      .bind(blockNumber)
+      .first()
+  }
+
+  // Stored hashes at or below a block, newest first: the candidates for where a fork started
+  async getRecentBlockHashes(atOrBelowBlock, limit = 20) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM indexed_block_hashes
+        WHERE block_number <= ?
+        ORDER BY block_number DESC
+        LIMIT ?
+      `)
+      .bind(atOrBelowBlock, limit)
+      .all()
+    return results
+  }
+
+  // Quantity listings with copies sold from `fromBlock` on. Their remaining copies
+  // have to be read back from Seaport after a rollback
+  async getQuantityListingsFilledSince(fromBlock) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT l.* FROM listings l
+        WHERE l.contract_type = 'seaport' AND l.quantity > 1
+          AND EXISTS (
+            SELECT 1 FROM activity a
+            WHERE a.type = 'sale'
+              AND a.tx_hash IN (${CHAIN_EVENT_TXS_SINCE})
+              AND json_extract(a.metadata, '$.order_hash') = l.order_hash
+          )
+      `)
+      .bind(fromBlock)
+      .all()
+    return results
+  }
+
+  /**
+   * Revert everything indexed from `fromBlock` on, in one transaction, and move the
+   * source cursors back so the range is indexed again. The orphaned events are dropped from
+   * chain_events; the canonical chain's are stored when the range is indexed again
+   * @param {number} fromBlock - First orphaned block
+   * @returns {Promise<{ events: number }>}
+   */
+  async rollbackIndexedBlocks(fromBlock) {
+    const count = await this.countChainEventsSince(fromBlock)
+
+    await this.db.batch([
+      ...this.chainEffectRevertStatements(fromBlock),
+      this.db.prepare('DELETE FROM chain_events WHERE block_number >= ?').bind(fromBlock),
+      this.db.prepare('DELETE FROM indexed_block_hashes WHERE block_number >= ?').bind(fromBlock),
+      this.reopenIndexRangesStatement(fromBlock),
+      this.db
+        .prepare('UPDATE indexer_cursors SET block_number = ?, updated_at = CURRENT_TIMESTAMP WHERE block_number >= ?')
+        .bind(fromBlock - 1, fromBlock)
+    ])
+
+    return { events: count }
+  }
+
+  async setListingQuantityRemaining(listingId, quantityRemaining) {
+    return await this.db
+      .prepare('UPDATE listings SET quantity_remaining = ? WHERE id = ? AND sold_at IS NULL')
+      .bind(quantityRemaining, listingId)
+      .run()
+  }
+
+  // Chunk hashes far enough behind the cursor that no reorg will reach them
+  async pruneBlockHashes(beforeBlock) {
+    return await this.db
+      .prepare('DELETE FROM indexed_block_hashes WHERE block_number < ?')
+      .bind(beforeBlock)
+      .run()
+  }
+
+  // Index queue. Block ranges are planned here, sent to the queue, and marked done
+  // once a consumer has indexed them; the cursors then move over the done ones
+  async getLastPlannedBlock() {
+    const result = await this.db
+      .prepare('SELECT MAX(to_block) as last_block FROM index_ranges')
+      .first()
+    return result?.last_block ?? null
+  }
+
+  async getFirstPlannedBlock() {
+    const result = await this.db
+      .prepare('SELECT MIN(from_block) as first_block FROM index_ranges')
+      .first()
+    return result?.first_block ?? null
+  }
+
+  async createIndexRanges(ranges) {
+    if (ranges.length === 0) return
+    await this.db.batch(ranges.map(({ fromBlock, toBlock }) => this.db
+      .prepare('INSERT OR IGNORE INTO index_ranges (from_block, to_block) VALUES (?, ?)')
+      .bind(fromBlock, toBlock)
+    ))
+  }
+
+  async getIndexRange(id) {
+    return await this.db
+      .prepare('SELECT * FROM index_ranges WHERE id = ?')
+      .bind(id)
+      .first()
+  }
+
+  // Ranges still to be indexed that have no message yet, or whose last one is old
+  // enough to have been dropped, lowest first
+  async getIndexRangesToSend(resendAfterMinutes, limit = 200) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM index_ranges
+        WHERE status IN ('queued', 'processing')
+          AND (enqueued_at IS NULL OR enqueued_at < datetime('now', ?))
+        ORDER BY from_block ASC
+        LIMIT ?
+      `)
+      .bind(`-${resendAfterMinutes} minutes`, limit)
+      .all()
+    return results
+  }
+
+  async markIndexRangesEnqueued(ids) {
+    if (ids.length === 0) return
+    return await this.db
+      .prepare(`UPDATE index_ranges SET enqueued_at = CURRENT_TIMESTAMP WHERE id IN (${ids.map(() => '?').join(', ')})`)
+      .bind(...ids)
+      .run()
+  }
+
+  // Take a queued range for indexing. A range another consumer is processing can't be
+  // taken until its claim is old enough that the consumer must have died, and none
+  // can while the chain event log is being replayed
+  async claimIndexRange(id, staleAfterMinutes) {
+    const result = await this.db
+      .prepare(`
+        UPDATE index_ranges
+        SET status = 'processing', started_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+          AND (status = 'queued' OR (status = 'processing' AND started_at < datetime('now', ?)))
+          AND NOT EXISTS (SELECT 1 FROM chain_replays WHERE status = 'running')
+      `)
+      .bind(id, `-${staleAfterMinutes} minutes`)
+      .run()
+    return (result.meta?.changes || 0) > 0
+  }
+
+  // Last block of the range indexed so far; the next attempt resumes after it
+  async setIndexRangeProgress(id, blockNumber) {
+    return await this.db
+      .prepare('UPDATE index_ranges SET indexed_to = ? WHERE id = ?')
+      .bind(blockNumber, id)
+      .run()
+  }
+
+  // A range reopened by a rollback while it was being indexed stays queued
+  async completeIndexRange(id) {
+    return await this.db
+      .prepare(`
+        UPDATE index_ranges
+        SET status = 'done', error = NULL, indexed_to = to_block, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'processing'
+      `)
+      .bind(id)
+      .run()
+  }
+
+  // Ranges from `fromBlock` on, lowest first, to find how far the done ones run unbroken
+  async getIndexRangesFrom(fromBlock, limit = 1000) {
+    const { results } = await this.db
+      .prepare('SELECT id, from_block, to_block, status FROM index_ranges WHERE to_block >= ? ORDER BY from_block ASC LIMIT ?')
+      .bind(fromBlock, limit)
+      .all()
+    return results
+  }
+
+  /**
+   * Move the sources' cursors from `fromBlock - 1` up to `toBlock`, over ranges that
+   * are all done. The ranges are checked again in the same statement, so a rollback
+   * that reopened one since they were read leaves the cursors where it put them
+   */
+  async advanceCursorsOverDoneRanges(sources, fromBlock, toBlock) {
+    if (sources.length === 0) return
+    return await this.db
+      .prepare(`
+        UPDATE indexer_cursors
+        SET block_number = ?2, updated_at = CURRENT_TIMESTAMP
+        WHERE source IN (${sources.map(() => '?').join(', ')})
+          AND block_number >= ?1 - 1 AND block_number < ?2
+          AND NOT EXISTS (
+            SELECT 1 FROM index_ranges
+            WHERE status != 'done' AND to_block >= ?1 AND from_block <= ?2
+          )
+      `)
+      .bind(fromBlock, toBlock, ...sources)
+      .run()
+  }
+
+  // Put a range back in the queue after an attempt that didn't finish it. With an
+  // error the attempt counts towards giving up; `final` marks it failed
+  async requeueIndexRange(id, { error = null, final = false } = {}) {
+    return await this.db
+      .prepare(`
+        UPDATE index_ranges
+        SET status = ?,
+            error = ?,
+            attempts = attempts + CASE WHEN ? IS NULL THEN 0 ELSE 1 END
+        WHERE id = ?
+      `)
+      .bind(final ? 'failed' : 'queued', error, error, id)
+      .run()
+  }
+
+  // Queue again every range reaching `fromBlock`, after the cursor has been moved back to
+  // it. Their progress goes back to the block before it
+  reopenIndexRangesStatement(fromBlock, statuses = ['done', 'failed', 'queued', 'processing']) {
+    return this.db
+      .prepare(`
+        UPDATE index_ranges
+        SET status = 'queued', attempts = 0, error = NULL, enqueued_at = NULL, completed_at = NULL,
+            indexed_to = CASE WHEN from_block < ?1 THEN MIN(COALESCE(indexed_to, ?1 - 1), ?1 - 1) ELSE NULL END
+        WHERE to_block >= ?1 AND status IN (${statuses.map(() => '?').join(', ')})
+      `)
+      .bind(fromBlock, ...statuses)
+  }
+
+  async reopenIndexRanges(fromBlock, statuses) {
+    return await this.reopenIndexRangesStatement(fromBlock, statuses).run()
+  }
+
+  async retryIndexRange(id) {
+    return await this.db
+      .prepare(`
+        UPDATE index_ranges
+        SET status = 'queued', attempts = 0, error = NULL, enqueued_at = NULL
+        WHERE id = ? AND status = 'failed'
+      `)
+      .bind(id)
+      .run()
+  }
+
+  async getIndexRangeStats() {
+    const { results } = await this.db
+      .prepare(`
+        SELECT status, COUNT(*) as count, MIN(from_block) as from_block, MAX(to_block) as to_block
+        FROM index_ranges
+        GROUP BY status
+      `)
+      .all()
+    return results
+  }
+
+  async getIndexRanges({ status = null, limit = 50 } = {}) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT * FROM index_ranges
+        WHERE ? IS NULL OR status = ?
+        ORDER BY from_block DESC
+        LIMIT ?
+      `)
+      .bind(status, status, limit)
+      .all()
+    return results
+  }
+
+  // Done ranges far enough behind the cursor that no rollback will reopen them
+  async pruneIndexRanges(beforeBlock) {
+    return await this.db
+      .prepare("DELETE FROM index_ranges WHERE status = 'done' AND to_block < ?")
+      .bind(beforeBlock)
+      .run()
+  }
+
+  // Trait index operations
+  async upsertTokenTraits(nftContract, tokenId, attributes) {
+    const contract = nftContract.toLowerCase()
+    const statements = [
+      this.db
+        .prepare('DELETE FROM nft_traits WHERE nft_contract = ? AND token_id = ?')
+        .bind(contract, tokenId.toString())
+    ]
+
+    for (const attr of attributes || []) {
+      const traitType = attr.trait_type || attr.name
+      if (!traitType || attr.value === undefined || attr.value === null) continue
+
+      statements.push(
+        this.db
+          .prepare(`
+            INSERT OR IGNORE INTO nft_traits (nft_contract, token_id, trait_type, trait_value)
+            VALUES (?, ?, ?, ?)
+          `)
+          .bind(contract, tokenId.toString(), String(traitType), String(attr.value))
+      )
+    }
+
+    return await this.db.batch(statements)
+  }
+
+  async getCollectionTraits(nftContract) {
+    const results = await this.db
+      .prepare(`
+        SELECT trait_type, trait_value, COUNT(*) as token_count
+        FROM nft_traits
+        WHERE nft_contract = ?
+        GROUP BY trait_type, trait_value
+        ORDER BY trait_type, token_count DESC
+      `)
+      .bind(nftContract.toLowerCase())
+      .all()
+    return results.results
+  }
+
+  async getTokenIdsWithTrait(nftContract, traitType, traitValue) {
+    const results = await this.db
+      .prepare(`
+        SELECT token_id FROM nft_traits
+        WHERE nft_contract = ? AND trait_type = ? AND trait_value = ?
+      `)
+      .bind(nftContract.toLowerCase(), traitType, traitValue)
+      .all()
+    return results.results.map(row => row.token_id)
+  }
+
+  async saveCriteriaSet({ root, nft_contract, trait_type, trait_value, token_ids }) {
+    const existing = await this.getCriteriaSet(root, nft_contract)
+    if (existing) return existing
+
+    const statements = [
+      this.db
+        .prepare(`
+          INSERT INTO criteria_sets (root, nft_contract, trait_type, trait_value, token_count)
+          VALUES (?, ?, ?, ?, ?)
+        `)
+        .bind(root, nft_contract.toLowerCase(), trait_type || null, trait_value || null, token_ids.length),
+      ...token_ids.map(tokenId =>
+        this.db
+          .prepare('INSERT OR IGNORE INTO criteria_tokens (criteria_root, token_id) VALUES (?, ?)')
+          .bind(root, tokenId)
+      )
+    ]
+    await this.db.batch(statements)
+
+    return await this.getCriteriaSet(root, nft_contract)
+  }
+
+  async getCriteriaSet(root, nftContract) {
+    return await this.db
+      .prepare('SELECT * FROM criteria_sets WHERE root = ? AND nft_contract = ?')
+      .bind(root, nftContract.toLowerCase())
+      .first()
+  }
+
+  async getCriteriaTokenIds(root) {
+    const results = await this.db
+      .prepare('SELECT token_id FROM criteria_tokens WHERE criteria_root = ?')
+      .bind(root)
+      .all()
+    return results.results.map(row => row.token_id)
+  }
+
+  // Auction operations
+  async getAuction(auctionId) {
+    return await this.db
+      .prepare(`
+        SELECT a.*, u.username, u.display_name, u.pfp_url
+        FROM auctions a
+        LEFT JOIN users u ON u.fid = a.seller_fid
+        WHERE a.id = ?
+      `)
+      .bind(auctionId)
+      .first()
+  }
+
+  async getAuctions({ page = 1, limit = 20, status = 'active', sellerFid = null, nftContract = null }) {
+    const offset = (page - 1) * limit
+    const conditions = []
+    const params = []
+
+    if (status) {
+      conditions.push('a.status = ?')
+      params.push(status)
+    }
+
+    if (sellerFid) {
+      conditions.push('a.seller_fid = ?')
+      params.push(sellerFid)
+    }
+
+    if (nftContract) {
+      conditions.push('a.nft_contract = ?')
+      params.push(nftContract.toLowerCase())
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const results = await this.db
+      .prepare(`
+        SELECT a.*, u.username, u.display_name, u.pfp_url,
+               (SELECT MAX(o.amount) FROM offers o
+                WHERE o.auction_id = a.id AND o.accepted_at IS NULL AND o.cancelled_at IS NULL) as highest_bid,
+               (SELECT COUNT(*) FROM offers o WHERE o.auction_id = a.id) as bid_count
+        FROM auctions a
+        LEFT JOIN users u ON u.fid = a.seller_fid
+        ${whereClause}
+        ORDER BY a.end_time ASC
+        LIMIT ? OFFSET ?
+      `)
+      .bind(...params, limit, offset)
+      .all()
+
+    const total = await this.db
+      .prepare(`SELECT COUNT(*) as count FROM auctions a ${whereClause}`)
+      .bind(...params)
+      .first()
+
+    return {
+      auctions: results.results,
+      pagination: {
+        page,
+        limit,
+        total: total.count,
+        hasMore: offset + limit < total.count
+      }
+    }
+  }
+
+  async getActiveAuctionForToken(nftContract, tokenId) {
+    return await this.db
+      .prepare(`
+        SELECT * FROM auctions
+        WHERE nft_contract = ? AND token_id = ?
+          AND status IN ('active', 'awaiting_settlement')
+        ORDER BY created_at DESC
+        LIMIT 1
+      `)
+      .bind(nftContract.toLowerCase(), tokenId)
+      .first()
+  }
+
+  async createAuction(auctionData) {
+    const {
+      seller_fid,
+      seller_address,
+      nft_contract,
+      token_id,
+      reserve_price,
+      min_increment_bps = 500,
+      start_time,
+      end_time,
+      name,
+      image_url,
+      description,
+      metadata_uri
+    } = auctionData
+
+    const result = await this.db
+      .prepare(`
+        INSERT INTO auctions (
+          seller_fid, seller_address, nft_contract, token_id, reserve_price, min_increment_bps,
+          start_time, end_time, name, image_url, description, metadata_uri
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .bind(
+        seller_fid,
+        seller_address.toLowerCase(),
+        nft_contract.toLowerCase(),
+        token_id,
+        reserve_price,
+        min_increment_bps,
+        start_time,
+        end_time,
+        name || null,
+        image_url || null,
+        description || null,
+        metadata_uri || null
+      )
+      .run()
+
+    await this.recordActivity({
+      type: 'listing_created',
+      actor_fid: seller_fid,
+      actor_address: seller_address,
+      nft_contract,
+      token_id,
+      price: reserve_price,
+      metadata: JSON.stringify({
+        auction_id: result.meta.last_row_id,
+        auction_type: 'english',
+        name,
+        image_url,
+        end_time
+      }),
+      contract_type: 'seaport'
+    })
+
+    return result
+  }
+
+  // Bid ladder, highest first. Bids cancelled on chain stay in the history
+  async getAuctionBids(auctionId) {
+    const results = await this.db
+      .prepare(`
+        SELECT o.*, u.username, u.display_name, u.pfp_url
+        FROM offers o
+        LEFT JOIN users u ON u.fid = o.buyer_fid
+        WHERE o.auction_id = ?
+        ORDER BY o.amount DESC, o.created_at ASC
+      `)
+      .bind(auctionId)
+      .all()
+    return results.results
+  }
+
+  // Highest bid that can still be filled by the seller
+  async getHighestAuctionBid(auctionId) {
+    return await this.db
+      .prepare(`
+        SELECT * FROM offers
+        WHERE auction_id = ?
+          AND accepted_at IS NULL
+          AND cancelled_at IS NULL
+          AND expiry > ?
+        ORDER BY amount DESC, created_at ASC
+        LIMIT 1
+      `)
+      .bind(auctionId, new Date().toISOString())
+      .first()
+  }
+
+  async cancelAuction(auctionId) {
+    return await this.db
+      .prepare(`
+        UPDATE auctions
+        SET status = 'cancelled',
+            cancelled_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'active'
+      `)
+      .bind(auctionId)
+      .run()
+  }
+
+  /**
+   * Close auctions whose end time has passed. Those with a bid at or above
+   * the reserve wait for the seller to settle; the rest simply end.
+   */
+  async flagEndedAuctions() {
+    const now = new Date().toISOString()
+
+    const result = await this.db
+      .prepare(`
+        UPDATE auctions
+        SET status = CASE WHEN EXISTS (
+              SELECT 1 FROM offers o
+              WHERE o.auction_id = auctions.id
+                AND o.accepted_at IS NULL
+                AND o.cancelled_at IS NULL
+                AND o.expiry > ?
+                AND o.amount >= auctions.reserve_price
+            ) THEN 'awaiting_settlement' ELSE 'ended' END,
+            ended_at = CURRENT_TIMESTAMP
+        WHERE status = 'active' AND end_time <= ?
+      `)
+      .bind(now, now)
+      .run()
+
+    return result.meta?.changes || 0
+  }
+
+  async markAuctionSettled(auctionId, winningOfferId, settleTxHash) {
+    return await this.db
+      .prepare(`
+        UPDATE auctions
+        SET status = 'settled',
+            winning_offer_id = ?,
+            settled_at = CURRENT_TIMESTAMP,
+            settle_tx_hash = ?
+        WHERE id = ? AND status != 'settled'
+      `)
+      .bind(winningOfferId, settleTxHash || null, auctionId)
+      .run()
+  }
+
+  // Activity operations
+  async recordActivity(activityData) {
+    const { type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type, currency = DEFAULT_CURRENCY } = activityData
+    
+    // Check if activity with this tx_hash already exists to prevent duplicates.
+    // One transaction can sweep several tokens, so the token is part of the key
+    if (tx_hash) {
+      const existingActivity = await this.db
+        .prepare(`
+          SELECT id FROM activity 
+          WHERE tx_hash = ? AND type = ? AND nft_contract = ? AND token_id IS ?
+        `)
+        .bind(tx_hash, type, nft_contract?.toLowerCase() || null, token_id || null)
+        .first()
+      
+      if (existingActivity) {
+        console.log(`Activity of type ${type} with tx_hash ${tx_hash} already exists`)
+        return { meta: { last_row_id: existingActivity.id } }
+      }
+    }
+    
+    return await this.db
+      .prepare(`
+        INSERT INTO activity (type, actor_fid, actor_address, nft_contract, token_id, price, metadata, tx_hash, contract_type, currency)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .bind(
+        type,
+        actor_fid || null,
+        actor_address.toLowerCase(),
+        nft_contract?.toLowerCase() || null,
+        token_id || null,
+        price || null,
+        metadata || null,
+        tx_hash || null,
+        contract_type || null, // Add contract_type here
+        currency || DEFAULT_CURRENCY
+      )
+      .run()
+  }
+
+  // A sale of this token in the transaction, through the marketplace or recorded as external
+  async findSaleActivity(txHash, nftContract, tokenId) {
+    return await this.db
+      .prepare(`
+        SELECT id, type FROM activity
+        WHERE tx_hash = ? AND nft_contract = ? AND token_id = ?
+          AND type IN ('sale', 'offer_accepted', 'external_sale')
+        LIMIT 1
+      `)
+      .bind(txHash, nftContract.toLowerCase(), tokenId)
+      .first()
+  }
+
+  // Whether the fill of this order in the transaction has already been recorded as a sale
+  async hasOrderSale(txHash, orderHash) {
+    const row = await this.db
+      .prepare(`
+        SELECT id FROM activity
+        WHERE type = 'sale' AND tx_hash = ? AND lower(json_extract(metadata, '$.order_hash')) = lower(?)
+        LIMIT 1
+      `)
+      .bind(txHash, orderHash)
+      .first()
+    return Boolean(row)
+  }
+
+  async deleteExternalSales(txHash, nftContract, tokenId) {
+    return await this.db
+      .prepare(`
+        DELETE FROM activity
+        WHERE type = 'external_sale' AND tx_hash = ? AND nft_contract = ? AND token_id = ?
+      `)
+      .bind(txHash, nftContract.toLowerCase(), tokenId)
+      .run()
+  }
+
+  // Collections listed on the marketplace at some point, out of `contracts`. Seaport
+  // sales made elsewhere are recorded for these
+  async getTrackedCollections(contracts) {
+    if (contracts.length === 0) return []
+    // Passed as one JSON array: a block range's fills can name more contracts than D1 takes parameters
+    const addresses = JSON.stringify(contracts.map(contract => contract.toLowerCase()))
+
+    const { results } = await this.db
+      .prepare(`
+        SELECT nft_contract FROM listings WHERE nft_contract IN (SELECT value FROM json_each(?1))
+        UNION
+        SELECT nft_contract FROM listing_items WHERE nft_contract IN (SELECT value FROM json_each(?1))
+      `)
+      .bind(addresses)
+      .all()
+    return results.map(row => row.nft_contract)
+  }
+
+  async getActivity({ page = 1, limit = 20, filter = {} }) {
+    const offset = (page - 1) * limit
+    let conditions = []
+    let params = []
+    
+    if (filter.type) {
+      conditions.push('type = ?')
+      params.push(filter.type)
+    }
+    
+    if (filter.actor_fid) {
+      conditions.push('actor_fid = ?')
+      params.push(filter.actor_fid)
+    }
+    
+    if (filter.nft_contract) {
+      conditions.push('nft_contract = ?')
+      params.push(filter.nft_contract.toLowerCase())
+    }
+    
+    if (filter.token_id) {
+      conditions.push('token_id = ?')
+      params.push(filter.token_id)
+    }
+    
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+    
+    const query = `
+      SELECT a.*, u.username, u.display_name, u.pfp_url,
+             l.image_url, l.name as nft_name, l.contract_type as listing_contract_type
+      FROM activity a
+      LEFT JOIN users u ON u.fid = a.actor_fid
+      LEFT JOIN listings l ON l.id = (
+        SELECT id FROM listings lr
+        WHERE lr.nft_contract = a.nft_contract 
+          AND lr.token_id = a.token_id
+        ORDER BY lr.created_at DESC 
+        LIMIT 1
+      )
+      ${whereClause}
+      ORDER BY a.created_at DESC
+      LIMIT ? OFFSET ?
+    `
+    
+    params.push(limit, offset)
+    
+    const results = await this.db
+      .prepare(query)
+      .bind(...params)
+      .all()
+    
+    const totalQuery = `
+      SELECT COUNT(*) as count
+      FROM activity
+      ${whereClause}
+    `
+    
+    const total = await this.db
+      .prepare(totalQuery)
+      .bind(...params.slice(0, -2)) // Remove limit and offset
+      .first()
+    
+    const activityData = {
+      activities: results.results,
+      pagination: {
+        page,
+        limit,
+        total: total.count,
+        hasMore: offset + limit < total.count
+      }
+    }
+    
+    return formatActivityTimestamps(activityData)
+  }
+
+  // Currency reference rates
+  async getCurrencyRates() {
+    const result = await this.db
+      .prepare('SELECT currency, usd_rate, updated_at FROM currency_rates ORDER BY currency')
+      .all()
+    return result.results
+  }
+
+  async setCurrencyRate(currency, usdRate) {
+    return await this.db
+      .prepare(`
+        INSERT INTO currency_rates (currency, usd_rate, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(currency) DO UPDATE SET usd_rate = excluded.usd_rate, updated_at = CURRENT_TIMESTAMP
+      `)
+      .bind(currency, usdRate)
+      .run()
+  }
+
+  // Royalty overrides
+  async getRoyaltyOverride(nftContract) {
+    return await this.db
+      .prepare('SELECT * FROM royalty_overrides WHERE nft_contract = ?')
+      .bind(nftContract.toLowerCase())
+      .first()
+  }
+
+  async getRoyaltyOverrides() {
+    const result = await this.db
+      .prepare('SELECT * FROM royalty_overrides ORDER BY nft_contract')
+      .all()
+    return result.results
+  }
+
+  async setRoyaltyOverride(nftContract, recipient, bps) {
+    return await this.db
+      .prepare(`
+        INSERT INTO royalty_overrides (nft_contract, recipient, bps, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(nft_contract) DO UPDATE SET
+          recipient = excluded.recipient,
+          bps = excluded.bps,
+          updated_at = CURRENT_TIMESTAMP
+      `)
+      .bind(nftContract.toLowerCase(), recipient.toLowerCase(), bps)
+      .run()
+  }
+
+  async deleteRoyaltyOverride(nftContract) {
+    return await this.db
+      .prepare('DELETE FROM royalty_overrides WHERE nft_contract = ?')
+      .bind(nftContract.toLowerCase())
+      .run()
+  }
+
+  // Stats and analytics
+  async getUserStats(fid) {
+    const [listings, sales, purchases] = await Promise.all([
+      // Active listings
+      this.db
+        .prepare(`
+          SELECT COUNT(*) as count, SUM(price) as total_value, contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
+          FROM listings
+          WHERE seller_fid = ?
+            AND sold_at IS NULL
+            AND cancelled_at IS NULL
+            AND inactive_at IS NULL
+            AND expiry > datetime('now')
+          GROUP BY contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
+        `)
+        .bind(fid)
+        .first(), // This might need to be .all() if listings can have multiple contract_types
+      
+      // Sales - count listings that were sold by this user
+      this.db
+        .prepare(`
           SELECT COUNT(*) as count, SUM(l.price) as total_volume, l.contract_type, l.order_hash
           FROM listings l
           WHERE l.seller_fid = ?
@@ -574,12 +2607,13 @@ export class Database {
   async getUserNFTs(fid, { page = 1, limit = 20 } = {}) {
     const offset = (page - 1) * limit
     
+    // Bundles expand into one row per token bought
     const query = `
       SELECT 
-        l.nft_contract,
-        l.token_id,
-        l.name,
-        l.image_url,
+        COALESCE(li.nft_contract, l.nft_contract) as nft_contract,
+        COALESCE(li.token_id, l.token_id) as token_id,
+        COALESCE(li.name, l.name) as name,
+        COALESCE(li.image_url, l.image_url) as image_url,
         l.metadata_uri,
         l.description,
         l.price as purchase_price,
@@ -591,11 +2625,13 @@ export class Database {
         l.zone_address,
         l.conduit_key,
         l.salt,
-        l.counter
+        l.counter,
+        l.listing_type
       FROM listings l
+      LEFT JOIN listing_items li ON li.listing_id = l.id
       WHERE l.buyer_fid = ?
         AND l.sold_at IS NOT NULL
-      ORDER BY l.sold_at DESC
+      ORDER BY l.sold_at DESC, li.position ASC
       LIMIT ? OFFSET ?
     `
     
@@ -606,9 +2642,10 @@ export class Database {
     
     const totalQuery = `
       SELECT COUNT(*) as count
-      FROM listings
-      WHERE buyer_fid = ?
-        AND sold_at IS NOT NULL
+      FROM listings l
+      LEFT JOIN listing_items li ON li.listing_id = l.id
+      WHERE l.buyer_fid = ?
+        AND l.sold_at IS NOT NULL
     `
     
     const total = await this.db
@@ -646,7 +2683,9 @@ export class Database {
         FROM listings
         WHERE sold_at IS NULL
           AND cancelled_at IS NULL
+          AND inactive_at IS NULL
           AND expiry > datetime('now')
+          AND private_buyer_fid IS NULL
         GROUP BY nft_contract, contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
         ORDER BY listing_count DESC
         LIMIT 1
@@ -662,12 +2701,14 @@ export class Database {
     // Get sample listings for the collection
     const sampleListings = await this.db
       .prepare(`
-        SELECT id, name, image_url, price, contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
+        SELECT id, name, image_url, price, end_price, start_time, expiry, created_at, currency, contract_type, order_hash, order_parameters, zone_address, conduit_key, salt, counter
         FROM listings
         WHERE nft_contract = ?
           AND sold_at IS NULL
           AND cancelled_at IS NULL
+          AND inactive_at IS NULL
           AND expiry > datetime('now')
+          AND private_buyer_fid IS NULL
         ORDER BY created_at DESC
         LIMIT 4
       `)
@@ -688,17 +2729,21 @@ export class Database {
     let orderBy = 'l.expiry ASC' // Default to ending soon
     
     if (sort === 'recent') orderBy = 'l.created_at DESC'
-    else if (sort === 'price_low') orderBy = 'l.price ASC'
-    else if (sort === 'price_high') orderBy = 'l.price DESC'
+    else if (sort === 'price_low') orderBy = 'usd_price ASC'
+    else if (sort === 'price_high') orderBy = 'usd_price DESC'
     
     const query = `
-      SELECT l.*, u.username, u.display_name, u.pfp_url
+      SELECT l.*, ${currentPriceSql('l')} as current_price, ${usdPriceSql(currentPriceSql('l'))} as usd_price,
+             u.username, u.display_name, u.pfp_url
       FROM listings l
       LEFT JOIN users u ON u.fid = l.seller_fid
+      ${currencyRateJoin('l')}
       WHERE l.nft_contract = ?
         AND l.sold_at IS NULL
         AND l.cancelled_at IS NULL
+        AND l.inactive_at IS NULL
         AND l.expiry > datetime('now')
+        AND l.private_buyer_fid IS NULL
       ORDER BY ${orderBy}
       LIMIT ? OFFSET ?
     `
@@ -714,7 +2759,9 @@ export class Database {
       WHERE nft_contract = ?
         AND sold_at IS NULL
         AND cancelled_at IS NULL
+        AND inactive_at IS NULL
         AND expiry > datetime('now')
+        AND private_buyer_fid IS NULL
     `
     
     const total = await this.db
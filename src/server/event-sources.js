@@ -0,0 +1,141 @@
+/**
+ * Event sources the indexer reads logs from.
+ *
+ * Each source declares the contracts its logs come from, the ABI they decode
+ * with, where its cursor starts and the handler that applies them. Sources
+ * keep a cursor each in indexer_cursors, so one added later indexes on its own
+ * without the others fetching their ranges again. Sources run in the order
+ * listed here for every block range.
+ *
+ * A source seen for the first time is seeded at its startBlock, or at the chain
+ * head when it has none. Only sources whose history is the marketplace's own
+ * state (its contract, its Seaport orders) declare one; watchers that re-check
+ * open listings and offers against the chain start at the head, since adding
+ * one must not pull the indexer back to deployment, and transfers or approvals
+ * from years ago say nothing about today's orders.
+ */
+
+import { parseAbi } from 'viem'
+
+// Block the NFTExchange contract was deployed at (from the broadcast logs). Nothing
+// the marketplace cares about happened before it
+export const MARKETPLACE_START_BLOCK = 31090760
+
+// Event signatures for the NFT Exchange contract
+export const NFT_EXCHANGE_EVENTS = parseAbi([
+  'event ListingCreated(uint256 indexed listingId, address indexed seller, address indexed nftContract, uint256 tokenId, uint256 price, string metadataURI)',
+  'event ListingSold(uint256 indexed listingId, address indexed buyer, uint256 price)',
+  'event ListingCancelled(uint256 indexed listingId)',
+  'event OfferMade(uint256 indexed offerId, address indexed buyer, address indexed nftContract, uint256 tokenId, uint256 amount)',
+  'event OfferAccepted(uint256 indexed offerId, address indexed seller)',
+  'event OfferCancelled(uint256 indexed offerId)',
+  'event MarketplaceFeeUpdated(uint256 oldFee, uint256 newFee)',
+  'event FeeRecipientUpdated(address oldRecipient, address newRecipient)'
+])
+
+// Seaport ABI - focusing on key events and functions
+export const SEAPORT_ABI = parseAbi([
+  // Events
+  'event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, (uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, (uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)',
+  'event OrderCancelled(bytes32 orderHash, address indexed offerer, address indexed zone)',
+  'event OrdersMatched(bytes32[] orderHashes)',
+  'event CounterIncremented(uint256 newCounter, address indexed offerer)',
+  // Functions
+  'function getOrderStatus(bytes32 orderHash) view returns (bool isValidated, bool isCancelled, uint256 totalFilled, uint256 totalSize)'
+])
+
+// NFT transfers, watched for tokens with open listings. ERC20 Transfer shares the
+// ERC721 topic but has no indexed third argument, so it decodes without a tokenId
+export const NFT_TRANSFER_EVENTS = parseAbi([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+])
+
+// USDC approvals, watched for bidders changing what the Seaport conduit may pull
+export const ERC20_APPROVAL_EVENTS = parseAbi([
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+])
+
+// Each source has:
+//   id           - key of its cursor in indexer_cursors
+//   name         - name used in logs
+//   isEnabled    - whether the environment configures it
+//   getAddresses - contracts to read logs from; none skips the range
+//   abi          - events the logs are fetched and decoded with
+//   getArgs      - optional indexed arguments to match; the ABI then holds a single event
+//   startBlock   - optional first block to index when it has no cursor yet; without
+//                  one it starts at the chain head the first time the indexer runs
+//   handleLogs   - applies a range's logs, in block order
+export const EVENT_SOURCES = [
+  {
+    id: 'nft_exchange',
+    name: 'NFTExchange',
+    isEnabled: (env) => Boolean(env.CONTRACT_ADDRESS),
+    getAddresses: async (env) => [env.CONTRACT_ADDRESS],
+    abi: NFT_EXCHANGE_EVENTS,
+    startBlock: MARKETPLACE_START_BLOCK,
+    handleLogs: (blockchain, logs, db) => blockchain.processMarketplaceLogs(logs, db)
+  },
+  {
+    id: 'seaport',
+    name: 'Seaport',
+    isEnabled: (env) => Boolean(env.SEAPORT_CONTRACT_ADDRESS),
+    getAddresses: async (env) => [env.SEAPORT_CONTRACT_ADDRESS],
+    abi: SEAPORT_ABI,
+    startBlock: MARKETPLACE_START_BLOCK,
+    handleLogs: (blockchain, logs, db) => blockchain.processMarketplaceLogs(logs, db)
+  },
+  {
+    // After the marketplace sources, so tokens sold through Seaport in the range are already closed
+    id: 'nft_transfers',
+    name: 'NFT transfers',
+    isEnabled: (env) => Boolean(env.SEAPORT_CONTRACT_ADDRESS),
+    getAddresses: async (env, db) => await db.getListedSeaportContracts(),
+    abi: NFT_TRANSFER_EVENTS,
+    handleLogs: (blockchain, logs, db) => blockchain.processListedTokenTransfers(logs, db)
+  },
+  {
+    id: 'usdc_approvals',
+    name: 'USDC approvals',
+    isEnabled: (env) => Boolean(env.USDC_ADDRESS && env.SEAPORT_CONTRACT_ADDRESS),
+    getAddresses: async (env) => [env.USDC_ADDRESS],
+    abi: ERC20_APPROVAL_EVENTS,
+    getArgs: async (env) => {
+      const { getConduitAddress } = await import('./utils/seaport.js')
+      return { spender: getConduitAddress(env) }
+    },
+    handleLogs: (blockchain, logs, db) => blockchain.processConduitApprovals(logs, db)
+  }
+]
+
+/**
+ * Last block a source has been indexed up to: its cursor, or the block before its
+ * start block until it has one
+ * @param {Object} source - Event source
+ * @param {Map<string, number>} cursors - Cursors by source ID
+ * @returns {number|null} null for a source waiting to be seeded at the chain head
+ */
+export function getSourceCursor(source, cursors) {
+  if (cursors.has(source.id)) return cursors.get(source.id)
+  return source.startBlock !== undefined ? source.startBlock - 1 : null
+}
+
+/**
+ * Block a source's cursor is seeded at when it has none yet
+ * @param {Object} source - Event source
+ * @param {number} headBlock - Latest block the indexer goes up to
+ * @returns {number}
+ */
+export function getSeedBlock(source, headBlock) {
+  return source.startBlock !== undefined ? source.startBlock - 1 : headBlock
+}
+
+/**
+ * Sources the environment configures, in processing order
+ * @param {Object} env - Worker environment
+ * @returns {Object[]}
+ */
+export function getEventSources(env) {
+  return EVENT_SOURCES.filter(source => source.isEnabled(env))
+}
@@ -1,5 +1,43 @@
 import { Database } from './db.js'
 import { BlockchainService } from './blockchain.js'
+import { formatTimestampForClient } from './utils/timestamp.js'
+import { checkOffersFunding } from './utils/offer-funding.js'
+import { MARKETPLACE_START_BLOCK, getEventSources, getSeedBlock, getSourceCursor } from './event-sources.js'
+
+// How often the ETH reference rate used for cross-currency sorting is refreshed
+const CURRENCY_RATE_MAX_AGE_MS = 60 * 60 * 1000
+
+// Blocks left between the chain tip and what gets indexed, unless INDEXER_CONFIRMATIONS says otherwise
+const DEFAULT_CONFIRMATIONS = 5
+// Blocks fetched per getLogs call, unless INDEXER_CHUNK_SIZE says otherwise
+const DEFAULT_CHUNK_SIZE = 500
+// Blocks one indexEvents run covers at most; the rest is left for the next run
+const MAX_BLOCKS_PER_RUN = 100000
+// How many stored chunk hashes are checked against the chain when looking for where a fork started
+const FORK_SEARCH_LIMIT = 20
+// Chunk hashes older than this, behind the cursor, are pruned
+const REORG_HISTORY_BLOCKS = 10000
+
+// Blocks per queued range, and how many ranges one cron run plans and sends at most
+const INDEX_RANGE_SIZE = 500
+const MAX_RANGES_PER_RUN = 200
+// sendBatch takes at most 100 messages
+const QUEUE_SEND_BATCH_SIZE = 100
+// A range still queued this long after its message was sent gets another one
+const RANGE_RESEND_MINUTES = 10
+// Failed attempts before a range is marked failed, and the backoff between them
+const MAX_RANGE_ATTEMPTS = 8
+const RANGE_RETRY_BASE_SECONDS = 30
+const RANGE_RETRY_MAX_SECONDS = 60 * 60
+// How long one consumer message may index for, and how long before a range claimed by a
+// consumer that never finished it can be claimed again
+const RANGE_MAX_RUNTIME = 5 * 60 * 1000
+const RANGE_CLAIM_MINUTES = 15
+// Chain events replayed per page, how long a request or cron run spends replaying,
+// and how long a range waits before trying again while a replay runs
+const REPLAY_PAGE_SIZE = 500
+const REPLAY_MAX_RUNTIME = 20 * 1000
+const REPLAY_WAIT_SECONDS = 60
 
 /**
  * Event indexer for syncing blockchain events with the database
@@ -12,46 +50,75 @@ export class EventIndexer {
   }
 
   /**
-   * Get the last indexed block from the database
+   * Get the last block every event source has been indexed up to: the lowest of
+   * their cursors. A source with no cursor yet counts from the block before its
+   * start block, or not at all if it waits to be seeded at the chain head
    */
   async getLastIndexedBlock() {
-    const result = await this.env.DB.prepare(
-      'SELECT MAX(block_number) as last_block FROM indexed_blocks'
-    ).first()
-    
-    // If no blocks indexed yet, start from contract deployment block
-    const CONTRACT_DEPLOYMENT_BLOCK = 31090760
-    return result?.last_block || CONTRACT_DEPLOYMENT_BLOCK
+    const cursors = await this.db.getIndexerCursors()
+    const blocks = getEventSources(this.env)
+      .map(source => getSourceCursor(source, cursors))
+      .filter(block => block !== null)
+    if (blocks.length === 0) return MARKETPLACE_START_BLOCK - 1
+    return Math.min(...blocks)
+  }
+
+  /**
+   * Give each event source without a cursor its first one: the block before its
+   * start block, or the chain head if it declares none (see event-sources.js)
+   * @param {number} headBlock - Latest confirmed block
+   * @returns {Promise<{ source: string, blockNumber: number }[]>} Cursors seeded
+   */
+  async seedSourceCursors(headBlock) {
+    const cursors = await this.db.getIndexerCursors()
+    const seeds = getEventSources(this.env)
+      .filter(source => !cursors.has(source.id))
+      .map(source => ({ source: source.id, blockNumber: getSeedBlock(source, headBlock) }))
+    await this.db.seedIndexerCursors(seeds)
+    return seeds
   }
 
   /**
-   * Update the last indexed block
+   * Set every event source's cursor to a block, e.g. to index again from there
    */
   async updateLastIndexedBlock(blockNumber) {
-    await this.env.DB.prepare(
-      'INSERT OR REPLACE INTO indexed_blocks (id, block_number) VALUES (1, ?)'
-    ).bind(blockNumber).run()
+    await this.db.setIndexerCursors(getEventSources(this.env).map(source => source.id), blockNumber)
+  }
+
+  /**
+   * Last block each event source has been indexed up to, by source ID
+   */
+  async getSourceCursors() {
+    const cursors = await this.db.getIndexerCursors()
+    return Object.fromEntries(getEventSources(this.env).map(source => [
+      source.id,
+      cursors.get(source.id) ?? null
+    ]))
   }
 
   /**
    * Index events from the blockchain
+   * @param {Object} [options]
+   * @param {number} [options.rangeId] - Queued range being indexed. Its progress is recorded
+   *   instead of moving the cursors, which only move once the ranges before it are done too
    */
-  async indexEvents(fromBlock = null, toBlock = null, maxRuntime = 50000) {
+  async indexEvents(fromBlock = null, toBlock = null, maxRuntime = 50000, { rangeId = null } = {}) {
     try {
       const startTime = Date.now()
       
+      // Get the latest confirmed block if not specified, and start new sources there
+      if (!toBlock) {
+        toBlock = await this.blockchain.getLatestBlockNumber()
+        toBlock = Number(toBlock) - this.getConfirmations()
+        await this.seedSourceCursors(toBlock)
+      }
+
       // Get the last indexed block if not specified
       if (!fromBlock) {
         fromBlock = await this.getLastIndexedBlock()
         fromBlock = fromBlock + 1 // Start from next block
       }
 
-      // Get the latest block if not specified
-      if (!toBlock) {
-        toBlock = await this.blockchain.getLatestBlockNumber()
-        toBlock = Number(toBlock)
-      }
-
       // Don't process if we're already up to date
       if (fromBlock > toBlock) {
         console.log('Already up to date. No new blocks to process.')
@@ -59,47 +126,79 @@ export class EventIndexer {
       }
 
       // Limit how many blocks we process in one run
-      const MAX_BLOCKS_PER_RUN = 100000 // Process max 10k blocks per run
       const originalToBlock = toBlock
       toBlock = Math.min(fromBlock + MAX_BLOCKS_PER_RUN - 1, toBlock)
 
-      // Process in smaller chunks to avoid hitting RPC limits
-      const CHUNK_SIZE = 100 // Reduced from 1000 to avoid rate limits
+      // Process in chunks to stay within the RPC's getLogs limits
+      const chunkSize = this.getChunkSize()
       let currentBlock = fromBlock
       let totalProcessed = 0
+      let stoppedBy = null
+      const reorgs = []
 
       while (currentBlock <= toBlock) {
         // Check if we're approaching the time limit
         if (Date.now() - startTime > maxRuntime) {
           console.log(`Approaching time limit, stopping at block ${currentBlock - 1}`)
+          stoppedBy = 'time_limit'
           break
         }
 
-        const chunkEnd = Math.min(currentBlock + CHUNK_SIZE - 1, toBlock)
-        
-        // console.log(`Processing blocks ${currentBlock} to ${chunkEnd}`)
-        
         try {
-          // Process events for this chunk
-          await this.blockchain.processEvents(currentBlock, chunkEnd, this.db)
+          // Make sure the chunk builds on what was indexed, rolling back first if it doesn't
+          const resumeBlock = await this.handleReorg(currentBlock)
+          if (resumeBlock !== currentBlock) {
+            reorgs.push({ detectedAt: currentBlock, rolledBackTo: resumeBlock - 1 })
+            // The rollback queued this range again, from the fork if it was in it
+            if (rangeId !== null) {
+              stoppedBy = 'reorg'
+              break
+            }
+            currentBlock = resumeBlock
+          }
+
+          const chunkEnd = Math.min(currentBlock + chunkSize - 1, toBlock)
+
+          // Read the chunk's last block before its logs, so a reorg in between is caught on the next chunk
+          const endBlock = await this.blockchain.client.getBlock({ blockNumber: BigInt(chunkEnd) })
+
+          // Process events for this chunk; sources already past part of it skip that part
+          const cursors = await this.db.getIndexerCursors()
+          const { indexed, failed } = await this.blockchain.processEvents(currentBlock, chunkEnd, this.db, cursors)
           
-          // Update last indexed block after successful processing
-          await this.updateLastIndexedBlock(chunkEnd)
+          // Only the sources that got through the chunk move on, and a range only once
+          // they all have. The hash is kept either way, so a reorg under what they
+          // indexed is still caught
+          if (rangeId === null) {
+            await this.db.advanceIndexerCursors(indexed, chunkEnd)
+          } else if (failed.length === 0) {
+            await this.db.setIndexRangeProgress(rangeId, chunkEnd)
+          }
+          await this.db.recordBlockHash({
+            blockNumber: chunkEnd,
+            blockHash: endBlock.hash,
+            parentHash: endBlock.parentHash
+          })
+
+          // The failed sources hold the run (or the queued range) at this chunk until they succeed
+          if (failed.length > 0) {
+            throw new Error(`Blocks ${currentBlock}-${chunkEnd} failed for ${failed.map(({ source, error }) => `${source} (${error.message})`).join(', ')}`)
+          }
           
           totalProcessed += (chunkEnd - currentBlock + 1)
           currentBlock = chunkEnd + 1
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100))
         } catch (error) {
           if (error.message?.includes('Too many subrequests')) {
-            console.log('Rate limit hit, stopping indexing for this run')
+            console.warn(`Subrequest limit hit, stopping at block ${currentBlock - 1}`)
+            stoppedBy = 'subrequest_limit'
             break
           }
           throw error
         }
       }
 
+      await this.db.pruneBlockHashes(currentBlock - 1 - REORG_HISTORY_BLOCKS)
+
       const runtime = Date.now() - startTime
       console.log(`Indexing completed in ${runtime}ms`)
 
@@ -109,6 +208,8 @@ export class EventIndexer {
         toBlock: currentBlock - 1,
         lastIndexedBlock: currentBlock - 1,
         blocksRemaining: originalToBlock - (currentBlock - 1),
+        stoppedBy,
+        reorgs,
         runtime
       }
     } catch (error) {
@@ -117,26 +218,345 @@ export class EventIndexer {
     }
   }
 
+  /**
+   * Plan the confirmed blocks not yet planned into ranges and send them, along with
+   * any earlier range whose message looks lost, to the indexer queue
+   */
+  async enqueueBlockRanges() {
+    const latestBlock = Number(await this.blockchain.getLatestBlockNumber()) - this.getConfirmations()
+    const seeds = await this.seedSourceCursors(latestBlock)
+
+    // A source added with an earlier start block needs blocks that were already planned
+    const earliestSeed = Math.min(...seeds.map(seed => seed.blockNumber))
+    if (earliestSeed < (await this.db.getLastPlannedBlock() ?? 0)) {
+      await this.planRangesFrom(earliestSeed + 1)
+    }
+
+    // Catch up on any done ranges a consumer didn't get to move the cursors over
+    const lastIndexedBlock = await this.advanceCursors()
+    const lastPlannedBlock = Math.max(await this.db.getLastPlannedBlock() ?? 0, lastIndexedBlock)
+
+    const ranges = []
+    for (let from = lastPlannedBlock + 1; from <= latestBlock && ranges.length < MAX_RANGES_PER_RUN; from += INDEX_RANGE_SIZE) {
+      ranges.push({ fromBlock: from, toBlock: Math.min(from + INDEX_RANGE_SIZE - 1, latestBlock) })
+    }
+    await this.db.createIndexRanges(ranges)
+
+    const sent = await this.sendQueuedRanges()
+    await this.db.pruneIndexRanges(lastIndexedBlock - REORG_HISTORY_BLOCKS)
+
+    return {
+      lastIndexedBlock,
+      planned: ranges.length,
+      plannedTo: ranges.length > 0 ? ranges[ranges.length - 1].toBlock : lastPlannedBlock,
+      sent,
+      blocksRemaining: latestBlock - lastIndexedBlock
+    }
+  }
+
+  /**
+   * Send a message for each queued range that has none, or whose message is old
+   * enough to have been dropped
+   * @returns {Promise<number>} Messages sent
+   */
+  async sendQueuedRanges() {
+    const ranges = await this.db.getIndexRangesToSend(RANGE_RESEND_MINUTES, MAX_RANGES_PER_RUN)
+    for (let i = 0; i < ranges.length; i += QUEUE_SEND_BATCH_SIZE) {
+      const batch = ranges.slice(i, i + QUEUE_SEND_BATCH_SIZE)
+      await this.env.INDEX_QUEUE.sendBatch(batch.map(range => ({
+        body: { rangeId: range.id, fromBlock: range.from_block, toBlock: range.to_block }
+      })))
+      await this.db.markIndexRangesEnqueued(batch.map(range => range.id))
+    }
+    return ranges.length
+  }
+
+  /**
+   * Index blocks again from `fromBlock` through the queue: the cursor moves back,
+   * ranges from there on are queued again and ranges are planned for any blocks
+   * before the first planned one. Progress is kept per range, so an interrupted
+   * backfill carries on from where it stopped
+   * @param {number} fromBlock - First block to index again
+   */
+  async backfillFrom(fromBlock) {
+    await this.updateLastIndexedBlock(fromBlock - 1)
+    const planned = await this.planRangesFrom(fromBlock)
+
+    // Ranges beyond what's sent here go out with the following cron runs
+    const sent = await this.sendQueuedRanges()
+    return { fromBlock, planned, sent }
+  }
+
+  /**
+   * Queue again the planned ranges from `fromBlock` on, and plan ranges for any
+   * blocks before the first planned one
+   * @returns {Promise<number>} Ranges planned
+   */
+  async planRangesFrom(fromBlock) {
+    await this.db.reopenIndexRanges(fromBlock)
+
+    const firstPlannedBlock = await this.db.getFirstPlannedBlock()
+    const ranges = []
+    if (firstPlannedBlock !== null) {
+      let from = fromBlock
+      for (; from < firstPlannedBlock && ranges.length < MAX_RANGES_PER_RUN; from += INDEX_RANGE_SIZE) {
+        ranges.push({ fromBlock: from, toBlock: Math.min(from + INDEX_RANGE_SIZE - 1, firstPlannedBlock - 1) })
+      }
+      // Whatever is left goes in one range, indexed over as many time-limited passes as it takes
+      if (from < firstPlannedBlock) {
+        ranges.push({ fromBlock: from, toBlock: firstPlannedBlock - 1 })
+      }
+    }
+    await this.db.createIndexRanges(ranges)
+    return ranges.length
+  }
+
+  /**
+   * Index one queued range, carrying on from its own progress. Ranges are indexed
+   * independently of each other; once one is done the cursors move over it if
+   * every range before it is done too
+   * @param {number} rangeId - index_ranges row
+   * @returns {Promise<{ status: string, attempts?: number, error?: string }>} done,
+   *   busy (another consumer has it), paused (a chain event replay is running),
+   *   partial (stopped early, send again straight away), retry (failed, send again
+   *   with backoff), failed (gave up) or missing
+   */
+  async indexQueuedRange(rangeId) {
+    const range = await this.db.getIndexRange(rangeId)
+    if (!range) return { status: 'missing' }
+    if (range.status === 'done' || range.status === 'failed') return { status: range.status }
+    if (await this.db.getActiveChainReplay()) return { status: 'paused' }
+    if (!await this.db.claimIndexRange(range.id, RANGE_CLAIM_MINUTES)) return { status: 'busy' }
+
+    try {
+      const fromBlock = Math.max(range.from_block, (range.indexed_to ?? 0) + 1)
+      if (fromBlock <= range.to_block) {
+        const result = await this.indexEvents(fromBlock, range.to_block, RANGE_MAX_RUNTIME, { rangeId: range.id })
+        if (result.lastIndexedBlock < range.to_block) {
+          await this.db.requeueIndexRange(range.id)
+          return { status: 'partial' }
+        }
+      }
+      await this.db.completeIndexRange(range.id)
+    } catch (error) {
+      console.error(`Error indexing blocks ${range.from_block}-${range.to_block}:`, error)
+      const attempts = range.attempts + 1
+      const final = attempts >= MAX_RANGE_ATTEMPTS
+      await this.db.requeueIndexRange(range.id, { error: error.message, final })
+      return { status: final ? 'failed' : 'retry', attempts, error: error.message }
+    }
+
+    await this.advanceCursors()
+    return { status: 'done' }
+  }
+
+  /**
+   * Move the cursors over the done ranges that follow on from the last indexed
+   * block with no gap or unfinished range in between
+   * @returns {Promise<number>} Last indexed block afterwards
+   */
+  async advanceCursors() {
+    const lastIndexedBlock = await this.getLastIndexedBlock()
+    let frontier = lastIndexedBlock
+    for (const range of await this.db.getIndexRangesFrom(lastIndexedBlock + 1)) {
+      if (range.status !== 'done' || range.from_block > frontier + 1) break
+      frontier = Math.max(frontier, range.to_block)
+    }
+    if (frontier === lastIndexedBlock) return lastIndexedBlock
+
+    const sources = getEventSources(this.env).map(source => source.id)
+    await this.db.advanceCursorsOverDoneRanges(sources, lastIndexedBlock + 1, frontier)
+    return await this.getLastIndexedBlock()
+  }
+
+  getConfirmations() {
+    const confirmations = parseInt(this.env.INDEXER_CONFIRMATIONS)
+    return Number.isInteger(confirmations) && confirmations >= 0 ? confirmations : DEFAULT_CONFIRMATIONS
+  }
+
+  getChunkSize() {
+    const chunkSize = parseInt(this.env.INDEXER_CHUNK_SIZE)
+    return Number.isInteger(chunkSize) && chunkSize > 0 ? chunkSize : DEFAULT_CHUNK_SIZE
+  }
+
+  /**
+   * Check the chain still builds on the indexed blocks before indexing from
+   * `fromBlock`. If its parent hash doesn't match the hash stored for the block
+   * before it, the blocks since the fork are rolled back
+   * @param {number} fromBlock - Next block to index
+   * @returns {Promise<number>} Block to index from: `fromBlock`, or the first block after the fork
+   */
+  async handleReorg(fromBlock) {
+    const indexed = await this.db.getBlockHash(fromBlock - 1)
+    if (!indexed) return fromBlock
+
+    const block = await this.blockchain.client.getBlock({ blockNumber: BigInt(fromBlock) })
+    if (block.parentHash.toLowerCase() === indexed.block_hash) return fromBlock
+
+    console.warn(`Reorg detected: block ${fromBlock} does not build on indexed block ${fromBlock - 1}`)
+    const forkBlock = await this.findForkBlock(fromBlock - 1)
+    await this.rollbackToBlock(forkBlock)
+    return forkBlock + 1
+  }
+
+  /**
+   * Walk back through the stored chunk hashes to the newest one still on the chain
+   * @param {number} fromBlock - Newest indexed block
+   * @returns {Promise<number>} Last block known to be shared by both chains
+   */
+  async findForkBlock(fromBlock) {
+    const candidates = await this.db.getRecentBlockHashes(fromBlock, FORK_SEARCH_LIMIT)
+    for (const candidate of candidates) {
+      const block = await this.blockchain.client.getBlock({ blockNumber: BigInt(candidate.block_number) })
+      if (block.hash.toLowerCase() === candidate.block_hash) {
+        return candidate.block_number
+      }
+    }
+    throw new Error(`Reorg goes deeper than the last ${candidates.length} indexed chunks; reindex from an earlier block`)
+  }
+
+  /**
+   * Revert everything indexed after `forkBlock` and move the cursor back to it, so
+   * the orphaned range is indexed again from the canonical chain
+   * @param {number} forkBlock - Last block to keep
+   */
+  async rollbackToBlock(forkBlock) {
+    const quantityListings = await this.db.getQuantityListingsFilledSince(forkBlock + 1)
+    const { events } = await this.db.rollbackIndexedBlocks(forkBlock + 1)
+
+    // Partial fills only change the copies left, so they're counted again from the fills still stored
+    for (const listing of quantityListings) {
+      const filled = await this.db.getOrderFilledQuantity(listing.order_hash)
+      await this.db.setListingQuantityRemaining(listing.id, Math.max(listing.quantity - filled, 0))
+    }
+
+    console.log(`Rolled back to block ${forkBlock}: reverted ${events} events`)
+    return { forkBlock, events }
+  }
+
+  /**
+   * Start rebuilding what the indexer derives from chain events by replaying the
+   * stored chain_events log from `fromBlock`, without going back to the RPC. The
+   * first pages run straight away and the cron carries on with the rest; indexing
+   * and webhooks wait until it's done
+   * @param {number} fromBlock - First block to rebuild from
+   * @returns {Promise<Object|null>} The replay's chain_replays row, or null if a
+   *   replay is already running or block ranges are being indexed
+   */
+  async startChainReplay(fromBlock) {
+    if (!await this.db.startChainReplay(fromBlock, RANGE_CLAIM_MINUTES)) return null
+    return await this.continueChainReplay()
+  }
+
+  /**
+   * Replay pages of the running replay until it's done or `maxRuntime` is up
+   * @returns {Promise<Object|null>} The replay's chain_replays row, or null if none is running
+   */
+  async continueChainReplay(maxRuntime = REPLAY_MAX_RUNTIME) {
+    const startTime = Date.now()
+    let replay = await this.db.getActiveChainReplay()
+    while (replay?.status === 'running' && Date.now() - startTime < maxRuntime) {
+      const after = replay.after_block === null ? null : { blockNumber: replay.after_block, logIndex: replay.after_log_index }
+      const page = await this.replayChainEvents({ fromBlock: replay.from_block, after, limit: REPLAY_PAGE_SIZE })
+      await this.db.recordChainReplayPage(replay.id, page)
+      replay = await this.db.getChainReplay(replay.id)
+    }
+    return replay
+  }
+
+  /**
+   * Replay one page of the stored chain_events log. The first page reverts the
+   * effects of every stored event from `fromBlock` on; pass the returned `next`
+   * back as `after` for the page after it
+   * @param {Object} options
+   * @param {number} [options.fromBlock] - First block to rebuild from
+   * @param {{ blockNumber: number, logIndex: number }|null} [options.after] - Event to resume after
+   * @param {number} [options.limit] - Maximum number of events to replay in this call
+   */
+  async replayChainEvents({ fromBlock = 0, after = null, limit = 500 } = {}) {
+    const startTime = Date.now()
+    const reverted = after ? null : await this.db.revertChainEffects(fromBlock)
+
+    const events = await this.db.getChainEvents({ fromBlock, after, limit })
+    let errorCount = 0
+    for (const event of events) {
+      try {
+        await this.blockchain.replayChainEvent(event, this.db)
+      } catch (error) {
+        console.error(`Error replaying event ${event.event_name} (tx: ${event.tx_hash}, index: ${event.log_index}):`, error)
+        errorCount++
+      }
+    }
+
+    const last = events[events.length - 1]
+    const done = events.length < limit
+    return {
+      runtime: `${Date.now() - startTime}ms`,
+      reverted: reverted?.events ?? null,
+      replayed: events.length,
+      errors: errorCount,
+      done,
+      next: done ? null : { blockNumber: last.block_number, logIndex: last.log_index }
+    }
+  }
+
+  /**
+   * Lowercased addresses of the contracts whose logs are indexed (NFTExchange and Seaport)
+   */
+  getMarketplaceContracts() {
+    return [this.env.CONTRACT_ADDRESS, this.env.SEAPORT_CONTRACT_ADDRESS]
+      .filter(Boolean)
+      .map(address => address.toLowerCase())
+  }
+
+  /**
+   * Process a verified Alchemy webhook payload
+   * @param {Object} body - Parsed webhook body
+   * @returns {Promise<{ processed: number, errors: string[] }>}
+   */
+  async processAlchemyWebhook(body) {
+    const knownContracts = this.getMarketplaceContracts()
+    const result = { processed: 0, errors: [] }
+    const addResult = ({ processed, errors }) => {
+      result.processed += processed
+      result.errors.push(...errors)
+    }
+
+    if (body.type === 'ADDRESS_ACTIVITY') {
+      for (const activity of body.event?.activity || []) {
+        // Transactions to or from NFTExchange or Seaport, or emitting a log from either
+        const addresses = [activity.toAddress, activity.fromAddress, activity.log?.address]
+          .filter(Boolean)
+          .map(address => address.toLowerCase())
+        if (!activity.log || !addresses.some(address => knownContracts.includes(address))) continue
+
+        console.log('Processing contract activity:', activity.hash)
+        addResult(await this.processWebhookTransaction(activity.hash, [activity.log]))
+      }
+    } else if (body.type === 'MINED_TRANSACTION') {
+      if (body.event?.transaction && body.event.logs) {
+        addResult(await this.processWebhookTransaction(body.event.transaction.hash, body.event.logs))
+      }
+    }
+
+    return result
+  }
+
   /**
    * Process a single transaction from Alchemy webhook
+   * @returns {Promise<{ processed: number, errors: string[] }>} Logs that failed are reported, not thrown
    */
   async processWebhookTransaction(txHash, logs) {
     console.log(`Processing webhook transaction: ${txHash}`)
+    const knownContracts = this.getMarketplaceContracts()
+    let processed = 0
+    const errors = []
     
     // Process each log in the transaction
     for (const log of logs) {
       try {
         // Only process logs from our known contracts (NFTExchange or Seaport)
-        const lowerCaseLogAddress = log.address.toLowerCase();
-        const knownContracts = [];
-        if (this.env.CONTRACT_ADDRESS) {
-          knownContracts.push(this.env.CONTRACT_ADDRESS.toLowerCase());
-        }
-        if (this.env.SEAPORT_CONTRACT_ADDRESS) {
-          knownContracts.push(this.env.SEAPORT_CONTRACT_ADDRESS.toLowerCase());
-        }
-
-        if (!knownContracts.includes(lowerCaseLogAddress)) {
+        if (!knownContracts.includes(log.address.toLowerCase())) {
           // console.log(`Webhook log from unknown address ${log.address}, skipping.`);
           continue;
         }
@@ -147,8 +567,9 @@ export class EventIndexer {
           topics: log.topics,
           data: log.data,
           blockNumber: BigInt(log.blockNumber),
-          transactionHash: log.transactionHash,
-          logIndex: log.logIndex
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash || txHash,
+          logIndex: Number(log.logIndex)
         }
 
         // Process the log as an event
@@ -156,11 +577,15 @@ export class EventIndexer {
         
         if (event) {
           console.log(`Processed event: ${event.eventName} from webhook`)
+          processed++
         }
       } catch (error) {
         console.error('Error processing webhook log:', error)
+        errors.push(`${txHash} log ${log.logIndex}: ${error.message}`)
       }
     }
+
+    return { processed, errors }
   }
 
   /**
@@ -277,6 +702,157 @@ export class EventIndexer {
       }
     }
   }
+
+  /**
+   * Re-check that sellers can still fill their open Seaport listings: they hold
+   * the NFTs and the conduit approval. Transfers are caught by the event indexer;
+   * this catches revoked approvals and anything it missed, oldest check first
+   * @param {number} checkLimit - Maximum number of listings to check on-chain (default: 50)
+   */
+  async recheckSeaportListings(checkLimit = 50) {
+    try {
+      const startTime = Date.now()
+      const listings = await this.db.getSeaportListingsToRecheck(checkLimit)
+
+      let deactivatedCount = 0
+      let reactivatedCount = 0
+      let errorCount = 0
+
+      for (const listing of listings) {
+        try {
+          const { wasInactive, inactiveReason } = await this.blockchain.refreshListingFillability(listing, this.db)
+          if (inactiveReason && !wasInactive) deactivatedCount++
+          if (!inactiveReason && wasInactive) reactivatedCount++
+        } catch (error) {
+          console.error(`Error re-checking listing ${listing.id}:`, error.message)
+          errorCount++
+        }
+      }
+
+      const runtime = Date.now() - startTime
+
+      return {
+        runtime: `${runtime}ms`,
+        deactivated: deactivatedCount,
+        reactivated: reactivatedCount,
+        errors: errorCount,
+        checked: listings.length
+      }
+    } catch (error) {
+      console.error('Error re-checking Seaport listings:', error)
+      return {
+        error: error.message,
+        deactivated: 0,
+        reactivated: 0,
+        errors: 0,
+        checked: 0
+      }
+    }
+  }
+
+  /**
+   * Check bidders can still pay their open Seaport offers: their balance and
+   * conduit allowance both cover the offer amount. Unfunded offers are hidden
+   * from NFT owners until the bidder can pay again, oldest check first
+   * @param {number} checkLimit - Maximum number of offers to check on-chain (default: 500)
+   */
+  async checkOfferFunding(checkLimit = 500) {
+    try {
+      const startTime = Date.now()
+      const offers = await this.db.getSeaportOffersToCheckFunding(checkLimit)
+      const funding = await checkOffersFunding(this.env, this.blockchain.client, offers)
+
+      let unfundedCount = 0
+      let refundedCount = 0
+      for (const offer of offers) {
+        if (!funding.has(offer.id)) continue
+        const unfundedReason = funding.get(offer.id)
+        if (unfundedReason && !offer.unfunded_at) unfundedCount++
+        if (!unfundedReason && offer.unfunded_at) refundedCount++
+      }
+
+      await this.db.setOffersFunding(funding)
+
+      const runtime = Date.now() - startTime
+
+      return {
+        runtime: `${runtime}ms`,
+        unfunded: unfundedCount,
+        refunded: refundedCount,
+        errors: offers.length - funding.size,
+        checked: offers.length
+      }
+    } catch (error) {
+      console.error('Error checking offer funding:', error)
+      return {
+        error: error.message,
+        unfunded: 0,
+        refunded: 0,
+        errors: 0,
+        checked: 0
+      }
+    }
+  }
+
+  /**
+   * Flag English auctions that have passed their end time, so sellers
+   * know which ones still need the winning bid settled
+   */
+  async flagEndedAuctions() {
+    try {
+      const flagged = await this.db.flagEndedAuctions()
+
+      const pending = await this.env.DB.prepare(
+        "SELECT COUNT(*) as count FROM auctions WHERE status = 'awaiting_settlement'"
+      ).first()
+
+      return {
+        flagged,
+        awaitingSettlement: pending?.count || 0
+      }
+    } catch (error) {
+      console.error('Error flagging ended auctions:', error)
+      return { error: error.message, flagged: 0, awaitingSettlement: 0 }
+    }
+  }
+
+  /**
+   * Refresh the ETH/USD reference rate (shared by WETH) once it is older than
+   * an hour. Only used to sort and filter listings across currencies, so a
+   * spot price is precise enough
+   */
+  async refreshCurrencyRates() {
+    try {
+      const rates = await this.db.getCurrencyRates()
+      const eth = rates.find(rate => rate.currency === 'ETH')
+      const age = eth ? Date.now() - new Date(formatTimestampForClient(eth.updated_at)).getTime() : Infinity
+      if (age < CURRENCY_RATE_MAX_AGE_MS) {
+        return { refreshed: false }
+      }
+
+      const response = await fetch('https://api.coinbase.com/v2/prices/ETH-USD/spot')
+      if (!response.ok) {
+        throw new Error(`Rate request failed with status ${response.status}`)
+      }
+      const { data } = await response.json()
+      const usdRate = Number(data?.amount)
+      if (!usdRate) {
+        throw new Error('Rate response had no amount')
+      }
+
+      await this.db.setCurrencyRate('ETH', usdRate)
+      await this.db.setCurrencyRate('WETH', usdRate)
+      return { refreshed: true, ETH: usdRate }
+    } catch (error) {
+      console.error('Error refreshing currency rates:', error)
+      return { error: error.message, refreshed: false }
+    }
+  }
+}
+
+// Backoff before retrying a range that failed, doubling with each attempt
+function getRangeRetryDelay(attempts) {
+  return Math.min(RANGE_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RANGE_RETRY_MAX_SECONDS)
 }
 
 /**
@@ -289,25 +865,53 @@ export default {
 
     const indexer = new EventIndexer(env)
     try {
-      // First, run the blockchain event indexing
-      const result = await indexer.indexEvents()
-      console.log('Indexing complete:', {
-        blocksProcessed: result.processed,
-        fromBlock: result.fromBlock,
-        toBlock: result.toBlock,
-        blocksRemaining: result.blocksRemaining,
-        runtime: `${result.runtime}ms`
-      })
-      if (result.blocksRemaining > 0) {
-        console.log(`Note: ${result.blocksRemaining} blocks remaining. Will continue in next run.`)
+      // First, hand new blocks to the indexer queue, or index them here if there's no queue.
+      // A replay of the chain event log holds indexing back, so it's carried on instead
+      let result
+      const replay = await indexer.continueChainReplay()
+      if (replay) {
+        result = { replay }
+        console.log('Chain event replay continued:', replay)
+      } else if (env.INDEX_QUEUE) {
+        result = await indexer.enqueueBlockRanges()
+        console.log('Block ranges queued:', result)
+      } else {
+        result = await indexer.indexEvents()
+        console.log('Indexing complete:', {
+          blocksProcessed: result.processed,
+          fromBlock: result.fromBlock,
+          toBlock: result.toBlock,
+          blocksRemaining: result.blocksRemaining,
+          stoppedBy: result.stoppedBy,
+          runtime: `${result.runtime}ms`
+        })
+        if (result.blocksRemaining > 0) {
+          console.log(`Note: ${result.blocksRemaining} blocks remaining. Will continue in next run.`)
+        }
       }
       
       // Then clean up expired NFTExchange listings
       const cleanupResult = await indexer.cleanupExpiredNFTExchangeListings()
       console.log('NFTExchange cleanup complete:', cleanupResult)
+
+      // Hide Seaport listings whose seller no longer holds the NFT or the approval
+      const recheckResult = await indexer.recheckSeaportListings()
+      console.log('Seaport listing re-check complete:', recheckResult)
+
+      // Hide offers whose bidder no longer has the balance or allowance to pay them
+      const fundingResult = await indexer.checkOfferFunding()
+      console.log('Offer funding check complete:', fundingResult)
+
+      // Then close auctions whose end time has passed
+      const auctionResult = await indexer.flagEndedAuctions()
+      console.log('Ended auctions flagged:', auctionResult)
+
+      // Keep the reference rate used for cross-currency price sorting current
+      const ratesResult = await indexer.refreshCurrencyRates()
+      console.log('Currency rates:', ratesResult)
       
       return new Response(
-        JSON.stringify({ indexing: result, cleanup: cleanupResult }),
+        JSON.stringify({ indexing: result, cleanup: cleanupResult, recheck: recheckResult, funding: fundingResult, auctions: auctionResult, rates: ratesResult }),
         { headers: { 'Content-Type': 'application/json' } }
       )
     } catch (error) {
@@ -317,5 +921,35 @@ export default {
         { status: 500, headers: { 'Content-Type': 'application/json' } }
       )
     }
+  },
+
+  // Consumer for the indexer queue: one block range per message, each indexed on its own
+  async queue(batch, env, ctx) {
+    const indexer = new EventIndexer(env)
+
+    for (const message of batch.messages) {
+      const { rangeId, fromBlock, toBlock } = message.body
+      try {
+        const result = await indexer.indexQueuedRange(rangeId)
+        if (['partial', 'retry', 'paused'].includes(result.status)) {
+          // Sent again as a new message, so the range's own attempts decide when to
+          // give up rather than the queue's max_retries
+          const delaySeconds = result.status === 'retry' ? getRangeRetryDelay(result.attempts)
+            : result.status === 'paused' ? REPLAY_WAIT_SECONDS
+            : 0
+          if (result.status === 'retry') {
+            console.log(`Blocks ${fromBlock}-${toBlock} failed (attempt ${result.attempts}), retrying in ${delaySeconds}s`)
+          }
+          await env.INDEX_QUEUE.send(message.body, { delaySeconds })
+          await indexer.db.markIndexRangesEnqueued([rangeId])
+        } else if (result.status === 'failed') {
+          console.error(`Giving up on blocks ${fromBlock}-${toBlock}: ${result.error}`)
+        }
+        message.ack()
+      } catch (error) {
+        console.error(`Error handling index range ${rangeId}:`, error)
+        message.retry({ delaySeconds: getRangeRetryDelay(message.attempts) })
+      }
+    }
   }
 }
\ No newline at end of file
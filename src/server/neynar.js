@@ -64,6 +64,49 @@ export class NeynarService {
     }
   }
 
+  /**
+   * Fetch user information by Farcaster username
+   * @param {string} username - Username without the leading @
+   * @returns {Promise<Object|null>} User data or null if not found
+   */
+  async fetchUserByUsername(username) {
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/farcaster/user/by_username?username=${encodeURIComponent(username)}`,
+        {
+          headers: {
+            'x-api-key': this.apiKey,
+            'Content-Type': 'application/json'
+          }
+        }
+      )
+
+      if (!response.ok) {
+        if (response.status !== 404) {
+          console.error('Neynar API error:', response.status, response.statusText)
+        }
+        return null
+      }
+
+      const data = await response.json()
+      const user = data.user
+      if (!user) return null
+
+      return {
+        fid: user.fid,
+        username: user.username || null,
+        display_name: user.display_name || null,
+        pfp_url: user.pfp_url || null,
+        custody_address: user.custody_address || null,
+        primary_address: user.verified_addresses?.eth_addresses?.[0] || null,
+        verified_addresses: user.verified_addresses?.eth_addresses || []
+      }
+    } catch (error) {
+      console.error('Error fetching user by username from Neynar:', error)
+      return null
+    }
+  }
+
   /**
    * Fetch multiple users by FIDs
    * @param {number[]} fids - Array of Farcaster IDs (up to 100)
@@ -6,5 +6,6 @@ export {
   activityPage,
   searchPage,
   listingDetailsPage,
+  auctionDetailsPage,
   collectionPage
 } from './pages/index.js'
\ No newline at end of file
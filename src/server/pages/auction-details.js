@@ -0,0 +1,189 @@
+import { html, raw } from 'hono/html'
+import { Layout } from './layout.js'
+import { Database } from '../db.js'
+import { getMinimumBid } from '../utils/english-auction.js'
+import { formatTimestampForClient } from '../utils/timestamp.js'
+
+const STATUS_LABELS = {
+  active: 'live',
+  awaiting_settlement: 'ended',
+  ended: 'ended',
+  settled: 'sold',
+  cancelled: 'cancelled'
+}
+
+export async function auctionDetailsPage(c) {
+  const auctionId = c.req.param('id')
+
+  let auction = null
+  let bids = []
+  let highestBid = null
+
+  if (c.env?.DB) {
+    try {
+      const db = new Database(c.env.DB)
+      auction = await db.getAuction(auctionId)
+      if (auction) {
+        highestBid = await db.getHighestAuctionBid(auction.id)
+        bids = await db.getAuctionBids(auction.id)
+      }
+    } catch (error) {
+      console.error('Error fetching auction:', error)
+    }
+  }
+
+  if (!auction) {
+    return c.html(
+      Layout({
+        children: html`
+          <frame-provider>
+            <main class="main-content">
+              <div class="listing-header-section">
+                <div class="listing-header-nav">
+                  <a href="/" class="back-link">← Back</a>
+                </div>
+                <h1 class="listing-page-title">Auction not found</h1>
+              </div>
+            </main>
+            <nav-tabs></nav-tabs>
+          </frame-provider>
+        `,
+        title: 'Auction not found - FC NFT Exchange'
+      }),
+      404
+    )
+  }
+
+  const name = auction.name || `Token #${auction.token_id}`
+  const endTime = formatTimestampForClient(auction.end_time)
+  const minimumBid = getMinimumBid(auction, highestBid)
+  const incrementPercent = auction.min_increment_bps / 100
+
+  // Serialize the auction data for client-side JS
+  const auctionData = {
+    id: auction.id,
+    sellerFid: auction.seller_fid,
+    nftContract: auction.nft_contract,
+    tokenId: auction.token_id,
+    reservePrice: Number(auction.reserve_price),
+    minimumBid,
+    highestBidId: highestBid?.id || null,
+    endTime,
+    status: auction.status,
+    hasBids: !!highestBid
+  }
+
+  const bidLadder = bids.map(bid => {
+    const status = bid.accepted_at ? 'won'
+      : bid.cancelled_at ? 'cancelled'
+      : bid.id === highestBid?.id ? 'leading'
+      : 'outbid'
+
+    return `
+      <li class="bid-row ${status}">
+        <img class="bid-avatar" src="${bid.pfp_url || 'https://via.placeholder.com/32'}" alt="${bid.username || 'Bidder'}" />
+        <span class="bid-bidder">${bid.username || bid.buyer_address.slice(0, 6) + '...'}</span>
+        <span class="bid-amount">$${Number(bid.amount).toFixed(2)}</span>
+        <span class="bid-status">${status}</span>
+      </li>
+    `
+  }).join('')
+
+  return c.html(
+    Layout({
+      children: html`
+        <frame-provider>
+          <main class="main-content">
+            <div class="listing-header-section">
+              <div class="listing-header-nav">
+                <a href="/" class="back-link">← Back</a>
+              </div>
+              <h1 class="listing-page-title">Auction Details</h1>
+            </div>
+            <auction-details>
+              ${raw(`
+                <div class="listing-container" data-auction='${JSON.stringify(auctionData).replace(/'/g, '&#39;')}'>
+                  <div class="listing-image">
+                    <img src="${auction.image_url || '/placeholder.png'}" alt="${name}" />
+                  </div>
+
+                  <div class="listing-info">
+                    <h1 class="listing-title">${name}</h1>
+
+                    <div class="listing-price">
+                      <span class="price-label">${highestBid ? 'Highest Bid:' : 'Reserve Price:'}</span>
+                      <span class="price-value">$${Number(highestBid ? highestBid.amount : auction.reserve_price).toFixed(2)} USDC</span>
+                    </div>
+                    <p class="dutch-auction-note">English auction: reserve $${Number(auction.reserve_price)} USDC, each bid must beat the last by ${incrementPercent}%</p>
+
+                    <div class="listing-seller">
+                      <img class="seller-avatar" src="${auction.pfp_url || 'https://via.placeholder.com/40'}" alt="${auction.username || 'Seller'}" />
+                      <div class="seller-info">
+                        <span class="seller-label">Auctioned by</span>
+                        <span class="seller-name">${auction.username || auction.seller_address.slice(0, 6) + '...'}</span>
+                      </div>
+                      <div class="listing-status">
+                        <span class="status-badge ${STATUS_LABELS[auction.status]}">${STATUS_LABELS[auction.status]}</span>
+                        ${auction.status === 'active' ? `<span class="remaining-time" data-countdown data-end-time="${endTime}"></span>` : ''}
+                      </div>
+                    </div>
+
+                    ${auction.description ? `
+                      <div class="listing-description">
+                        <h3>Description</h3>
+                        <p>${auction.description}</p>
+                      </div>
+                    ` : ''}
+
+                    <div class="listing-metadata">
+                      <h3>Details</h3>
+                      <div class="metadata-grid">
+                        <div class="metadata-item full-width">
+                          <span class="metadata-label">Contract</span>
+                          <div class="metadata-value-row">
+                            <a href="https://basescan.org/address/${auction.nft_contract}" target="_blank" class="metadata-value">
+                              ${auction.nft_contract.slice(0, 6)}...${auction.nft_contract.slice(-4)}
+                            </a>
+                            <span class="metadata-separator">•</span>
+                            <span class="metadata-value">Token ID #${auction.token_id}</span>
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+
+                    <div class="bid-ladder">
+                      <h3>Bids</h3>
+                      ${bids.length > 0 ? `<ol class="bid-list">${bidLadder}</ol>` : '<p class="bid-empty">No bids yet</p>'}
+                    </div>
+
+                    ${auction.status === 'active' ? `
+                      <div class="listing-actions">
+                        <div class="offer-form" id="bid-form">
+                          <input class="offer-input" id="bid-amount" type="number" min="${minimumBid}" step="0.01" placeholder="Minimum bid $${minimumBid} USDC" />
+                          <button class="btn-primary" id="place-bid-btn">Place Bid</button>
+                        </div>
+                        ${!highestBid ? '<button class="btn-secondary" id="cancel-auction-btn" style="display: none;">Cancel Auction</button>' : ''}
+                      </div>
+                    ` : ''}
+
+                    ${auction.status === 'awaiting_settlement' ? `
+                      <div class="listing-actions">
+                        <button class="btn-primary" id="settle-auction-btn" style="display: none;">
+                          Settle for $${Number(highestBid?.amount || 0).toFixed(2)}
+                        </button>
+                      </div>
+                    ` : ''}
+                  </div>
+                </div>
+              `)}
+            </auction-details>
+          </main>
+
+          <nav-tabs></nav-tabs>
+          <create-listing></create-listing>
+        </frame-provider>
+      `,
+      title: `${name} - Auction - FC NFT Exchange`
+    })
+  )
+}
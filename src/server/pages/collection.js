@@ -1,6 +1,8 @@
 import { html, raw } from 'hono/html'
 import { Database } from '../db.js'
 import { Layout } from './layout.js'
+import { livePrice } from '../utils/dutch-auction.js'
+import { DEFAULT_CURRENCY } from '../utils/currency.js'
 
 export async function collectionPage(c) {
   const contractAddress = c.req.param('address')
@@ -40,8 +42,12 @@ export async function collectionPage(c) {
       contractAddress: listing.nft_contract,
       name: listing.name,
       image: listing.image_url,
-      price: listing.price,
+      ...livePrice(listing),
+      currency: listing.currency || DEFAULT_CURRENCY,
       expiry: listing.expiry,
+      contractType: listing.contract_type,
+      listingType: listing.listing_type || 'single',
+      quantity: listing.quantity ?? 1,
       seller: {
         address: listing.seller_address,
         username: listing.username || `user_${listing.seller_address.slice(2, 8)}`,
@@ -60,6 +66,8 @@ export async function collectionPage(c) {
                 <p class="collection-subtitle">${result.pagination.total} active listings</p>
               </div>
               
+              <collection-offer contract="${contractAddress}"></collection-offer>
+              
               <div class="sort-controls">
                 <label for="sort-select">Sort by:</label>
                 <select id="sort-select" class="sort-select" onchange="window.location.href='/collection/${contractAddress}?sort=' + this.value">
@@ -73,16 +81,23 @@ export async function collectionPage(c) {
               <div class="collection-grid">
                 ${raw(listings.map(nft => `
                   <div class="collection-item" data-listing-id="${nft.id}">
-                    <div class="collection-item-image" style="background-image: url('${nft.image}')"></div>
+                    <div class="collection-item-image" style="background-image: url('${nft.image}')">
+                      ${nft.listingType === 'bundle' ? '<span class="item-bundle-badge">Bundle</span>' : ''}
+                    </div>
                     <div class="collection-item-info">
                       <h3 class="item-name">${nft.name}</h3>
                       <div class="item-details">
-                        <span class="item-price">${nft.price} USDC</span>
+                        <span class="item-price"><span ${nft.attrs || ''}>${nft.price}</span> ${nft.currency}</span>
                         <span class="item-seller">@${nft.seller.username}</span>
                       </div>
                       <div class="item-expiry">
                         Ends ${getTimeRemaining(nft.expiry)}
                       </div>
+                      ${nft.contractType === 'seaport' && nft.quantity === 1 ? `
+                        <button class="add-to-cart-btn" data-add-to-cart data-listing-id="${nft.id}" data-listing-name="${(nft.name || '').replace(/"/g, '&quot;')}" data-listing-image="${nft.image || ''}" data-listing-price="${nft.price}" data-listing-currency="${nft.currency}">
+                          Add to cart
+                        </button>
+                      ` : ''}
                     </div>
                   </div>
                 `).join(''))}
@@ -99,6 +114,7 @@ export async function collectionPage(c) {
             
             <nav-tabs active="explore"></nav-tabs>
             <create-listing></create-listing>
+            <sweep-cart></sweep-cart>
           </frame-provider>
           
           <style>
@@ -132,6 +148,52 @@ export async function collectionPage(c) {
               font-size: 0.875rem;
             }
             
+            .collection-offer {
+              padding: 1rem 1.25rem;
+              border-bottom: 1px solid var(--border-color);
+            }
+            
+            .collection-offer-title {
+              margin: 0 0 0.75rem;
+              font-size: 1rem;
+              font-weight: 600;
+              color: var(--text-primary);
+            }
+            
+            .collection-offer-form {
+              display: flex;
+              flex-wrap: wrap;
+              gap: 0.5rem;
+            }
+            
+            .collection-offer-input,
+            .collection-offer-select {
+              flex: 1;
+              min-width: 0;
+              background: var(--card-bg);
+              border: 1px solid var(--border-color);
+              border-radius: 0.5rem;
+              padding: 0.625rem 0.75rem;
+              font-size: 0.875rem;
+              color: var(--text-primary);
+            }
+            
+            .collection-offer-btn {
+              background: var(--primary-color);
+              color: white;
+              border: none;
+              border-radius: 0.5rem;
+              padding: 0.625rem 1rem;
+              font-size: 0.875rem;
+              font-weight: 600;
+              cursor: pointer;
+            }
+            
+            .collection-offer-btn:disabled {
+              opacity: 0.7;
+              cursor: not-allowed;
+            }
+            
             .sort-controls {
               padding: 1rem 1.25rem;
               display: flex;
@@ -182,6 +244,19 @@ export async function collectionPage(c) {
               background-position: center;
               background-repeat: no-repeat;
               background-color: var(--border-color);
+              position: relative;
+            }
+            
+            .item-bundle-badge {
+              position: absolute;
+              top: 0.5rem;
+              left: 0.5rem;
+              padding: 0.125rem 0.5rem;
+              border-radius: 1rem;
+              background: var(--primary-color);
+              color: white;
+              font-size: 0.75rem;
+              font-weight: 600;
             }
             
             .collection-item-info {
@@ -257,7 +332,9 @@ export async function collectionPage(c) {
           <script>
             // Add click handlers to collection items
             document.querySelectorAll('.collection-item').forEach(item => {
-              item.addEventListener('click', () => {
+              item.addEventListener('click', (e) => {
+                // Add to cart buttons are handled by the sweep cart
+                if (e.target.closest('[data-add-to-cart]')) return;
                 const listingId = item.dataset.listingId;
                 if (listingId) {
                   window.location.href = '/listing/' + listingId;
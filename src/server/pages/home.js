@@ -1,6 +1,8 @@
 import { html, raw } from 'hono/html'
 import { Database } from '../db.js'
 import { Layout } from './layout.js'
+import { livePrice } from '../utils/dutch-auction.js'
+import { DEFAULT_CURRENCY } from '../utils/currency.js'
 
 export async function homePage(c) {
   let listings = []
@@ -22,7 +24,9 @@ export async function homePage(c) {
       contractAddress: listing.nft_contract,
       name: listing.name,
       image: listing.image_url,
-      price: listing.price,
+      ...livePrice(listing),
+      currency: listing.currency || DEFAULT_CURRENCY,
+      listingType: listing.listing_type || 'single',
       seller: {
         address: listing.seller_address,
         username: listing.username || `user_${listing.seller_address.slice(2, 8)}`,
@@ -82,7 +86,7 @@ export async function homePage(c) {
                         <div class="preview-image" style="background-image: url('${listing.image_url}')"></div>
                         <div class="preview-info">
                           <p class="preview-name">${listing.name}</p>
-                          <p class="preview-price">${listing.price} USDC</p>
+                          <p class="preview-price"><span ${livePrice(listing).attrs}>${livePrice(listing).price}</span> ${listing.currency || DEFAULT_CURRENCY}</p>
                         </div>
                       </div>
                     `).join('')}
@@ -104,9 +108,9 @@ export async function homePage(c) {
                 <div class="latest-item" data-listing-id="${nft.id}">
                   <div class="latest-image" style="background-image: url('${nft.image}')"></div>
                   <div class="latest-info">
-                    <p class="latest-label">${index % 3 === 0 ? 'Trending' : index % 3 === 1 ? 'New' : 'Popular'}</p>
+                    <p class="latest-label">${nft.listingType === 'bundle' ? 'Bundle' : index % 3 === 0 ? 'Trending' : index % 3 === 1 ? 'New' : 'Popular'}</p>
                     <p class="latest-title">${nft.name}</p>
-                    <p class="latest-description">$${nft.price} USDC</p>
+                    <p class="latest-description"><span ${nft.attrs || ''}>${nft.price}</span> ${nft.currency || DEFAULT_CURRENCY}</p>
                   </div>
                 </div>
               `).join(''))}
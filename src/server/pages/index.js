@@ -4,4 +4,5 @@ export { profilePage } from './profile.js'
 export { activityPage } from './activity.js'
 export { searchPage } from './search.js'
 export { listingDetailsPage } from './listing-details.js'
+export { auctionDetailsPage } from './auction-details.js'
 export { collectionPage } from './collection.js'
\ No newline at end of file
@@ -1,6 +1,9 @@
 import { html, raw } from 'hono/html'
 import { Layout } from './layout.js'
 import { fetchNFTMetadata } from '../utils/metadata.js'
+import { livePrice, formatAuctionFields } from '../utils/dutch-auction.js'
+import { CURRENCIES, DEFAULT_CURRENCY, formatPrice } from '../utils/currency.js'
+import { canViewListing } from '../utils/private-listings.js'
 
 export async function listingDetailsPage(c) {
   const listingId = c.req.param('id')
@@ -8,6 +11,7 @@ export async function listingDetailsPage(c) {
   // Try to fetch listing details
   let listing = null
   let nftAttributes = []
+  let bundleItems = []
   const db = c.env?.DB
   
   if (db) {
@@ -17,16 +21,31 @@ export async function listingDetailsPage(c) {
           l.*,
           u.username as seller_username,
           u.display_name as seller_display_name,
-          u.pfp_url as seller_avatar
+          u.pfp_url as seller_avatar,
+          pb.username as private_buyer_username
         FROM listings l
         LEFT JOIN users u ON l.seller_fid = u.fid
+        LEFT JOIN users pb ON l.private_buyer_fid = pb.fid
         WHERE l.id = ?
       `).bind(listingId).first()
       
       listing = result
       
+      // Nothing about a private listing goes out to anyone it isn't between
+      if (listing && !canViewListing(listing, c.get('user'))) {
+        return privateListingPage(c, listingId)
+      }
+      
+      // Bundles show their tokens instead of one token's metadata
+      if (listing?.listing_type === 'bundle') {
+        const items = await db.prepare(`
+          SELECT * FROM listing_items WHERE listing_id = ? ORDER BY position ASC
+        `).bind(listing.id).all()
+        bundleItems = items.results
+      }
+      
       // Fetch complete metadata if missing or incomplete
-      if (listing && (!listing.image_url || !listing.name || listing.metadata_uri)) {
+      if (listing && listing.listing_type !== 'bundle' && (!listing.image_url || !listing.name || listing.metadata_uri)) {
         const metadata = await fetchNFTMetadata(
           c.env,
           listing.nft_contract,
@@ -77,6 +96,8 @@ export async function listingDetailsPage(c) {
     status = 'sold'
   } else if (listing.cancelled_at) {
     status = 'cancelled'
+  } else if (listing.inactive_at) {
+    status = 'inactive'
   } else if (new Date(listing.expiry) < new Date()) {
     status = 'expired'
   }
@@ -105,18 +126,42 @@ export async function listingDetailsPage(c) {
     }
   }
   
+  // Dutch auctions show their current price, counted down live on the client
+  const { price: displayPrice, attrs: livePriceAttrs } = livePrice(listing)
+  const auctionFields = formatAuctionFields(listing)
+  const currency = listing.currency || DEFAULT_CURRENCY
+  const currencySymbol = CURRENCIES[currency].symbol
+  // Offers can't escrow native ETH, so ETH listings take WETH offers
+  const offerCurrency = currency === 'ETH' ? 'WETH' : currency
+
   // Serialize the listing data for client-side JS
   const listingData = {
     id: listing.id,
     sellerFid: listing.seller_fid,
     price: listing.price,
+    currency,
+    auctionType: auctionFields.auctionType,
+    startPrice: auctionFields.startPrice,
+    endPrice: auctionFields.endPrice,
+    startTime: auctionFields.startTime,
+    expiry: listing.expiry,
     contractType: listing.contract_type,
     orderHash: listing.order_hash,
-    blockchainListingId: listing.blockchain_listing_id
+    blockchainListingId: listing.blockchain_listing_id,
+    nftContract: listing.nft_contract,
+    tokenId: listing.token_id,
+    listingType: listing.listing_type || 'single',
+    quantity: listing.quantity ?? 1,
+    quantityRemaining: listing.quantity_remaining ?? 1,
+    privateBuyerFid: listing.private_buyer_fid || null
   }
+  const isQuantityListing = listingData.quantity > 1
+  // Only the seller and the reserved buyer get this far for a private listing
+  const isPrivate = !!listing.private_buyer_fid
+  const shareName = isPrivate ? 'Private listing' : listing.name
   
   // Prepare frame metadata for this listing
-  const frameMetadata = listing.share_image_url ? {
+  const frameMetadata = listing.share_image_url && !isPrivate ? {
     version: "next",
     imageUrl: listing.share_image_url,
     button: {
@@ -140,7 +185,7 @@ export async function listingDetailsPage(c) {
             <div class="listing-header-section">
               <div class="listing-header-nav">
                 <a href="/" class="back-link">← Back</a>
-                <button class="share-button" id="share-listing-btn" data-listing-id="${listing.id}" data-listing-name="${listing.name.replace(/"/g, '&quot;')}">
+                <button class="share-button" id="share-listing-btn" data-listing-id="${listing.id}" data-listing-name="${shareName.replace(/"/g, '&quot;')}">
                   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                     <path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"></path>
                     <polyline points="16 6 12 2 8 6"></polyline>
@@ -162,9 +207,18 @@ export async function listingDetailsPage(c) {
                     <h1 class="listing-title">${listing.name}</h1>
                     
                     <div class="listing-price">
-                      <span class="price-label">Buy Now:</span>
-                      <span class="price-value">$${listing.price} USDC</span>
+                      <span class="price-label">${auctionFields.auctionType === 'dutch' ? 'Current Price:' : 'Buy Now:'}</span>
+                      <span class="price-value"><span ${livePriceAttrs}>${displayPrice}</span> ${currencySymbol}</span>
                     </div>
+                    ${auctionFields.auctionType === 'dutch' ? `
+                      <p class="dutch-auction-note">Dutch auction: drops from ${formatPrice(auctionFields.startPrice, currency)} to ${formatPrice(auctionFields.endPrice, currency)} by the end of the listing</p>
+                    ` : ''}
+                    ${isPrivate ? `
+                      <p class="dutch-auction-note">Private listing reserved for @${listing.private_buyer_username || `fid:${listing.private_buyer_fid}`}</p>
+                    ` : ''}
+                    ${isQuantityListing ? `
+                      <p class="dutch-auction-note">Price per copy · ${listingData.quantityRemaining} of ${listingData.quantity} copies left</p>
+                    ` : ''}
                     
                     <div class="listing-seller">
                       <img class="seller-avatar" src="${listing.seller_avatar || 'https://via.placeholder.com/40'}" alt="${listing.seller_username || 'Seller'}" />
@@ -178,6 +232,20 @@ export async function listingDetailsPage(c) {
                       </div>
                     </div>
                     
+                    ${bundleItems.length > 0 ? `
+                      <div class="bundle-items">
+                        <h3>Bundle of ${bundleItems.length} items</h3>
+                        <div class="bundle-items-grid">
+                          ${bundleItems.map(item => `
+                            <a class="bundle-item" href="https://basescan.org/token/${item.nft_contract}?a=${item.token_id}" target="_blank">
+                              <img src="${item.image_url || '/placeholder.png'}" alt="${item.name || `Token #${item.token_id}`}" />
+                              <span class="bundle-item-name">${item.name || `Token #${item.token_id}`}</span>
+                            </a>
+                          `).join('')}
+                        </div>
+                      </div>
+                    ` : ''}
+                    
                     ${listing.description ? `
                       <div class="listing-description">
                         <h3>Description</h3>
@@ -195,7 +263,7 @@ export async function listingDetailsPage(c) {
                               ${listing.nft_contract?.slice(0, 6)}...${listing.nft_contract?.slice(-4)}
                             </a>
                             <span class="metadata-separator">•</span>
-                            <span class="metadata-value">Token ID #${listing.token_id}</span>
+                            <span class="metadata-value">${bundleItems.length > 0 ? `${bundleItems.length} tokens` : `Token ID #${listing.token_id}`}</span>
                           </div>
                         </div>
                       </div>
@@ -217,8 +285,19 @@ export async function listingDetailsPage(c) {
                     
                     ${status === 'active' ? `
                       <div class="listing-actions">
+                        ${bundleItems.length === 0 ? `
+                          <div class="offer-form" id="offer-form">
+                            <input class="offer-input" id="offer-amount" type="number" min="0" step="${offerCurrency === 'USDC' ? '0.01' : 'any'}" placeholder="Offer amount (${offerCurrency})" />
+                            <button class="btn-secondary" id="make-offer-btn">Make Offer</button>
+                          </div>
+                        ` : ''}
+                        ${isQuantityListing ? `
+                          <div class="offer-form" id="quantity-form">
+                            <input class="offer-input" id="buy-quantity" type="number" min="1" max="${listingData.quantityRemaining}" step="1" value="1" aria-label="Copies to buy" />
+                          </div>
+                        ` : ''}
                         <button class="btn-primary" id="action-btn" data-listing='${JSON.stringify(listingData)}'>
-                          Buy for $${listing.price}
+                          Buy ${bundleItems.length > 0 ? 'bundle ' : ''}for <span ${livePriceAttrs}>${displayPrice}</span> ${currencySymbol}${isQuantityListing ? ' each' : ''}
                         </button>
                       </div>
                     ` : ''}
@@ -237,7 +316,34 @@ export async function listingDetailsPage(c) {
           <create-listing></create-listing>
         </frame-provider>
       `,
-      title: `${listing.name || 'NFT'} - FC NFT Exchange`
+      title: `${isPrivate ? 'Private listing' : listing.name || 'NFT'} - FC NFT Exchange`
+    })
+  )
+}
+// Page shown in place of a private listing. The client requests the page again
+// with the viewer's token once they sign in
+function privateListingPage(c, listingId) {
+  return c.html(
+    Layout({
+      children: html`
+        <frame-provider>
+          <main class="main-content">
+            <div class="listing-header-section">
+              <div class="listing-header-nav">
+                <a href="/" class="back-link">← Back</a>
+              </div>
+              <h1 class="listing-page-title">Listing Details</h1>
+            </div>
+            <listing-details>
+              <p class="private-listing-gate" id="private-listing-gate" data-listing-id="${listingId}">This is a private listing. Sign in as the seller or the reserved buyer to view it.</p>
+            </listing-details>
+          </main>
+          
+          <nav-tabs></nav-tabs>
+          <create-listing></create-listing>
+        </frame-provider>
+      `,
+      title: 'Private listing - FC NFT Exchange'
     })
   )
-}
\ No newline at end of file
+}
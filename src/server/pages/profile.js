@@ -13,6 +13,7 @@ export async function profilePage(c) {
             
             <nav-tabs active="profile"></nav-tabs>
             <create-listing></create-listing>
+            <edit-listing></edit-listing>
           </div>
         </frame-provider>
       `,
@@ -1,9 +1,12 @@
 import { Hono } from 'hono'
+import { isAddress } from 'viem'
 import { EventIndexer } from '../indexer.js'
 import { adminAuth } from '../middleware/auth.js'
 import { Database } from '../db.js'
 import { fetchNFTMetadata } from '../utils/metadata.js'
 import { ShareImageQueue } from '../services/share-image-queue.js'
+import { TraitIndex } from '../services/trait-index.js'
+import { CURRENCIES } from '../utils/currency.js'
 
 const admin = new Hono()
 
@@ -15,6 +18,9 @@ admin.post('/index-events', async (c) => {
   try {
     const { fromBlock, toBlock } = await c.req.json()
     const indexer = new EventIndexer(c.env)
+    if (await indexer.db.getActiveChainReplay()) {
+      return c.json({ error: 'A chain event replay is running' }, 409)
+    }
     
     const result = await indexer.indexEvents(fromBlock, toBlock)
     
@@ -34,11 +40,15 @@ admin.get('/index-status', async (c) => {
     const indexer = new EventIndexer(c.env)
     const lastBlock = await indexer.getLastIndexedBlock()
     const latestBlock = await indexer.blockchain.getLatestBlockNumber()
+    const sources = await indexer.getSourceCursors()
+    const ranges = await indexer.db.getIndexRangeStats()
     
     return c.json({
       lastIndexedBlock: lastBlock,
       latestBlock: Number(latestBlock),
-      behindBy: Number(latestBlock) - lastBlock
+      behindBy: Number(latestBlock) - lastBlock,
+      sources,
+      ranges
     })
   } catch (error) {
     console.error('Error getting index status:', error)
@@ -46,18 +56,75 @@ admin.get('/index-status', async (c) => {
   }
 })
 
-// Force reindex from a specific block
+// Block ranges handed to the indexer queue, newest first, optionally by status
+admin.get('/index-ranges', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const status = c.req.query('status') || null
+    const limit = Math.min(parseInt(c.req.query('limit') || '50'), 500)
+
+    const ranges = await db.getIndexRanges({ status, limit })
+
+    return c.json({ ranges })
+  } catch (error) {
+    console.error('Error fetching index ranges:', error)
+    return c.json({ error: 'Failed to fetch index ranges' }, 500)
+  }
+})
+
+// Queue a range that gave up again. The cursor can't pass a failed range, so
+// indexing stays behind until it goes through
+admin.post('/index-ranges/:id/retry', async (c) => {
+  try {
+    const indexer = new EventIndexer(c.env)
+    const range = await indexer.db.getIndexRange(parseInt(c.req.param('id')))
+    if (!range) {
+      return c.json({ error: 'Index range not found' }, 404)
+    }
+    if (range.status !== 'failed') {
+      return c.json({ error: 'Only failed ranges can be retried' }, 400)
+    }
+
+    await indexer.db.retryIndexRange(range.id)
+    const sent = c.env.INDEX_QUEUE ? await indexer.sendQueuedRanges() : 0
+
+    return c.json({ success: true, sent })
+  } catch (error) {
+    console.error('Error retrying index range:', error)
+    return c.json({ error: 'Failed to retry index range', details: error.message }, 500)
+  }
+})
+
+// Force reindex from a specific block, reading it from the RPC again. Logs already in
+// chain_events are skipped, so this only picks up ones that were never stored. With
+// the indexer queue bound it's queued as a backfill, which carries on across cron
+// runs until it's done
 admin.post('/reindex', async (c) => {
   try {
     const { fromBlock } = await c.req.json()
+    if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+      return c.json({ error: 'fromBlock must be a block number' }, 400)
+    }
     const indexer = new EventIndexer(c.env)
-    
+    if (await indexer.db.getActiveChainReplay()) {
+      return c.json({ error: 'A chain event replay is running' }, 409)
+    }
+
+    if (c.env.INDEX_QUEUE) {
+      const backfill = await indexer.backfillFrom(fromBlock)
+      return c.json({
+        success: true,
+        backfill
+      })
+    }
+
     // Update the last indexed block to force reindexing
     await indexer.updateLastIndexedBlock(fromBlock - 1)
-    
+    await indexer.db.reopenIndexRanges(fromBlock)
+
     // Run the indexer
     const result = await indexer.indexEvents()
-    
+
     return c.json({
       success: true,
       result
@@ -68,6 +135,155 @@ admin.post('/reindex', async (c) => {
   }
 })
 
+// Rebuild listings, offers and activity from the stored chain_events log, from
+// `fromBlock` on, without going back to the RPC. What those events changed is
+// reverted, then they're applied again in order a page at a time: the first pages
+// run in this request and the cron carries on with the rest. Indexing and webhooks
+// wait until it's done; GET /replay shows how far it has got
+admin.post('/replay', async (c) => {
+  try {
+    const { fromBlock } = await c.req.json()
+    if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+      return c.json({ error: 'fromBlock is required and must be a block number' }, 400)
+    }
+
+    const indexer = new EventIndexer(c.env)
+    const replay = await indexer.startChainReplay(fromBlock)
+    if (!replay) {
+      const running = await indexer.db.getActiveChainReplay()
+      return c.json({
+        error: running ? 'A chain event replay is already running' : 'Block ranges are being indexed; try again shortly',
+        replay: running
+      }, 409)
+    }
+
+    return c.json({
+      success: true,
+      replay
+    })
+  } catch (error) {
+    console.error('Error replaying chain events:', error)
+    return c.json({ error: 'Replay failed', details: error.message }, 500)
+  }
+})
+
+// The running chain event replay, or the last one
+admin.get('/replay', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const replay = await db.getLatestChainReplay()
+
+    return c.json({ replay })
+  } catch (error) {
+    console.error('Error fetching chain event replay:', error)
+    return c.json({ error: 'Failed to fetch chain event replay' }, 500)
+  }
+})
+
+// Stored chain events, newest first, for checking what the indexer saw
+admin.get('/chain-events', async (c) => {
+  try {
+    const limit = Math.min(parseInt(c.req.query('limit') || '50'), 500)
+    const txHash = c.req.query('tx_hash')
+
+    const { results } = await c.env.DB
+      .prepare(`
+        SELECT * FROM chain_events
+        WHERE ? IS NULL OR tx_hash = ?
+        ORDER BY block_number DESC, log_index DESC
+        LIMIT ?
+      `)
+      .bind(txHash || null, txHash || null, limit)
+      .all()
+
+    return c.json({
+      events: results.map(event => ({ ...event, args: JSON.parse(event.args) }))
+    })
+  } catch (error) {
+    console.error('Error fetching chain events:', error)
+    return c.json({ error: 'Failed to fetch chain events' }, 500)
+  }
+})
+
+// Revert everything indexed after a block, e.g. after a reorg deeper than the indexer can find on its own
+admin.post('/rollback', async (c) => {
+  try {
+    const { toBlock } = await c.req.json()
+    if (!Number.isInteger(toBlock) || toBlock < 0) {
+      return c.json({ error: 'toBlock must be a block number' }, 400)
+    }
+
+    const indexer = new EventIndexer(c.env)
+    if (await indexer.db.getActiveChainReplay()) {
+      return c.json({ error: 'A chain event replay is running' }, 409)
+    }
+    const result = await indexer.rollbackToBlock(toBlock)
+
+    return c.json({
+      success: true,
+      rollback: result
+    })
+  } catch (error) {
+    console.error('Error rolling back indexed blocks:', error)
+    return c.json({ error: 'Rollback failed', details: error.message }, 500)
+  }
+})
+
+// Alchemy webhook payloads that failed to process, unresolved ones by default
+admin.get('/webhook-dead-letters', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const includeResolved = c.req.query('status') === 'all'
+    const limit = Math.min(parseInt(c.req.query('limit') || '50'), 200)
+
+    const deadLetters = await db.getWebhookDeadLetters({ includeResolved, limit })
+
+    return c.json({ deadLetters })
+  } catch (error) {
+    console.error('Error fetching webhook dead letters:', error)
+    return c.json({ error: 'Failed to fetch webhook dead letters' }, 500)
+  }
+})
+
+// Process a dead-lettered webhook payload again. Logs that went through the first
+// time are already in chain_events and are skipped
+admin.post('/webhook-dead-letters/:id/retry', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const deadLetter = await db.getWebhookDeadLetter(parseInt(c.req.param('id')))
+    if (!deadLetter) {
+      return c.json({ error: 'Dead letter not found' }, 404)
+    }
+    if (deadLetter.resolved_at) {
+      return c.json({ error: 'Dead letter was already processed' }, 400)
+    }
+    if (await db.getActiveChainReplay()) {
+      return c.json({ error: 'A chain event replay is running' }, 409)
+    }
+
+    let errors
+    try {
+      const indexer = new EventIndexer(c.env)
+      const result = await indexer.processAlchemyWebhook(JSON.parse(deadLetter.payload))
+      errors = result.errors
+    } catch (error) {
+      errors = [error.message]
+    }
+
+    const error = errors.length > 0 ? errors.join('\n') : null
+    await db.recordWebhookRetry(deadLetter.id, error)
+
+    return c.json({
+      success: !error,
+      error,
+      attempts: deadLetter.attempts + 1
+    })
+  } catch (error) {
+    console.error('Error retrying webhook dead letter:', error)
+    return c.json({ error: 'Failed to retry webhook', details: error.message }, 500)
+  }
+})
+
 // Update missing metadata endpoint
 admin.post('/update-missing-metadata', async (c) => {
   try {
@@ -372,7 +588,8 @@ admin.get('/stats', async (c) => {
           COUNT(*) as total_listings,
           COUNT(CASE WHEN sold_at IS NOT NULL THEN 1 END) as sold_listings,
           COUNT(CASE WHEN cancelled_at IS NOT NULL THEN 1 END) as cancelled_listings,
-          COUNT(CASE WHEN sold_at IS NULL AND cancelled_at IS NULL AND expiry > datetime('now') THEN 1 END) as active_listings,
+          COUNT(CASE WHEN sold_at IS NULL AND cancelled_at IS NULL AND inactive_at IS NULL AND expiry > datetime('now') THEN 1 END) as active_listings,
+          COUNT(CASE WHEN sold_at IS NULL AND cancelled_at IS NULL AND inactive_at IS NOT NULL AND expiry > datetime('now') THEN 1 END) as inactive_listings,
           COUNT(CASE WHEN image_url IS NULL OR image_url = '' THEN 1 END) as missing_images,
           COUNT(DISTINCT seller_fid) as unique_sellers,
           COUNT(DISTINCT nft_contract) as unique_collections
@@ -514,6 +731,26 @@ admin.post('/test-queue', async (c) => {
   }
 })
 
+// Index token traits for a collection (resumable via the returned pageKey)
+admin.post('/traits/:contract/index', async (c) => {
+  try {
+    const contract = c.req.param('contract')
+    const body = await c.req.json().catch(() => ({}))
+    const { pageKey = null, maxPages = 5 } = body
+
+    const traitIndex = new TraitIndex(c.env)
+    const result = await traitIndex.indexCollection(contract, { pageKey, maxPages })
+
+    return c.json({
+      success: true,
+      ...result
+    })
+  } catch (error) {
+    console.error('Error indexing collection traits:', error)
+    return c.json({ error: 'Failed to index collection traits', details: error.message }, 500)
+  }
+})
+
 // Fix Seaport order hashes
 admin.post('/fix-seaport-order-hashes', async (c) => {
   try {
@@ -1190,4 +1427,124 @@ admin.post('/cleanup-nftexchange-listings', async (c) => {
   }
 })
 
+// Re-check sellers can still fill their Seaport listings, marking them inactive or active again
+admin.post('/recheck-seaport-listings', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}))
+    const { limit = 200 } = body // Default to 200 for manual runs
+
+    const { EventIndexer } = await import('../indexer.js')
+    const indexer = new EventIndexer(c.env)
+    const result = await indexer.recheckSeaportListings(limit)
+
+    return c.json({
+      success: true,
+      recheck: result
+    })
+  } catch (error) {
+    console.error('Error re-checking Seaport listings:', error)
+    return c.json({ error: 'Failed to re-check listings', details: error.message }, 500)
+  }
+})
+
+// Check bidders can still pay their Seaport offers, hiding or restoring them to match
+admin.post('/check-offer-funding', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}))
+    const { limit = 1000 } = body // Default to 1000 for manual runs
+
+    const { EventIndexer } = await import('../indexer.js')
+    const indexer = new EventIndexer(c.env)
+    const result = await indexer.checkOfferFunding(limit)
+
+    return c.json({
+      success: true,
+      funding: result
+    })
+  } catch (error) {
+    console.error('Error checking offer funding:', error)
+    return c.json({ error: 'Failed to check offer funding', details: error.message }, 500)
+  }
+})
+
+// USD reference rates used to sort listings across currencies
+admin.get('/currency-rates', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    return c.json({ rates: await db.getCurrencyRates() })
+  } catch (error) {
+    console.error('Error fetching currency rates:', error)
+    return c.json({ error: 'Failed to fetch currency rates' }, 500)
+  }
+})
+
+// Override a reference rate, e.g. if the scheduled refresh is failing
+admin.put('/currency-rates/:currency', async (c) => {
+  try {
+    const currency = c.req.param('currency').toUpperCase()
+    const { usdRate } = await c.req.json()
+
+    if (!CURRENCIES[currency]) {
+      return c.json({ error: `Unsupported currency ${currency}` }, 400)
+    }
+    if (!(Number(usdRate) > 0)) {
+      return c.json({ error: 'usdRate must be a positive number' }, 400)
+    }
+
+    const db = new Database(c.env.DB)
+    await db.setCurrencyRate(currency, Number(usdRate))
+
+    return c.json({ success: true, currency, usdRate: Number(usdRate) })
+  } catch (error) {
+    console.error('Error updating currency rate:', error)
+    return c.json({ error: 'Failed to update currency rate' }, 500)
+  }
+})
+
+// Creator royalty overrides, for collections without ERC-2981 royaltyInfo
+admin.get('/royalties', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    return c.json({ royalties: await db.getRoyaltyOverrides() })
+  } catch (error) {
+    console.error('Error fetching royalty overrides:', error)
+    return c.json({ error: 'Failed to fetch royalty overrides' }, 500)
+  }
+})
+
+// Set a collection's royalty; bps = 0 stops royalties even if the contract reports one
+admin.put('/royalties/:contract', async (c) => {
+  try {
+    const nftContract = c.req.param('contract')
+    const { recipient, bps } = await c.req.json()
+
+    if (!isAddress(nftContract) || !isAddress(recipient || '')) {
+      return c.json({ error: 'Contract and recipient must be valid addresses' }, 400)
+    }
+    if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+      return c.json({ error: 'bps must be a whole number between 0 and 10000' }, 400)
+    }
+
+    const db = new Database(c.env.DB)
+    await db.setRoyaltyOverride(nftContract, recipient, bps)
+
+    return c.json({ success: true, nftContract: nftContract.toLowerCase(), recipient: recipient.toLowerCase(), bps })
+  } catch (error) {
+    console.error('Error updating royalty override:', error)
+    return c.json({ error: 'Failed to update royalty override' }, 500)
+  }
+})
+
+// Go back to the contract's own royaltyInfo
+admin.delete('/royalties/:contract', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    await db.deleteRoyaltyOverride(c.req.param('contract'))
+    return c.json({ success: true })
+  } catch (error) {
+    console.error('Error deleting royalty override:', error)
+    return c.json({ error: 'Failed to delete royalty override' }, 500)
+  }
+})
+
 export default admin
\ No newline at end of file
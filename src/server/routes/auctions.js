@@ -0,0 +1,419 @@
+import { Hono } from 'hono'
+import { parseAbi } from 'viem'
+import { Database } from '../db.js'
+import { authMiddleware } from '../middleware/auth.js'
+import { formatTimestampForClient } from '../utils/timestamp.js'
+import { fetchNFTMetadata } from '../utils/metadata.js'
+import { verifyOrderSignature, findOrderFulfilledEvent } from '../utils/seaport.js'
+import { SETTLEMENT_WINDOW_SECONDS, checkBidAmount, getMinimumBid } from '../utils/english-auction.js'
+import { checkOrderPolicy } from '../utils/order-policy.js'
+
+const auctions = new Hono()
+
+const ERC721_OWNER_ABI = parseAbi(['function ownerOf(uint256 tokenId) view returns (address)'])
+
+const MIN_DURATION_HOURS = 1
+const MAX_DURATION_DAYS = 30
+const DEFAULT_MIN_INCREMENT_BPS = 500 // 5%
+
+// Transform a bid (offer row) for the bid ladder
+function transformBid(bid, leadingBidId) {
+  return {
+    id: bid.id,
+    amount: bid.amount,
+    bidder: {
+      address: bid.buyer_address,
+      username: bid.username || `user_${bid.buyer_fid || 'unknown'}`,
+      fid: bid.buyer_fid,
+      displayName: bid.display_name,
+      pfpUrl: bid.pfp_url
+    },
+    status: bid.accepted_at ? 'won'
+      : bid.cancelled_at ? 'cancelled'
+      : bid.id === leadingBidId ? 'leading'
+      : 'outbid',
+    orderHash: bid.order_hash,
+    orderData: bid.order_parameters ? JSON.parse(bid.order_parameters) : null, // { parameters, signature }
+    createdAt: formatTimestampForClient(bid.created_at)
+  }
+}
+
+// Transform a DB auction row to match frontend expectations
+function transformAuction(auction, highestBid = null) {
+  return {
+    id: auction.id,
+    contractAddress: auction.nft_contract,
+    tokenId: auction.token_id,
+    name: auction.name || `Token #${auction.token_id}`,
+    image: auction.image_url,
+    description: auction.description,
+    seller: {
+      address: auction.seller_address,
+      username: auction.username || `user_${auction.seller_fid}`,
+      fid: auction.seller_fid,
+      displayName: auction.display_name,
+      pfpUrl: auction.pfp_url
+    },
+    reservePrice: Number(auction.reserve_price),
+    minIncrementBps: auction.min_increment_bps,
+    highestBid: highestBid ? Number(highestBid.amount) : (auction.highest_bid ?? null),
+    bidCount: auction.bid_count ?? null,
+    minimumBid: getMinimumBid(auction, highestBid),
+    startTime: formatTimestampForClient(auction.start_time),
+    endTime: formatTimestampForClient(auction.end_time),
+    status: auction.status,
+    winningOfferId: auction.winning_offer_id,
+    createdAt: formatTimestampForClient(auction.created_at),
+    endedAt: formatTimestampForClient(auction.ended_at),
+    settledAt: formatTimestampForClient(auction.settled_at),
+    settleTxHash: auction.settle_tx_hash
+  }
+}
+
+// Get auctions, soonest ending first
+auctions.get('/', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+    const status = c.req.query('status') || 'active'
+    const sellerFid = c.req.query('seller_fid')
+    const contract = c.req.query('contract')
+
+    const result = await db.getAuctions({
+      page,
+      limit,
+      status: status === 'all' ? null : status,
+      sellerFid: sellerFid ? parseInt(sellerFid) : null,
+      nftContract: contract || null
+    })
+
+    return c.json({
+      auctions: result.auctions.map(auction => transformAuction(auction)),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching auctions:', error)
+    return c.json({ error: 'Failed to fetch auctions' }, 500)
+  }
+})
+
+// Get a single auction with its bid ladder
+auctions.get('/:id', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const auctionId = c.req.param('id')
+
+    const auction = await db.getAuction(auctionId)
+    if (!auction) {
+      return c.json({ error: 'Auction not found' }, 404)
+    }
+
+    const highestBid = await db.getHighestAuctionBid(auction.id)
+    const bids = await db.getAuctionBids(auction.id)
+
+    return c.json({
+      ...transformAuction({ ...auction, bid_count: bids.length }, highestBid),
+      bids: bids.map(bid => transformBid(bid, highestBid?.id))
+    })
+  } catch (error) {
+    console.error('Error fetching auction:', error)
+    return c.json({ error: 'Failed to fetch auction' }, 500)
+  }
+})
+
+// Start an English auction for a token the seller owns (protected route)
+auctions.post('/', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const body = await c.req.json()
+
+    const { nftContract, tokenId, sellerAddress } = body
+    if (!nftContract || tokenId === undefined || tokenId === null || !sellerAddress) {
+      return c.json({ error: 'nftContract, tokenId and sellerAddress are required' }, 400)
+    }
+
+    const reservePrice = parseFloat(body.reservePrice)
+    if (isNaN(reservePrice) || reservePrice <= 0) {
+      return c.json({ error: 'Reserve price must be greater than zero' }, 400)
+    }
+
+    const durationHours = parseFloat(body.durationHours)
+    if (isNaN(durationHours) || durationHours < MIN_DURATION_HOURS || durationHours > MAX_DURATION_DAYS * 24) {
+      return c.json({ error: `Duration must be between ${MIN_DURATION_HOURS} hour and ${MAX_DURATION_DAYS} days` }, 400)
+    }
+
+    const minIncrementBps = body.minIncrementBps !== undefined ? parseInt(body.minIncrementBps) : DEFAULT_MIN_INCREMENT_BPS
+    if (isNaN(minIncrementBps) || minIncrementBps < 100 || minIncrementBps > 5000) {
+      return c.json({ error: 'Minimum increment must be between 1% and 50%' }, 400)
+    }
+
+    const existing = await db.getActiveAuctionForToken(nftContract, String(tokenId))
+    if (existing) {
+      return c.json({ error: 'This token is already being auctioned', auctionId: existing.id }, 409)
+    }
+
+    // The seller signs nothing up front, so make sure the token is theirs before taking bids on it
+    const { createRpcClient } = await import('../utils/rpc-client.js')
+    const client = createRpcClient(c.env)
+    const owner = await client.readContract({
+      address: nftContract,
+      abi: ERC721_OWNER_ABI,
+      functionName: 'ownerOf',
+      args: [BigInt(tokenId)]
+    })
+    if (owner.toLowerCase() !== sellerAddress.toLowerCase()) {
+      return c.json({ error: 'Seller address does not own this token' }, 403)
+    }
+
+    let metadata = body.metadata || {}
+    if (!metadata.image_url || !metadata.name) {
+      const fetchedMetadata = await fetchNFTMetadata(c.env, nftContract, String(tokenId), metadata.metadata_uri)
+      if (fetchedMetadata.success) {
+        metadata = { ...metadata, ...fetchedMetadata }
+      }
+    }
+
+    const startTime = new Date()
+    const endTime = new Date(startTime.getTime() + durationHours * 60 * 60 * 1000)
+
+    const result = await db.createAuction({
+      seller_fid: user.fid,
+      seller_address: sellerAddress,
+      nft_contract: nftContract,
+      token_id: String(tokenId),
+      reserve_price: reservePrice,
+      min_increment_bps: minIncrementBps,
+      start_time: startTime.toISOString(),
+      end_time: endTime.toISOString(),
+      name: metadata.name,
+      image_url: metadata.image_url,
+      description: metadata.description,
+      metadata_uri: metadata.metadata_uri
+    })
+
+    const auction = await db.getAuction(result.meta.last_row_id)
+    return c.json(transformAuction(auction))
+  } catch (error) {
+    console.error('Error creating auction:', error)
+    return c.json({ error: `Failed to create auction: ${error.message}` }, 500)
+  }
+})
+
+// Place a bid: a Seaport-signed USDC offer on the auctioned token (protected route)
+auctions.post('/:id/bids', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const body = await c.req.json()
+
+    const auction = await db.getAuction(c.req.param('id'))
+    if (!auction) return c.json({ error: 'Auction not found' }, 404)
+
+    const now = Date.now()
+    if (auction.status !== 'active' || new Date(auction.end_time).getTime() <= now) {
+      return c.json({ error: 'Auction is no longer accepting bids' }, 400)
+    }
+    if (auction.seller_fid === user.fid) {
+      return c.json({ error: 'Sellers cannot bid on their own auction' }, 400)
+    }
+
+    if (!body.orderParameters || typeof body.orderParameters !== 'object') {
+      return c.json({ error: 'Seaport orderParameters are required' }, 400)
+    }
+
+    // Handle both formats: direct parameters or wrapped in { parameters, signature }
+    const orderData = body.orderParameters
+    const orderParameters = orderData.parameters || orderData
+    const signature = orderData.signature || body.signature
+    if (!signature) {
+      return c.json({ error: 'Seaport order signature is required' }, 400)
+    }
+
+    const USDC_ADDRESS = c.env.USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+    const bidderAddress = orderParameters.offerer
+
+    const usdcOfferItem = orderParameters.offer?.length === 1 ? orderParameters.offer[0] : null
+    if (!usdcOfferItem || usdcOfferItem.itemType !== 1 || usdcOfferItem.token.toLowerCase() !== USDC_ADDRESS.toLowerCase()) {
+      return c.json({ error: 'Bid must offer a single USDC item' }, 400)
+    }
+
+    // A bid is an offer on exactly the auctioned token
+    const nftConsiderationItem = orderParameters.consideration?.find(item =>
+      item.itemType === 2 /* ERC721 */ &&
+      item.recipient.toLowerCase() === bidderAddress.toLowerCase()
+    )
+    if (!nftConsiderationItem ||
+        nftConsiderationItem.token.toLowerCase() !== auction.nft_contract.toLowerCase() ||
+        BigInt(nftConsiderationItem.identifierOrCriteria) !== BigInt(auction.token_id)) {
+      return c.json({ error: 'Bid must be for the auctioned token' }, 400)
+    }
+
+    // Fee, currency, timing, zone and conduit rules every stored order has to meet
+    const policy = checkOrderPolicy(orderParameters, c.env, { side: 'offer', currencies: ['USDC'] })
+    if (!policy.valid) {
+      const { valid, ...policyError } = policy
+      return c.json(policyError, 400)
+    }
+
+    const settleBy = Math.floor(new Date(auction.end_time).getTime() / 1000) + SETTLEMENT_WINDOW_SECONDS
+    if (parseInt(orderParameters.endTime) < settleBy) {
+      return c.json({ error: 'Bid must stay valid until the settlement window after the auction ends' }, 400)
+    }
+
+    // Outbid check: the bid has to meet the reserve and beat the leader by the minimum increment
+    const highestBid = await db.getHighestAuctionBid(auction.id)
+    const bidError = checkBidAmount(auction, highestBid, usdcOfferItem.startAmount)
+    if (bidError) {
+      return c.json(bidError, 400)
+    }
+
+    const verification = await verifyOrderSignature(c.env, orderParameters, signature)
+    if (!verification.valid) {
+      return c.json({ error: verification.error, orderHash: verification.orderHash }, 400)
+    }
+    if (body.orderHash && body.orderHash.toLowerCase() !== verification.orderHash.toLowerCase()) {
+      return c.json({ error: 'Order hash does not match order parameters' }, 400)
+    }
+
+    // Orders signed before the wallet's last incrementCounter can never be filled
+    const currentCounter = await db.getSeaportCounter(orderParameters.offerer)
+    if (currentCounter !== null && BigInt(orderParameters.counter ?? 0) < BigInt(currentCounter)) {
+      return c.json({ error: 'Order was signed with an outdated Seaport counter' }, 400)
+    }
+
+    await db.createOffer({
+      buyer_fid: user.fid,
+      buyer_address: bidderAddress,
+      nft_contract: auction.nft_contract,
+      token_id: auction.token_id,
+      amount: parseFloat(usdcOfferItem.startAmount) / 1e6, // USDC has 6 decimals
+      expiry: new Date(parseInt(orderParameters.endTime) * 1000).toISOString(),
+      contract_type: 'seaport',
+      order_hash: verification.orderHash,
+      order_parameters: JSON.stringify({ parameters: orderParameters, signature }),
+      zone_address: orderParameters.zone?.toLowerCase(),
+      conduit_key: orderParameters.conduitKey,
+      salt: orderParameters.salt,
+      counter: orderParameters.counter,
+      auction_id: auction.id
+    })
+
+    const newHighestBid = await db.getHighestAuctionBid(auction.id)
+    const bids = await db.getAuctionBids(auction.id)
+
+    return c.json({
+      ...transformAuction({ ...auction, bid_count: bids.length }, newHighestBid),
+      bids: bids.map(bid => transformBid(bid, newHighestBid?.id))
+    })
+  } catch (error) {
+    console.error('Error placing bid:', error)
+    return c.json({ error: `Failed to place bid: ${error.message}` }, 500)
+  }
+})
+
+// Record the seller filling the highest bid once the auction has ended (protected route)
+auctions.post('/:id/settle', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const body = await c.req.json()
+
+    if (!body.txHash) {
+      return c.json({ error: 'Transaction hash (txHash) is required' }, 400)
+    }
+
+    const auction = await db.getAuction(c.req.param('id'))
+    if (!auction) return c.json({ error: 'Auction not found' }, 404)
+    if (auction.seller_fid !== user.fid) {
+      return c.json({ error: 'Only the seller can settle this auction' }, 403)
+    }
+    if (!['active', 'awaiting_settlement'].includes(auction.status) || new Date(auction.end_time).getTime() > Date.now()) {
+      return c.json({ error: 'Auction is not ready for settlement' }, 400)
+    }
+
+    const winningBid = await db.getHighestAuctionBid(auction.id)
+    if (!winningBid || Number(winningBid.amount) < Number(auction.reserve_price)) {
+      return c.json({ error: 'No bid met the reserve price' }, 400)
+    }
+
+    const { createRpcClient, waitForAndGetTransactionReceipt } = await import('../utils/rpc-client.js')
+    const client = createRpcClient(c.env)
+    const receipt = await waitForAndGetTransactionReceipt(client, body.txHash)
+
+    if (receipt.status !== 'success') return c.json({ error: 'Transaction failed' }, 400)
+
+    const fulfilled = findOrderFulfilledEvent(c.env, receipt, winningBid.order_hash)
+    if (!fulfilled) {
+      return c.json({ error: 'Seaport OrderFulfilled event not found for the winning bid' }, 400)
+    }
+
+    // Also settles the auction
+    await db.markSeaportOfferAcceptedByOrderHash({
+      orderHash: winningBid.order_hash,
+      sellerAddress: fulfilled.recipient,
+      sellerFid: user.fid,
+      acceptTxHash: body.txHash,
+      filledTokenId: auction.token_id
+    })
+
+    await db.recordActivity({
+      type: 'offer_accepted',
+      actor_fid: user.fid,
+      actor_address: fulfilled.recipient,
+      nft_contract: auction.nft_contract,
+      token_id: auction.token_id,
+      price: winningBid.amount,
+      metadata: JSON.stringify({
+        offer_id: winningBid.id,
+        auction_id: auction.id,
+        order_hash: winningBid.order_hash,
+        buyer: winningBid.buyer_address,
+        buyer_fid: winningBid.buyer_fid,
+        contract_type: 'seaport'
+      }),
+      tx_hash: body.txHash,
+      contract_type: 'seaport'
+    })
+
+    const settledAuction = await db.getAuction(auction.id)
+    return c.json(transformAuction(settledAuction, winningBid))
+  } catch (error) {
+    console.error('Error settling auction:', error)
+    return c.json({ error: `Failed to settle auction: ${error.message}` }, 500)
+  }
+})
+
+// Cancel an auction that has no bids yet (protected route)
+auctions.post('/:id/cancel', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+
+    const auction = await db.getAuction(c.req.param('id'))
+    if (!auction) return c.json({ error: 'Auction not found' }, 404)
+    if (auction.seller_fid !== user.fid) {
+      return c.json({ error: 'Only the seller can cancel this auction' }, 403)
+    }
+    if (auction.status !== 'active') {
+      return c.json({ error: 'Auction is no longer active' }, 400)
+    }
+
+    // Bidders committed funds against the end time, so a live ladder cannot be pulled
+    const highestBid = await db.getHighestAuctionBid(auction.id)
+    if (highestBid) {
+      return c.json({ error: 'Auctions with bids cannot be cancelled' }, 400)
+    }
+
+    await db.cancelAuction(auction.id)
+
+    const cancelledAuction = await db.getAuction(auction.id)
+    return c.json(transformAuction(cancelledAuction))
+  } catch (error) {
+    console.error('Error cancelling auction:', error)
+    return c.json({ error: 'Failed to cancel auction' }, 500)
+  }
+})
+
+export default auctions
@@ -1,5 +1,6 @@
 import { Hono } from 'hono'
 import listings from './listings.js'
+import offers from './offers.js'
 import users from './users.js'
 import activity from './activity.js'
 import auth from './auth.js'
@@ -7,12 +8,15 @@ import webhooks from './webhooks.js'
 import admin from './admin.js'
 import rpc from './rpc.js'
 import seaport from './seaport.js' // Import the new Seaport router
+import traits from './traits.js'
+import auctions from './auctions.js'
 
 // Create main API router
 const api = new Hono()
 
 // Mount all routes
 api.route('/listings', listings)
+api.route('/offers', offers)
 api.route('/users', users)
 api.route('/activity', activity)
 api.route('/auth', auth)
@@ -20,6 +24,8 @@ api.route('/webhooks', webhooks)
 api.route('/admin', admin)
 api.route('/rpc', rpc)
 api.route('/seaport', seaport) // Mount the Seaport router
+api.route('/traits', traits)
+api.route('/auctions', auctions)
 
 import { Database } from '../db.js';
 import { BlockchainService } from '../blockchain.js';
@@ -49,7 +55,7 @@ api.get('/health', async (c) => {
   let indexerStatus = 'ok';
 
   try {
-    const lastBlockResult = await db.db.prepare('SELECT MAX(block_number) as last_block FROM indexed_blocks').first();
+    const lastBlockResult = await db.db.prepare('SELECT MIN(block_number) as last_block FROM indexer_cursors').first();
     lastIndexedBlock = lastBlockResult?.last_block || 0;
 
     currentChainHeight = Number(await blockchain.getLatestBlockNumber()); // Ensure this returns a number
@@ -2,10 +2,40 @@ import { Hono } from 'hono'
 import { Database } from '../db.js'
 import { authMiddleware } from '../middleware/auth.js'
 import { fetchNFTMetadata } from '../utils/metadata.js'
-import { SEAPORT_ABI } from '../blockchain.js'
+import { SEAPORT_ABI } from '../event-sources.js'
+import { findOrderFulfilledEvent, getOrderFill, getRemainingQuantity, verifyOrderSignature, verifyListingOnChain } from '../utils/seaport.js'
+import { formatAuctionFields } from '../utils/dutch-auction.js'
+import { NeynarService } from '../neynar.js'
+import { DEFAULT_CURRENCY, getPaymentAmount } from '../utils/currency.js'
+import { getRoyalty, validateRoyalty } from '../utils/royalties.js'
+import { checkOrderPolicy } from '../utils/order-policy.js'
+import { canViewListing } from '../utils/private-listings.js'
 
 const listings = new Hono()
 
+// Largest number of tokens a single bundle listing may offer
+const MAX_BUNDLE_ITEMS = 20
+// Listings per bulk-listing request; each one is verified on chain before it's stored
+const MAX_BATCH_LISTINGS = 50
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// Whether an address is one of the Farcaster user's verified wallets
+async function isVerifiedAddress(env, fid, address) {
+  const neynar = new NeynarService(env.NEYNAR_API_KEY)
+  const user = await neynar.fetchUserByFid(fid)
+  return Boolean(user?.verified_addresses.some(verified => verified.toLowerCase() === address.toLowerCase()))
+}
+
+function formatPrivateBuyer(listing) {
+  if (!listing.private_buyer_fid) return null
+  return {
+    fid: listing.private_buyer_fid,
+    address: listing.private_buyer_address,
+    username: listing.private_buyer_username || null
+  }
+}
+
 // Get current user's listings (protected - uses JWT)
 listings.get('/me', authMiddleware(), async (c) => {
   console.log('=== GET /api/listings/me ===')
@@ -24,7 +54,9 @@ listings.get('/me', authMiddleware(), async (c) => {
       limit, 
       sort, 
       sellerFid: user.fid, 
-      search: null 
+      search: null,
+      viewerFid: user.fid, // Include the seller's own private listings
+      includeInactive: true // Sellers see listings they can't currently fill, to fix them
     })
     console.log('Database result:', { 
       listingCount: result.listings.length, 
@@ -40,6 +72,8 @@ listings.get('/me', authMiddleware(), async (c) => {
       name: listing.name,
       image: listing.image_url,
       price: listing.price,
+      ...formatAuctionFields(listing),
+      currency: listing.currency || DEFAULT_CURRENCY,
       shareImageUrl: listing.share_image_url,
       seller: {
         address: listing.seller_address,
@@ -50,7 +84,13 @@ listings.get('/me', authMiddleware(), async (c) => {
       },
       listedAt: listing.created_at,
       expiresAt: listing.expiry,
-      txHash: listing.tx_hash
+      txHash: listing.tx_hash,
+      contractType: listing.contract_type,
+      inactiveReason: listing.inactive_at ? listing.inactive_reason : null,
+      listingType: listing.listing_type || 'single',
+      quantity: listing.quantity ?? 1,
+      quantityRemaining: listing.quantity_remaining ?? 1,
+      privateBuyer: formatPrivateBuyer(listing)
     }))
     
     return c.json({
@@ -64,8 +104,8 @@ listings.get('/me', authMiddleware(), async (c) => {
   }
 })
 
-// Get all active listings
-listings.get('/', async (c) => {
+// Get all active listings. Signed-in users also see private listings they are a party to
+listings.get('/', authMiddleware({ required: false }), async (c) => {
   console.log('=== GET /api/listings ===')
   try {
     const db = new Database(c.env.DB)
@@ -75,10 +115,18 @@ listings.get('/', async (c) => {
     const sellerFid = c.req.query('seller_fid') ? parseInt(c.req.query('seller_fid')) : null
     const search = c.req.query('search')
     const contractType = c.req.query('contract_type') // Added contract_type
+    // Price filters apply to the current price, so Dutch auctions move into range as they decline
+    const minPrice = c.req.query('min_price') ? parseFloat(c.req.query('min_price')) : null
+    const maxPrice = c.req.query('max_price') ? parseFloat(c.req.query('max_price')) : null
+
+    if ((minPrice !== null && isNaN(minPrice)) || (maxPrice !== null && isNaN(maxPrice))) {
+      return c.json({ error: 'Invalid price filter' }, 400)
+    }
     
-    console.log('Query params:', { page, limit, sort, sellerFid, search, contractType })
+    console.log('Query params:', { page, limit, sort, sellerFid, search, contractType, minPrice, maxPrice })
     
-    const result = await db.getActiveListings({ page, limit, sort, sellerFid, search, contractType })
+    const viewerFid = c.get('user')?.fid || null
+    const result = await db.getActiveListings({ page, limit, sort, sellerFid, search, contractType, minPrice, maxPrice, viewerFid })
     console.log('Database query result:', {
       listingCount: result.listings.length,
       pagination: result.pagination
@@ -94,6 +142,8 @@ listings.get('/', async (c) => {
         name: listing.name,
         image: listing.image_url,
         price: listing.price,
+        ...formatAuctionFields(listing),
+        currency: listing.currency || DEFAULT_CURRENCY,
         seller: {
           address: listing.seller_address,
           username: listing.username || `user_${listing.seller_fid || 'unknown'}`,
@@ -104,7 +154,11 @@ listings.get('/', async (c) => {
         listedAt: listing.created_at,
         expiresAt: listing.expiry,
         txHash: listing.tx_hash, // Initial tx_hash if applicable
-        contractType: listing.contract_type
+        contractType: listing.contract_type,
+        listingType: listing.listing_type || 'single',
+        quantity: listing.quantity ?? 1,
+        quantityRemaining: listing.quantity_remaining ?? 1,
+        privateBuyer: formatPrivateBuyer(listing)
       };
 
       if (listing.contract_type === 'seaport') {
@@ -177,14 +231,66 @@ listings.get('/', async (c) => {
   }
 })
 
+// Private listings reserved for the current user (protected route)
+listings.get('/reserved', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+
+    const result = await db.getActiveListings({ page, limit, viewerFid: user.fid, privateBuyerFid: user.fid })
+
+    return c.json({
+      listings: result.listings.map(listing => ({
+        id: listing.id,
+        tokenId: listing.token_id,
+        contractAddress: listing.nft_contract,
+        name: listing.name,
+        image: listing.image_url,
+        price: listing.price,
+        ...formatAuctionFields(listing),
+        currency: listing.currency || DEFAULT_CURRENCY,
+        seller: {
+          address: listing.seller_address,
+          username: listing.username || `user_${listing.seller_fid || 'unknown'}`,
+          fid: listing.seller_fid,
+          displayName: listing.display_name,
+          pfpUrl: listing.pfp_url
+        },
+        listedAt: listing.created_at,
+        expiresAt: listing.expiry,
+        contractType: listing.contract_type,
+        privateBuyer: formatPrivateBuyer(listing)
+      })),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching reserved listings:', error)
+    return c.json({ error: 'Failed to fetch reserved listings' }, 500)
+  }
+})
+
+// Creator royalty a new listing of this token has to pay, for the client to build into the order
+listings.get('/royalty/:contract/:tokenId', async (c) => {
+  try {
+    const db = new Database(c.env.DB);
+    const royalty = await getRoyalty(c.env, db, c.req.param('contract'), c.req.param('tokenId'));
+    return c.json({ royalty });
+  } catch (error) {
+    console.error('Error fetching royalty:', error);
+    return c.json({ error: 'Failed to fetch royalty' }, 500);
+  }
+});
+
 // Get single listing
-listings.get('/:id', async (c) => {
+listings.get('/:id', authMiddleware({ required: false }), async (c) => {
   try {
     const db = new Database(c.env.DB)
     const listingId = c.req.param('id')
     
     const listing = await db.getListing(listingId)
-    if (!listing) {
+    if (!listing || !canViewListing(listing, c.get('user'))) {
       return c.json({ error: 'Listing not found' }, 404)
     }
     
@@ -198,6 +304,8 @@ listings.get('/:id', async (c) => {
       description: listing.description,
       image: listing.image_url,
       price: listing.price,
+      ...formatAuctionFields(listing),
+      currency: listing.currency || DEFAULT_CURRENCY,
       shareImageUrl: listing.share_image_url,
       seller: {
         address: listing.seller_address,
@@ -208,11 +316,28 @@ listings.get('/:id', async (c) => {
       },
       listedAt: listing.created_at,
       expiresAt: listing.expiry,
-      status: listing.sold_at ? 'sold' : listing.cancelled_at ? 'cancelled' : 'active',
+      status: listing.sold_at ? 'sold' : listing.cancelled_at ? 'cancelled' : listing.inactive_at ? 'inactive' : 'active',
+      inactiveReason: listing.inactive_at ? listing.inactive_reason : null,
       txHash: listing.tx_hash, // Initial tx_hash if applicable
-      contractType: listing.contract_type
+      contractType: listing.contract_type,
+      listingType: listing.listing_type || 'single',
+      quantity: listing.quantity ?? 1,
+      quantityRemaining: listing.quantity_remaining ?? 1,
+      privateBuyer: formatPrivateBuyer(listing),
+      supersededBy: listing.superseded_by ?? null
     };
 
+    if (listing.listing_type === 'bundle') {
+      const items = await db.getListingItems(listing.id)
+      transformed.items = items.map(item => ({
+        contractAddress: item.nft_contract,
+        tokenId: item.token_id,
+        name: item.name,
+        image: item.image_url,
+        isERC721: item.item_type === 2
+      }))
+    }
+
     if (listing.contract_type === 'seaport') {
       transformed.orderHash = listing.order_hash;
       transformed.orderData = listing.order_parameters ? JSON.parse(listing.order_parameters) : null; // Parse and rename for frontend compatibility
@@ -232,109 +357,321 @@ listings.get('/:id', async (c) => {
 
 // Order hash is now provided by the client, no need to calculate it server-side
 
-// Create listing (protected route - requires auth)
-listings.post('/', authMiddleware(), async (c) => {
+/**
+ * Validate a signed Seaport listing and store it
+ * @param {Object} env - Worker environment
+ * @param {Database} db - Database wrapper
+ * @param {Object} user - Authenticated seller
+ * @param {Object} body - Listing request: orderParameters ({ parameters, signature }), orderHash, metadata, privateBuyerUsername
+ * @param {Object|null} [replacing] - Active listing row this order re-prices; it is superseded instead of blocking the new one
+ * @returns {Promise<{ status: number, data: Object }>} The created listing, or an error body with its status
+ */
+async function createSeaportListing(env, db, user, body, replacing = null) {
+  if (!body.orderParameters || typeof body.orderParameters !== 'object') {
+    return { status: 400, data: { error: 'Seaport orderParameters are required' } };
+  }
+  // Handle both formats: direct parameters or wrapped in { parameters, signature }
+  const orderData = body.orderParameters;
+  const orderParameters = orderData.parameters || orderData;
+  const signature = orderData.signature || body.signature;
+  if (!signature) {
+    return { status: 400, data: { error: 'Seaport order signature is required' } };
+  }
+
+  // Extract necessary data from orderParameters
+  const sellerAddress = orderParameters.offerer;
+  const nftOfferItems = (orderParameters.offer || []).filter(item => item.itemType === 2 /* ERC721 */ || item.itemType === 3 /* ERC1155 */);
+  if (nftOfferItems.length === 0) {
+    return { status: 400, data: { error: 'Valid NFT (ERC721/ERC1155) must be in offer items' } };
+  }
+  if (nftOfferItems.length > MAX_BUNDLE_ITEMS) {
+    return { status: 400, data: { error: `A bundle can hold at most ${MAX_BUNDLE_ITEMS} items` } };
+  }
+  // Several NFT offer items make a bundle; the first one stands in for it on the listing row
+  const isBundle = nftOfferItems.length > 1;
+  const nftContract = nftOfferItems[0].token;
+  const tokenId = nftOfferItems[0].identifierOrCriteria.toString(); // Ensure this field name is correct
+
+  // A price edit re-lists the same token from the same wallet, no more copies than are left
+  if (replacing && (
+    isBundle ||
+    nftContract.toLowerCase() !== replacing.nft_contract.toLowerCase() ||
+    tokenId !== replacing.token_id ||
+    sellerAddress.toLowerCase() !== replacing.seller_address.toLowerCase() ||
+    parseInt(nftOfferItems[0].startAmount ?? '1') > (replacing.quantity_remaining ?? 1)
+  )) {
+    return { status: 400, data: { error: 'The new order must list the same token as the listing it replaces' } };
+  }
+
+  // ERC1155 listings can offer several copies; buyers take any part of a PARTIAL_OPEN order
+  const quantity = parseInt(nftOfferItems[0].startAmount ?? '1');
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { status: 400, data: { error: 'Invalid NFT quantity' } };
+  }
+  if (quantity > 1) {
+    if (isBundle || nftOfferItems[0].itemType !== 3) {
+      return { status: 400, data: { error: 'Only single ERC1155 listings can offer more than one copy' } };
+    }
+    if (Number(orderParameters.orderType) !== 1 /* PARTIAL_OPEN */) {
+      return { status: 400, data: { error: 'Listings of more than one copy must allow partial fills' } };
+    }
+  }
+
+  const seenTokens = new Set();
+  for (const item of nftOfferItems) {
+    const key = `${item.token.toLowerCase()}:${item.identifierOrCriteria.toString()}`;
+    if (seenTokens.has(key)) {
+      return { status: 400, data: { error: 'A bundle cannot contain the same token twice' } };
+    }
+    seenTokens.add(key);
+
+    const activeListing = await db.findActiveListingForToken(item.token, item.identifierOrCriteria.toString());
+    if (activeListing && activeListing.id !== replacing?.id) {
+      return { status: 409, data: { error: `Token #${item.identifierOrCriteria} is already listed`, listingId: activeListing.id } };
+    }
+  }
+
+  // Price is what the seller receives, in whichever currency the order pays in
+  const sellerItems = (orderParameters.consideration || []).filter(item =>
+    item.recipient.toLowerCase() === sellerAddress.toLowerCase()
+  );
+  let payment;
+  let endPayment;
   try {
-    const db = new Database(c.env.DB);
-    const body = await c.req.json();
-    const user = c.get('user'); // Authenticated user
+    payment = getPaymentAmount(sellerItems, env, 'startAmount');
+    // A Dutch auction asks for less at endTime than at startTime; store both ends of the range
+    endPayment = getPaymentAmount(sellerItems, env, 'endAmount');
+  } catch (error) {
+    return { status: 400, data: { error: error.message } };
+  }
+  const currency = payment.currency || DEFAULT_CURRENCY;
 
-    // Assuming new listings are Seaport orders
-    const contractType = 'seaport'; // For now, default new listings to Seaport
+  // Quantity listings are priced and sorted per copy
+  let price = payment.amount / quantity;
+  if (price === 0 && body.price) { // Fallback to body.price if not calculable or zero
+    price = parseFloat(body.price);
+  }
+  if (isNaN(price)) {
+    return { status: 400, data: { error: 'Invalid price calculation from orderParameters' } };
+  }
 
-    if (contractType === 'seaport') {
-      if (!body.orderParameters || typeof body.orderParameters !== 'object') {
-        return c.json({ error: 'Seaport orderParameters are required' }, 400);
-      }
-      // Signature might be required if we were to submit to Seaport, but for DB storage it's part of orderParameters
-      // if (!body.signature) {
-      //   return c.json({ error: 'Seaport order signature is required' }, 400);
-      // }
-
-      // Handle both formats: direct parameters or wrapped in { parameters, signature }
-      const orderData = body.orderParameters;
-      const orderParameters = orderData.parameters || orderData;
-      const signature = orderData.signature || body.signature;
-
-      // Extract necessary data from orderParameters
-      const sellerAddress = orderParameters.offerer;
-      const nftOfferItem = orderParameters.offer?.find(item => item.itemType === 2 /* ERC721 */ || item.itemType === 3 /* ERC1155 */);
-      if (!nftOfferItem) {
-        return c.json({ error: 'Valid NFT (ERC721/ERC1155) must be in offer items' }, 400);
-      }
-      const nftContract = nftOfferItem.token;
-      const tokenId = nftOfferItem.identifierOrCriteria.toString(); // Ensure this field name is correct
+  const endPrice = endPayment.amount / quantity;
+  const isDutchAuction = endPrice > 0 && endPrice !== price;
+  if (isDutchAuction && endPrice > price) {
+    return { status: 400, data: { error: 'Dutch auction end price must be lower than the start price' } };
+  }
+  if (replacing) {
+    if (isDutchAuction) {
+      return { status: 400, data: { error: 'A price edit cannot turn a listing into a Dutch auction' } };
+    }
+    if (currency !== (replacing.currency || DEFAULT_CURRENCY)) {
+      return { status: 400, data: { error: `The new price must be in ${replacing.currency || DEFAULT_CURRENCY}, like the listing it replaces` } };
+    }
+    if (price === Number(replacing.price)) {
+      return { status: 400, data: { error: 'The new price is the same as the current one' } };
+    }
+  }
 
-      // Calculate total price from consideration items going to the offerer
-      let price = 0;
-      const USDC_ADDRESS = c.env.USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-      
-      if (orderParameters.consideration && Array.isArray(orderParameters.consideration)) {
-        for (const item of orderParameters.consideration) {
-          if (item.recipient.toLowerCase() === sellerAddress.toLowerCase()) {
-            // Check if this is a USDC payment (itemType 1 is ERC20)
-            if (item.itemType === 1 && item.token.toLowerCase() === USDC_ADDRESS.toLowerCase()) {
-              // USDC has 6 decimals
-              price += parseFloat(item.startAmount) / 1e6;
-            } else if (item.itemType === 0) {
-              // Native ETH has 18 decimals
-              price += parseFloat(item.startAmount) / 1e18;
-            }
-            // Add other token types as needed
-          }
-        }
-      }
-      if (price === 0 && body.price) { // Fallback to body.price if not calculable or zero
-        price = parseFloat(body.price);
-      }
-      if (isNaN(price)) {
-        return c.json({ error: 'Invalid price calculation from orderParameters' }, 400);
-      }
+  // Creator royalty, worked out from the first token. Bundles mixing collections have
+  // no single royalty to split the price by, so only single-collection bundles pay one
+  const isSingleCollection = nftOfferItems.every(item => item.token.toLowerCase() === nftContract.toLowerCase());
+  if (isSingleCollection) {
+    const royalty = await getRoyalty(env, db, nftContract, tokenId);
+    const royaltyError = royalty && validateRoyalty(orderParameters, royalty, quantity, env);
+    if (royaltyError) {
+      return { status: 400, data: { error: royaltyError, royalty } };
+    }
+  }
 
+  const expiry = new Date(parseInt(orderParameters.endTime) * 1000).toISOString();
 
-      const expiry = new Date(parseInt(orderParameters.endTime) * 1000).toISOString();
+  // Private listing: a restricted order whose zone is the buyer's wallet. Seaport skips
+  // zone validation only when the zone itself fills the order, so nobody else can buy it
+  let privateBuyer = null;
+  const isRestricted = Number(orderParameters.orderType) === 2 /* FULL_RESTRICTED */ || Number(orderParameters.orderType) === 3 /* PARTIAL_RESTRICTED */;
+  if (isRestricted) {
+    const zone = orderParameters.zone?.toLowerCase();
+    if (!zone || zone === ZERO_ADDRESS || !body.privateBuyerUsername) {
+      return { status: 400, data: { error: 'Private listings need a buyer username and the buyer wallet as zone' } };
+    }
+    if (!env.NEYNAR_API_KEY) {
+      return { status: 503, data: { error: 'Private listings are not configured' } };
+    }
 
-      // Use the order hash provided by the client (already calculated correctly)
-      const orderHash = body.orderHash;
-      if (!orderHash) {
-        return c.json({ error: 'Order hash is required for Seaport listings' }, 400);
-      }
+    const neynar = new NeynarService(env.NEYNAR_API_KEY);
+    const buyer = await neynar.fetchUserByUsername(body.privateBuyerUsername.replace(/^@/, ''));
+    if (!buyer || !buyer.verified_addresses.some(address => address.toLowerCase() === zone)) {
+      return { status: 400, data: { error: 'The private buyer wallet does not belong to that Farcaster user' } };
+    }
+    if (buyer.fid == user.fid) {
+      return { status: 400, data: { error: 'You cannot reserve a listing for yourself' } };
+    }
 
-      // Fetch metadata
-      let metadata = body.metadata || {};
-      if (!metadata.image_url || !metadata.name) {
-        const fetchedMetadata = await fetchNFTMetadata(c.env, nftContract, tokenId, metadata.metadata_uri);
+    await db.createOrUpdateUser({
+      fid: buyer.fid,
+      username: buyer.username,
+      display_name: buyer.display_name,
+      pfp_url: buyer.pfp_url
+    });
+    privateBuyer = { fid: buyer.fid, address: zone };
+  }
+  if (replacing && (privateBuyer?.fid ?? null) != (replacing.private_buyer_fid ?? null)) {
+    return { status: 400, data: { error: 'A price edit cannot change who the listing is reserved for' } };
+  }
+
+  // Fee, currency, timing, zone and conduit rules every stored order has to meet
+  const policy = checkOrderPolicy(orderParameters, env, {
+    side: 'listing',
+    currencies: ['USDC', 'ETH', 'WETH'],
+    zone: privateBuyer?.address,
+    quantity
+  });
+  if (!policy.valid) {
+    const { valid, ...policyError } = policy;
+    return { status: 400, data: policyError };
+  }
+
+  // The hash is recomputed from the parameters rather than trusted from the client,
+  // and the signature has to recover to the offerer
+  const verification = await verifyOrderSignature(env, orderParameters, signature);
+  if (!verification.valid) {
+    return { status: 400, data: { error: verification.error, orderHash: verification.orderHash } };
+  }
+  if (body.orderHash && body.orderHash.toLowerCase() !== verification.orderHash.toLowerCase()) {
+    return { status: 400, data: { error: 'Order hash does not match order parameters' } };
+  }
+  const orderHash = verification.orderHash;
+
+  // Orders signed before the wallet's last incrementCounter can never be filled
+  const currentCounter = await db.getSeaportCounter(sellerAddress);
+  if (currentCounter !== null && BigInt(orderParameters.counter ?? 0) < BigInt(currentCounter)) {
+    return { status: 400, data: { error: 'Order was signed with an outdated Seaport counter', orderHash } };
+  }
+
+  // The seller must still hold the NFTs and have approved the conduit, or nobody could fill it
+  const { createRpcClient } = await import('../utils/rpc-client.js');
+  let onChain;
+  try {
+    onChain = await verifyListingOnChain(env, createRpcClient(env), orderParameters, orderHash);
+  } catch (error) {
+    console.error('Error verifying listing on chain:', error);
+    return { status: 503, data: { error: 'Could not verify the listing on chain. Please try again.' } };
+  }
+  if (!onChain.valid) {
+    return { status: 400, data: { error: onChain.error, orderHash } };
+  }
+
+  // Buyers could keep filling the old order at its lower price, so raising the price
+  // only goes through once that order is cancelled on chain. A lower price can leave
+  // the old order open: whoever fills it pays the seller more
+  if (replacing && price > Number(replacing.price)) {
+    let oldOrder;
+    try {
+      oldOrder = await getOrderFill(env, createRpcClient(env), replacing.order_hash);
+    } catch (error) {
+      console.error('Error checking the replaced order on chain:', error);
+      return { status: 503, data: { error: 'Could not verify the listing on chain. Please try again.' } };
+    }
+    if (!oldOrder.isCancelled) {
+      return { status: 400, data: { error: 'Cancel the current order on chain before raising its price', orderHash: replacing.order_hash } };
+    }
+  }
+
+  // Fetch metadata
+  let metadata = body.metadata || {};
+  let items = [];
+  if (isBundle) {
+    // Per-token metadata comes from the client's wallet view, falling back to a lookup
+    const providedItems = Array.isArray(metadata.items) ? metadata.items : [];
+    items = await Promise.all(nftOfferItems.map(async (offerItem) => {
+      const itemTokenId = offerItem.identifierOrCriteria.toString();
+      let itemMetadata = providedItems.find(provided =>
+        provided.nft_contract?.toLowerCase() === offerItem.token.toLowerCase() &&
+        provided.token_id?.toString() === itemTokenId
+      ) || {};
+      if (!itemMetadata.image_url || !itemMetadata.name) {
+        const fetchedMetadata = await fetchNFTMetadata(env, offerItem.token, itemTokenId);
         if (fetchedMetadata.success) {
-          metadata = { ...metadata, ...fetchedMetadata };
+          itemMetadata = { ...itemMetadata, ...fetchedMetadata };
         }
       }
-
-      const listingData = {
-        seller_fid: user.fid,
-        seller_address: sellerAddress.toLowerCase(),
-        nft_contract: nftContract.toLowerCase(),
-        token_id: tokenId,
-        price: price,
-        expiry: expiry,
-        metadata_uri: metadata.metadata_uri || '',
-        image_url: metadata.image_url || '',
-        name: metadata.name || `Token #${tokenId}`,
-        description: metadata.description || '',
-        contract_type: 'seaport',
-        order_hash: orderHash,
-        order_parameters: JSON.stringify({ parameters: orderParameters, signature }), // Store parameters + signature
-        zone_address: orderParameters.zone?.toLowerCase(),
-        conduit_key: orderParameters.conduitKey,
-        salt: orderParameters.salt,
-        counter: orderParameters.counter,
-        blockchain_listing_id: null, // No direct equivalent for Seaport until matched
-        tx_hash: body.txHash || null // Optional tx_hash if order is submitted on-chain immediately
+      return {
+        nft_contract: offerItem.token,
+        token_id: itemTokenId,
+        item_type: offerItem.itemType,
+        name: itemMetadata.name || `Token #${itemTokenId}`,
+        image_url: itemMetadata.image_url || ''
       };
+    }));
+    metadata = {
+      ...metadata,
+      name: metadata.name || `Bundle of ${items.length} items`,
+      image_url: metadata.image_url || items[0].image_url
+    };
+  } else if (!metadata.image_url || !metadata.name) {
+    const fetchedMetadata = await fetchNFTMetadata(env, nftContract, tokenId, metadata.metadata_uri);
+    if (fetchedMetadata.success) {
+      metadata = { ...metadata, ...fetchedMetadata };
+    }
+  }
 
-      const result = await db.createListing(listingData);
-      const createdListing = await db.getListing(result.meta.last_row_id);
-      return c.json(createdListing);
+  const listingData = {
+    seller_fid: user.fid,
+    seller_address: sellerAddress.toLowerCase(),
+    nft_contract: nftContract.toLowerCase(),
+    token_id: tokenId,
+    price: price,
+    expiry: expiry,
+    metadata_uri: metadata.metadata_uri || '',
+    image_url: metadata.image_url || '',
+    name: metadata.name || `Token #${tokenId}`,
+    description: metadata.description || '',
+    contract_type: 'seaport',
+    order_hash: orderHash,
+    order_parameters: JSON.stringify({ parameters: orderParameters, signature }), // Store parameters + signature
+    zone_address: orderParameters.zone?.toLowerCase(),
+    conduit_key: orderParameters.conduitKey,
+    salt: orderParameters.salt,
+    counter: orderParameters.counter,
+    end_price: isDutchAuction ? endPrice : null,
+    start_time: isDutchAuction ? new Date(parseInt(orderParameters.startTime) * 1000).toISOString() : null,
+    blockchain_listing_id: null, // No direct equivalent for Seaport until matched
+    tx_hash: body.txHash || null, // Optional tx_hash if order is submitted on-chain immediately
+    listing_type: isBundle ? 'bundle' : 'single',
+    items,
+    quantity,
+    private_buyer_fid: privateBuyer?.fid || null,
+    private_buyer_address: privateBuyer?.address || null,
+    currency
+  };
+
+  if (replacing) {
+    const cancelTxHash = price > Number(replacing.price) ? body.cancelTxHash || null : null;
+    const replacement = await db.replaceListing(replacing, listingData, cancelTxHash);
+    if (!replacement) {
+      return { status: 409, data: { error: 'The listing was sold or cancelled before its price could be changed' } };
+    }
+    return { status: 200, data: replacement };
+  }
+
+  const result = await db.createListing(listingData);
+  const createdListing = await db.getListing(result.meta.last_row_id);
+  return { status: 200, data: createdListing };
+}
+
+// Create listing (protected route - requires auth)
+listings.post('/', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB);
+    const body = await c.req.json();
+    const user = c.get('user'); // Authenticated user
+
+    // Assuming new listings are Seaport orders
+    const contractType = 'seaport'; // For now, default new listings to Seaport
 
+    if (contractType === 'seaport') {
+      const { status, data } = await createSeaportListing(c.env, db, user, body);
+      return c.json(data, status);
     } else { // Existing NFT_EXCHANGE logic (currently unreachable as we default to seaport)
       // This path would need to be triggered by a different contract_type in body if supported
       if (!body.txHash) {
@@ -384,6 +721,77 @@ listings.post('/', authMiddleware(), async (c) => {
   }
 });
 
+// Create several listings signed together with one Seaport bulk order signature
+// (protected route). Every listing is validated and stored on its own, so one bad
+// order doesn't stop the rest; failures come back with their index in the request
+listings.post('/batch', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB);
+    const body = await c.req.json();
+    const user = c.get('user');
+
+    if (!Array.isArray(body.listings) || body.listings.length === 0) {
+      return c.json({ error: 'listings must be a non-empty array' }, 400);
+    }
+    if (body.listings.length > MAX_BATCH_LISTINGS) {
+      return c.json({ error: `At most ${MAX_BATCH_LISTINGS} listings can be created at once` }, 400);
+    }
+
+    // One at a time, so two entries for the same token are caught as a duplicate listing
+    const created = [];
+    const errors = [];
+    for (const [index, listingBody] of body.listings.entries()) {
+      try {
+        const { status, data } = await createSeaportListing(c.env, db, user, listingBody || {});
+        if (status === 200) {
+          created.push(data);
+        } else {
+          errors.push({ index, status, ...data });
+        }
+      } catch (error) {
+        console.error(`Error creating listing ${index} of batch:`, error);
+        errors.push({ index, status: 500, error: `Failed to create listing: ${error.message}` });
+      }
+    }
+
+    return c.json({ listings: created, errors }, created.length > 0 ? 200 : 400);
+  } catch (error) {
+    console.error('Error creating listings:', error);
+    return c.json({ error: `Failed to create listings: ${error.message}` }, 500);
+  }
+});
+
+
+// Change the price of a Seaport listing (protected route). The client signs a new
+// order for the new price; it replaces the listing in one step, so the token never
+// shows as unlisted in between. A higher price needs the old order cancelled first,
+// its cancelTxHash is recorded on the superseded row
+listings.post('/:id/price', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB);
+    const user = c.get('user');
+    const body = await c.req.json();
+
+    const listing = await db.getListing(c.req.param('id'));
+    if (!listing) return c.json({ error: 'Listing not found' }, 404);
+    if (listing.seller_fid !== user.fid) return c.json({ error: 'Unauthorized' }, 403);
+    // The indexer may already have seen the cancellation that precedes a price rise
+    const cancelledForEdit = listing.cancelled_at && !listing.superseded_by &&
+      body.cancelTxHash && listing.cancel_tx_hash?.toLowerCase() === body.cancelTxHash.toLowerCase();
+    if (listing.sold_at || (listing.cancelled_at && !cancelledForEdit)) {
+      return c.json({ error: 'Only active listings can have their price changed' }, 400);
+    }
+    if (listing.contract_type !== 'seaport' || listing.listing_type === 'bundle' || listing.end_price != null) {
+      return c.json({ error: 'Only single fixed-price listings can have their price changed' }, 400);
+    }
+
+    const { status, data } = await createSeaportListing(c.env, db, user, body, listing);
+    return c.json(data, status);
+  } catch (error) {
+    console.error('Error changing listing price:', error);
+    return c.json({ error: `Failed to change listing price: ${error.message}` }, 500);
+  }
+});
 
 // Cancel listing (protected route) - Unified, handles both types
 listings.delete('/:id', authMiddleware(), async (c) => {
@@ -678,6 +1086,8 @@ listings.post('/:id/purchase', authMiddleware(), async (c) => {
     if (receipt.status !== 'success') return c.json({ error: 'Transaction failed' }, 400);
 
     let buyerActualAddress; // Address of the buyer from the event
+    let salePrice = listing.price; // Dutch auctions sell below the listed start price
+    let quantityBought = null; // Copies taken from an ERC1155 quantity listing
 
     if (listing.contract_type === 'nft_exchange') {
       const NFT_EXCHANGE_EVENTS = parseAbi(['event ListingSold(uint256 indexed listingId, address indexed buyer, uint256 price)']);
@@ -719,33 +1129,36 @@ listings.post('/:id/purchase', authMiddleware(), async (c) => {
 
             buyerActualAddress = (eventRecipient.toLowerCase() !== eventOfferer.toLowerCase()) ? eventRecipient : user.wallet_address || receipt.from;
 
-            // Extract price from event to pass to DB potentially
-            let totalPriceFromEvent = 0;
-            const USDC_ADDRESS = c.env.USDC_ADDRESS || '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-            
-            if (decoded.args.consideration && Array.isArray(decoded.args.consideration)) {
-                for (const item of decoded.args.consideration) {
-                    if (item.recipient.toLowerCase() === eventOfferer.toLowerCase()) {
-                        // Check if this is a USDC payment (itemType 1 is ERC20)
-                        if (item.itemType === 1 && item.token.toLowerCase() === USDC_ADDRESS.toLowerCase()) {
-                            // USDC has 6 decimals
-                            totalPriceFromEvent += parseFloat(item.amount) / 1e6;
-                        } else if (item.itemType === 0) {
-                            // Native ETH has 18 decimals
-                            totalPriceFromEvent += parseFloat(item.amount) / 1e18;
-                        }
-                    }
-                }
-            }
+            // Extract price from event to pass to DB potentially, in the listing's currency
+            const { amount: totalPriceFromEvent } = getPaymentAmount(
+              (decoded.args.consideration || []).filter(item => item.recipient.toLowerCase() === eventOfferer.toLowerCase()),
+              c.env,
+              'amount'
+            );
 
-            await db.markSeaportListingSoldByOrderHash({
-              orderHash: listing.order_hash,
-              buyerAddress: buyerActualAddress,
-              buyerFid: user.fid,
-              saleTxHash: body.txHash,
-              contractType: 'seaport',
-              totalPriceFromEvent: totalPriceFromEvent
-            });
+            if (listing.quantity > 1) {
+              // Partial fill: only mark the listing sold once Seaport reports no copies left
+              const { totalFilled, totalSize } = await getOrderFill(c.env, client, listing.order_hash);
+              const nftItem = decoded.args.offer.find(item => item.itemType === 3);
+              quantityBought = nftItem ? Number(nftItem.amount) : null;
+              await db.recordSeaportListingFill({
+                orderHash: listing.order_hash,
+                quantityRemaining: getRemainingQuantity(listing.quantity, totalFilled, totalSize),
+                buyerAddress: buyerActualAddress,
+                buyerFid: user.fid,
+                saleTxHash: body.txHash
+              });
+            } else {
+              await db.markSeaportListingSoldByOrderHash({
+                orderHash: listing.order_hash,
+                buyerAddress: buyerActualAddress,
+                buyerFid: user.fid,
+                saleTxHash: body.txHash,
+                contractType: 'seaport',
+                totalPriceFromEvent: totalPriceFromEvent
+              });
+            }
+            if (totalPriceFromEvent > 0) salePrice = totalPriceFromEvent;
             eventFound = true;
             break;
           }
@@ -756,24 +1169,30 @@ listings.post('/:id/purchase', authMiddleware(), async (c) => {
       return c.json({ error: 'Unknown listing contract type' }, 400);
     }
 
-    // Generic activity recording (buyer is the actor)
-    await db.recordActivity({
-      type: 'sale', // Unified activity type
-      actor_fid: user.fid,
-      actor_address: buyerActualAddress, // Use buyer address from event
-      nft_contract: listing.nft_contract,
-      token_id: listing.token_id,
-      price: listing.price, // Price from original listing
-      metadata: JSON.stringify({ 
-        listing_db_id: listing.id,
-        blockchain_listing_id: listing.blockchain_listing_id, // for nft_exchange
-        order_hash: listing.order_hash, // for seaport
-        seller_fid: listing.seller_fid,
-        contract_type: listing.contract_type
-      }),
-      tx_hash: body.txHash,
-      contract_type: listing.contract_type
-    });
+    // Generic activity recording (buyer is the actor), one sale per token for bundles
+    const tokens = await db.getListingTokens(listing);
+    for (const token of tokens) {
+      await db.recordActivity({
+        type: 'sale', // Unified activity type
+        actor_fid: user.fid,
+        actor_address: buyerActualAddress, // Use buyer address from event
+        nft_contract: token.nft_contract,
+        token_id: token.token_id,
+        price: salePrice / tokens.length,
+        metadata: JSON.stringify({ 
+          listing_db_id: listing.id,
+          blockchain_listing_id: listing.blockchain_listing_id, // for nft_exchange
+          order_hash: listing.order_hash, // for seaport
+          seller_fid: listing.seller_fid,
+          contract_type: listing.contract_type,
+          ...(tokens.length > 1 && { bundle: true, bundle_price: salePrice, item_count: tokens.length }),
+          ...(quantityBought && { quantity: quantityBought, unit_price: salePrice / quantityBought })
+        }),
+        tx_hash: body.txHash,
+        contract_type: listing.contract_type,
+        currency: listing.currency
+      });
+    }
     
   } catch (error) {
     console.error('Error recording purchase:', error)
@@ -781,4 +1200,134 @@ listings.post('/:id/purchase', authMiddleware(), async (c) => {
   }
 })
 
+// Record a sweep: several Seaport listings bought in one fulfillAvailableAdvancedOrders
+// transaction. Seaport skips orders that were no longer available, so only the
+// listings with an OrderFulfilled event in the receipt are marked sold. The
+// transaction has to come from one of the user's verified wallets (protected route)
+listings.post('/sweep', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB);
+    const user = c.get('user'); // Authenticated user is the buyer
+    const body = await c.req.json();
+
+    if (!body.txHash) {
+      return c.json({ error: 'Transaction hash (txHash) is required' }, 400);
+    }
+    if (!Array.isArray(body.listingIds) || body.listingIds.length === 0) {
+      return c.json({ error: 'listingIds must be a non-empty array' }, 400);
+    }
+
+    const { createRpcClient, waitForAndGetTransactionReceipt } = await import('../utils/rpc-client.js');
+    const client = createRpcClient(c.env);
+    const receipt = await waitForAndGetTransactionReceipt(client, body.txHash);
+
+    if (receipt.status !== 'success') return c.json({ error: 'Transaction failed' }, 400);
+
+    // Only the wallet that sent the sweep can record it, so nobody claims someone else's fills
+    if (!c.env.NEYNAR_API_KEY) {
+      return c.json({ error: 'Sweeps are not configured' }, 503);
+    }
+    if (!await isVerifiedAddress(c.env, user.fid, receipt.from)) {
+      return c.json({ error: 'Transaction sender is not a verified wallet of the authenticated user' }, 403);
+    }
+
+    const filled = [];
+    const unfilled = [];
+
+    for (const listingId of body.listingIds) {
+      const listing = await db.getListing(listingId);
+      if (!listing || listing.contract_type !== 'seaport') {
+        unfilled.push({ id: listingId, reason: 'not_found' });
+        continue;
+      }
+
+      const fulfilled = findOrderFulfilledEvent(c.env, receipt, listing.order_hash);
+      if (!fulfilled) {
+        unfilled.push({ id: listing.id, reason: 'not_available' });
+        continue;
+      }
+      // Posting the same sweep again, or the indexer getting to it first, must not record the fill twice
+      if (await db.hasOrderSale(body.txHash, listing.order_hash)) {
+        filled.push({ id: listing.id, alreadyRecorded: true });
+        continue;
+      }
+      if (listing.sold_at || listing.cancelled_at) {
+        unfilled.push({ id: listing.id, reason: listing.sold_at ? 'sold' : 'cancelled' });
+        continue;
+      }
+
+      // The sweep sends every NFT to the fulfiller's chosen recipient; the seller is paid in the consideration
+      const buyerAddress = fulfilled.recipient;
+      const { amount: salePrice } = getPaymentAmount(
+        fulfilled.consideration.filter(item => item.recipient.toLowerCase() === fulfilled.offerer.toLowerCase()),
+        c.env,
+        'amount'
+      );
+
+      let quantityBought = null; // Copies taken from an ERC1155 quantity listing
+      if (listing.quantity > 1) {
+        // Partial fill: only mark the listing sold once Seaport reports no copies left
+        const { totalFilled, totalSize } = await getOrderFill(c.env, client, listing.order_hash);
+        const nftItem = fulfilled.offer.find(item => item.itemType === 3);
+        quantityBought = nftItem ? Number(nftItem.amount) : null;
+        await db.recordSeaportListingFill({
+          orderHash: listing.order_hash,
+          quantityRemaining: getRemainingQuantity(listing.quantity, totalFilled, totalSize),
+          buyerAddress,
+          buyerFid: user.fid,
+          saleTxHash: body.txHash
+        });
+      } else {
+        await db.markSeaportListingSoldByOrderHash({
+          orderHash: listing.order_hash,
+          buyerAddress,
+          buyerFid: user.fid,
+          saleTxHash: body.txHash,
+          contractType: 'seaport',
+          totalPriceFromEvent: salePrice
+        });
+      }
+
+      // A quantity listing's price is per copy, so without a price from the event it's
+      // charged for the copies bought rather than the whole listing
+      const price = salePrice || listing.price * (quantityBought || 1);
+      const tokens = await db.getListingTokens(listing);
+      for (const token of tokens) {
+        await db.recordActivity({
+          type: 'sale',
+          actor_fid: user.fid,
+          actor_address: buyerAddress,
+          nft_contract: token.nft_contract,
+          token_id: token.token_id,
+          price: price / tokens.length,
+          metadata: JSON.stringify({
+            listing_db_id: listing.id,
+            order_hash: listing.order_hash,
+            seller_fid: listing.seller_fid,
+            contract_type: 'seaport',
+            sweep: true,
+            ...(tokens.length > 1 && { bundle: true, bundle_price: price, item_count: tokens.length }),
+            ...(quantityBought && { quantity: quantityBought, unit_price: price / quantityBought })
+          }),
+          tx_hash: body.txHash,
+          contract_type: 'seaport',
+          currency: listing.currency
+        });
+      }
+
+      filled.push({
+        id: listing.id,
+        price,
+        currency: listing.currency || DEFAULT_CURRENCY,
+        ...(quantityBought && { quantity: quantityBought })
+      });
+    }
+
+    return c.json({ success: true, txHash: body.txHash, filled, unfilled });
+  } catch (error) {
+    console.error('Error recording sweep:', error);
+    return c.json({ error: `Failed to record sweep: ${error.message}` }, 500);
+  }
+});
+
 export default listings
\ No newline at end of file
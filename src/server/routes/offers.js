@@ -0,0 +1,431 @@
+import { Hono } from 'hono'
+import { Database } from '../db.js'
+import { authMiddleware } from '../middleware/auth.js'
+import { formatOfferTimestamps } from '../utils/timestamp.js'
+import { verifyOrderSignature, findOrderFulfilledEvent } from '../utils/seaport.js'
+import { DEFAULT_CURRENCY, getItemCurrency, fromBaseUnits } from '../utils/currency.js'
+import { checkOrderPolicy } from '../utils/order-policy.js'
+
+// Offers escrow nothing, so they need an ERC20 the conduit can pull; native ETH can't be offered
+const OFFER_CURRENCIES = ['USDC', 'WETH']
+
+const offers = new Hono()
+
+// Transform a DB offer row to match frontend expectations
+function transformOffer(offer) {
+  const formatted = formatOfferTimestamps(offer)
+
+  return {
+    id: formatted.id,
+    blockchainOfferId: formatted.blockchain_offer_id,
+    tokenId: formatted.token_id,
+    contractAddress: formatted.nft_contract,
+    name: formatted.nft_name || (formatted.token_id
+      ? `Token #${formatted.token_id}`
+      : formatted.trait_type ? `${formatted.trait_type}: ${formatted.trait_value}` : 'Any token in collection'),
+    image: formatted.image_url,
+    amount: formatted.amount,
+    currency: formatted.currency || DEFAULT_CURRENCY,
+    buyer: {
+      address: formatted.buyer_address,
+      username: formatted.username || `user_${formatted.buyer_fid || 'unknown'}`,
+      fid: formatted.buyer_fid,
+      displayName: formatted.display_name,
+      pfpUrl: formatted.pfp_url
+    },
+    seller: formatted.seller_address ? {
+      address: formatted.seller_address,
+      fid: formatted.seller_fid
+    } : null,
+    createdAt: formatted.created_at,
+    expiresAt: formatted.expiry,
+    acceptedAt: formatted.accepted_at,
+    cancelledAt: formatted.cancelled_at,
+    declinedAt: formatted.declined_at,
+    unfundedAt: formatted.unfunded_at,
+    unfundedReason: formatted.unfunded_reason,
+    status: formatted.accepted_at ? 'accepted'
+      : formatted.cancelled_at ? 'cancelled'
+      : formatted.declined_at ? 'declined'
+      : new Date(formatted.expiry) < new Date() ? 'expired'
+      : 'active',
+    contractType: formatted.contract_type,
+    orderHash: formatted.order_hash,
+    orderData: formatted.order_parameters ? JSON.parse(formatted.order_parameters) : null, // { parameters, signature }
+    criteriaType: formatted.token_id ? null : formatted.criteria_root ? 'trait' : 'collection',
+    criteriaRoot: formatted.criteria_root,
+    traitType: formatted.trait_type,
+    traitValue: formatted.trait_value,
+    filledTokenId: formatted.filled_token_id,
+    txHash: formatted.tx_hash,
+    acceptTxHash: formatted.accept_tx_hash,
+    cancelTxHash: formatted.cancel_tx_hash
+  }
+}
+
+// Get current user's offers (protected - uses JWT)
+offers.get('/me', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+    const activeOnly = c.req.query('status') !== 'all'
+
+    const result = await db.getOffers({ page, limit, activeOnly, filter: { buyer_fid: user.fid } })
+
+    return c.json({
+      offers: result.offers.map(transformOffer),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching user offers:', error)
+    return c.json({ error: 'Failed to fetch your offers' }, 500)
+  }
+})
+
+// Get the current user's open offers they can no longer pay (protected - uses JWT)
+offers.get('/me/unfunded', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+
+    const result = await db.getOffers({ page: 1, limit: 50, filter: { buyer_fid: user.fid, unfunded: true } })
+
+    return c.json({
+      offers: result.offers.map(transformOffer),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching unfunded offers:', error)
+    return c.json({ error: 'Failed to fetch your unfunded offers' }, 500)
+  }
+})
+
+// Get offers received by the current user on NFTs they own (protected - uses JWT)
+offers.get('/me/received', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+
+    const result = await db.getOffers({ page, limit, fundedOnly: true, filter: { owner_fid: user.fid } })
+
+    return c.json({
+      offers: result.offers.map(transformOffer),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching received offers:', error)
+    return c.json({ error: 'Failed to fetch received offers' }, 500)
+  }
+})
+
+// Get offers, optionally filtered by maker FID
+offers.get('/', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+    const makerFid = c.req.query('maker_fid') ? parseInt(c.req.query('maker_fid')) : null
+    const activeOnly = c.req.query('status') !== 'all'
+
+    if (c.req.query('maker_fid') && isNaN(makerFid)) {
+      return c.json({ error: 'Invalid maker FID' }, 400)
+    }
+
+    const filter = {}
+    if (makerFid) filter.buyer_fid = makerFid
+
+    const result = await db.getOffers({ page, limit, activeOnly, filter })
+
+    return c.json({
+      offers: result.offers.map(transformOffer),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching offers:', error)
+    return c.json({ error: 'Failed to fetch offers' }, 500)
+  }
+})
+
+// Get offers received by an owner FID
+offers.get('/received/:fid', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const fid = parseInt(c.req.param('fid'))
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+
+    if (isNaN(fid)) {
+      return c.json({ error: 'Invalid FID' }, 400)
+    }
+
+    const result = await db.getOffers({ page, limit, fundedOnly: true, filter: { owner_fid: fid } })
+
+    return c.json({
+      offers: result.offers.map(transformOffer),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching received offers:', error)
+    return c.json({ error: 'Failed to fetch received offers' }, 500)
+  }
+})
+
+// Get offers for a specific NFT
+offers.get('/nft/:contract/:tokenId', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const contract = c.req.param('contract')
+    const tokenId = c.req.param('tokenId')
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+    const activeOnly = c.req.query('status') !== 'all'
+
+    const result = await db.getOffers({
+      page,
+      limit,
+      activeOnly,
+      fundedOnly: true,
+      filter: { nft_contract: contract, token_id: tokenId }
+    })
+
+    return c.json({
+      offers: result.offers.map(transformOffer),
+      pagination: result.pagination
+    })
+  } catch (error) {
+    console.error('Error fetching NFT offers:', error)
+    return c.json({ error: 'Failed to fetch NFT offers' }, 500)
+  }
+})
+
+// Get single offer
+offers.get('/:id', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const offerId = c.req.param('id')
+
+    const offer = await db.getOffer(offerId)
+    if (!offer) {
+      return c.json({ error: 'Offer not found' }, 404)
+    }
+
+    return c.json(transformOffer(offer))
+  } catch (error) {
+    console.error('Error fetching offer:', error)
+    return c.json({ error: 'Failed to fetch offer' }, 500)
+  }
+})
+
+// Create a Seaport-signed USDC or WETH offer (protected - uses JWT)
+offers.post('/', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const body = await c.req.json()
+    const user = c.get('user')
+
+    if (!body.orderParameters || typeof body.orderParameters !== 'object') {
+      return c.json({ error: 'Seaport orderParameters are required' }, 400)
+    }
+
+    // Handle both formats: direct parameters or wrapped in { parameters, signature }
+    const orderData = body.orderParameters
+    const orderParameters = orderData.parameters || orderData
+    const signature = orderData.signature || body.signature
+    if (!signature) {
+      return c.json({ error: 'Seaport order signature is required' }, 400)
+    }
+
+    const bidderAddress = orderParameters.offerer
+
+    // The bidder offers USDC or WETH...
+    const paymentOfferItem = orderParameters.offer?.length === 1 ? orderParameters.offer[0] : null
+    const currency = paymentOfferItem ? getItemCurrency(paymentOfferItem, c.env) : null
+    if (!OFFER_CURRENCIES.includes(currency)) {
+      return c.json({ error: 'Offer must contain a single USDC or WETH item' }, 400)
+    }
+
+    // ...and asks for the NFT to be sent to them, plus the marketplace fee.
+    // ERC721_WITH_CRITERIA makes it a collection offer (criteria 0) or a trait offer (merkle root)
+    const nftConsiderationItem = orderParameters.consideration?.find(item =>
+      (item.itemType === 2 /* ERC721 */ || item.itemType === 3 /* ERC1155 */ || item.itemType === 4 /* ERC721_WITH_CRITERIA */) &&
+      item.recipient.toLowerCase() === bidderAddress.toLowerCase()
+    )
+    if (!nftConsiderationItem) {
+      return c.json({ error: 'Valid NFT (ERC721/ERC1155) for the bidder must be in consideration items' }, 400)
+    }
+
+    let tokenId = nftConsiderationItem.identifierOrCriteria.toString()
+    let criteriaSet = null
+    if (nftConsiderationItem.itemType === 4) {
+      if (BigInt(tokenId) !== 0n) {
+        // Only roots we built can be filled, since owners need our proofs
+        const root = `0x${BigInt(tokenId).toString(16).padStart(64, '0')}`
+        criteriaSet = await db.getCriteriaSet(root, nftConsiderationItem.token)
+        if (!criteriaSet) {
+          return c.json({ error: 'Unknown criteria root for this collection' }, 400)
+        }
+      }
+      tokenId = null
+    }
+
+    // Fee, currency, timing, zone and conduit rules every stored order has to meet
+    const policy = checkOrderPolicy(orderParameters, c.env, { side: 'offer', currencies: OFFER_CURRENCIES })
+    if (!policy.valid) {
+      const { valid, ...policyError } = policy
+      return c.json(policyError, 400)
+    }
+
+    // Verify the signature the same way /api/seaport/validate does
+    const verification = await verifyOrderSignature(c.env, orderParameters, signature)
+    if (!verification.valid) {
+      return c.json({ error: verification.error, orderHash: verification.orderHash }, 400)
+    }
+    if (body.orderHash && body.orderHash.toLowerCase() !== verification.orderHash.toLowerCase()) {
+      return c.json({ error: 'Order hash does not match order parameters' }, 400)
+    }
+
+    // Orders signed before the wallet's last incrementCounter can never be filled
+    const currentCounter = await db.getSeaportCounter(orderParameters.offerer)
+    if (currentCounter !== null && BigInt(orderParameters.counter ?? 0) < BigInt(currentCounter)) {
+      return c.json({ error: 'Order was signed with an outdated Seaport counter' }, 400)
+    }
+
+    const amount = fromBaseUnits(paymentOfferItem.startAmount, currency)
+
+    const result = await db.createOffer({
+      buyer_fid: user.fid,
+      buyer_address: bidderAddress,
+      nft_contract: nftConsiderationItem.token,
+      token_id: tokenId,
+      amount,
+      expiry: new Date(parseInt(orderParameters.endTime) * 1000).toISOString(),
+      contract_type: 'seaport',
+      order_hash: verification.orderHash,
+      order_parameters: JSON.stringify({ parameters: orderParameters, signature }), // Store parameters + signature
+      zone_address: orderParameters.zone?.toLowerCase(),
+      conduit_key: orderParameters.conduitKey,
+      salt: orderParameters.salt,
+      counter: orderParameters.counter,
+      criteria_root: criteriaSet?.root,
+      trait_type: criteriaSet?.trait_type,
+      trait_value: criteriaSet?.trait_value,
+      currency
+    })
+
+    const createdOffer = await db.getOffer(result.meta.last_row_id)
+    return c.json(transformOffer(createdOffer))
+  } catch (error) {
+    console.error('Error creating offer:', error)
+    return c.json({ error: `Failed to create offer: ${error.message}` }, 500)
+  }
+})
+
+// Record acceptance of a Seaport offer by the NFT owner (protected route)
+offers.post('/:id/accept', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user') // Authenticated user is the seller
+    const offerId = c.req.param('id')
+    const body = await c.req.json()
+
+    if (!body.txHash) {
+      return c.json({ error: 'Transaction hash (txHash) is required' }, 400)
+    }
+
+    const offer = await db.getOffer(offerId)
+    if (!offer) return c.json({ error: 'Offer not found' }, 404)
+    if (offer.contract_type !== 'seaport') return c.json({ error: 'Only Seaport offers can be accepted here' }, 400)
+    if (offer.buyer_fid === user.fid) return c.json({ error: 'Bidder cannot accept their own offer' }, 400)
+
+    const { createRpcClient, waitForAndGetTransactionReceipt } = await import('../utils/rpc-client.js')
+    const client = createRpcClient(c.env)
+    const receipt = await waitForAndGetTransactionReceipt(client, body.txHash)
+
+    if (receipt.status !== 'success') return c.json({ error: 'Transaction failed' }, 400)
+
+    // The NFT owner fulfilled the bidder's order, so they are the recipient of the offered tokens.
+    // For collection and trait offers the consideration carries the token they chose
+    const fulfilled = findOrderFulfilledEvent(c.env, receipt, offer.order_hash)
+    if (!fulfilled) return c.json({ error: 'Seaport OrderFulfilled event not found for this offer orderHash' }, 400)
+
+    const sellerAddress = fulfilled.recipient
+    const nftItem = fulfilled.consideration?.find(item =>
+      item.token.toLowerCase() === offer.nft_contract.toLowerCase()
+    )
+    const filledTokenId = nftItem ? nftItem.identifier.toString() : offer.token_id
+
+    await db.markSeaportOfferAcceptedByOrderHash({
+      orderHash: offer.order_hash,
+      sellerAddress,
+      sellerFid: user.fid,
+      acceptTxHash: body.txHash,
+      filledTokenId
+    })
+
+    // Seller is the actor; the indexer skips this row if it sees the same tx later
+    await db.recordActivity({
+      type: 'offer_accepted',
+      actor_fid: user.fid,
+      actor_address: sellerAddress,
+      nft_contract: offer.nft_contract,
+      token_id: filledTokenId,
+      price: offer.amount,
+      metadata: JSON.stringify({
+        offer_id: offer.id,
+        order_hash: offer.order_hash,
+        buyer: offer.buyer_address,
+        buyer_fid: offer.buyer_fid,
+        contract_type: 'seaport'
+      }),
+      tx_hash: body.txHash,
+      contract_type: 'seaport',
+      currency: offer.currency
+    })
+
+    const updatedOffer = await db.getOffer(offerId)
+    return c.json(transformOffer(updatedOffer))
+  } catch (error) {
+    console.error('Error recording offer acceptance:', error)
+    return c.json({ error: `Failed to record offer acceptance: ${error.message}` }, 500)
+  }
+})
+
+// Decline an offer received on an NFT the current user owns (protected route)
+offers.post('/:id/decline', authMiddleware(), async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const user = c.get('user')
+    const offerId = c.req.param('id')
+
+    const offer = await db.getOffer(offerId)
+    if (!offer) return c.json({ error: 'Offer not found' }, 404)
+
+    const isOwner = await db.isOfferForOwner(offerId, user.fid)
+    if (!isOwner) {
+      return c.json({ error: 'Only the NFT owner can decline this offer' }, 403)
+    }
+
+    if (offer.accepted_at || offer.cancelled_at || offer.declined_at) {
+      return c.json({ error: 'Offer is no longer active' }, 400)
+    }
+
+    // Declining is a flag on the offer, which would hide a collection offer from every other holder too
+    if (!offer.token_id) {
+      return c.json({ error: 'Collection and trait offers cannot be declined' }, 400)
+    }
+
+    await db.declineOffer(offerId, user.fid)
+
+    const updatedOffer = await db.getOffer(offerId)
+    return c.json(transformOffer(updatedOffer))
+  } catch (error) {
+    console.error('Error declining offer:', error)
+    return c.json({ error: 'Failed to decline offer' }, 500)
+  }
+})
+
+export default offers
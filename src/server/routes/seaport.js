@@ -1,8 +1,9 @@
 import { Hono } from 'hono';
-import { recoverTypedDataAddress } from 'viem';
-import { getOrderHash, getSeaportDomain, seaportOrderTypes, EIP712_PRIMARY_TYPE } from '../utils/seaport.js';
-import { createRpcClient } from '../utils/rpc-client.js';
-import { SEAPORT_ABI } from '../blockchain.js'; // To interact with Seaport for status check
+import { verifyOrderSignature, getOnChainOrderStatus } from '../utils/seaport.js';
+import { createRpcClient, waitForAndGetTransactionReceipt } from '../utils/rpc-client.js';
+import { Database } from '../db.js';
+import { BlockchainService } from '../blockchain.js';
+import { authMiddleware } from '../middleware/auth.js';
 
 const seaport = new Hono();
 
@@ -19,79 +20,32 @@ seaport.post('/validate', async (c) => {
       return c.json({ valid: false, error: 'signature is required' }, 400);
     }
 
-    // 1. Calculate the order hash (using the utility from seaport.js)
-    // Note: getOrderHash from seaport.js doesn't require chainId or seaportAddress
-    // as it calculates the struct hash, not the EIP-712 digest.
-    const orderHash = getOrderHash(orderParameters);
-
-    // 2. Verify the EIP-712 signature
-    const chainId = c.env.CHAIN_ID ? parseInt(c.env.CHAIN_ID) : 8453; // Default to Base, ensure CHAIN_ID is in env
-    const seaportContractAddress = c.env.SEAPORT_CONTRACT_ADDRESS;
-
-    if (!seaportContractAddress) {
+    if (!c.env.SEAPORT_CONTRACT_ADDRESS) {
         console.error("SEAPORT_CONTRACT_ADDRESS environment variable is not set.");
         return c.json({ valid: false, error: 'Server configuration error for Seaport address.' }, 500);
     }
-    if (!chainId) {
-        console.error("CHAIN_ID environment variable is not set.");
-        return c.json({ valid: false, error: 'Server configuration error for Chain ID.' }, 500);
-    }
 
-    let recoveredAddress;
-    try {
-      recoveredAddress = await recoverTypedDataAddress({
-        domain: getSeaportDomain(chainId, seaportContractAddress),
-        types: seaportOrderTypes,
-        primaryType: EIP712_PRIMARY_TYPE,
-        message: orderParameters, // The OrderComponents struct itself
-        signature: signature,
-      });
-    } catch (e) {
-      console.error("Error during signature recovery:", e);
-      return c.json({ valid: false, orderHash, error: `Signature recovery failed: ${e.message}` }, 400);
-    }
+    // 1. Calculate the order hash and verify the EIP-712 signature
+    const verification = await verifyOrderSignature(c.env, orderParameters, signature);
+    const { orderHash } = verification;
 
-    const offererAddress = orderParameters.offerer;
-    if (recoveredAddress.toLowerCase() !== offererAddress.toLowerCase()) {
+    if (!verification.valid) {
       return c.json({
         valid: false,
         orderHash,
-        error: 'Invalid signature: recovered address does not match offerer',
-        recoveredAddress: recoveredAddress.toLowerCase(),
-        offererAddress: offererAddress.toLowerCase()
+        error: verification.error,
+        ...(verification.recoveredAddress && {
+          recoveredAddress: verification.recoveredAddress,
+          offererAddress: orderParameters.offerer.toLowerCase()
+        })
       }, 400);
     }
 
-    // 3. Optional: On-Chain Status Check
+    // 2. Optional: On-Chain Status Check
     let onChainStatus = 'unknown'; // Default status if check is skipped or fails
-    let orderStatusFromContract;
     try {
       const rpcClient = createRpcClient(c.env);
-      
-      // Call Seaport's getOrderStatus function
-      orderStatusFromContract = await rpcClient.readContract({
-        address: seaportContractAddress,
-        abi: SEAPORT_ABI,
-        functionName: 'getOrderStatus',
-        args: [orderHash],
-      });
-
-      const [isValidated, isCancelled, totalFilled, totalSize] = orderStatusFromContract;
-      
-      // First check if expired
-      const currentTime = Math.floor(Date.now() / 1000);
-      if (parseInt(orderParameters.endTime) < currentTime) {
-        onChainStatus = 'expired';
-      } else if (isCancelled) {
-        onChainStatus = 'cancelled';
-      } else if (totalFilled >= totalSize && totalSize > 0) { // totalSize might be 0 for some order types
-        onChainStatus = 'filled';
-      } else if (isValidated) { // And not cancelled or filled
-        onChainStatus = 'validated'; // Means it's active and fillable by Seaport's view
-      } else {
-        onChainStatus = 'not_validated'; // Not yet seen/validated by Seaport, or invalid parameters
-      }
-
+      onChainStatus = await getOnChainOrderStatus(c.env, rpcClient, orderHash, orderParameters.endTime);
     } catch (e) {
       console.error("Error checking on-chain order status:", e);
       // Don't fail the whole validation if on-chain check fails, but report it.
@@ -110,4 +64,42 @@ seaport.post('/validate', async (c) => {
   }
 });
 
+// Record a cancel-all (protected route). The client sends the hash of its
+// incrementCounter transaction; the CounterIncremented event in it cancels every
+// stored order the wallet signed before, without waiting for the indexer
+seaport.post('/cancel-all', authMiddleware(), async (c) => {
+  try {
+    const { txHash } = await c.req.json();
+    if (!txHash) {
+      return c.json({ error: 'Transaction hash (txHash) is required' }, 400);
+    }
+
+    const blockchain = new BlockchainService(c.env);
+    const receipt = await waitForAndGetTransactionReceipt(blockchain.client, txHash);
+    if (receipt.status !== 'success') {
+      return c.json({ error: 'Transaction failed' }, 400);
+    }
+
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === c.env.SEAPORT_CONTRACT_ADDRESS?.toLowerCase())
+      .map(log => blockchain.decodeSeaportCounterIncremented(log))
+      .find(Boolean);
+    if (!event) {
+      return c.json({ error: 'Seaport CounterIncremented event not found in this transaction' }, 400);
+    }
+
+    const cancelled = await blockchain.processSeaportCounterIncremented(event, new Database(c.env.DB));
+
+    return c.json({
+      success: true,
+      counter: event.newCounter.toString(),
+      cancelledListings: cancelled.listings.map(listing => listing.id),
+      cancelledOffers: cancelled.offers.map(offer => offer.id)
+    });
+  } catch (error) {
+    console.error('Error recording cancel-all:', error);
+    return c.json({ error: `Failed to record cancel-all: ${error.message}` }, 500);
+  }
+});
+
 export default seaport;
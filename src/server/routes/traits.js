@@ -0,0 +1,103 @@
+import { Hono } from 'hono'
+import { Database } from '../db.js'
+import { authMiddleware } from '../middleware/auth.js'
+import { TraitIndex } from '../services/trait-index.js'
+import { getCriteriaProof } from '../utils/merkle.js'
+
+const traits = new Hono()
+
+// Get indexed traits for a collection, with how many tokens carry each value
+traits.get('/:contract', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const contract = c.req.param('contract')
+
+    const rows = await db.getCollectionTraits(contract)
+
+    return c.json({
+      contract: contract.toLowerCase(),
+      traits: rows.map(row => ({
+        traitType: row.trait_type,
+        traitValue: row.trait_value,
+        tokenCount: row.token_count
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching collection traits:', error)
+    return c.json({ error: 'Failed to fetch collection traits' }, 500)
+  }
+})
+
+// Build the criteria root for a trait so a bidder can sign a trait offer (protected route)
+traits.post('/:contract/criteria', authMiddleware(), async (c) => {
+  try {
+    const contract = c.req.param('contract')
+    const { traitType, traitValue } = await c.req.json()
+
+    if (!traitType || traitValue === undefined || traitValue === null) {
+      return c.json({ error: 'traitType and traitValue are required' }, 400)
+    }
+
+    const traitIndex = new TraitIndex(c.env)
+    const criteriaSet = await traitIndex.createTraitCriteria(contract, traitType, String(traitValue))
+
+    if (!criteriaSet) {
+      return c.json({ error: 'No indexed tokens have this trait' }, 404)
+    }
+
+    return c.json({
+      root: criteriaSet.root,
+      contract: criteriaSet.nft_contract,
+      traitType: criteriaSet.trait_type,
+      traitValue: criteriaSet.trait_value,
+      tokenCount: criteriaSet.token_count
+    })
+  } catch (error) {
+    console.error('Error creating trait criteria:', error)
+    return c.json({ error: 'Failed to create trait criteria' }, 500)
+  }
+})
+
+// Get the token IDs that qualify for a criteria root
+traits.get('/criteria/:root', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const root = c.req.param('root').toLowerCase()
+
+    const tokenIds = await db.getCriteriaTokenIds(root)
+    if (tokenIds.length === 0) {
+      return c.json({ error: 'Criteria root not found' }, 404)
+    }
+
+    return c.json({ root, tokenIds })
+  } catch (error) {
+    console.error('Error fetching criteria tokens:', error)
+    return c.json({ error: 'Failed to fetch criteria tokens' }, 500)
+  }
+})
+
+// Get the merkle proof an owner needs to fill a trait offer with a token
+traits.get('/criteria/:root/proof/:tokenId', async (c) => {
+  try {
+    const db = new Database(c.env.DB)
+    const root = c.req.param('root').toLowerCase()
+    const tokenId = c.req.param('tokenId')
+
+    const tokenIds = await db.getCriteriaTokenIds(root)
+    if (tokenIds.length === 0) {
+      return c.json({ error: 'Criteria root not found' }, 404)
+    }
+
+    const proof = getCriteriaProof(tokenIds, tokenId)
+    if (!proof) {
+      return c.json({ error: 'Token does not qualify for this offer' }, 400)
+    }
+
+    return c.json({ root, tokenId, proof })
+  } catch (error) {
+    console.error('Error building criteria proof:', error)
+    return c.json({ error: 'Failed to build criteria proof' }, 500)
+  }
+})
+
+export default traits
@@ -2,6 +2,7 @@ import { Hono } from 'hono'
 import { Database } from '../db.js'
 import { authMiddleware } from '../middleware/auth.js'
 import { fetchWalletNFTs } from '../utils/nft-fetcher.js'
+import { NeynarService } from '../neynar.js'
 
 const users = new Hono()
 
@@ -24,6 +25,37 @@ users.get('/me/nfts', authMiddleware(), async (c) => {
   }
 })
 
+// Resolve a Farcaster username to the wallet a private listing is reserved for (protected)
+users.get('/lookup/:username', authMiddleware(), async (c) => {
+  try {
+    if (!c.env.NEYNAR_API_KEY) {
+      return c.json({ error: 'User lookup is not configured' }, 503)
+    }
+
+    const username = c.req.param('username').replace(/^@/, '').toLowerCase()
+    const neynar = new NeynarService(c.env.NEYNAR_API_KEY)
+    const user = await neynar.fetchUserByUsername(username)
+
+    if (!user) {
+      return c.json({ error: `No Farcaster user named @${username}` }, 404)
+    }
+    if (!user.primary_address) {
+      return c.json({ error: `@${username} has no verified wallet` }, 404)
+    }
+
+    return c.json({
+      fid: user.fid,
+      username: user.username,
+      displayName: user.display_name,
+      pfpUrl: user.pfp_url,
+      address: user.primary_address
+    })
+  } catch (error) {
+    console.error('Error looking up user:', error)
+    return c.json({ error: 'Failed to look up user' }, 500)
+  }
+})
+
 // Get any user's public NFTs by FID
 users.get('/:fid/nfts', async (c) => {
   try {
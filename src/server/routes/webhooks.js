@@ -1,57 +1,88 @@
 import { Hono } from 'hono'
+import { Database } from '../db.js'
 import { EventIndexer } from '../indexer.js'
+import { verifyAlchemySignature } from '../utils/alchemy-webhook.js'
 
 const webhooks = new Hono()
 
 // Alchemy webhook endpoint
 webhooks.post('/alchemy', async (c) => {
   try {
-    const body = await c.req.json()
-    
-    // Verify the webhook signature if configured
+    // Without the signing key there's no telling real deliveries from forged sales
+    if (!c.env.ALCHEMY_WEBHOOK_SECRET) {
+      console.error('ALCHEMY_WEBHOOK_SECRET is not set; rejecting webhook')
+      return c.json({ error: 'Webhook verification is not configured' }, 503)
+    }
+
+    // The signature covers the body exactly as sent, so it's read raw before parsing
+    const rawBody = await c.req.text()
     const alchemySignature = c.req.header('x-alchemy-signature')
-    if (c.env.ALCHEMY_WEBHOOK_SECRET) {
-      // TODO: Implement signature verification
-      // For now, we'll trust the webhook
+    if (!await verifyAlchemySignature(rawBody, alchemySignature, c.env.ALCHEMY_WEBHOOK_SECRET)) {
+      return c.json({ error: 'Invalid webhook signature' }, 401)
+    }
+
+    let body
+    try {
+      body = JSON.parse(rawBody)
+    } catch (error) {
+      return c.json({ error: 'Invalid JSON body' }, 400)
+    }
+
+    console.log('Received Alchemy webhook:', body.type, body.id)
+
+    // Nothing is applied while the chain event log is replayed; Alchemy redelivers later
+    const db = new Database(c.env.DB)
+    if (await db.getActiveChainReplay()) {
+      return c.json({ error: 'Chain events are being replayed' }, 503)
     }
-    
-    console.log('Received Alchemy webhook:', body.type)
-    
-    // Handle different webhook types
-    if (body.type === 'ADDRESS_ACTIVITY') {
-      const indexer = new EventIndexer(c.env)
-      
-      // Process each activity
-      for (const activity of body.event.activity) {
-        // Check if this is a transaction to our contract
-        if (activity.toAddress?.toLowerCase() === c.env.CONTRACT_ADDRESS.toLowerCase() ||
-            activity.fromAddress?.toLowerCase() === c.env.CONTRACT_ADDRESS.toLowerCase()) {
-          
-          console.log('Processing contract activity:', activity.hash)
-          
-          // Process the transaction logs
-          if (activity.log) {
-            await indexer.processWebhookTransaction(activity.hash, [activity.log])
-          }
+
+    // Alchemy redelivers until it gets a 2xx, so each event ID is only handled once.
+    // The ID is claimed while the payload is processed and marked afterwards, so a
+    // delivery that dies half-way is processed again when it's redelivered
+    if (body.id) {
+      const { claimed, status } = await db.claimWebhookEvent(body.id, body.type)
+      if (!claimed) {
+        if (status === 'processing') {
+          return c.json({ error: 'Event is already being processed' }, 503)
         }
+        return c.json({ success: true, duplicate: true })
+      }
+    }
+
+    try {
+      // Failures are kept for a retry from the admin API rather than left to redelivery
+      let errors
+      try {
+        const indexer = new EventIndexer(c.env)
+        const result = await indexer.processAlchemyWebhook(body)
+        errors = result.errors
+      } catch (error) {
+        console.error('Error processing Alchemy webhook payload:', error)
+        errors = [error.message]
       }
-    } else if (body.type === 'MINED_TRANSACTION') {
-      const indexer = new EventIndexer(c.env)
-      
-      // Process the mined transaction
-      if (body.event.transaction && body.event.logs) {
-        await indexer.processWebhookTransaction(
-          body.event.transaction.hash,
-          body.event.logs
-        )
+
+      if (errors.length > 0) {
+        await db.createWebhookDeadLetter({
+          eventId: body.id,
+          type: body.type,
+          payload: rawBody,
+          error: errors.join('\n')
+        })
+        if (body.id) await db.completeWebhookEvent(body.id, 'dead_lettered')
+        return c.json({ success: false, deadLettered: true })
       }
+
+      if (body.id) await db.completeWebhookEvent(body.id, 'processed')
+      return c.json({ success: true })
+    } catch (error) {
+      // Nothing recorded the outcome, so let the redelivery try again
+      if (body.id) await db.releaseWebhookEvent(body.id).catch(() => {})
+      throw error
     }
-    
-    return c.json({ success: true })
   } catch (error) {
     console.error('Error processing Alchemy webhook:', error)
     return c.json({ error: 'Webhook processing failed' }, 500)
   }
 })
 
-export default webhooks
\ No newline at end of file
+export default webhooks
@@ -0,0 +1,63 @@
+import { Database } from '../db.js'
+import { fetchContractNFTs } from '../utils/nft-fetcher.js'
+import { getCriteriaRoot, normalizeTokenIds } from '../utils/merkle.js'
+
+export class TraitIndex {
+  constructor(env) {
+    this.env = env
+    this.db = new Database(env.DB)
+  }
+
+  /**
+   * Index token attributes for a collection, a few pages at a time.
+   * Returns the next page key so large collections can be indexed across
+   * several calls without hitting the Worker's subrequest limits.
+   */
+  async indexCollection(nftContract, { pageKey = null, maxPages = 5 } = {}) {
+    let indexed = 0
+    let nextPageKey = pageKey
+
+    for (let page = 0; page < maxPages; page++) {
+      const result = await fetchContractNFTs(nftContract, this.env.ALCHEMY_API_KEY, nextPageKey)
+
+      for (const nft of result.nfts) {
+        await this.db.upsertTokenTraits(nftContract, BigInt(nft.tokenId).toString(), nft.attributes)
+        indexed++
+      }
+
+      nextPageKey = result.pageKey
+      if (!nextPageKey) break
+    }
+
+    console.log(`Indexed traits for ${indexed} tokens of ${nftContract}`)
+
+    return {
+      indexed,
+      pageKey: nextPageKey,
+      complete: !nextPageKey
+    }
+  }
+
+  /**
+   * Build (or look up) the criteria set of every indexed token with a trait
+   */
+  async createTraitCriteria(nftContract, traitType, traitValue) {
+    const tokenIds = normalizeTokenIds(
+      await this.db.getTokenIdsWithTrait(nftContract, traitType, traitValue)
+    )
+
+    if (tokenIds.length === 0) {
+      return null
+    }
+
+    const root = getCriteriaRoot(tokenIds)
+
+    return await this.db.saveCriteriaSet({
+      root,
+      nft_contract: nftContract,
+      trait_type: traitType,
+      trait_value: traitValue,
+      token_ids: tokenIds
+    })
+  }
+}
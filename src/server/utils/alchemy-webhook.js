@@ -0,0 +1,36 @@
+/**
+ * Alchemy webhook signatures.
+ *
+ * Alchemy signs each delivery with the webhook's signing key: the
+ * x-alchemy-signature header is the hex HMAC-SHA256 of the raw request body.
+ * Anything that doesn't verify could be a forged sale, so it is rejected.
+ */
+
+function hexToBytes(hex) {
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex
+  if (clean.length === 0 || clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) return null
+  return Uint8Array.from(clean.match(/../g), byte => parseInt(byte, 16))
+}
+
+/**
+ * Check a webhook body against its x-alchemy-signature header
+ * @param {string} rawBody - Request body exactly as received
+ * @param {string|undefined} signature - x-alchemy-signature header
+ * @param {string} signingKey - ALCHEMY_WEBHOOK_SECRET
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAlchemySignature(rawBody, signature, signingKey) {
+  const signatureBytes = signature ? hexToBytes(signature.trim()) : null
+  if (!signatureBytes) return false
+
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(signingKey),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  )
+  // verify compares in constant time, unlike comparing hex strings
+  return await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(rawBody))
+}
@@ -0,0 +1,131 @@
+/**
+ * Payment currencies for listings, offers and activity.
+ *
+ * Listings can be priced in native ETH, WETH or USDC. Prices are stored as
+ * decimal amounts of their own currency; sorting and price filters compare
+ * them in USD through the reference rates in the currency_rates table.
+ * Mirrored by src/client/utils/currency.js.
+ */
+
+import { formatUnits } from 'viem'
+
+export const DEFAULT_CURRENCY = 'USDC'
+
+const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+const WETH_ADDRESS = '0x4200000000000000000000000000000000000006'
+const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+export const CURRENCIES = {
+  USDC: { symbol: 'USDC', itemType: 1, decimals: 6, displayDecimals: 2 },
+  ETH: { symbol: 'ETH', itemType: 0, decimals: 18, displayDecimals: 4 },
+  WETH: { symbol: 'WETH', itemType: 1, decimals: 18, displayDecimals: 4 }
+}
+
+/**
+ * Token address of a currency, honouring the USDC_ADDRESS and WETH_ADDRESS vars
+ * @param {string} symbol - Currency symbol
+ * @param {Object} [env] - Worker environment
+ * @returns {string}
+ */
+export function getCurrencyToken(symbol, env = {}) {
+  if (symbol === 'ETH') return NATIVE_TOKEN_ADDRESS
+  if (symbol === 'WETH') return env.WETH_ADDRESS || WETH_ADDRESS
+  return env.USDC_ADDRESS || USDC_ADDRESS
+}
+
+/**
+ * Currency paid by a Seaport offer or consideration item
+ * @param {Object} item - Item with itemType and token
+ * @param {Object} [env] - Worker environment
+ * @returns {string|null} Currency symbol, or null if the item is not a supported payment
+ */
+export function getItemCurrency(item, env = {}) {
+  const itemType = Number(item.itemType)
+  if (itemType === 0) return 'ETH'
+  if (itemType !== 1) return null
+
+  const token = item.token.toLowerCase()
+  return Object.keys(CURRENCIES).find(symbol =>
+    CURRENCIES[symbol].itemType === 1 && getCurrencyToken(symbol, env).toLowerCase() === token
+  ) || null
+}
+
+/**
+ * Convert base units of a currency to a decimal amount
+ * @param {bigint|string|number} amount - Amount in base units
+ * @param {string} currency - Currency symbol
+ * @returns {number}
+ */
+export function fromBaseUnits(amount, currency) {
+  return Number(formatUnits(BigInt(amount), CURRENCIES[currency].decimals))
+}
+
+/**
+ * Total paid by a set of Seaport items, all of which must be in one currency
+ * @param {Array} items - Offer or consideration items
+ * @param {Object} [env] - Worker environment
+ * @param {string} [amountKey] - 'startAmount', 'endAmount', or 'amount' for event items
+ * @returns {{ currency: string|null, amount: number }} currency is null when no item pays anything
+ * @throws {Error} If the items mix currencies or pay in an unsupported token
+ */
+export function getPaymentAmount(items, env = {}, amountKey = 'startAmount') {
+  let currency = null
+  let total = 0n
+
+  for (const item of items) {
+    const itemCurrency = getItemCurrency(item, env)
+    if (!itemCurrency) {
+      throw new Error(`Unsupported payment token ${item.token}`)
+    }
+    if (currency && itemCurrency !== currency) {
+      throw new Error('All payments in an order must use the same currency')
+    }
+    currency = itemCurrency
+    total += BigInt(item[amountKey] ?? item.startAmount)
+  }
+
+  return { currency, amount: currency ? fromBaseUnits(total, currency) : 0 }
+}
+
+/**
+ * Human-readable amount with its currency symbol, e.g. "12.50 USDC" or "0.05 ETH"
+ * @param {number|string} amount - Decimal amount
+ * @param {string} [currency] - Currency symbol
+ * @returns {string}
+ */
+export function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  return `${formatAmount(amount, currency)} ${CURRENCIES[currency]?.symbol || currency}`
+}
+
+/**
+ * Amount rounded for display in its currency, without the symbol
+ * @param {number|string} amount - Decimal amount
+ * @param {string} [currency] - Currency symbol
+ * @returns {string}
+ */
+export function formatAmount(amount, currency = DEFAULT_CURRENCY) {
+  const { displayDecimals } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]
+  const value = Number(amount || 0)
+  // USDC always shows cents; ETH amounts drop trailing zeros
+  return currency === 'USDC' ? value.toFixed(displayDecimals) : String(Number(value.toFixed(displayDecimals)))
+}
+
+/**
+ * SQL join that brings a row's USD reference rate in as `${rateAlias}.usd_rate`
+ * @param {string} alias - Alias of the table with a currency column
+ * @param {string} [rateAlias] - Alias for currency_rates
+ * @returns {string}
+ */
+export function currencyRateJoin(alias, rateAlias = 'cr') {
+  return `LEFT JOIN currency_rates ${rateAlias} ON ${rateAlias}.currency = COALESCE(${alias}.currency, '${DEFAULT_CURRENCY}')`
+}
+
+/**
+ * SQL expression converting a price expression to USD with the joined reference rate
+ * @param {string} priceSql - Price expression in the row's currency
+ * @param {string} [rateAlias] - Alias used in currencyRateJoin
+ * @returns {string}
+ */
+export function usdPriceSql(priceSql, rateAlias = 'cr') {
+  return `(${priceSql} * COALESCE(${rateAlias}.usd_rate, 1))`
+}
@@ -0,0 +1,92 @@
+/**
+ * Dutch auction pricing for Seaport listings.
+ *
+ * A Dutch auction is a listing whose end_price differs from its start price.
+ * Seaport interpolates linearly between startAmount and endAmount over
+ * startTime..endTime, so the current price is computed the same way here.
+ */
+
+import { DEFAULT_CURRENCY, formatAmount } from './currency.js'
+
+/**
+ * Check whether a DB listing row is a Dutch auction
+ * @param {Object} listing - Listing row with price and end_price
+ * @returns {boolean}
+ */
+export function isDutchAuction(listing) {
+  return listing.end_price !== null && listing.end_price !== undefined &&
+    Number(listing.end_price) !== Number(listing.price)
+}
+
+/**
+ * Current asking price of a listing, rounded up to USDC precision like
+ * Seaport rounds consideration amounts
+ * @param {Object} listing - Listing row with price, end_price, start_time and expiry
+ * @param {number} [now] - Timestamp in milliseconds
+ * @returns {number} Current price in USDC
+ */
+export function getCurrentPrice(listing, now = Date.now()) {
+  if (!isDutchAuction(listing)) return Number(listing.price)
+
+  const startPrice = Number(listing.price)
+  const endPrice = Number(listing.end_price)
+  const startTime = new Date(listing.start_time || listing.created_at).getTime()
+  const endTime = new Date(listing.expiry).getTime()
+
+  const duration = endTime - startTime
+  const progress = duration > 0 ? Math.min(1, Math.max(0, (now - startTime) / duration)) : 1
+  const price = startPrice + (endPrice - startPrice) * progress
+
+  return Math.ceil(price * 1e6) / 1e6
+}
+
+/**
+ * SQL expression for the current price of a listing, mirroring getCurrentPrice
+ * @param {string} alias - Table alias for listings
+ * @returns {string}
+ */
+export function currentPriceSql(alias) {
+  return `(CASE WHEN ${alias}.end_price IS NULL THEN ${alias}.price ELSE
+    ${alias}.price + (${alias}.end_price - ${alias}.price) * MIN(1.0, MAX(0.0,
+      (julianday('now') - julianday(${alias}.start_time)) /
+      (julianday(${alias}.expiry) - julianday(${alias}.start_time))
+    )) END)`
+}
+
+/**
+ * Auction fields added to listing API responses
+ * @param {Object} listing - Listing row
+ * @returns {Object}
+ */
+export function formatAuctionFields(listing) {
+  const dutch = isDutchAuction(listing)
+
+  return {
+    price: getCurrentPrice(listing),
+    auctionType: dutch ? 'dutch' : 'fixed',
+    startPrice: dutch ? Number(listing.price) : null,
+    endPrice: dutch ? Number(listing.end_price) : null,
+    startTime: dutch ? new Date(listing.start_time || listing.created_at).toISOString() : null
+  }
+}
+
+/**
+ * Price to render on a server page, formatted for the listing's currency, with
+ * the data attributes the client uses to count a Dutch auction's price down live
+ * @param {Object} listing - Listing row
+ * @returns {{ price: string, attrs: string }}
+ */
+export function livePrice(listing) {
+  const currency = listing.currency || DEFAULT_CURRENCY
+  if (!isDutchAuction(listing)) {
+    return { price: formatAmount(listing.price, currency), attrs: '' }
+  }
+
+  const startTime = new Date(listing.start_time || listing.created_at).toISOString()
+  const endTime = new Date(listing.expiry).toISOString()
+
+  return {
+    price: formatAmount(getCurrentPrice(listing), currency),
+    attrs: `data-dutch-auction data-currency="${currency}" data-start-price="${listing.price}" data-end-price="${listing.end_price}" data-start-time="${startTime}" data-end-time="${endTime}"`
+  }
+}
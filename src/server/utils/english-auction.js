@@ -0,0 +1,52 @@
+/**
+ * English auction bidding rules.
+ *
+ * Bids are Seaport offers on the auctioned token. The first bid has to meet
+ * the reserve price and every later bid has to beat the highest one by the
+ * auction's minimum increment.
+ */
+
+// Bids must stay fillable for a while after the auction ends so the seller has time to settle
+export const SETTLEMENT_WINDOW_SECONDS = 3 * 24 * 60 * 60
+
+/**
+ * Convert a USDC amount to base units (6 decimals) so bids compare exactly
+ * @param {number|string} amount - Amount in USDC
+ * @returns {bigint}
+ */
+export function toUsdcUnits(amount) {
+  return BigInt(Math.round(Number(amount) * 1e6))
+}
+
+/**
+ * Smallest bid the auction accepts next
+ * @param {Object} auction - Auction row with reserve_price and min_increment_bps
+ * @param {Object|null} highestBid - Highest active bid row
+ * @returns {number} Minimum bid in USDC, rounded up to USDC precision
+ */
+export function getMinimumBid(auction, highestBid) {
+  if (!highestBid) return Number(auction.reserve_price)
+
+  const highest = toUsdcUnits(highestBid.amount)
+  const minimum = (highest * BigInt(10000 + auction.min_increment_bps) + 9999n) / 10000n
+  return Number(minimum) / 1e6
+}
+
+/**
+ * Check a bid meets the reserve, or beats the highest bid by the minimum increment
+ * @param {Object} auction - Auction row with reserve_price and min_increment_bps
+ * @param {Object|null} highestBid - Highest active bid row
+ * @param {bigint|string} bidUnits - Amount bid, in USDC base units
+ * @returns {{ error: string, minimumBid: number }|null} null if the bid is high enough
+ */
+export function checkBidAmount(auction, highestBid, bidUnits) {
+  const minimumBid = getMinimumBid(auction, highestBid)
+  if (BigInt(bidUnits) >= toUsdcUnits(minimumBid)) return null
+
+  return {
+    error: highestBid
+      ? `Bid must be at least ${minimumBid} USDC to beat the current highest bid`
+      : `Bid must be at least the reserve price of ${minimumBid} USDC`,
+    minimumBid
+  }
+}
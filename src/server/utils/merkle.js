@@ -0,0 +1,81 @@
+import { keccak256, concat, pad, toHex } from 'viem'
+
+/**
+ * Merkle trees for Seaport criteria orders.
+ *
+ * Seaport verifies a criteria proof by hashing the token ID as a 32-byte word
+ * and then hashing sorted pairs up to the root, so leaves are keccak256(tokenId)
+ * and each parent is keccak256(min(a, b) ++ max(a, b)). An odd node at the end
+ * of a layer is carried up unchanged.
+ */
+
+function hashLeaf(tokenId) {
+  return keccak256(pad(toHex(BigInt(tokenId)), { size: 32 }))
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]))
+}
+
+/**
+ * Sort and de-duplicate token IDs so the same set always produces the same root
+ * @param {Array<string|number|bigint>} tokenIds
+ * @returns {string[]} Sorted decimal token IDs
+ */
+export function normalizeTokenIds(tokenIds) {
+  return [...new Set(tokenIds.map(id => BigInt(id)))]
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(id => id.toString())
+}
+
+function buildLayers(tokenIds) {
+  const layers = [normalizeTokenIds(tokenIds).map(hashLeaf)]
+
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1]
+    const next = []
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i])
+    }
+    layers.push(next)
+  }
+
+  return layers
+}
+
+/**
+ * Compute the criteria merkle root for a set of token IDs
+ * @param {Array<string|number|bigint>} tokenIds
+ * @returns {string} The root as a 0x-prefixed bytes32 hex string
+ */
+export function getCriteriaRoot(tokenIds) {
+  if (!tokenIds || tokenIds.length === 0) {
+    throw new Error('Cannot build a criteria root from an empty token set')
+  }
+  const layers = buildLayers(tokenIds)
+  return layers[layers.length - 1][0]
+}
+
+/**
+ * Compute the proof that a token ID belongs to a criteria set
+ * @param {Array<string|number|bigint>} tokenIds The full eligible set
+ * @param {string|number|bigint} tokenId The token being proven
+ * @returns {string[]|null} The proof, or null if the token is not in the set
+ */
+export function getCriteriaProof(tokenIds, tokenId) {
+  const layers = buildLayers(tokenIds)
+  let index = layers[0].indexOf(hashLeaf(tokenId))
+  if (index === -1) return null
+
+  const proof = []
+  for (let level = 0; level < layers.length - 1; level++) {
+    const layer = layers[level]
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1
+    if (siblingIndex < layer.length) {
+      proof.push(layer[siblingIndex])
+    }
+    index = Math.floor(index / 2)
+  }
+
+  return proof
+}
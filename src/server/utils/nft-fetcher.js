@@ -75,4 +75,40 @@ export async function fetchWalletNFTs(address, alchemyApiKey) {
   })
   
   return { nfts: filteredNfts }
-}
\ No newline at end of file
+}
+
+/**
+ * Fetch one page of a collection's tokens with their attributes from Alchemy.
+ * Used to build the trait index for collection and trait offers.
+ */
+export async function fetchContractNFTs(contractAddress, alchemyApiKey, pageKey = null) {
+  if (!alchemyApiKey) {
+    throw new Error('ALCHEMY_API_KEY is required to fetch collection tokens')
+  }
+
+  const baseUrl = `https://base-mainnet.g.alchemy.com/nft/v3/${alchemyApiKey}/getNFTsForContract`
+  const params = new URLSearchParams({
+    contractAddress,
+    withMetadata: 'true',
+    limit: '100'
+  })
+  if (pageKey) {
+    params.append('startToken', pageKey)
+  }
+
+  const response = await fetch(`${baseUrl}?${params}`)
+
+  if (!response.ok) {
+    throw new Error(`Alchemy API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+
+  return {
+    nfts: (data.nfts || []).map(nft => ({
+      tokenId: nft.tokenId,
+      attributes: nft.raw?.metadata?.attributes || []
+    })),
+    pageKey: data.pageKey || null
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Funding checks for Seaport offers.
+ *
+ * Offers escrow nothing: when one is accepted the conduit pulls the bidder's
+ * USDC or WETH, so an offer can only be filled while the bidder still holds
+ * the amount and has approved the conduit for it. Balances and allowances for
+ * every bidder and currency are read in one batched multicall.
+ */
+
+import { ERC20_ABI } from '../../client/utils/contract.js'
+import { getConduitAddress } from './seaport.js'
+
+export const UNFUNDED_REASONS = {
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  INSUFFICIENT_ALLOWANCE: 'insufficient_allowance'
+}
+
+// The ERC20 the offer pays in and how much of it, in base units
+function getOfferPayment(offer) {
+  const orderData = JSON.parse(offer.order_parameters)
+  const parameters = orderData.parameters || orderData
+  const paymentItems = parameters.offer.filter(item => Number(item.itemType) === 1)
+  if (paymentItems.length === 0) return null
+
+  return {
+    token: paymentItems[0].token.toLowerCase(),
+    amount: paymentItems.reduce((sum, item) => sum + BigInt(item.startAmount), 0n)
+  }
+}
+
+/**
+ * Check each offer's bidder can still pay it
+ *
+ * Offers are checked one at a time against the bidder's balance, not summed:
+ * each one is filled on its own, and usually only one of them will be.
+ * @param {Object} env - Worker environment (SEAPORT_CONDUIT_ADDRESS)
+ * @param {Object} rpcClient - Viem public client; its chain needs multicall3
+ * @param {Object[]} offers - Seaport offer rows with buyer_address and order_parameters
+ * @returns {Promise<Map<number, string|null>>} Unfunded reason, or null if funded, by offer ID.
+ *   Offers whose reads failed are left out so they keep their previous state
+ */
+export async function checkOffersFunding(env, rpcClient, offers) {
+  const conduitAddress = getConduitAddress(env)
+
+  // One balance and one allowance read per bidder and token, however many offers they share
+  const payments = new Map()
+  const holdings = new Map()
+  for (const offer of offers) {
+    const payment = getOfferPayment(offer)
+    if (!payment) continue
+    payments.set(offer.id, payment)
+    const key = `${offer.buyer_address.toLowerCase()}:${payment.token}`
+    if (!holdings.has(key)) {
+      holdings.set(key, { owner: offer.buyer_address, token: payment.token })
+    }
+  }
+
+  const holdingKeys = [...holdings.keys()]
+  if (holdingKeys.length === 0) return new Map()
+
+  const results = await rpcClient.multicall({
+    contracts: holdingKeys.flatMap(key => {
+      const { owner, token } = holdings.get(key)
+      return [
+        { address: token, abi: ERC20_ABI, functionName: 'balanceOf', args: [owner] },
+        { address: token, abi: ERC20_ABI, functionName: 'allowance', args: [owner, conduitAddress] }
+      ]
+    }),
+    allowFailure: true
+  })
+
+  holdingKeys.forEach((key, index) => {
+    const [balance, allowance] = [results[index * 2], results[index * 2 + 1]]
+    if (balance.status !== 'success' || allowance.status !== 'success') return
+    Object.assign(holdings.get(key), { balance: balance.result, allowance: allowance.result })
+  })
+
+  const funding = new Map()
+  for (const offer of offers) {
+    const payment = payments.get(offer.id)
+    if (!payment) continue
+    const { balance, allowance } = holdings.get(`${offer.buyer_address.toLowerCase()}:${payment.token}`)
+    if (balance === undefined) continue
+
+    funding.set(offer.id,
+      balance < payment.amount ? UNFUNDED_REASONS.INSUFFICIENT_BALANCE
+        : allowance < payment.amount ? UNFUNDED_REASONS.INSUFFICIENT_ALLOWANCE
+        : null
+    )
+  }
+  return funding
+}
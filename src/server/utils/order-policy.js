@@ -0,0 +1,120 @@
+/**
+ * Marketplace policy every Seaport order has to meet before it is stored.
+ *
+ * Signatures only prove the offerer agreed to an order, not that it pays the
+ * marketplace fee or can be filled the way the app fills it, so listings,
+ * offers and auction bids are all checked here first. Failures carry a
+ * machine-readable code alongside the message.
+ */
+
+import { getItemCurrency } from './currency.js'
+
+export const POLICY_ERRORS = {
+  FEE_MISSING: 'FEE_MISSING',
+  FEE_TOO_LOW: 'FEE_TOO_LOW',
+  CURRENCY_NOT_ALLOWED: 'CURRENCY_NOT_ALLOWED',
+  MIXED_CURRENCIES: 'MIXED_CURRENCIES',
+  INVALID_TIME_RANGE: 'INVALID_TIME_RANGE',
+  ORDER_EXPIRED: 'ORDER_EXPIRED',
+  END_TIME_TOO_FAR: 'END_TIME_TOO_FAR',
+  ZONE_NOT_ALLOWED: 'ZONE_NOT_ALLOWED',
+  CONDUIT_KEY_NOT_ALLOWED: 'CONDUIT_KEY_NOT_ALLOWED'
+}
+
+const DEFAULT_FEE_RECIPIENT = '0x0db12C0A67bc5B8942ea3126a465d7a0b23126C7'
+const DEFAULT_FEE_BPS = 100
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const ZERO_CONDUIT_KEY = '0x0000000000000000000000000000000000000000000000000000000000000000'
+
+// Longest order we store: 30-day listings and auction bids that outlive the
+// auction by a few days are well inside this
+const MAX_ORDER_DURATION_SECONDS = 90 * 24 * 60 * 60
+// Orders must stay fillable for at least this long after they're submitted
+const MIN_REMAINING_SECONDS = 60
+
+function fail(code, error, details = {}) {
+  return { valid: false, code, error, ...details }
+}
+
+/**
+ * Check an order against the marketplace policy
+ * @param {Object} orderParameters - Seaport order parameters
+ * @param {Object} env - Worker environment (FEE_RECIPIENT, MARKETPLACE_FEE_BPS, SEAPORT_CONDUIT_KEY)
+ * @param {Object} options
+ * @param {'listing'|'offer'} options.side - Listings are paid for in consideration, offers in offer items
+ * @param {string[]} options.currencies - Currencies the order may pay in
+ * @param {string|null} [options.zone] - Zone allowed besides the zero address, e.g. a private buyer's wallet
+ * @param {number} [options.quantity] - Copies in the order; fees are checked per copy, the way orders are built
+ * @returns {{ valid: true, currency: string }|{ valid: false, code: string, error: string }}
+ */
+export function checkOrderPolicy(orderParameters, env, { side, currencies, zone = null, quantity = 1 }) {
+  // Currency: everything the order pays has to be in one allowed currency
+  const paymentItems = side === 'listing'
+    ? (orderParameters.consideration || []).filter(item => Number(item.itemType) <= 1)
+    : (orderParameters.offer || []).filter(item => Number(item.itemType) <= 1)
+  if (paymentItems.length === 0) {
+    return fail(POLICY_ERRORS.CURRENCY_NOT_ALLOWED, 'Order does not pay in any currency')
+  }
+
+  const paymentCurrencies = new Set(paymentItems.map(item => getItemCurrency(item, env)))
+  if (paymentCurrencies.size > 1) {
+    return fail(POLICY_ERRORS.MIXED_CURRENCIES, 'All payments in an order must use the same currency')
+  }
+  const [currency] = paymentCurrencies
+  if (!currencies.includes(currency)) {
+    return fail(POLICY_ERRORS.CURRENCY_NOT_ALLOWED, `Orders must be paid in ${currencies.join(' or ')}`, { allowedCurrencies: currencies })
+  }
+
+  // Fee: at least the configured share of the price, in the order's currency, at both ends of a Dutch auction
+  const feeRecipient = (env.FEE_RECIPIENT || DEFAULT_FEE_RECIPIENT).toLowerCase()
+  const feeBps = BigInt(env.MARKETPLACE_FEE_BPS || DEFAULT_FEE_BPS)
+  const feeItems = (orderParameters.consideration || []).filter(item =>
+    item.recipient.toLowerCase() === feeRecipient && getItemCurrency(item, env) === currency
+  )
+  if (feeItems.length === 0) {
+    return fail(POLICY_ERRORS.FEE_MISSING, 'Marketplace fee must be in consideration items', { feeRecipient, feeBps: Number(feeBps) })
+  }
+
+  const copies = BigInt(quantity)
+  for (const amountKey of ['startAmount', 'endAmount']) {
+    const amountOf = item => BigInt(item[amountKey] ?? item.startAmount)
+    const price = paymentItems.reduce((sum, item) => sum + amountOf(item), 0n)
+    const fee = feeItems.reduce((sum, item) => sum + amountOf(item), 0n)
+    const requiredFee = (price / copies) * feeBps / 10000n * copies
+
+    if (fee < requiredFee) {
+      return fail(POLICY_ERRORS.FEE_TOO_LOW, `Marketplace fee must be at least ${Number(feeBps) / 100}% of the price`, {
+        feeBps: Number(feeBps),
+        requiredFee: requiredFee.toString()
+      })
+    }
+  }
+
+  // Timing: a sane window that hasn't closed yet and isn't open-ended
+  const now = Math.floor(Date.now() / 1000)
+  const startTime = parseInt(orderParameters.startTime)
+  const endTime = parseInt(orderParameters.endTime)
+  if (!Number.isInteger(startTime) || !Number.isInteger(endTime) || startTime >= endTime) {
+    return fail(POLICY_ERRORS.INVALID_TIME_RANGE, 'Order start time must be before its end time')
+  }
+  if (endTime < now + MIN_REMAINING_SECONDS) {
+    return fail(POLICY_ERRORS.ORDER_EXPIRED, 'Order has already expired')
+  }
+  if (endTime > now + MAX_ORDER_DURATION_SECONDS) {
+    return fail(POLICY_ERRORS.END_TIME_TOO_FAR, 'Order cannot last longer than 90 days')
+  }
+
+  // Zone: none, or the one the caller expects (private listings use the buyer's wallet)
+  const orderZone = (orderParameters.zone || ZERO_ADDRESS).toLowerCase()
+  if (orderZone !== ZERO_ADDRESS && orderZone !== zone?.toLowerCase()) {
+    return fail(POLICY_ERRORS.ZONE_NOT_ALLOWED, 'Order zone is not allowed')
+  }
+
+  // Conduit: token approvals are requested for the marketplace's conduit key only
+  const conduitKey = (env.SEAPORT_CONDUIT_KEY || ZERO_CONDUIT_KEY).toLowerCase()
+  if ((orderParameters.conduitKey || '').toLowerCase() !== conduitKey) {
+    return fail(POLICY_ERRORS.CONDUIT_KEY_NOT_ALLOWED, 'Order must use the marketplace conduit key', { conduitKey })
+  }
+
+  return { valid: true, currency }
+}
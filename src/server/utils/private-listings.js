@@ -0,0 +1,18 @@
+/**
+ * Access rules for private listings.
+ *
+ * A private listing is reserved for one buyer, so only its seller and that
+ * buyer may see it. The listing API and the listing page both check here
+ * before returning anything about the listing.
+ */
+
+/**
+ * Whether a user may view a listing
+ * @param {Object} listing - Listing row
+ * @param {Object|null} user - Authenticated user, if any
+ * @returns {boolean}
+ */
+export function canViewListing(listing, user) {
+  if (!listing.private_buyer_fid) return true
+  return !!user && (user.fid == listing.seller_fid || user.fid == listing.private_buyer_fid)
+}
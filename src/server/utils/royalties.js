@@ -0,0 +1,95 @@
+/**
+ * Creator royalties for Seaport listings.
+ *
+ * A collection's royalty comes from the admin-managed royalty_overrides table
+ * when it has a row there, otherwise from the contract's ERC-2981 royaltyInfo.
+ * Listings pay it as an extra consideration item to the royalty recipient, out
+ * of the price the seller entered, the same way as the marketplace fee.
+ */
+
+import { parseAbi, ContractFunctionRevertedError, ContractFunctionZeroDataError } from 'viem'
+import { createRpcClient } from './rpc-client.js'
+import { getItemCurrency } from './currency.js'
+
+const ERC2981_ABI = parseAbi([
+  'function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)'
+])
+
+const BPS_DENOMINATOR = 10000n
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// Contracts can report anything from royaltyInfo; never charge buyers more than this
+export const MAX_ROYALTY_BPS = 1000
+
+/**
+ * Royalty owed on sales of a token
+ * @param {Object} env - Worker environment
+ * @param {Database} db - Database wrapper
+ * @param {string} nftContract - Collection address
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<{ recipient: string, bps: number, source: 'override'|'erc2981' }|null>} null when no royalty is due
+ */
+export async function getRoyalty(env, db, nftContract, tokenId) {
+  const override = await db.getRoyaltyOverride(nftContract)
+  if (override) {
+    return override.bps > 0
+      ? { recipient: override.recipient, bps: Math.min(override.bps, MAX_ROYALTY_BPS), source: 'override' }
+      : null
+  }
+
+  try {
+    // Asking for the royalty on a sale of 10000 units returns it in basis points
+    const [receiver, royaltyAmount] = await createRpcClient(env).readContract({
+      address: nftContract,
+      abi: ERC2981_ABI,
+      functionName: 'royaltyInfo',
+      args: [BigInt(tokenId), BPS_DENOMINATOR]
+    })
+    const bps = Math.min(Number(royaltyAmount), MAX_ROYALTY_BPS)
+    if (bps === 0 || receiver === ZERO_ADDRESS) return null
+
+    return { recipient: receiver.toLowerCase(), bps, source: 'erc2981' }
+  } catch (error) {
+    // Contracts without ERC-2981 revert or return nothing. Anything else (RPC down,
+    // rate limited) is rethrown so the listing fails and can be retried, rather than
+    // being accepted without the royalty
+    const noRoyaltyInfo = error.walk?.(cause =>
+      cause instanceof ContractFunctionRevertedError || cause instanceof ContractFunctionZeroDataError
+    )
+    if (noRoyaltyInfo) return null
+    throw error
+  }
+}
+
+/**
+ * Check a listing's consideration pays the collection's royalty at both ends of
+ * its price range. Amounts are compared per copy, the way listings are built
+ * @param {Object} orderParameters - Seaport order parameters
+ * @param {{ recipient: string, bps: number }} royalty - Royalty from getRoyalty
+ * @param {number} quantity - Copies offered by the order
+ * @param {Object} [env] - Worker environment
+ * @returns {string|null} Error message, or null if the royalty is paid
+ */
+export function validateRoyalty(orderParameters, royalty, quantity, env = {}) {
+  const recipient = royalty.recipient.toLowerCase()
+  // Sellers collecting their own royalty already receive it as proceeds
+  if (recipient === orderParameters.offerer.toLowerCase()) return null
+
+  const payments = (orderParameters.consideration || []).filter(item => getItemCurrency(item, env))
+  const copies = BigInt(quantity)
+
+  for (const amountKey of ['startAmount', 'endAmount']) {
+    const amountOf = item => BigInt(item[amountKey] ?? item.startAmount)
+    const total = payments.reduce((sum, item) => sum + amountOf(item), 0n)
+    const paid = payments
+      .filter(item => item.recipient.toLowerCase() === recipient)
+      .reduce((sum, item) => sum + amountOf(item), 0n)
+    const required = (total / copies) * BigInt(royalty.bps) / BPS_DENOMINATOR * copies
+
+    if (paid < required) {
+      return `Listing must pay a ${royalty.bps / 100}% creator royalty to ${recipient}`
+    }
+  }
+
+  return null
+}
@@ -14,11 +14,13 @@ export function getRpcUrl(env) {
 
 /**
  * Create a viem public client with the appropriate RPC endpoint
+ * @param {Object} [options]
+ * @param {boolean} [options.batch] - Send calls made together as one JSON-RPC batch request
  */
-export function createRpcClient(env) {
+export function createRpcClient(env, { batch = false } = {}) {
   return createPublicClient({
     chain: base,
-    transport: http(getRpcUrl(env))
+    transport: http(getRpcUrl(env), { batch })
   })
 }
 
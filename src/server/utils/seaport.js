@@ -1,12 +1,40 @@
 import { Seaport } from '@opensea/seaport-js';
 import { ethers } from 'ethers';
+import {
+  recoverTypedDataAddress,
+  recoverAddress,
+  decodeEventLog,
+  parseAbi,
+  keccak256,
+  concat,
+  toHex,
+  hexToNumber,
+  slice,
+  size,
+  encodeAbiParameters,
+  domainSeparator,
+  parseCompactSignature,
+  compactSignatureToSignature,
+} from 'viem';
+import { SEAPORT_ABI } from '../event-sources.js';
 
 // Seaport configuration
 const SEAPORT_DOMAIN_NAME = "Seaport";
 const SEAPORT_DOMAIN_VERSION = "1.6";
 
+// Default conduit on Base, which sellers approve for their NFTs and bidders for their offer currency
+const DEFAULT_CONDUIT_ADDRESS = '0xf9ed144bACaed98d0f3899B8B56c965D1A966D08';
+
+// ownerOf is ERC721-only and balanceOf(address, uint256) ERC1155-only; both share isApprovedForAll
+const NFT_ABI = parseAbi([
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)'
+]);
+
 /**
- * Calculates the Seaport order hash using the Seaport SDK
+ * Calculates the Seaport order hash using the Seaport SDK. Orders from a bulk
+ * signature hash the same as any other order; only their signature differs
  * @param {object} orderParameters The Seaport order parameters (OrderComponents).
  * @returns {string} The order hash.
  */
@@ -132,8 +160,8 @@ export const seaportOrderTypes = {
   OrderComponents: [
     { name: 'offerer', type: 'address' },
     { name: 'zone', type: 'address' },
-    { name: 'offer', type: 'OrderItem[]' },
-    { name: 'consideration', type: 'OrderItem[]' },
+    { name: 'offer', type: 'OfferItem[]' },
+    { name: 'consideration', type: 'ConsiderationItem[]' },
     { name: 'orderType', type: 'uint8' },
     { name: 'startTime', type: 'uint256' },
     { name: 'endTime', type: 'uint256' },
@@ -142,14 +170,325 @@ export const seaportOrderTypes = {
     { name: 'conduitKey', type: 'bytes32' },
     { name: 'counter', type: 'uint256' },
   ],
-  OrderItem: [
+  OfferItem: [
+    { name: 'itemType', type: 'uint8' },
+    { name: 'token', type: 'address' },
+    { name: 'identifierOrCriteria', type: 'uint256' },
+    { name: 'startAmount', type: 'uint256' },
+    { name: 'endAmount', type: 'uint256' },
+  ],
+  ConsiderationItem: [
     { name: 'itemType', type: 'uint8' },
     { name: 'token', type: 'address' },
     { name: 'identifierOrCriteria', type: 'uint256' },
     { name: 'startAmount', type: 'uint256' },
     { name: 'endAmount', type: 'uint256' },
+    { name: 'recipient', type: 'address' },
   ],
 };
 
 // Primary type for signing
 export const EIP712_PRIMARY_TYPE = 'OrderComponents';
+
+// Bulk listings sign one BulkOrder whose tree holds every order, padded to a
+// power of two. Each order is then stored with the shared signature followed
+// by its index in the tree (uint24) and the Merkle proof from its leaf to the
+// root (height * 32 bytes). Seaport caps the tree height at 24.
+const MAX_BULK_ORDER_HEIGHT = 24;
+
+// EIP-712 encodeType of one of the Seaport structs, e.g. "OfferItem(uint8 itemType,...)"
+function encodeStructType(name) {
+  return `${name}(${seaportOrderTypes[name].map(field => `${field.type} ${field.name}`).join(',')})`;
+}
+
+/**
+ * Splits a bulk order signature into the offerer's signature, the order's index
+ * in the signed tree and its Merkle proof
+ * @param {string} signature Hex signature as stored with the order
+ * @returns {{signature: string, index: number, proof: string[]}|null} null for a regular order signature
+ */
+export function parseBulkOrderSignature(signature) {
+  if (typeof signature !== 'string' || !signature.startsWith('0x')) return null;
+
+  // 64- or 65-byte signature + 3-byte index + at least one 32-byte proof element
+  const length = size(signature);
+  const signatureLength = 64 + ((length - 67) % 32);
+  const height = Math.floor((length - signatureLength - 3) / 32);
+  if (length < 99 || signatureLength > 65 || height < 1 || height > MAX_BULK_ORDER_HEIGHT) {
+    return null;
+  }
+
+  const proofStart = signatureLength + 3;
+  return {
+    signature: slice(signature, 0, signatureLength),
+    index: hexToNumber(slice(signature, signatureLength, proofStart)),
+    proof: Array.from({ length: height }, (_, i) => slice(signature, proofStart + i * 32, proofStart + (i + 1) * 32)),
+  };
+}
+
+/**
+ * EIP-712 digest the offerer signed for a bulk order, given the order's own hash
+ * @param {object} domain Seaport EIP-712 domain
+ * @param {string} orderHash Hash of the order (the tree leaf)
+ * @param {number} index The order's position in the tree
+ * @param {string[]} proof Sibling hashes from the leaf up to the root
+ * @returns {string} The digest to recover the signer from
+ */
+export function getBulkOrderDigest(domain, orderHash, index, proof) {
+  // Walk up the tree: the index bit at each level says which side the node is on
+  const root = proof.reduce((node, sibling, level) =>
+    ((index >> level) & 1) === 0
+      ? keccak256(concat([node, sibling]))
+      : keccak256(concat([sibling, node])),
+  orderHash);
+
+  const bulkOrderType = `BulkOrder(OrderComponents${'[2]'.repeat(proof.length)} tree)`
+    + encodeStructType('ConsiderationItem')
+    + encodeStructType('OfferItem')
+    + encodeStructType('OrderComponents');
+  const structHash = keccak256(encodeAbiParameters(
+    [{ type: 'bytes32' }, { type: 'bytes32' }],
+    [keccak256(toHex(bulkOrderType)), root]
+  ));
+
+  return keccak256(concat(['0x1901', domainSeparator({ domain }), structHash]));
+}
+
+/**
+ * Verifies that a Seaport order was signed by its offerer, either on its own or
+ * as one leaf of a bulk order signature
+ * @param {object} env Worker environment (CHAIN_ID, SEAPORT_CONTRACT_ADDRESS)
+ * @param {object} orderParameters The signed OrderComponents
+ * @param {string} signature The EIP-712 signature, with index and proof appended for bulk orders
+ * @returns {Promise<{valid: boolean, orderHash: string, recoveredAddress?: string, error?: string}>}
+ */
+export async function verifyOrderSignature(env, orderParameters, signature) {
+  const orderHash = getOrderHash(orderParameters);
+  const chainId = env.CHAIN_ID ? parseInt(env.CHAIN_ID) : 8453;
+  const seaportContractAddress = env.SEAPORT_CONTRACT_ADDRESS;
+
+  if (!seaportContractAddress) {
+    throw new Error('SEAPORT_CONTRACT_ADDRESS environment variable is not set.');
+  }
+
+  const domain = getSeaportDomain(chainId, seaportContractAddress);
+  const bulkSignature = parseBulkOrderSignature(signature);
+
+  let recoveredAddress;
+  try {
+    if (bulkSignature) {
+      // Signed as part of a bulk listing: the signature covers the tree root, not this order alone
+      const ecdsaSignature = size(bulkSignature.signature) === 64
+        ? compactSignatureToSignature(parseCompactSignature(bulkSignature.signature))
+        : bulkSignature.signature;
+      recoveredAddress = await recoverAddress({
+        hash: getBulkOrderDigest(domain, orderHash, bulkSignature.index, bulkSignature.proof),
+        signature: ecdsaSignature,
+      });
+    } else {
+      recoveredAddress = await recoverTypedDataAddress({
+        domain,
+        types: seaportOrderTypes,
+        primaryType: EIP712_PRIMARY_TYPE,
+        message: orderParameters,
+        signature,
+      });
+    }
+  } catch (e) {
+    console.error('Error during signature recovery:', e);
+    return { valid: false, orderHash, error: `Signature recovery failed: ${e.message}` };
+  }
+
+  if (recoveredAddress.toLowerCase() !== orderParameters.offerer.toLowerCase()) {
+    return {
+      valid: false,
+      orderHash,
+      error: 'Invalid signature: recovered address does not match offerer',
+      recoveredAddress: recoveredAddress.toLowerCase(),
+    };
+  }
+
+  return { valid: true, orderHash, recoveredAddress: recoveredAddress.toLowerCase() };
+}
+
+/**
+ * Reads an order's status from the Seaport contract
+ * @param {object} env Worker environment
+ * @param {object} rpcClient Viem public client
+ * @param {string} orderHash The order hash
+ * @param {string|number} endTime The order's endTime (seconds)
+ * @returns {Promise<string>} 'expired', 'cancelled', 'filled', 'validated' or 'not_validated'
+ */
+export async function getOnChainOrderStatus(env, rpcClient, orderHash, endTime) {
+  const [isValidated, isCancelled, totalFilled, totalSize] = await rpcClient.readContract({
+    address: env.SEAPORT_CONTRACT_ADDRESS,
+    abi: SEAPORT_ABI,
+    functionName: 'getOrderStatus',
+    args: [orderHash],
+  });
+
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (parseInt(endTime) < currentTime) {
+    return 'expired';
+  } else if (isCancelled) {
+    return 'cancelled';
+  } else if (totalFilled >= totalSize && totalSize > 0) { // totalSize might be 0 for some order types
+    return 'filled';
+  } else if (isValidated) { // And not cancelled or filled
+    return 'validated'; // Means it's active and fillable by Seaport's view
+  }
+  return 'not_validated'; // Not yet seen/validated by Seaport, or invalid parameters
+}
+
+/**
+ * Checks on chain that a listing can be filled as signed: the order is neither
+ * cancelled nor used up, and the offerer still holds every NFT it offers and has
+ * approved the conduit to transfer them
+ * @param {object} env Worker environment (SEAPORT_CONTRACT_ADDRESS, SEAPORT_CONDUIT_ADDRESS)
+ * @param {object} rpcClient Viem public client
+ * @param {object} orderParameters The signed OrderComponents
+ * @param {string} orderHash The order hash
+ * @returns {Promise<{valid: boolean, error?: string}>}
+ */
+export async function verifyListingOnChain(env, rpcClient, orderParameters, orderHash) {
+  const { isCancelled, totalFilled, totalSize } = await getOrderFill(env, rpcClient, orderHash);
+  if (isCancelled) {
+    return { valid: false, error: 'This order has been cancelled on chain' };
+  }
+  if (totalSize > 0n && totalFilled >= totalSize) {
+    return { valid: false, error: 'This order has already been filled' };
+  }
+
+  const { valid, error } = await checkOffererHoldings(env, rpcClient, orderParameters);
+  return valid ? { valid } : { valid, error };
+}
+
+/**
+ * Address of the conduit that moves tokens for orders using the marketplace conduit key
+ * @param {object} env Worker environment (SEAPORT_CONDUIT_ADDRESS)
+ * @returns {string}
+ */
+export function getConduitAddress(env) {
+  return env.SEAPORT_CONDUIT_ADDRESS || DEFAULT_CONDUIT_ADDRESS;
+}
+
+// Seaport frontends, recognised by the zone their orders use or the address their fee is paid to
+const SEAPORT_VENUES = [
+  {
+    venue: 'opensea',
+    zones: ['0x000056f7000000ece9003ca63978907a00ffd100'], // SignedZone
+    feeRecipients: ['0x0000a26b00c1f0df003000390027140000faa719']
+  }
+];
+
+/**
+ * Works out which marketplace a Seaport fill went through, where the order says
+ * @param {object} env Worker environment (FEE_RECIPIENT)
+ * @param {{ zone: string, consideration: Array }} fill OrderFulfilled zone and consideration items
+ * @returns {string|null} 'mint_exchange', 'opensea', or null if it can't be told
+ */
+export function getSeaportVenue(env, { zone, consideration }) {
+  const recipients = new Set(consideration.map(item => item.recipient.toLowerCase()));
+  if (env.FEE_RECIPIENT && recipients.has(env.FEE_RECIPIENT.toLowerCase())) {
+    return 'mint_exchange';
+  }
+
+  const known = SEAPORT_VENUES.find(({ zones, feeRecipients }) =>
+    zones.includes(zone?.toLowerCase()) || feeRecipients.some(address => recipients.has(address))
+  );
+  return known?.venue || null;
+}
+
+/**
+ * Checks the offerer of a listing still holds every NFT it offers and has approved
+ * the conduit to transfer them. Transfers out of the wallet and revoked approvals
+ * both leave a signed order that can never be filled
+ * @param {object} env Worker environment (SEAPORT_CONDUIT_ADDRESS)
+ * @param {object} rpcClient Viem public client
+ * @param {object} orderParameters The signed OrderComponents
+ * @param {object} [options]
+ * @param {boolean} [options.anyPart] Only require one copy of ERC1155 items, for partially filled quantity listings
+ * @returns {Promise<{valid: true}|{valid: false, reason: 'not_owned'|'not_approved', error: string}>}
+ */
+export async function checkOffererHoldings(env, rpcClient, orderParameters, { anyPart = false } = {}) {
+  const offerer = orderParameters.offerer.toLowerCase();
+  const conduitAddress = getConduitAddress(env);
+
+  const nftItems = orderParameters.offer.filter(item => Number(item.itemType) === 2 || Number(item.itemType) === 3);
+  const ownership = await Promise.all(nftItems.map(async (item) => {
+    const tokenId = BigInt(item.identifierOrCriteria);
+    if (Number(item.itemType) === 2) {
+      const owner = await rpcClient.readContract({ address: item.token, abi: NFT_ABI, functionName: 'ownerOf', args: [tokenId] });
+      return owner.toLowerCase() === offerer;
+    }
+    const balance = await rpcClient.readContract({ address: item.token, abi: NFT_ABI, functionName: 'balanceOf', args: [offerer, tokenId] });
+    return balance >= (anyPart ? 1n : BigInt(item.startAmount));
+  }));
+  const missingIndex = ownership.indexOf(false);
+  if (missingIndex !== -1) {
+    return { valid: false, reason: 'not_owned', error: `Offerer does not own token #${nftItems[missingIndex].identifierOrCriteria}` };
+  }
+
+  // Approval is per collection, so each contract is only checked once
+  const contracts = [...new Set(nftItems.map(item => item.token.toLowerCase()))];
+  const approvals = await Promise.all(contracts.map(contract =>
+    rpcClient.readContract({ address: contract, abi: NFT_ABI, functionName: 'isApprovedForAll', args: [offerer, conduitAddress] })
+  ));
+  const unapprovedIndex = approvals.indexOf(false);
+  if (unapprovedIndex !== -1) {
+    return { valid: false, reason: 'not_approved', error: `Offerer has not approved the Seaport conduit for ${contracts[unapprovedIndex]}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Reads how much of a partially fillable order has been filled
+ * @param {object} env Worker environment
+ * @param {object} rpcClient Viem public client
+ * @param {string} orderHash The order hash
+ * @returns {Promise<{isCancelled: boolean, totalFilled: bigint, totalSize: bigint}>}
+ */
+export async function getOrderFill(env, rpcClient, orderHash) {
+  const [, isCancelled, totalFilled, totalSize] = await rpcClient.readContract({
+    address: env.SEAPORT_CONTRACT_ADDRESS,
+    abi: SEAPORT_ABI,
+    functionName: 'getOrderStatus',
+    args: [orderHash],
+  });
+
+  return { isCancelled, totalFilled, totalSize };
+}
+
+/**
+ * Copies of a quantity listing still unsold. Seaport stores the filled fraction
+ * reduced (e.g. 2 of 10 copies as 1/5), so it is scaled back to the listed quantity
+ * @param {number} quantity Copies originally listed
+ * @param {bigint} totalFilled Filled numerator from getOrderStatus
+ * @param {bigint} totalSize Filled denominator from getOrderStatus
+ * @returns {number}
+ */
+export function getRemainingQuantity(quantity, totalFilled, totalSize) {
+  if (totalSize === 0n) return quantity;
+  return Number(BigInt(quantity) * (totalSize - totalFilled) / totalSize);
+}
+
+/**
+ * Finds the OrderFulfilled event for an order in a transaction receipt
+ * @param {object} env Worker environment (SEAPORT_CONTRACT_ADDRESS)
+ * @param {object} receipt Transaction receipt
+ * @param {string} orderHash The order hash to look for
+ * @returns {object|null} The decoded event args, or null if the order was not filled in this transaction
+ */
+export function findOrderFulfilledEvent(env, receipt, orderHash) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== env.SEAPORT_CONTRACT_ADDRESS?.toLowerCase()) continue;
+    try {
+      const decoded = decodeEventLog({ abi: SEAPORT_ABI, data: log.data, topics: log.topics, eventName: 'OrderFulfilled', strict: false });
+      if (decoded?.args?.orderHash?.toLowerCase() === orderHash.toLowerCase()) {
+        return decoded.args;
+      }
+    } catch (e) { /* Not an OrderFulfilled log */ }
+  }
+  return null;
+}
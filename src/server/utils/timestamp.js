@@ -9,6 +9,8 @@
  */
 export function formatTimestampForClient(sqliteTimestamp) {
   if (!sqliteTimestamp) return null
+  // Values written with toISOString() (e.g. expiry) are already ISO formatted
+  if (String(sqliteTimestamp).includes('T')) return new Date(sqliteTimestamp).toISOString()
   return new Date(sqliteTimestamp + ' UTC').toISOString()
 }
 
@@ -48,6 +50,30 @@ export function formatListingTimestamps(listingData) {
   if (Array.isArray(listingData)) {
     return listingData.map(formatSingle)
   }
-  
+
   return formatSingle(listingData)
+}
+
+/**
+ * Formats offer data by converting timestamp fields to ISO format
+ * @param {Object|Array} offerData - Single offer object or array of offers
+ * @returns {Object|Array} Offer data with formatted timestamps
+ */
+export function formatOfferTimestamps(offerData) {
+  if (!offerData) return offerData
+
+  const formatSingle = (offer) => ({
+    ...offer,
+    created_at: formatTimestampForClient(offer.created_at),
+    accepted_at: formatTimestampForClient(offer.accepted_at),
+    cancelled_at: formatTimestampForClient(offer.cancelled_at),
+    declined_at: formatTimestampForClient(offer.declined_at),
+    expiry: formatTimestampForClient(offer.expiry)
+  })
+
+  if (Array.isArray(offerData)) {
+    return offerData.map(formatSingle)
+  }
+
+  return formatSingle(offerData)
 } 
\ No newline at end of file
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { verifyAlchemySignature } from '../src/server/utils/alchemy-webhook.js';
+
+// HMAC-SHA256 test case 2 from RFC 4231
+const KEY = 'Jefe';
+const BODY = 'what do ya want for nothing?';
+const SIGNATURE = '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843';
+
+describe('verifyAlchemySignature', () => {
+	it('accepts the HMAC of the body under the signing key', async () => {
+		expect(await verifyAlchemySignature(BODY, SIGNATURE, KEY)).toBe(true);
+		expect(await verifyAlchemySignature(BODY, `0x${SIGNATURE.toUpperCase()}`, KEY)).toBe(true);
+	});
+
+	it('rejects a changed body or the wrong key', async () => {
+		expect(await verifyAlchemySignature(`${BODY} `, SIGNATURE, KEY)).toBe(false);
+		expect(await verifyAlchemySignature(BODY, SIGNATURE, 'other-key')).toBe(false);
+	});
+
+	it('rejects missing and malformed signatures', async () => {
+		expect(await verifyAlchemySignature(BODY, undefined, KEY)).toBe(false);
+		expect(await verifyAlchemySignature(BODY, '', KEY)).toBe(false);
+		expect(await verifyAlchemySignature(BODY, 'zz', KEY)).toBe(false);
+		expect(await verifyAlchemySignature(BODY, SIGNATURE.slice(0, -1), KEY)).toBe(false);
+	});
+});
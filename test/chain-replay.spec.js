@@ -0,0 +1,158 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { encodeAbiParameters, encodeEventTopics } from 'viem';
+import { EventIndexer } from '../src/server/indexer.js';
+import { SEAPORT_ABI } from '../src/server/event-sources.js';
+import { applySchema } from './helpers/database.js';
+
+const SELLER = '0x1111111111111111111111111111111111111111';
+const BUYER = '0x2222222222222222222222222222222222222222';
+const STRANGER = '0x3333333333333333333333333333333333333333';
+const NFT = '0x4444444444444444444444444444444444444444';
+const ZONE = '0x0000000000000000000000000000000000000000';
+const hash = (n) => `0x${n.toString(16).padStart(64, '0')}`;
+
+const LISTING_SOLD = hash(0x1);
+const LISTING_CANCELLED = hash(0x2);
+const LISTING_STALE = hash(0x3);
+const OTHER_ORDER = hash(0x4);
+
+// A Seaport log as getLogs returns it
+function seaportLog(eventName, args, { blockNumber, logIndex, txHash }) {
+	const event = SEAPORT_ABI.find((item) => item.type === 'event' && item.name === eventName);
+	const data = event.inputs.filter((input) => !input.indexed);
+	return {
+		address: env.SEAPORT_CONTRACT_ADDRESS,
+		topics: encodeEventTopics({ abi: SEAPORT_ABI, eventName, args }),
+		data: encodeAbiParameters(
+			data,
+			data.map((input) => args[input.name]),
+		),
+		blockNumber: BigInt(blockNumber),
+		blockHash: hash(blockNumber),
+		transactionHash: txHash,
+		logIndex,
+	};
+}
+
+function orderFulfilled(orderHash, offerer, tokenId, position) {
+	return seaportLog(
+		'OrderFulfilled',
+		{
+			orderHash,
+			offerer,
+			zone: ZONE,
+			recipient: BUYER,
+			offer: [{ itemType: 2, token: NFT, identifier: BigInt(tokenId), amount: 1n }],
+			consideration: [{ itemType: 0, token: ZONE, identifier: 0n, amount: 10n ** 18n, recipient: offerer }],
+		},
+		position,
+	);
+}
+
+const LOGS = [
+	orderFulfilled(LISTING_SOLD, SELLER, 1, { blockNumber: 100, logIndex: 0, txHash: hash(0xa1) }),
+	seaportLog('OrdersMatched', { orderHashes: [LISTING_SOLD, OTHER_ORDER] }, { blockNumber: 100, logIndex: 1, txHash: hash(0xa1) }),
+	orderFulfilled(OTHER_ORDER, STRANGER, 9, { blockNumber: 100, logIndex: 2, txHash: hash(0xa2) }),
+	seaportLog('OrderCancelled', { orderHash: LISTING_CANCELLED, offerer: SELLER, zone: ZONE }, { blockNumber: 101, logIndex: 0, txHash: hash(0xb1) }),
+	seaportLog('CounterIncremented', { newCounter: 1n, offerer: SELLER }, { blockNumber: 102, logIndex: 0, txHash: hash(0xc1) }),
+	seaportLog('CounterIncremented', { newCounter: 5n, offerer: STRANGER }, { blockNumber: 102, logIndex: 1, txHash: hash(0xc2) }),
+];
+
+// Everything the Seaport events above derive
+async function derivedState() {
+	const listings = await env.DB.prepare(
+		'SELECT id, sold_at, buyer_address, sale_tx_hash, cancelled_at, cancel_tx_hash FROM listings ORDER BY id',
+	).all();
+	const activity = await env.DB.prepare(
+		'SELECT type, actor_address, nft_contract, token_id, price, metadata, tx_hash, created_at FROM activity ORDER BY tx_hash, type, token_id',
+	).all();
+	const counters = await env.DB.prepare('SELECT offerer, counter, block_number, tx_hash FROM seaport_counters').all();
+	return { listings: listings.results, activity: activity.results, counters: counters.results };
+}
+
+describe('chain event log', () => {
+	let indexer;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		const order = JSON.stringify({ parameters: { counter: '0' } });
+		await env.DB.prepare(
+			`
+			INSERT INTO listings (id, seller_address, nft_contract, token_id, price, expiry, contract_type, order_hash, order_parameters)
+			VALUES (1, ?1, ?2, '1', 1, '2030-01-01', 'seaport', ?3, ?6),
+			       (2, ?1, ?2, '2', 1, '2030-01-01', 'seaport', ?4, ?6),
+			       (3, ?1, ?2, '3', 1, '2030-01-01', 'seaport', ?5, ?6)
+		`,
+		)
+			.bind(SELLER, NFT, LISTING_SOLD, LISTING_CANCELLED, LISTING_STALE, order)
+			.run();
+
+		indexer = new EventIndexer(env);
+		indexer.blockchain.client = {
+			getBlock: vi.fn(async ({ blockNumber }) => ({ timestamp: 1700000000n + blockNumber * 2n })),
+		};
+	});
+
+	it('stores only the Seaport events for our orders and offerers', async () => {
+		await indexer.blockchain.processMarketplaceLogs(LOGS, indexer.db);
+
+		const { results } = await env.DB.prepare('SELECT event_name, tx_hash FROM chain_events ORDER BY block_number, log_index').all();
+		expect(results).toEqual([
+			{ event_name: 'OrderFulfilled', tx_hash: hash(0xa1) },
+			{ event_name: 'OrdersMatched', tx_hash: hash(0xa1) },
+			{ event_name: 'OrderCancelled', tx_hash: hash(0xb1) },
+			{ event_name: 'CounterIncremented', tx_hash: hash(0xc1) },
+		]);
+		expect(await indexer.db.getSeaportCounter(STRANGER)).toBeNull();
+	});
+
+	it('fetches each block timestamp once for the whole batch of logs', async () => {
+		await indexer.blockchain.processMarketplaceLogs(LOGS, indexer.db);
+
+		expect(indexer.blockchain.client.getBlock).toHaveBeenCalledTimes(3);
+		const { results } = await env.DB.prepare('SELECT DISTINCT block_number, block_timestamp FROM chain_events ORDER BY block_number').all();
+		expect(results).toEqual([
+			{ block_number: 100, block_timestamp: '2023-11-14 22:16:40' },
+			{ block_number: 101, block_timestamp: '2023-11-14 22:16:42' },
+			{ block_number: 102, block_timestamp: '2023-11-14 22:16:44' },
+		]);
+	});
+
+	it('rebuilds the same state from the stored events as live processing left', async () => {
+		await indexer.blockchain.processMarketplaceLogs(LOGS, indexer.db);
+		const live = await derivedState();
+		expect(live.listings).toMatchObject([
+			{ id: 1, buyer_address: BUYER, sale_tx_hash: hash(0xa1), cancelled_at: null },
+			{ id: 2, sold_at: null, cancel_tx_hash: hash(0xb1) },
+			{ id: 3, sold_at: null, cancel_tx_hash: hash(0xc1) },
+		]);
+
+		// A projection bug to fix: the sale's activity went missing
+		await env.DB.prepare("DELETE FROM activity WHERE type = 'sale'").run();
+
+		const replay = await indexer.startChainReplay(0);
+
+		expect(replay).toMatchObject({ status: 'done', reverted: 4, replayed: 4, errors: 0 });
+		expect(await derivedState()).toEqual(live);
+	});
+
+	it('holds indexing back while a replay is running', async () => {
+		await env.DB.prepare("INSERT INTO chain_replays (from_block, after_block, after_log_index) VALUES (100, 100, 0)").run();
+		await indexer.db.createIndexRanges([{ fromBlock: 100, toBlock: 199 }]);
+		const range = await env.DB.prepare('SELECT id FROM index_ranges').first();
+
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'paused' });
+		expect(await indexer.db.claimIndexRange(range.id, 15)).toBe(false);
+		expect(await indexer.startChainReplay(0)).toBeNull();
+	});
+
+	it("doesn't start a replay while a consumer is indexing a range", async () => {
+		await indexer.db.createIndexRanges([{ fromBlock: 100, toBlock: 199 }]);
+		const range = await env.DB.prepare('SELECT id FROM index_ranges').first();
+		await indexer.db.claimIndexRange(range.id, 15);
+
+		expect(await indexer.startChainReplay(0)).toBeNull();
+		expect(await indexer.db.getActiveChainReplay()).toBeNull();
+	});
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getCurrentPrice, isDutchAuction } from '../src/server/utils/dutch-auction.js';
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+const END = Date.parse('2026-01-02T00:00:00Z');
+
+function listing(price, endPrice) {
+	return { price, end_price: endPrice, start_time: new Date(START).toISOString(), expiry: new Date(END).toISOString() };
+}
+
+// Seaport's AmountDeriver for consideration items: a weighted average of the two
+// amounts, rounded up
+function seaportConsiderationAmount(startAmount, endAmount, startTime, endTime, now) {
+	const duration = BigInt(endTime - startTime);
+	const elapsed = BigInt(now - startTime);
+	const remaining = duration - elapsed;
+	return (startAmount * remaining + endAmount * elapsed + duration - 1n) / duration;
+}
+
+describe('isDutchAuction', () => {
+	it('needs an end price different from the start price', () => {
+		expect(isDutchAuction(listing(100, 50))).toBe(true);
+		expect(isDutchAuction(listing(100, 100))).toBe(false);
+		expect(isDutchAuction(listing(100, null))).toBe(false);
+	});
+});
+
+describe('getCurrentPrice', () => {
+	const auction = listing(100, 40);
+
+	it('starts at the start price and ends at the end price', () => {
+		expect(getCurrentPrice(auction, START)).toBe(100);
+		expect(getCurrentPrice(auction, END)).toBe(40);
+	});
+
+	it('interpolates linearly in between', () => {
+		expect(getCurrentPrice(auction, START + (END - START) / 4)).toBe(85);
+		expect(getCurrentPrice(auction, START + (END - START) / 2)).toBe(70);
+	});
+
+	it('clamps outside the auction window', () => {
+		expect(getCurrentPrice(auction, START - 1000)).toBe(100);
+		expect(getCurrentPrice(auction, END + 1000)).toBe(40);
+	});
+
+	it('matches what Seaport charges, in USDC units', () => {
+		const uneven = listing(10, 3.333333);
+		for (const seconds of [1, 3600, 12345, 86399]) {
+			const now = START + seconds * 1000;
+			const expected = seaportConsiderationAmount(10_000_000n, 3_333_333n, START / 1000, END / 1000, START / 1000 + seconds);
+			expect(Math.round(getCurrentPrice(uneven, now) * 1e6)).toBe(Number(expected));
+		}
+	});
+
+	it('returns the fixed price of other listings', () => {
+		expect(getCurrentPrice(listing(25, null), START + 5000)).toBe(25);
+	});
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { checkBidAmount, getMinimumBid, toUsdcUnits } from '../src/server/utils/english-auction.js';
+
+const auction = { reserve_price: 100, min_increment_bps: 500 };
+
+describe('getMinimumBid', () => {
+	it('asks for the reserve price before the first bid', () => {
+		expect(getMinimumBid(auction, null)).toBe(100);
+	});
+
+	it('asks for the highest bid plus the minimum increment', () => {
+		expect(getMinimumBid(auction, { amount: 200 })).toBe(210);
+	});
+
+	it('rounds the increment up to USDC precision', () => {
+		// 5% of 0.000019 USDC is below a base unit; the next bid still has to go up by one
+		expect(getMinimumBid(auction, { amount: 0.000019 })).toBe(0.00002);
+		expect(getMinimumBid({ reserve_price: 1, min_increment_bps: 100 }, { amount: 1.234567 })).toBe(1.246913);
+	});
+});
+
+describe('checkBidAmount', () => {
+	it('rejects a first bid below the reserve', () => {
+		expect(checkBidAmount(auction, null, toUsdcUnits(99.999999))).toEqual({
+			error: 'Bid must be at least the reserve price of 100 USDC',
+			minimumBid: 100,
+		});
+		expect(checkBidAmount(auction, null, toUsdcUnits(100))).toBeNull();
+	});
+
+	it('rejects a bid that does not beat the highest by the increment', () => {
+		const highestBid = { amount: 200 };
+		expect(checkBidAmount(auction, highestBid, '209999999')).toEqual({
+			error: 'Bid must be at least 210 USDC to beat the current highest bid',
+			minimumBid: 210,
+		});
+		expect(checkBidAmount(auction, highestBid, '210000000')).toBeNull();
+	});
+});
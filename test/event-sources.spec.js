@@ -0,0 +1,41 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EventIndexer } from '../src/server/indexer.js';
+import { MARKETPLACE_START_BLOCK } from '../src/server/event-sources.js';
+import { applySchema } from './helpers/database.js';
+
+const HEAD = 40000000;
+
+describe('seedSourceCursors', () => {
+	let indexer;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		indexer = new EventIndexer(env);
+	});
+
+	it('starts marketplace sources at deployment and watchers at the chain head', async () => {
+		await indexer.seedSourceCursors(HEAD);
+
+		expect(Object.fromEntries(await indexer.db.getIndexerCursors())).toEqual({
+			nft_exchange: MARKETPLACE_START_BLOCK - 1,
+			seaport: MARKETPLACE_START_BLOCK - 1,
+			nft_transfers: HEAD,
+			usdc_approvals: HEAD,
+		});
+	});
+
+	it('leaves existing cursors alone, so a new watcher does not pull the others back', async () => {
+		await indexer.db.setIndexerCursors(['nft_exchange', 'seaport', 'nft_transfers'], HEAD - 100);
+
+		const seeded = await indexer.seedSourceCursors(HEAD);
+
+		expect(seeded).toEqual([{ source: 'usdc_approvals', blockNumber: HEAD }]);
+		expect(await indexer.getLastIndexedBlock()).toBe(HEAD - 100);
+	});
+
+	it('leaves sources waiting for the chain head out of the last indexed block', async () => {
+		await indexer.db.setIndexerCursors(['nft_exchange', 'seaport'], HEAD - 100);
+		expect(await indexer.getLastIndexedBlock()).toBe(HEAD - 100);
+	});
+});
@@ -0,0 +1,14 @@
+import schema from '../../schema.sql?raw';
+
+/**
+ * Create the tables from schema.sql in the test D1 database. Storage is isolated
+ * per test, so call this from beforeEach
+ * @param {D1Database} db - The DB binding from cloudflare:test
+ */
+export async function applySchema(db) {
+	const statements = schema
+		.split(/;\s*\n/)
+		.map((statement) => statement.trim())
+		.filter((statement) => statement.replace(/--.*$/gm, '').trim());
+	await db.batch(statements.map((statement) => db.prepare(statement)));
+}
@@ -0,0 +1,181 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import indexerWorker, { EventIndexer } from '../src/server/indexer.js';
+import { getEventSources } from '../src/server/event-sources.js';
+import { applySchema } from './helpers/database.js';
+
+const SOURCES = getEventSources(env).map((source) => source.id);
+
+async function getRange(fromBlock) {
+	return await env.DB.prepare('SELECT * FROM index_ranges WHERE from_block = ?').bind(fromBlock).first();
+}
+
+async function getCursors(db) {
+	return [...new Set((await db.getIndexerCursors()).values())];
+}
+
+describe('indexQueuedRange', () => {
+	let indexer;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		indexer = new EventIndexer(env);
+		await indexer.db.setIndexerCursors(SOURCES, 99);
+		await indexer.db.createIndexRanges([
+			{ fromBlock: 100, toBlock: 199 },
+			{ fromBlock: 200, toBlock: 299 },
+			{ fromBlock: 300, toBlock: 399 },
+		]);
+		// Each range indexes straight through unless a test says otherwise
+		vi.spyOn(indexer, 'indexEvents').mockImplementation(async (fromBlock, toBlock) => ({ lastIndexedBlock: toBlock }));
+	});
+
+	it('indexes a range ahead of the cursors without moving them', async () => {
+		const range = await getRange(200);
+
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'done' });
+
+		expect(indexer.indexEvents).toHaveBeenCalledWith(200, 299, expect.any(Number), { rangeId: range.id });
+		expect(await getRange(200)).toMatchObject({ status: 'done', indexed_to: 299 });
+		expect(await getCursors(indexer.db)).toEqual([99]);
+	});
+
+	it('moves the cursors over every done range that follows on from them', async () => {
+		await indexer.indexQueuedRange((await getRange(200)).id);
+		await indexer.indexQueuedRange((await getRange(100)).id);
+
+		expect(await getCursors(indexer.db)).toEqual([299]);
+		expect(await indexer.getLastIndexedBlock()).toBe(299);
+	});
+
+	it('resumes a range that stopped part way after its last indexed chunk', async () => {
+		const range = await getRange(100);
+		indexer.indexEvents.mockResolvedValueOnce({ lastIndexedBlock: 149 });
+
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'partial' });
+		expect((await getRange(100)).status).toBe('queued');
+
+		await indexer.db.setIndexRangeProgress(range.id, 149);
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'done' });
+		expect(indexer.indexEvents).toHaveBeenLastCalledWith(150, 199, expect.any(Number), { rangeId: range.id });
+		expect(await getCursors(indexer.db)).toEqual([199]);
+	});
+
+	it('counts failed attempts and gives up on a range after the last one', async () => {
+		const range = await getRange(100);
+		indexer.indexEvents.mockRejectedValue(new Error('getLogs timed out'));
+
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'retry', attempts: 1, error: 'getLogs timed out' });
+		expect(await getRange(100)).toMatchObject({ status: 'queued', attempts: 1 });
+
+		await env.DB.prepare('UPDATE index_ranges SET attempts = 7 WHERE id = ?').bind(range.id).run();
+		expect(await indexer.indexQueuedRange(range.id)).toMatchObject({ status: 'failed', attempts: 8 });
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'failed' });
+	});
+
+	it('holds the cursors at a failed range until it is retried', async () => {
+		await env.DB.prepare("UPDATE index_ranges SET status = 'failed' WHERE from_block = 200").run();
+		await indexer.indexQueuedRange((await getRange(100)).id);
+		await indexer.indexQueuedRange((await getRange(300)).id);
+
+		expect(await getCursors(indexer.db)).toEqual([199]);
+
+		await indexer.db.retryIndexRange((await getRange(200)).id);
+		await indexer.indexQueuedRange((await getRange(200)).id);
+
+		expect(await getCursors(indexer.db)).toEqual([399]);
+	});
+
+	it('leaves a range another consumer is indexing to that consumer', async () => {
+		const range = await getRange(100);
+		expect(await indexer.db.claimIndexRange(range.id, 15)).toBe(true);
+
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'busy' });
+		expect(indexer.indexEvents).not.toHaveBeenCalled();
+	});
+
+	it('takes over a claim old enough that its consumer must have died', async () => {
+		const range = await getRange(100);
+		await env.DB.prepare("UPDATE index_ranges SET status = 'processing', started_at = datetime('now', '-1 hour') WHERE id = ?")
+			.bind(range.id)
+			.run();
+
+		expect(await indexer.indexQueuedRange(range.id)).toEqual({ status: 'done' });
+	});
+
+	it('keeps a range reopened by a rollback while it was indexed queued', async () => {
+		const range = await getRange(200);
+		indexer.indexEvents.mockImplementationOnce(async (fromBlock, toBlock) => {
+			await indexer.db.reopenIndexRanges(250);
+			return { lastIndexedBlock: toBlock };
+		});
+
+		await indexer.indexQueuedRange(range.id);
+
+		expect(await getRange(200)).toMatchObject({ status: 'queued', indexed_to: 249 });
+	});
+});
+
+describe('advanceCursorsOverDoneRanges', () => {
+	beforeEach(async () => {
+		await applySchema(env.DB);
+	});
+
+	it("doesn't move the cursors over a range that was reopened since it was read", async () => {
+		const indexer = new EventIndexer(env);
+		await indexer.db.setIndexerCursors(SOURCES, 99);
+		await indexer.db.createIndexRanges([{ fromBlock: 100, toBlock: 199 }]);
+		await env.DB.prepare("UPDATE index_ranges SET status = 'done'").run();
+		await indexer.db.reopenIndexRanges(150);
+
+		await indexer.db.advanceCursorsOverDoneRanges(SOURCES, 100, 199);
+
+		expect(await getCursors(indexer.db)).toEqual([99]);
+	});
+});
+
+describe('queue consumer', () => {
+	let queueEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		queueEnv = { ...env, INDEX_QUEUE: { send: vi.fn() } };
+		await new EventIndexer(queueEnv).db.createIndexRanges([{ fromBlock: 100, toBlock: 199 }]);
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	async function consume(status) {
+		vi.spyOn(EventIndexer.prototype, 'indexQueuedRange').mockResolvedValue({ status, attempts: 2, error: 'boom' });
+		const range = await getRange(100);
+		const message = { body: { rangeId: range.id, fromBlock: 100, toBlock: 199 }, attempts: 1, ack: vi.fn(), retry: vi.fn() };
+		await indexerWorker.queue({ messages: [message] }, queueEnv, {});
+		return message;
+	}
+
+	it('sends a range that stopped part way again straight away', async () => {
+		const message = await consume('partial');
+
+		expect(queueEnv.INDEX_QUEUE.send).toHaveBeenCalledWith(message.body, { delaySeconds: 0 });
+		expect(message.ack).toHaveBeenCalled();
+		expect(message.retry).not.toHaveBeenCalled();
+	});
+
+	it('sends a failed range again with backoff rather than retrying the message', async () => {
+		const message = await consume('retry');
+
+		expect(queueEnv.INDEX_QUEUE.send).toHaveBeenCalledWith(message.body, { delaySeconds: 60 });
+		expect(message.ack).toHaveBeenCalled();
+		expect(message.retry).not.toHaveBeenCalled();
+		expect((await getRange(100)).enqueued_at).not.toBeNull();
+	});
+
+	it('acks a range another consumer has', async () => {
+		const message = await consume('busy');
+
+		expect(queueEnv.INDEX_QUEUE.send).not.toHaveBeenCalled();
+		expect(message.ack).toHaveBeenCalled();
+	});
+});
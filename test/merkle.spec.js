@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { keccak256, concat, pad, toHex } from 'viem';
+import { getCriteriaRoot, getCriteriaProof, normalizeTokenIds } from '../src/server/utils/merkle.js';
+
+// Seaport's CriteriaResolution._verifyProof: hash the identifier as a word, then
+// hash each proof element in with the smaller of the pair first
+function seaportVerifyProof(tokenId, root, proof) {
+	let computed = keccak256(pad(toHex(BigInt(tokenId)), { size: 32 }));
+	for (const element of proof) {
+		computed = BigInt(computed) > BigInt(element) ? keccak256(concat([element, computed])) : keccak256(concat([computed, element]));
+	}
+	return computed === root;
+}
+
+describe('criteria merkle tree', () => {
+	for (const size of [1, 2, 3, 5, 8, 13]) {
+		it(`proves every token of a ${size}-token set against the root`, () => {
+			const tokenIds = Array.from({ length: size }, (_, i) => String(i * 7 + 1));
+			const root = getCriteriaRoot(tokenIds);
+			for (const tokenId of tokenIds) {
+				expect(seaportVerifyProof(tokenId, root, getCriteriaProof(tokenIds, tokenId))).toBe(true);
+			}
+		});
+	}
+
+	it('uses the hashed token as the root of a single-token set', () => {
+		expect(getCriteriaRoot(['42'])).toBe(keccak256(pad(toHex(42n), { size: 32 })));
+		expect(getCriteriaProof(['42'], '42')).toEqual([]);
+	});
+
+	it('builds the same root whatever the order, duplicates or number type', () => {
+		const root = getCriteriaRoot(['3', '1', '2']);
+		expect(getCriteriaRoot([2n, 1, '3', '3'])).toBe(root);
+		expect(normalizeTokenIds([2n, 1, '3', '3'])).toEqual(['1', '2', '3']);
+	});
+
+	it('handles token IDs above 2^53', () => {
+		const tokenIds = ['1', '115792089237316195423570985008687907853269984665640564039457584007913129639935'];
+		const root = getCriteriaRoot(tokenIds);
+		expect(seaportVerifyProof(tokenIds[1], root, getCriteriaProof(tokenIds, tokenIds[1]))).toBe(true);
+	});
+
+	it('has no proof for a token outside the set, and a wrong proof fails', () => {
+		const tokenIds = ['1', '2', '3', '4'];
+		const root = getCriteriaRoot(tokenIds);
+		expect(getCriteriaProof(tokenIds, '5')).toBeNull();
+		expect(seaportVerifyProof('5', root, getCriteriaProof(tokenIds, '4'))).toBe(false);
+	});
+
+	it('refuses an empty set', () => {
+		expect(() => getCriteriaRoot([])).toThrow('Cannot build a criteria root from an empty token set');
+	});
+});
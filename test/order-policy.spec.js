@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { POLICY_ERRORS, checkOrderPolicy } from '../src/server/utils/order-policy.js';
+
+const SELLER = '0x1111111111111111111111111111111111111111';
+const BUYER = '0x2222222222222222222222222222222222222222';
+const FEE_RECIPIENT = '0x0db12C0A67bc5B8942ea3126a465d7a0b23126C7';
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const ETH = '0x0000000000000000000000000000000000000000';
+const NFT = '0x4444444444444444444444444444444444444444';
+const ZERO_CONDUIT_KEY = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+const env = { FEE_RECIPIENT, MARKETPLACE_FEE_BPS: '100' };
+const now = () => Math.floor(Date.now() / 1000);
+
+function payment(token, amount, recipient, endAmount = amount) {
+	return { itemType: token === ETH ? 0 : 1, token, identifierOrCriteria: '0', startAmount: amount, endAmount, recipient };
+}
+
+// 100 USDC listing: 99 to the seller, 1 to the marketplace
+function listing(overrides = {}) {
+	return {
+		offerer: SELLER,
+		zone: ETH,
+		offer: [{ itemType: 2, token: NFT, identifierOrCriteria: '1', startAmount: '1', endAmount: '1' }],
+		consideration: [payment(USDC, '99000000', SELLER), payment(USDC, '1000000', FEE_RECIPIENT)],
+		startTime: String(now() - 60),
+		endTime: String(now() + 7 * 24 * 60 * 60),
+		conduitKey: ZERO_CONDUIT_KEY,
+		...overrides,
+	};
+}
+
+const check = (params, options = {}) => checkOrderPolicy(params, env, { side: 'listing', currencies: ['USDC', 'ETH'], ...options });
+
+describe('checkOrderPolicy', () => {
+	it('accepts an order meeting the policy', () => {
+		expect(check(listing())).toEqual({ valid: true, currency: 'USDC' });
+	});
+
+	it('accepts an offer paying in its offer items', () => {
+		const offer = listing({
+			offerer: BUYER,
+			offer: [payment(WETH, '1000000000000000000', BUYER)],
+			consideration: [
+				{ itemType: 2, token: NFT, identifierOrCriteria: '1', startAmount: '1', endAmount: '1', recipient: BUYER },
+				payment(WETH, '10000000000000000', FEE_RECIPIENT),
+			],
+		});
+		expect(checkOrderPolicy(offer, env, { side: 'offer', currencies: ['WETH'] })).toEqual({ valid: true, currency: 'WETH' });
+	});
+
+	it(POLICY_ERRORS.CURRENCY_NOT_ALLOWED, () => {
+		const weth = listing({ consideration: [payment(WETH, '99', SELLER), payment(WETH, '1', FEE_RECIPIENT)] });
+		expect(check(weth)).toMatchObject({ valid: false, code: POLICY_ERRORS.CURRENCY_NOT_ALLOWED, allowedCurrencies: ['USDC', 'ETH'] });
+		expect(check(listing({ consideration: [] }))).toMatchObject({ code: POLICY_ERRORS.CURRENCY_NOT_ALLOWED });
+	});
+
+	it(POLICY_ERRORS.MIXED_CURRENCIES, () => {
+		const mixed = listing({ consideration: [payment(USDC, '99000000', SELLER), payment(ETH, '1000', FEE_RECIPIENT)] });
+		expect(check(mixed)).toMatchObject({ valid: false, code: POLICY_ERRORS.MIXED_CURRENCIES });
+	});
+
+	it(POLICY_ERRORS.FEE_MISSING, () => {
+		expect(check(listing({ consideration: [payment(USDC, '100000000', SELLER)] }))).toMatchObject({
+			valid: false,
+			code: POLICY_ERRORS.FEE_MISSING,
+			feeBps: 100,
+		});
+	});
+
+	it(POLICY_ERRORS.FEE_TOO_LOW, () => {
+		const low = listing({ consideration: [payment(USDC, '99500000', SELLER), payment(USDC, '500000', FEE_RECIPIENT)] });
+		expect(check(low)).toMatchObject({ valid: false, code: POLICY_ERRORS.FEE_TOO_LOW, requiredFee: '1000000' });
+
+		// A Dutch auction has to pay the fee at its start price too
+		const dutch = listing({
+			consideration: [payment(USDC, '198000000', SELLER, '99000000'), payment(USDC, '1000000', FEE_RECIPIENT)],
+		});
+		expect(check(dutch)).toMatchObject({ code: POLICY_ERRORS.FEE_TOO_LOW });
+	});
+
+	it('checks the fee per copy of a quantity listing', () => {
+		// 3 copies of 0.000033 USDC each: the per-copy fee rounds down to nothing
+		const tiny = listing({ consideration: [payment(USDC, '99', SELLER), payment(USDC, '0', FEE_RECIPIENT)] });
+		expect(check(tiny, { quantity: 3 })).toEqual({ valid: true, currency: 'USDC' });
+	});
+
+	it(POLICY_ERRORS.INVALID_TIME_RANGE, () => {
+		expect(check(listing({ startTime: String(now() + 100), endTime: String(now() + 100) }))).toMatchObject({
+			valid: false,
+			code: POLICY_ERRORS.INVALID_TIME_RANGE,
+		});
+		expect(check(listing({ endTime: 'soon' }))).toMatchObject({ code: POLICY_ERRORS.INVALID_TIME_RANGE });
+	});
+
+	it(POLICY_ERRORS.ORDER_EXPIRED, () => {
+		expect(check(listing({ endTime: String(now() + 30) }))).toMatchObject({ valid: false, code: POLICY_ERRORS.ORDER_EXPIRED });
+	});
+
+	it(POLICY_ERRORS.END_TIME_TOO_FAR, () => {
+		expect(check(listing({ endTime: String(now() + 91 * 24 * 60 * 60) }))).toMatchObject({
+			valid: false,
+			code: POLICY_ERRORS.END_TIME_TOO_FAR,
+		});
+	});
+
+	it(POLICY_ERRORS.ZONE_NOT_ALLOWED, () => {
+		expect(check(listing({ zone: BUYER }))).toMatchObject({ valid: false, code: POLICY_ERRORS.ZONE_NOT_ALLOWED });
+		expect(check(listing({ zone: BUYER }), { zone: BUYER })).toMatchObject({ valid: true });
+	});
+
+	it(POLICY_ERRORS.CONDUIT_KEY_NOT_ALLOWED, () => {
+		const conduitKey = `0x${'ab'.repeat(32)}`;
+		expect(check(listing({ conduitKey }))).toMatchObject({
+			valid: false,
+			code: POLICY_ERRORS.CONDUIT_KEY_NOT_ALLOWED,
+			conduitKey: ZERO_CONDUIT_KEY,
+		});
+		expect(checkOrderPolicy(listing({ conduitKey }), { ...env, SEAPORT_CONDUIT_KEY: conduitKey }, { side: 'listing', currencies: ['USDC'] })).toMatchObject({
+			valid: true,
+		});
+	});
+});
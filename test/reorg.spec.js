@@ -0,0 +1,103 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Database } from '../src/server/db.js';
+import { EventIndexer } from '../src/server/indexer.js';
+import { applySchema } from './helpers/database.js';
+
+const SELLER = '0x1111111111111111111111111111111111111111';
+const BUYER = '0x2222222222222222222222222222222222222222';
+const hash = (n) => `0x${n.toString(16).padStart(64, '0')}`;
+
+async function storeEvent(db, { txHash, blockNumber, eventName = 'OrderFulfilled' }) {
+	await db.recordChainEvent(
+		{ transactionHash: txHash, logIndex: 0, blockNumber, blockHash: hash(blockNumber), address: SELLER, topics: [], data: '0x' },
+		{ eventName, args: {} },
+	);
+}
+
+describe('rollbackIndexedBlocks', () => {
+	let db;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		db = new Database(env.DB);
+	});
+
+	it('reverts what the orphaned events changed and moves the cursors back', async () => {
+		const kept = hash(0xa);
+		const orphaned = hash(0xb);
+		await env.DB.batch([
+			env.DB.prepare(`
+				INSERT INTO listings (id, seller_address, nft_contract, token_id, price, expiry, contract_type, sold_at, buyer_address, sale_tx_hash)
+				VALUES (1, ?, ?, '1', 10, '2030-01-01', 'seaport', '2026-01-01', ?, ?), (2, ?, ?, '2', 10, '2030-01-01', 'seaport', '2026-01-01', ?, ?)
+			`).bind(SELLER, SELLER, BUYER, kept, SELLER, SELLER, BUYER, orphaned),
+			env.DB.prepare(`INSERT INTO activity (type, actor_address, nft_contract, tx_hash) VALUES ('sale', ?, ?, ?), ('sale', ?, ?, ?)`).bind(
+				BUYER,
+				SELLER,
+				kept,
+				BUYER,
+				SELLER,
+				orphaned,
+			),
+		]);
+		await storeEvent(db, { txHash: kept, blockNumber: 100 });
+		await storeEvent(db, { txHash: orphaned, blockNumber: 200 });
+		await db.recordBlockHash({ blockNumber: 199, blockHash: hash(199), parentHash: hash(198) });
+		await db.recordBlockHash({ blockNumber: 299, blockHash: hash(299), parentHash: hash(298) });
+		await db.setIndexerCursors(['seaport', 'nft_exchange'], 299);
+
+		const { events } = await db.rollbackIndexedBlocks(200);
+
+		expect(events).toBe(1);
+		const listings = await env.DB.prepare('SELECT id, sold_at, sale_tx_hash FROM listings ORDER BY id').all();
+		expect(listings.results).toEqual([
+			{ id: 1, sold_at: '2026-01-01', sale_tx_hash: kept },
+			{ id: 2, sold_at: null, sale_tx_hash: null },
+		]);
+		const activity = await env.DB.prepare('SELECT tx_hash FROM activity').all();
+		expect(activity.results).toEqual([{ tx_hash: kept }]);
+		expect(await db.countChainEventsSince(0)).toBe(1);
+		expect(await db.getBlockHash(299)).toBeNull();
+		expect(await db.getBlockHash(199)).not.toBeNull();
+		expect(Object.fromEntries(await db.getIndexerCursors())).toEqual({ seaport: 199, nft_exchange: 199 });
+	});
+
+	it('restores the last Seaport counter from before the fork', async () => {
+		await db.setSeaportCounter({ offerer: SELLER, counter: 5n, blockNumber: 100, txHash: hash(1) });
+		await db.setSeaportCounter({ offerer: SELLER, counter: 9n, blockNumber: 200, txHash: hash(2) });
+		await db.setSeaportCounter({ offerer: BUYER, counter: 3n, blockNumber: 250, txHash: hash(3) });
+
+		await db.rollbackIndexedBlocks(200);
+
+		expect(await db.getSeaportCounter(SELLER)).toBe('5');
+		expect(await db.getSeaportCounter(BUYER)).toBeNull();
+	});
+});
+
+describe('findForkBlock', () => {
+	let indexer;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		indexer = new EventIndexer(env);
+		for (const blockNumber of [100, 200, 300]) {
+			await indexer.db.recordBlockHash({ blockNumber, blockHash: hash(blockNumber), parentHash: hash(blockNumber - 1) });
+		}
+	});
+
+	function chainWithHashes(hashes) {
+		indexer.blockchain.client = {
+			getBlock: async ({ blockNumber }) => ({ hash: hashes[Number(blockNumber)] ?? hash(0xdead) }),
+		};
+	}
+
+	it('returns the newest stored chunk still on the chain', async () => {
+		chainWithHashes({ 100: hash(100), 200: hash(200), 300: hash(0xbeef) });
+		expect(await indexer.findForkBlock(300)).toBe(200);
+	});
+
+	it('throws when no stored chunk is on the chain', async () => {
+		chainWithHashes({});
+		await expect(indexer.findForkBlock(300)).rejects.toThrow('Reorg goes deeper than the last 3 indexed chunks');
+	});
+});
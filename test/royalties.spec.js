@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+	ContractFunctionExecutionError,
+	ContractFunctionRevertedError,
+	ContractFunctionZeroDataError,
+	HttpRequestError,
+} from 'viem';
+import { getRoyalty, validateRoyalty } from '../src/server/utils/royalties.js';
+import { createRpcClient } from '../src/server/utils/rpc-client.js';
+
+vi.mock('../src/server/utils/rpc-client.js', () => ({ createRpcClient: vi.fn() }));
+
+const SELLER = '0x1111111111111111111111111111111111111111';
+const CREATOR = '0x2222222222222222222222222222222222222222';
+const FEE_RECIPIENT = '0x3333333333333333333333333333333333333333';
+const ETH = '0x0000000000000000000000000000000000000000';
+
+function payment(recipient, startAmount, endAmount = startAmount) {
+	return { itemType: 0, token: ETH, identifierOrCriteria: '0', startAmount, endAmount, recipient };
+}
+
+function order(consideration) {
+	return { offerer: SELLER, consideration };
+}
+
+describe('validateRoyalty', () => {
+	const royalty = { recipient: CREATOR, bps: 500 };
+
+	it('accepts a listing paying the royalty out of its price', () => {
+		// 1 ETH: 0.925 to the seller, 0.05 royalty, 0.025 fee
+		const params = order([
+			payment(SELLER, '925000000000000000'),
+			payment(CREATOR, '50000000000000000'),
+			payment(FEE_RECIPIENT, '25000000000000000'),
+		]);
+		expect(validateRoyalty(params, royalty, 1)).toBeNull();
+	});
+
+	it('rejects a listing without the royalty', () => {
+		const params = order([payment(SELLER, '975000000000000000'), payment(FEE_RECIPIENT, '25000000000000000')]);
+		expect(validateRoyalty(params, royalty, 1)).toBe(`Listing must pay a 5% creator royalty to ${CREATOR}`);
+	});
+
+	it('checks both ends of a dutch auction', () => {
+		const params = order([
+			payment(SELLER, '950000000000000000', '1950000000000000000'),
+			payment(CREATOR, '50000000000000000'),
+		]);
+		expect(validateRoyalty(params, royalty, 1)).not.toBeNull();
+	});
+
+	it('compares amounts per copy for quantity listings', () => {
+		// 4 copies at 0.1 ETH each; rounding the royalty per copy mustn't reject it
+		const params = order([payment(SELLER, '380000000000000000'), payment(CREATOR, '20000000000000000')]);
+		expect(validateRoyalty(params, royalty, 4)).toBeNull();
+	});
+
+	it('skips sellers collecting their own royalty', () => {
+		const params = order([payment(SELLER, '1000000000000000000')]);
+		expect(validateRoyalty(params, { recipient: SELLER, bps: 500 }, 1)).toBeNull();
+	});
+});
+
+describe('getRoyalty', () => {
+	const NFT = '0x4444444444444444444444444444444444444444';
+	const db = { getRoyaltyOverride: async () => null };
+	const readContract = vi.fn();
+
+	function contractError(cause) {
+		return new ContractFunctionExecutionError(cause, { abi: [], functionName: 'royaltyInfo', args: [], address: NFT });
+	}
+
+	beforeEach(() => {
+		readContract.mockReset();
+		createRpcClient.mockReturnValue({ readContract });
+	});
+
+	it('reads the ERC-2981 royalty in basis points', async () => {
+		readContract.mockResolvedValue([CREATOR, 500n]);
+		expect(await getRoyalty({}, db, NFT, '1')).toEqual({ recipient: CREATOR, bps: 500, source: 'erc2981' });
+	});
+
+	it('returns null for contracts that revert or return nothing', async () => {
+		readContract.mockRejectedValueOnce(
+			contractError(new ContractFunctionRevertedError({ abi: [], functionName: 'royaltyInfo', message: 'execution reverted' })),
+		);
+		expect(await getRoyalty({}, db, NFT, '1')).toBeNull();
+
+		readContract.mockRejectedValueOnce(contractError(new ContractFunctionZeroDataError({ functionName: 'royaltyInfo' })));
+		expect(await getRoyalty({}, db, NFT, '1')).toBeNull();
+	});
+
+	it('rethrows RPC failures so the listing can be retried', async () => {
+		readContract.mockRejectedValue(contractError(new HttpRequestError({ url: 'https://rpc.example', status: 429 })));
+		await expect(getRoyalty({}, db, NFT, '1')).rejects.toThrow(ContractFunctionExecutionError);
+	});
+});
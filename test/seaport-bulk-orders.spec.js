@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { Signature, TypedDataEncoder, Wallet } from 'ethers';
+import { getBulkOrderTree } from '@opensea/seaport-js/lib/utils/eip712/bulk-orders.js';
+import { getSeaportDomain, getOrderHash, parseBulkOrderSignature, getBulkOrderDigest, verifyOrderSignature } from '../src/server/utils/seaport.js';
+
+const SEAPORT_ADDRESS = '0x0000000000000068F116a894984e2DB1123eB395';
+// Hardhat's first test account
+const wallet = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const domain = getSeaportDomain(8453, SEAPORT_ADDRESS);
+
+function makeOrder(tokenId) {
+	return {
+		offerer: wallet.address,
+		zone: '0x0000000000000000000000000000000000000000',
+		offer: [{ itemType: 2, token: '0x0000000000000000000000000000000000000002', identifierOrCriteria: String(tokenId), startAmount: '1', endAmount: '1' }],
+		consideration: [{ itemType: 0, token: '0x0000000000000000000000000000000000000000', identifierOrCriteria: '0', startAmount: '1000000000000000000', endAmount: '1000000000000000000', recipient: wallet.address }],
+		orderType: 0,
+		startTime: '1700000000',
+		endTime: '1800000000',
+		zoneHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
+		salt: String(tokenId),
+		conduitKey: '0x0000000000000000000000000000000000000000000000000000000000000000',
+		counter: '0',
+	};
+}
+
+// Sign a two-order bulk listing the way seaport-js does
+async function signBulkOrder(orders) {
+	const tree = getBulkOrderTree(orders);
+	const message = { tree: tree.getDataToSign() };
+	const signature = await wallet.signTypedData(domain, tree.types, message);
+	return { tree, signature, digest: TypedDataEncoder.hash(domain, tree.types, message) };
+}
+
+describe('bulk order signatures', () => {
+	const orders = [makeOrder(1), makeOrder(2)];
+
+	it('splits out the signature, index and proof', async () => {
+		const { tree, signature } = await signBulkOrder(orders);
+		const parsed = parseBulkOrderSignature(tree.getEncodedProofAndSignature(1, signature));
+
+		expect(parsed.signature).toBe(signature);
+		expect(parsed.index).toBe(1);
+		expect(parsed.proof).toEqual(tree.getProof(1).proof);
+	});
+
+	it('reads compact 64-byte signatures', async () => {
+		const { tree, signature } = await signBulkOrder(orders);
+		const compact = Signature.from(signature).compactSerialized;
+		const parsed = parseBulkOrderSignature(tree.getEncodedProofAndSignature(0, compact));
+
+		expect(parsed.signature).toBe(compact);
+		expect(parsed.index).toBe(0);
+		expect(parsed.proof).toHaveLength(1);
+	});
+
+	it('does not treat a regular order signature as a bulk one', async () => {
+		const signature = await wallet.signTypedData(domain, { OrderComponents: [{ name: 'salt', type: 'uint256' }] }, { salt: 1 });
+		expect(parseBulkOrderSignature(signature)).toBeNull();
+		expect(parseBulkOrderSignature('not a signature')).toBeNull();
+	});
+
+	it('derives the digest Seaport expects for each order in the tree', async () => {
+		const { tree, signature, digest } = await signBulkOrder(orders);
+
+		orders.forEach((order, index) => {
+			const parsed = parseBulkOrderSignature(tree.getEncodedProofAndSignature(index, signature));
+			expect(getOrderHash(order)).toBe(tree.getProof(index).leaf);
+			expect(getBulkOrderDigest(domain, getOrderHash(order), parsed.index, parsed.proof)).toBe(digest);
+		});
+	});
+
+	it('verifies each order against its offerer', async () => {
+		const { tree, signature } = await signBulkOrder(orders);
+		const env = { CHAIN_ID: '8453', SEAPORT_CONTRACT_ADDRESS: SEAPORT_ADDRESS };
+
+		const result = await verifyOrderSignature(env, orders[1], tree.getEncodedProofAndSignature(1, signature));
+		expect(result).toMatchObject({ valid: true, recoveredAddress: wallet.address.toLowerCase() });
+
+		// The proof for the other leaf doesn't lead back to the signed root
+		const mismatched = await verifyOrderSignature(env, orders[1], tree.getEncodedProofAndSignature(0, signature));
+		expect(mismatched.valid).toBe(false);
+	});
+});
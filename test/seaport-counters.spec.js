@@ -0,0 +1,63 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Database } from '../src/server/db.js';
+import { applySchema } from './helpers/database.js';
+
+const OFFERER = '0x1111111111111111111111111111111111111111';
+const NFT = '0x4444444444444444444444444444444444444444';
+// Seaport bumps counters by a quasi-random value above 2^128
+const BIG = 340282366920938463463374607431768211456n;
+
+function orderData(counter) {
+	return JSON.stringify({ parameters: { offerer: OFFERER, counter: counter.toString() }, signature: '0x' });
+}
+
+describe('cancelStaleSeaportOrders', () => {
+	let db;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		db = new Database(env.DB);
+
+		const counters = [4n, 5n, 6n, BIG, BIG + 1n];
+		await env.DB.batch([
+			...counters.map((counter, i) =>
+				env.DB.prepare(`
+					INSERT INTO listings (id, seller_address, nft_contract, token_id, price, expiry, contract_type, order_parameters)
+					VALUES (?, ?, ?, ?, 1, '2030-01-01', 'seaport', ?)
+				`).bind(i + 1, OFFERER, NFT, String(i + 1), orderData(counter)),
+			),
+			...counters.map((counter, i) =>
+				env.DB.prepare(`
+					INSERT INTO offers (id, buyer_address, nft_contract, amount, expiry, contract_type, order_parameters)
+					VALUES (?, ?, ?, 1, '2030-01-01', 'seaport', ?)
+				`).bind(i + 1, OFFERER, NFT, orderData(counter)),
+			),
+		]);
+	});
+
+	async function cancelledIds(table) {
+		const { results } = await env.DB.prepare(`SELECT id FROM ${table} WHERE cancelled_at IS NOT NULL ORDER BY id`).all();
+		return results.map((row) => row.id);
+	}
+
+	it('cancels only the orders signed with a lower counter', async () => {
+		const { listings, offers } = await db.cancelStaleSeaportOrders(OFFERER, 5n, '0xcancel');
+
+		expect(listings.map((listing) => listing.id)).toEqual([1]);
+		expect(offers.map((offer) => offer.id)).toEqual([1]);
+		expect(await cancelledIds('listings')).toEqual([1]);
+		expect(await cancelledIds('offers')).toEqual([1]);
+	});
+
+	it('keeps orders signed with a higher counter, as after a replay of an older event', async () => {
+		await db.cancelStaleSeaportOrders(OFFERER, 4n, '0xold');
+		expect(await cancelledIds('listings')).toEqual([]);
+	});
+
+	it('compares counters above 2^128 exactly', async () => {
+		await db.cancelStaleSeaportOrders(OFFERER, BIG + 1n, '0xcancel');
+		expect(await cancelledIds('listings')).toEqual([1, 2, 3, 4]);
+		expect(await cancelledIds('offers')).toEqual([1, 2, 3, 4]);
+	});
+});
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { getRemainingQuantity } from '../src/server/utils/seaport.js';
+
+describe('getRemainingQuantity', () => {
+	it('returns the full quantity for an unfilled order', () => {
+		expect(getRemainingQuantity(10, 0n, 0n)).toBe(10);
+	});
+
+	it('scales a reduced fill fraction back to copies', () => {
+		// 2 of 10 copies is stored as 1/5
+		expect(getRemainingQuantity(10, 1n, 5n)).toBe(8);
+		expect(getRemainingQuantity(10, 7n, 10n)).toBe(3);
+		expect(getRemainingQuantity(6, 1n, 2n)).toBe(3);
+	});
+
+	it('returns zero once the order is filled', () => {
+		expect(getRemainingQuantity(10, 1n, 1n)).toBe(0);
+	});
+});
@@ -2,9 +2,18 @@ import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
 
 export default defineWorkersConfig({
 	test: {
+		// seaport-js pulls in ethers' CommonJS build, which only loads in workerd once bundled
+		deps: {
+			optimizer: {
+				ssr: {
+					enabled: true,
+					include: ['@opensea/seaport-js', '@opensea/seaport-js/lib/utils/eip712/bulk-orders.js', 'ethers'],
+				},
+			},
+		},
 		poolOptions: {
 			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+				wrangler: { configPath: './wrangler.toml' },
 			},
 		},
 	},